@@ -7,6 +7,14 @@ import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { sendOrganizerCredentials } from '../utils/email.js';
 import crypto from 'crypto';
 import PasswordReset from '../models/PasswordReset.js';
+import auditService, { snapshot, AUDIT_ACTIONS } from '../services/auditService.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import settingsService, { SETTING_DEFAULTS } from '../services/settingsService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+
+// Organizer profile fields shown in the audit log
+const ORGANIZER_FIELDS = ['organizerName', 'category', 'description', 'contactEmail', 'isActive'];
 
 /**
  * Generate random password
@@ -195,6 +203,8 @@ export const updateOrganizer = asyncHandler(async (req, res, next) => {
     throw new AppError('Organizer not found', 404);
   }
   
+  const before = snapshot(organizer, ORGANIZER_FIELDS);
+  
   // Update fields
   if (organizerName) organizer.organizerName = organizerName;
   if (category) organizer.category = category;
@@ -204,6 +214,15 @@ export const updateOrganizer = asyncHandler(async (req, res, next) => {
   
   await organizer.save();
   
+  await auditService.record(req, {
+    action: 'organizer.update',
+    targetType: 'User',
+    targetId: organizer._id,
+    summary: `Edited organizer ${organizer.organizerName}`,
+    before,
+    after: snapshot(organizer, ORGANIZER_FIELDS)
+  });
+  
   res.status(200).json({
     success: true,
     message: 'Organizer updated',
@@ -226,6 +245,15 @@ export const toggleOrganizerStatus = asyncHandler(async (req, res, next) => {
   organizer.isActive = !organizer.isActive;
   await organizer.save();
   
+  await auditService.record(req, {
+    action: organizer.isActive ? 'organizer.activate' : 'organizer.deactivate',
+    targetType: 'User',
+    targetId: organizer._id,
+    summary: `${organizer.isActive ? 'Activated' : 'Deactivated'} organizer ${organizer.organizerName}`,
+    before: { isActive: !organizer.isActive },
+    after: { isActive: organizer.isActive }
+  });
+  
   res.status(200).json({
     success: true,
     message: `Organizer ${organizer.isActive ? 'activated' : 'deactivated'}`,
@@ -267,15 +295,34 @@ export const deleteOrganizer = asyncHandler(async (req, res, next) => {
     // Delete the organizer
     await organizer.deleteOne();
     
+    await auditService.record(req, {
+      action: 'organizer.delete',
+      targetType: 'User',
+      targetId: organizer._id,
+      summary: `Permanently deleted organizer ${organizer.organizerName} and ${events.length} events`,
+      before: snapshot(organizer, ORGANIZER_FIELDS),
+      metadata: { email: organizer.email, events: events.map(e => ({ id: e._id, name: e.name })) }
+    });
+    
     res.status(200).json({
       success: true,
       message: `Organizer permanently deleted along with ${events.length} events and associated data`
     });
   } else {
     // Archive (deactivate)
+    const wasActive = organizer.isActive;
     organizer.isActive = false;
     await organizer.save();
     
+    await auditService.record(req, {
+      action: 'organizer.archive',
+      targetType: 'User',
+      targetId: organizer._id,
+      summary: `Archived organizer ${organizer.organizerName}`,
+      before: { isActive: wasActive },
+      after: { isActive: false }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Organizer archived (deactivated)'
@@ -301,6 +348,11 @@ export const resetOrganizerPassword = asyncHandler(async (req, res, next) => {
   organizer.passwordResetRequested = false;
   await organizer.save();
   
+  // Sign the organizer out everywhere; a lost authenticator is the usual
+  // reason for an admin reset, so 2FA starts over too
+  const sessionsRevoked = await sessionService.revokeAll(organizer._id, 'password_reset');
+  const twoFactorCleared = await twoFactorService.clear(organizer._id);
+  
   // Send new credentials
   // Fire-and-forget sending: ensure password is changed even if email fails.
   // Attach a rejection handler so unhandled rejections do not crash the process.
@@ -324,10 +376,20 @@ export const resetOrganizerPassword = asyncHandler(async (req, res, next) => {
     console.error('Failed to record password reset history:', err);
   }
 
+  // The new password itself is never logged
+  await auditService.record(req, {
+    action: 'organizer.password_reset',
+    targetType: 'User',
+    targetId: organizer._id,
+    summary: `Reset the password of organizer ${organizer.organizerName}`,
+    metadata: { sessionsRevoked, twoFactorCleared }
+  });
+
   res.status(200).json({
     success: true,
-    message: 'Password reset successful',
-    temporaryPassword: newPassword
+    message: twoFactorCleared ? 'Password reset successful; two-factor authentication was turned off' : 'Password reset successful',
+    temporaryPassword: newPassword,
+    twoFactorCleared
   });
 });
 
@@ -353,6 +415,8 @@ export const actionPasswordResetRequest = asyncHandler(async (req, res, next) =>
     organizer.password = newPassword;
     organizer.passwordResetRequested = false;
     await organizer.save();
+    const sessionsRevoked = await sessionService.revokeAll(organizer._id, 'password_reset');
+    const twoFactorCleared = await twoFactorService.clear(organizer._id);
 
     // send credentials to organizer (async, do not block approval)
     try {
@@ -368,7 +432,17 @@ export const actionPasswordResetRequest = asyncHandler(async (req, res, next) =>
     reqDoc.actionedAt = new Date();
     await reqDoc.save();
 
-    return res.status(200).json({ success: true, message: 'Password reset approved', temporaryPassword: newPassword });
+    await auditService.record(req, {
+      action: 'password_request.approve',
+      targetType: 'PasswordReset',
+      targetId: reqDoc._id,
+      summary: `Approved the password reset request of ${organizer.organizerName}`,
+      before: { status: 'Pending' },
+      after: { status: 'Approved' },
+      metadata: { organizer: organizer._id, comment: reqDoc.adminComment, sessionsRevoked, twoFactorCleared }
+    });
+
+    return res.status(200).json({ success: true, message: 'Password reset approved', temporaryPassword: newPassword, twoFactorCleared });
   }
 
   if (action === 'reject') {
@@ -382,6 +456,16 @@ export const actionPasswordResetRequest = asyncHandler(async (req, res, next) =>
       organizer.passwordResetRequested = false;
       await organizer.save();
     }
+
+    await auditService.record(req, {
+      action: 'password_request.reject',
+      targetType: 'PasswordReset',
+      targetId: reqDoc._id,
+      summary: `Rejected the password reset request of ${reqDoc.organizer.organizerName}`,
+      before: { status: 'Pending' },
+      after: { status: 'Rejected' },
+      metadata: { organizer: reqDoc.organizer._id, comment: reqDoc.adminComment }
+    });
     return res.status(200).json({ success: true, message: 'Password reset request rejected' });
   }
 
@@ -396,7 +480,7 @@ export const actionPasswordResetRequest = asyncHandler(async (req, res, next) =>
  */
 export const getPasswordResetHistory = asyncHandler(async (req, res, next) => {
   const docs = await PasswordReset.find()
-    .populate('organizer', 'organizerName email')
+    .populate('organizer', 'organizerName firstName lastName email role')
     .sort({ requestedAt: -1 })
     .limit(200);
 
@@ -481,3 +565,113 @@ export const getDashboardStats = asyncHandler(async (req, res, next) => {
     recentRegistrations
   });
 });
+
+/**
+ * @desc    Audit log of privileged actions
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (Admin)
+ *
+ * FILTERS: action (comma-separated), actor (user id or email), targetType,
+ * targetId, event, from, to, page, limit
+ */
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const result = await auditService.list(req.query);
+
+  res.status(200).json({
+    success: true,
+    ...result,
+    actions: AUDIT_ACTIONS
+  });
+});
+
+/**
+ * @desc    Site settings
+ * @route   GET /api/admin/settings
+ * @access  Private (Admin)
+ */
+export const getSettings = asyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    success: true,
+    settings: await settingsService.getAll()
+  });
+});
+
+/**
+ * @desc    Change site settings
+ * @route   PUT /api/admin/settings
+ * @access  Private (Admin)
+ *
+ * BODY: { [key]: value } for keys in SETTING_DEFAULTS; values keep the
+ * default's type
+ */
+export const updateSettings = asyncHandler(async (req, res, next) => {
+  const entries = Object.entries(req.body || {});
+  if (!entries.length) {
+    throw new AppError('No settings given', 400);
+  }
+  for (const [key, value] of entries) {
+    if (!(key in SETTING_DEFAULTS)) {
+      throw new AppError(`Unknown setting: ${key}`, 400);
+    }
+    if (typeof value !== typeof SETTING_DEFAULTS[key]) {
+      throw new AppError(`${key} must be a ${typeof SETTING_DEFAULTS[key]}`, 400);
+    }
+  }
+
+  const before = await settingsService.getAll();
+  for (const [key, value] of entries) {
+    const doc = await settingsService.set(key, value, req.user._id);
+    await auditService.record(req, {
+      action: 'settings.update',
+      targetType: 'Setting',
+      targetId: doc._id,
+      summary: `Set ${key} to ${JSON.stringify(value)}`,
+      before: { [key]: before[key] },
+      after: { [key]: value }
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Settings saved',
+    settings: await settingsService.getAll()
+  });
+});
+
+/**
+ * @desc    Accounts locked out after failed logins
+ * @route   GET /api/admin/login-lockouts
+ * @access  Private (Admin)
+ *
+ * FILTERS: active ('true' for lockouts still running), page, limit
+ */
+export const getLoginLockouts = asyncHandler(async (req, res, next) => {
+  const result = await loginThrottleService.list(req.query);
+
+  res.status(200).json({
+    success: true,
+    ...result
+  });
+});
+
+/**
+ * @desc    Lift a login lockout
+ * @route   DELETE /api/admin/login-lockouts/:id
+ * @access  Private (Admin)
+ */
+export const unlockLogin = asyncHandler(async (req, res, next) => {
+  const entry = await loginThrottleService.unlock(req.params.id);
+
+  await auditService.record(req, {
+    action: 'login.unlock',
+    targetType: 'LoginThrottle',
+    targetId: entry._id,
+    summary: `Lifted login lockout for ${entry.kind === 'ip' ? 'IP' : 'account'} ${entry.value}`,
+    before: snapshot(entry, ['kind', 'value', 'lockouts', 'lockedUntil'])
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Lockout lifted'
+  });
+});
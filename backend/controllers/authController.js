@@ -1,9 +1,45 @@
 
 
-import User from '../models/User.js';
+import User, { IIIT_EMAIL_DOMAINS } from '../models/User.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { sendTokenResponse } from '../utils/jwt.js';
+import { generateToken, generateTwoFactorChallenge, sendTokenResponse } from '../utils/jwt.js';
 import { generateCaptcha, verifyCaptcha } from '../utils/captcha.js';
+import sessionService from '../services/sessionService.js';
+import emailService from '../services/emailService.js';
+import verificationService, { RESEND_COOLDOWN_SECONDS } from '../services/verificationService.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+import PasswordReset from '../models/PasswordReset.js';
+import crypto from 'crypto';
+
+const RESET_LINK_MINUTES = 30;
+// Emails a single account can be sent per hour, however many IPs ask
+const RESET_EMAILS_PER_HOUR = 3;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Participants can always reset by email; organizers only once they opt in
+const canResetByEmail = (user) => user.isActive && !user.isPlaceholder
+  && (user.role === 'participant' || (user.role === 'organizer' && user.emailPasswordReset));
+
+// 429 for an account that failed to log in too often
+const sendLockedOut = (res, lockedUntil) => {
+  const seconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    lockedUntil
+  });
+};
+
+// An unused, unexpired emailed reset link
+const findResetLink = (token) => PasswordReset.findOne({
+  tokenHash: hashToken(String(token)),
+  status: 'Sent',
+  expiresAt: { $gt: new Date() }
+});
 
 /**
  * @desc    Get a new CAPTCHA image
@@ -11,7 +47,7 @@ import { generateCaptcha, verifyCaptcha } from '../utils/captcha.js';
  * @access  Public
  */
 export const getCaptcha = asyncHandler(async (req, res) => {
-  const captcha = generateCaptcha();
+  const captcha = await generateCaptcha();
   res.json({ success: true, captchaId: captcha.id, captchaSvg: captcha.svg });
 });
 
@@ -23,15 +59,17 @@ export const getCaptcha = asyncHandler(async (req, res) => {
  * FLOW:
  * 1. Validate email domain for IIIT participants
  * 2. Check if email already exists
- * 3. Create user with hashed password
- * 4. Generate JWT token
- * 5. Send response with token
+ * 3. Create user with hashed password (or, for an imported placeholder,
+ *    email a claim link and stop)
+ * 4. Email a verification link and code
+ * 5. Generate JWT token
+ * 6. Send response with token
  */
 export const register = asyncHandler(async (req, res, next) => {
   const { email, password, firstName, lastName, participantType, collegeName, contactNumber, captchaId, captchaAnswer } = req.body;
 
   // Verify CAPTCHA
-  if (!verifyCaptcha(captchaId, captchaAnswer)) {
+  if (!(await verifyCaptcha(captchaId, captchaAnswer))) {
     throw new AppError('Invalid or expired CAPTCHA. Please try again.', 400);
   }
   
@@ -48,30 +86,22 @@ export const register = asyncHandler(async (req, res, next) => {
   // Email domain validation
   // Requirement: IIIT participants must use IIIT-issued email
   //              External participants must NOT use IIIT email addresses
-  const iiitDomains = ['iiit.ac.in', 'students.iiit.ac.in', 'research.iiit.ac.in'];
   const emailParts = (email || '').split('@');
   const emailDomain = emailParts[1] || '';
 
   if (participantType === 'iiit') {
-    if (!iiitDomains.includes(emailDomain)) {
+    if (!IIIT_EMAIL_DOMAINS.includes(emailDomain)) {
       throw new AppError('IIIT participants must register with an IIIT email address', 400);
     }
   }
 
   if (participantType === 'non-iiit') {
-    if (iiitDomains.includes(emailDomain)) {
+    if (IIIT_EMAIL_DOMAINS.includes(emailDomain)) {
       throw new AppError('External participants must not register with an IIIT email address', 400);
     }
   }
   
-  // Check if user already exists
-  const existingUser = await User.findOne({ email });
-  if (existingUser) {
-    throw new AppError('Email already registered', 400);
-  }
-  
-  // Create user
-  const user = await User.create({
+  const details = {
     email,
     password, // Hashed in pre-save middleware
     firstName,
@@ -81,10 +111,36 @@ export const register = asyncHandler(async (req, res, next) => {
     contactNumber,
     role: 'participant',
     onboardingCompleted: false
-  });
+  };
+  
+  // Check if user already exists. Accounts an organizer created by importing
+  // registrations are handed over, tickets and all, only once the address is
+  // proved: until the emailed link is used the sign-up changes nothing.
+  const existingUser = await User.findOne({ email });
+  if (existingUser && !existingUser.isPlaceholder) {
+    throw new AppError('Email already registered', 400);
+  }
+  
+  if (existingUser) {
+    await verificationService.sendClaim(existingUser, details);
+    return res.status(202).json({
+      success: true,
+      claimPending: true,
+      message: 'This email already has event registrations. We sent a link to it — open it to claim your account, then log in.'
+    });
+  }
+  
+  const user = await User.create(details);
+  
+  // Signing up works without it; events restricted by participant type wait for it
+  try {
+    await verificationService.send(user);
+  } catch (emailErr) {
+    console.error('Failed to send verification email:', emailErr);
+  }
   
   // Send token response
-  sendTokenResponse(user, 201, res, 'Registration successful');
+  await sendTokenResponse(user, 201, res, 'Registration successful');
 });
 
 /**
@@ -93,18 +149,33 @@ export const register = asyncHandler(async (req, res, next) => {
  * @access  Public
  * 
  * FLOW:
- * 1. Validate email and password provided
- * 2. Find user and include password field
- * 3. Verify password with bcrypt compare
+ * 1. Refuse locked-out IPs/accounts; after a few failures, require a CAPTCHA
+ *    (services/loginThrottleService.js)
+ * 2. Validate email and password provided
+ * 3. Find user and include password field
  * 4. Check if account is active
- * 5. Generate and send JWT token
+ * 5. Verify password with bcrypt compare; failures count towards a lockout
+ * 6. With two-factor authentication on, send a challenge for the code
+ *    (POST /api/auth/login/2fa finishes the login)
+ * 7. Otherwise generate and send JWT token
  */
 export const login = asyncHandler(async (req, res, next) => {
   const { email, password, captchaId, captchaAnswer } = req.body;
 
-  // Verify CAPTCHA
-  if (!verifyCaptcha(captchaId, captchaAnswer)) {
-    throw new AppError('Invalid or expired CAPTCHA. Please try again.', 400);
+  const attempt = { ip: req.ip, email };
+
+  const throttle = await loginThrottleService.check(attempt);
+  if (throttle.lockedUntil) {
+    return sendLockedOut(res, throttle.lockedUntil);
+  }
+
+  // CAPTCHA only once this IP or account has failed a few times
+  if (throttle.captchaRequired && !(await verifyCaptcha(captchaId, captchaAnswer))) {
+    return res.status(400).json({
+      success: false,
+      message: captchaId ? 'Invalid or expired CAPTCHA. Please try again.' : 'Please complete the CAPTCHA',
+      captchaRequired: true
+    });
   }
   
   // Validate input
@@ -115,8 +186,20 @@ export const login = asyncHandler(async (req, res, next) => {
   // Find user with password field (normally excluded)
   const user = await User.findOne({ email }).select('+password');
   
+  const rejectCredentials = async () => {
+    const state = await loginThrottleService.recordFailure(attempt);
+    if (state.lockedUntil) {
+      return sendLockedOut(res, state.lockedUntil);
+    }
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid credentials',
+      captchaRequired: state.captchaRequired
+    });
+  };
+  
   if (!user) {
-    throw new AppError('Invalid credentials', 401);
+    return rejectCredentials();
   }
   
   // Check if account is active
@@ -128,11 +211,25 @@ export const login = asyncHandler(async (req, res, next) => {
   const isMatch = await user.comparePassword(password);
   
   if (!isMatch) {
-    throw new AppError('Invalid credentials', 401);
+    return rejectCredentials();
   }
   
-  // Send token response
-  sendTokenResponse(user, 200, res, 'Login successful');
+  // With two-factor on, the account's failures are only cleared by the second
+  // step, so wrong codes add up to a lockout like wrong passwords
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      twoFactorRequired: true,
+      challengeToken: generateTwoFactorChallenge(user._id)
+    });
+  }
+  
+  await loginThrottleService.recordSuccess(attempt);
+  
+  // Send token response (organizers may have to set up 2FA before going further)
+  const setupRequired = await twoFactorService.isRequired(user);
+  await sendTokenResponse(user, 200, res, 'Login successful', setupRequired ? { twoFactorSetupRequired: true } : {});
 });
 
 /**
@@ -165,7 +262,8 @@ export const getMe = asyncHandler(async (req, res, next) => {
  * 1. Verify current password
  * 2. Validate new password
  * 3. Update and hash new password
- * 4. Generate new token (invalidate old sessions)
+ * 4. Revoke every session (other devices are signed out)
+ * 5. Start a new session for this device
  */
 export const updatePassword = asyncHandler(async (req, res, next) => {
   const { currentPassword, newPassword } = req.body;
@@ -192,26 +290,305 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   user.password = newPassword;
   await user.save();
   
+  await sessionService.revokeAll(user._id, 'password_change');
+  
   // Send new token
-  sendTokenResponse(user, 200, res, 'Password updated successfully');
+  await sendTokenResponse(user, 200, res, 'Password updated successfully');
 });
 
 /**
- * @desc    Logout user (client-side token removal)
- * @route   POST /api/auth/logout
+ * @desc    Email a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public (rate-limited)
+ * 
+ * The response is the same whether or not the email has an account, so the
+ * endpoint can't be used to find out who is registered.
+ */
+export const forgotPassword = asyncHandler(async (req, res, next) => {
+  const email = req.body.email?.trim().toLowerCase();
+  if (!email) {
+    throw new AppError('Please provide your email', 400);
+  }
+  
+  const response = {
+    success: true,
+    message: 'If that email belongs to an account that can reset its password, a reset link is on its way.'
+  };
+  
+  const user = await User.findOne({ email });
+  if (!user || !canResetByEmail(user)) {
+    return res.status(200).json(response);
+  }
+  
+  const recent = await PasswordReset.countDocuments({
+    organizer: user._id,
+    requestedBy: 'self',
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+  });
+  if (recent >= RESET_EMAILS_PER_HOUR) {
+    return res.status(200).json(response);
+  }
+  
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + RESET_LINK_MINUTES * 60 * 1000);
+  await PasswordReset.create({
+    organizer: user._id,
+    requestedBy: 'self',
+    status: 'Sent',
+    tokenHash: hashToken(token),
+    expiresAt,
+    ip: req.ip
+  });
+  
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/reset-password/${token}`;
+  try {
+    const html = `<p>Hi <strong>${user.firstName || user.organizerName || 'there'}</strong>,</p>
+      <p>Someone asked to reset the password of your Felicity account. If it was you, choose a new password here:</p>
+      <p><a href="${url}">Reset my password</a></p>
+      <p>The link works once and expires in ${RESET_LINK_MINUTES} minutes. If you didn't ask for this, ignore this email - your password stays the same.</p>`;
+    await emailService.enqueue({ to: user.email, subject: 'Reset your Felicity password', html });
+  } catch (emailErr) {
+    console.error('Failed to send password reset link:', emailErr);
+  }
+  
+  res.status(200).json(response);
+});
+
+/**
+ * @desc    Check a password reset link before showing the form
+ * @route   GET /api/auth/reset-password/:token
+ * @access  Public (rate-limited)
+ */
+export const checkResetToken = asyncHandler(async (req, res, next) => {
+  const link = await findResetLink(req.params.token).populate('organizer', 'email');
+  if (!link) {
+    throw new AppError('This reset link is invalid, used or expired. Please request a new one.', 400);
+  }
+  
+  res.status(200).json({
+    success: true,
+    email: link.organizer?.email,
+    expiresAt: link.expiresAt
+  });
+});
+
+/**
+ * @desc    Set a new password with an emailed reset link
+ * @route   POST /api/auth/reset-password/:token
+ * @access  Public (rate-limited)
+ * 
+ * FLOW:
+ * 1. Spend the link (atomically, so it works once)
+ * 2. Set the new password
+ * 3. Revoke every session and any other unused links
+ * 4. Email a confirmation
+ */
+export const resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+  if (!password || password.length < 6) {
+    throw new AppError('Password must be at least 6 characters', 400);
+  }
+  
+  const link = await PasswordReset.findOneAndUpdate(
+    { tokenHash: hashToken(String(req.params.token)), status: 'Sent', expiresAt: { $gt: new Date() } },
+    { status: 'Completed', usedAt: new Date(), actionedAt: new Date() },
+    { new: true }
+  );
+  if (!link) {
+    throw new AppError('This reset link is invalid, used or expired. Please request a new one.', 400);
+  }
+  
+  const user = await User.findById(link.organizer);
+  if (!user || !canResetByEmail(user)) {
+    throw new AppError('This account can no longer reset its password by email', 400);
+  }
+  
+  user.password = password;
+  user.passwordResetRequested = false;
+  // The link reached the inbox, which proves the address
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  
+  await Promise.all([
+    sessionService.revokeAll(user._id, 'password_reset'),
+    PasswordReset.updateMany(
+      { organizer: user._id, status: 'Sent', expiresAt: { $gt: new Date() } },
+      { expiresAt: new Date() }
+    )
+  ]);
+  
+  try {
+    const html = `<p>Hi <strong>${user.firstName || user.organizerName || 'there'}</strong>,</p>
+      <p>The password of your Felicity account was just changed with a reset link, and every device was signed out.</p>
+      <p>If this wasn't you, reset your password again right away and contact the organizers.</p>`;
+    await emailService.enqueue({ to: user.email, subject: 'Your Felicity password was changed', html });
+  } catch (emailErr) {
+    console.error('Failed to send password change confirmation:', emailErr);
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'Password reset. You can now log in with your new password.'
+  });
+});
+
+/**
+ * @desc    Verify the account's email address
+ * @route   POST /api/auth/verify-email
+ * @access  Public with the emailed link's token; Private with the emailed code
+ * 
+ * BODY: { token } or { code }
+ */
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  const { token, code } = req.body;
+  
+  let user;
+  let claimed = false;
+  if (token) {
+    ({ user, claimed } = await verificationService.verifyToken(token));
+  } else if (code) {
+    if (!req.user) {
+      throw new AppError('Log in to verify with a code', 401);
+    }
+    if (req.user.emailVerified) {
+      throw new AppError('Your email is already verified', 400);
+    }
+    user = await verificationService.verifyCode(req.user, code);
+  } else {
+    throw new AppError('Please provide the verification link or code', 400);
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: claimed ? 'Account claimed — log in with the password you chose' : 'Email verified',
+    claimed,
+    user: user.getPublicProfile()
+  });
+});
+
+/**
+ * @desc    Send a new verification email
+ * @route   POST /api/auth/verify-email/resend
  * @access  Private
+ */
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  if (req.user.emailVerified) {
+    throw new AppError('Your email is already verified', 400);
+  }
+  
+  const wait = await verificationService.cooldownRemaining(req.user._id);
+  if (wait > 0) {
+    res.set('Retry-After', String(wait));
+    throw new AppError(`Please wait ${wait} seconds before asking for another email`, 429);
+  }
+  
+  const { expiresAt } = await verificationService.send(req.user);
+  
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}`,
+    expiresAt,
+    cooldown: RESEND_COOLDOWN_SECONDS
+  });
+});
+
+/**
+ * @desc    Trade a refresh token for new access and refresh tokens
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token in body)
+ */
+export const refreshToken = asyncHandler(async (req, res, next) => {
+  const { session, refreshToken: nextRefreshToken } = await sessionService.rotate(req.body.refreshToken, req);
+  
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await sessionService.revoke(session.user, session._id);
+    throw new AppError('Account has been deactivated. Please contact admin.', 401);
+  }
+  
+  res.status(200).json({
+    success: true,
+    token: generateToken(user._id, session._id),
+    refreshToken: nextRefreshToken
+  });
+});
+
+/**
+ * @desc    Logout user (ends the current session)
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token in body, or a valid access token)
  * 
- * NOTE: With JWT, logout is primarily client-side
- * Server just confirms the logout request
- * For true invalidation, you'd need a token blacklist (Redis)
+ * NOTE: The session's access and refresh tokens stop working immediately.
+ * The refresh token is accepted so logout works after the access token expired.
  */
 export const logout = asyncHandler(async (req, res, next) => {
+  if (req.body?.refreshToken) {
+    await sessionService.end(req.body.refreshToken);
+  } else if (req.user) {
+    await sessionService.revoke(req.user._id, req.sessionId, 'logout');
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Logged out successfully'
   });
 });
 
+/**
+ * @desc    List the current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.list(req.user._id);
+  
+  res.status(200).json({
+    success: true,
+    sessions: sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId
+    }))
+  });
+});
+
+/**
+ * @desc    Sign out one session
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const revoked = await sessionService.revoke(req.user._id, req.params.id);
+  if (!revoked) {
+    throw new AppError('Session not found', 404);
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: req.params.id === req.sessionId ? 'Logged out successfully' : 'Session signed out'
+  });
+});
+
+/**
+ * @desc    Sign out every session
+ * @route   DELETE /api/auth/sessions
+ * @access  Private
+ * 
+ * QUERY: ?exceptCurrent=true keeps this device signed in
+ */
+export const revokeAllSessions = asyncHandler(async (req, res, next) => {
+  const keepCurrent = req.query.exceptCurrent === 'true';
+  const count = await sessionService.revokeAll(req.user._id, 'revoked', keepCurrent ? req.sessionId : null);
+  
+  res.status(200).json({
+    success: true,
+    message: `Signed out ${count} session${count === 1 ? '' : 's'}`,
+    count
+  });
+});
+
 /**
  * @desc    Complete onboarding (set preferences)
  * @route   PUT /api/auth/onboarding
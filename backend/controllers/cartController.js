@@ -0,0 +1,139 @@
+/**
+ * Cart Controller
+ *
+ * Participant shopping cart for merchandise. Items can span several
+ * merchandise events; checkout turns the cart into a single Order.
+ */
+
+import Cart from '../models/Cart.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import orderService from '../services/orderService.js';
+
+const getOrCreateCart = async (participantId) => {
+  return (await Cart.findOne({ participant: participantId })) ||
+    Cart.create({ participant: participantId, items: [] });
+};
+
+const sendCart = async (res, cart, status = 200, message) => {
+  const summary = await orderService.summarizeCart(cart);
+  res.status(status).json({ success: true, ...(message && { message }), cart: summary });
+};
+
+/**
+ * @desc    Get my cart (priced, with availability)
+ * @route   GET /api/cart
+ * @access  Private (Participant)
+ */
+export const getCart = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOne({ participant: req.user.id });
+  await sendCart(res, cart);
+});
+
+/**
+ * @desc    Add a variant to the cart (merges with an existing line)
+ * @route   POST /api/cart/items
+ * @access  Private (Participant)
+ */
+export const addToCart = asyncHandler(async (req, res, next) => {
+  const { eventId, variantId } = req.body;
+  const quantity = Number(req.body.quantity) || 1;
+
+  if (quantity < 1) {
+    throw new AppError('Quantity must be at least 1', 400);
+  }
+
+  const event = await Event.findById(eventId);
+  if (!event || event.eventType !== 'merchandise') {
+    throw new AppError('Merchandise not found', 404);
+  }
+  if (!OPEN_STATUSES.includes(event.status)) {
+    throw new AppError('Merchandise is not available for purchase', 400);
+  }
+  if (!event.variants.id(variantId)) {
+    throw new AppError('Variant not found', 404);
+  }
+
+  const cart = await getOrCreateCart(req.user.id);
+  const line = cart.items.find(i => i.event.equals(event._id) && i.variantId.equals(variantId));
+  const newQuantity = (line?.quantity || 0) + quantity;
+
+  // Early feedback only — the real limit check happens at checkout
+  const inCartForEvent = cart.items
+    .filter(i => i.event.equals(event._id))
+    .reduce((sum, i) => sum + i.quantity, 0) + quantity;
+  if (inCartForEvent > event.purchaseLimit) {
+    throw new AppError(`Purchase limit is ${event.purchaseLimit} items per person`, 400);
+  }
+
+  if (line) {
+    line.quantity = newQuantity;
+  } else {
+    cart.items.push({ event: event._id, variantId, quantity });
+  }
+  await cart.save();
+
+  await sendCart(res, cart, 200, 'Added to cart');
+});
+
+/**
+ * @desc    Change a cart line's quantity
+ * @route   PUT /api/cart/items/:itemId
+ * @access  Private (Participant)
+ */
+export const updateCartItem = asyncHandler(async (req, res, next) => {
+  const quantity = Number(req.body.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw new AppError('Quantity must be at least 1', 400);
+  }
+
+  const cart = await Cart.findOne({ participant: req.user.id });
+  const line = cart?.items.id(req.params.itemId);
+  if (!line) {
+    throw new AppError('Cart item not found', 404);
+  }
+
+  line.quantity = quantity;
+  await cart.save();
+
+  await sendCart(res, cart);
+});
+
+/**
+ * @desc    Remove a cart line
+ * @route   DELETE /api/cart/items/:itemId
+ * @access  Private (Participant)
+ */
+export const removeCartItem = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOne({ participant: req.user.id });
+  const line = cart?.items.id(req.params.itemId);
+  if (!line) {
+    throw new AppError('Cart item not found', 404);
+  }
+
+  line.deleteOne();
+  await cart.save();
+
+  await sendCart(res, cart, 200, 'Removed from cart');
+});
+
+/**
+ * @desc    Check out the whole cart as one order
+ * @route   POST /api/cart/checkout
+ * @access  Private (Participant)
+ */
+export const checkoutCart = asyncHandler(async (req, res, next) => {
+  const cart = await Cart.findOne({ participant: req.user.id });
+  const participant = await User.findById(req.user.id);
+
+  const order = await orderService.checkout(participant, cart);
+
+  res.status(201).json({
+    success: true,
+    message: order.paymentStatus === 'pending'
+      ? 'Order placed. Upload your payment proof to complete it.'
+      : 'Order confirmed',
+    order
+  });
+});
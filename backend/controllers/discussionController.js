@@ -5,11 +5,14 @@ import Registration from '../models/Registration.js';
 import Event from '../models/Event.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { notifyEventParticipants, createNotification } from './notificationController.js';
+import realtimeService from '../services/realtimeService.js';
+import { assertCan, can } from '../utils/eventPermissions.js';
+import auditService from '../services/auditService.js';
 
 /**
  * @desc    Post a message to event discussion
  * @route   POST /api/discussions/:eventId
- * @access  Private (Registered participants + event organizer)
+ * @access  Private (Registered participants + event staff)
  */
 export const postMessage = asyncHandler(async (req, res) => {
   const { eventId } = req.params;
@@ -22,9 +25,9 @@ export const postMessage = asyncHandler(async (req, res) => {
   const event = await Event.findById(eventId);
   if (!event) throw new AppError('Event not found', 404);
 
-  // Check if user is organizer of this event or a registered participant
-  const isOrganizer = event.organizer.toString() === req.user.id;
-  if (!isOrganizer && req.user.role !== 'admin') {
+  // Event staff can always post (only organizers announce); others must be registered
+  const isOrganizer = can(event, req.user, 'manage');
+  if (!can(event, req.user, 'view')) {
     const registration = await Registration.findOne({
       event: eventId,
       participant: req.user.id,
@@ -44,6 +47,10 @@ export const postMessage = asyncHandler(async (req, res) => {
   });
 
   await message.populate('author', 'firstName lastName organizerName role');
+  await message.populate('parentMessage', 'content author');
+
+  // Push to everyone currently viewing the discussion
+  realtimeService.publishToEvent(eventId, 'message:new', { message });
 
   // Send in-app notifications
   const authorName = message.author?.firstName || message.author?.organizerName || 'Someone';
@@ -74,7 +81,7 @@ export const postMessage = asyncHandler(async (req, res) => {
     }
   }
   // Regular (non-announcement, non-reply) messages do NOT send mass notifications.
-  // The discussion tab auto-polls every 5 seconds so participants see new messages in real time.
+  // Participants viewing the discussion tab receive them over the SSE stream instead.
 
   res.status(201).json({ success: true, message: message });
 });
@@ -117,7 +124,7 @@ export const getMessages = asyncHandler(async (req, res) => {
 /**
  * @desc    Delete a message (moderator/organizer)
  * @route   DELETE /api/discussions/:eventId/:messageId
- * @access  Private (Organizer of event or Admin)
+ * @access  Private (Organizers of the event, Admin, or the author)
  */
 export const deleteMessage = asyncHandler(async (req, res) => {
   const { eventId, messageId } = req.params;
@@ -125,16 +132,28 @@ export const deleteMessage = asyncHandler(async (req, res) => {
   const event = await Event.findById(eventId);
   if (!event) throw new AppError('Event not found', 404);
 
-  const isOrganizer = event.organizer.toString() === req.user.id;
-  if (!isOrganizer && req.user.role !== 'admin') {
-    // Authors can also delete their own messages
-    const message = await Message.findById(messageId);
-    if (!message || message.author.toString() !== req.user.id) {
-      throw new AppError('Not authorized to delete this message', 403);
-    }
+  const message = await Message.findOne({ _id: messageId, event: eventId });
+  if (!message) throw new AppError('Message not found', 404);
+
+  // Authors can also delete their own messages
+  const isAuthor = message.author.toString() === req.user.id;
+  if (!isAuthor && !can(event, req.user, 'manage')) {
+    throw new AppError('Not authorized to delete this message', 403);
   }
 
   await Message.findByIdAndUpdate(messageId, { isDeleted: true });
+  realtimeService.publishToEvent(eventId, 'message:deleted', { messageId });
+
+  await auditService.record(req, {
+    action: 'discussion.delete',
+    targetType: 'Message',
+    targetId: message._id,
+    event,
+    summary: isAuthor ? 'Deleted their own message' : 'Deleted a message as moderator',
+    before: { isDeleted: false },
+    after: { isDeleted: true },
+    metadata: { author: message.author, content: message.content }
+  });
 
   res.status(200).json({ success: true, message: 'Message deleted' });
 });
@@ -142,7 +161,7 @@ export const deleteMessage = asyncHandler(async (req, res) => {
 /**
  * @desc    Pin/Unpin a message (organizer only)
  * @route   PUT /api/discussions/:eventId/:messageId/pin
- * @access  Private (Organizer of event)
+ * @access  Private (Organizers of the event)
  */
 export const togglePinMessage = asyncHandler(async (req, res) => {
   const { eventId, messageId } = req.params;
@@ -150,9 +169,7 @@ export const togglePinMessage = asyncHandler(async (req, res) => {
   const event = await Event.findById(eventId);
   if (!event) throw new AppError('Event not found', 404);
 
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Only the organizer can pin messages', 403);
-  }
+  assertCan(event, req.user, 'manage', 'Only the organizers can pin messages');
 
   const message = await Message.findById(messageId);
   if (!message) throw new AppError('Message not found', 404);
@@ -160,6 +177,17 @@ export const togglePinMessage = asyncHandler(async (req, res) => {
   message.isPinned = !message.isPinned;
   await message.save();
 
+  await auditService.record(req, {
+    action: 'discussion.pin',
+    targetType: 'Message',
+    targetId: message._id,
+    event,
+    summary: message.isPinned ? 'Pinned a message' : 'Unpinned a message',
+    before: { isPinned: !message.isPinned },
+    after: { isPinned: message.isPinned }
+  });
+  realtimeService.publishToEvent(eventId, 'message:pinned', { messageId, isPinned: message.isPinned });
+
   res.status(200).json({ success: true, isPinned: message.isPinned });
 });
 
@@ -187,6 +215,7 @@ export const reactToMessage = asyncHandler(async (req, res) => {
   }
 
   await message.save();
+  realtimeService.publishToEvent(message.event, 'message:reaction', { messageId, reactions: message.reactions });
 
   res.status(200).json({ success: true, reactions: message.reactions });
 });
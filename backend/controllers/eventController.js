@@ -1,8 +1,142 @@
 
-import Event from '../models/Event.js';
+import Event, { PUBLIC_STATUSES, OPEN_STATUSES, MAX_REMINDER_MINUTES } from '../models/Event.js';
 import Registration from '../models/Registration.js';
+import Refund from '../models/Refund.js';
 import User from '../models/User.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import waitlistService from '../services/waitlistService.js';
+import { normalizeFormFields } from '../utils/formRules.js';
+import { assertCan, can, eventRole, eventPermissions } from '../utils/eventPermissions.js';
+import auditService, { snapshot, AUDIT_ACTIONS } from '../services/auditService.js';
+
+/**
+ * Validate organizer-supplied ticket tiers.
+ * `sold` is server-managed, so it is never taken from the request body.
+ */
+const normalizeTicketTiers = (tiers) => {
+  if (!Array.isArray(tiers)) {
+    throw new AppError('Ticket tiers must be a list', 400);
+  }
+  return tiers.map(({ sold, ...tier }) => {
+    if (!tier.name?.trim()) {
+      throw new AppError('Every ticket tier needs a name', 400);
+    }
+    if (tier.salesStart && tier.salesEnd && new Date(tier.salesEnd) <= new Date(tier.salesStart)) {
+      throw new AppError(`Sales end must be after sales start for tier "${tier.name}"`, 400);
+    }
+    return tier;
+  });
+};
+
+// Comparable form of a show-if / required-if condition ('' when unset)
+const conditionKey = (c) => c?.fieldId ? `${c.fieldId}|${c.operator || 'equals'}|${(c.value || '').trim()}` : '';
+
+/**
+ * A form that already has answers changes by publishing a new version, and only
+ * in ways that keep every earlier answer meaningful: existing fields keep their
+ * type and options (new options may be added) and are not made more required;
+ * new fields must be optional. Labels, placeholders, order, visibility rules and
+ * constraints may change — they apply to new answers only.
+ */
+const assertCompatibleFormVersion = (current, next) => {
+  const nextById = new Map(next.map(f => [f.fieldId, f]));
+  const currentIds = new Set(current.map(f => f.fieldId));
+
+  for (const field of current) {
+    const updated = nextById.get(field.fieldId);
+    if (!updated) {
+      throw new AppError(`"${field.label}" already has answers and cannot be removed`, 400);
+    }
+    if (updated.type !== field.type) {
+      throw new AppError(`"${field.label}" already has answers, so its type cannot change`, 400);
+    }
+    if ((field.options || []).some(o => !(updated.options || []).includes(o))) {
+      throw new AppError(`"${field.label}" already has answers, so its options can only be added to`, 400);
+    }
+    const requiredIf = conditionKey(updated.requiredIf);
+    const requiredIfChanged = requiredIf && requiredIf !== conditionKey(field.requiredIf);
+    if ((updated.required && !field.required) || requiredIfChanged) {
+      throw new AppError(`"${field.label}" already has answers and cannot be made required`, 400);
+    }
+  }
+
+  for (const field of next) {
+    if (!currentIds.has(field.fieldId) && (field.required || field.requiredIf?.fieldId)) {
+      throw new AppError(`New question "${field.label}" must be optional — earlier registrations did not answer it`, 400);
+    }
+  }
+};
+
+/**
+ * Validate refund tiers ({ before, percent }) and order them by date
+ */
+const normalizeRefundPolicy = (policy) => {
+  if (!Array.isArray(policy)) {
+    throw new AppError('Refund policy must be a list', 400);
+  }
+  return policy
+    .map(({ before, percent }) => {
+      const date = new Date(before);
+      if (!before || isNaN(date.getTime())) {
+        throw new AppError('Every refund tier needs a valid date', 400);
+      }
+      if (!(Number(percent) >= 0 && Number(percent) <= 100)) {
+        throw new AppError('Refund percentage must be between 0 and 100', 400);
+      }
+      return { before: date, percent: Number(percent) };
+    })
+    .sort((a, b) => a.before - b.before);
+};
+
+// Reminder times in minutes before the start: whole, between 5 minutes and
+// MAX_REMINDER_MINUTES, no repeats, earliest first
+const normalizeReminderOffsets = (offsets) => {
+  if (!Array.isArray(offsets)) {
+    throw new AppError('Reminders must be a list', 400);
+  }
+  const minutes = offsets.map(Number);
+  if (minutes.some(m => !Number.isInteger(m) || m < 5 || m > MAX_REMINDER_MINUTES)) {
+    throw new AppError(`Reminders must be between 5 minutes and ${MAX_REMINDER_MINUTES / (24 * 60)} days before the event`, 400);
+  }
+  if (new Set(minutes).size > 5) {
+    throw new AppError('An event can have at most 5 reminders', 400);
+  }
+  return [...new Set(minutes)].sort((a, b) => b - a);
+};
+
+/**
+ * Refunds for analytics. Processed refunds are money returned and come off revenue.
+ * `eventMatch` is an event ID or a Mongo condition such as { $in: ids }.
+ */
+const summarizeRefunds = async (eventMatch) => {
+  const byStatus = await Refund.aggregate([
+    { $match: { event: eventMatch } },
+    { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+  ]);
+  const get = (status) => byStatus.find(r => r._id === status) || { count: 0, amount: 0 };
+  return {
+    refunded: get('processed').amount,
+    processedCount: get('processed').count,
+    outstanding: get('requested').amount + get('approved').amount,
+    outstandingCount: get('requested').count + get('approved').count
+  };
+};
+
+/**
+ * Promo code usage for analytics (active registrations only).
+ * `eventMatch` is an event ID or a Mongo condition such as { $in: ids }.
+ */
+const summarizeDiscounts = async (eventMatch) => {
+  const byCode = await Registration.aggregate([
+    { $match: { event: eventMatch, 'promo.promoId': { $exists: true }, status: { $nin: ['cancelled', 'rejected'] } } },
+    { $group: { _id: '$promo.code', uses: { $sum: 1 }, discount: { $sum: '$promo.discountAmount' } } },
+    { $sort: { uses: -1 } }
+  ]);
+  return {
+    total: byCode.reduce((sum, p) => sum + p.discount, 0),
+    byCode: byCode.map(p => ({ code: p._id, uses: p.uses, discount: p.discount }))
+  };
+};
 
 /**
  * @desc    Create new event
@@ -45,6 +179,19 @@ export const createEvent = asyncHandler(async (req, res, next) => {
     }
   }
   
+  if (req.body.ticketTiers !== undefined) {
+    req.body.ticketTiers = req.body.eventType === 'normal' ? normalizeTicketTiers(req.body.ticketTiers) : [];
+  }
+  if (req.body.refundPolicy !== undefined) {
+    req.body.refundPolicy = normalizeRefundPolicy(req.body.refundPolicy);
+  }
+  if (req.body.customFields !== undefined) {
+    req.body.customFields = normalizeFormFields(req.body.customFields);
+  }
+  if (req.body.reminderOffsets !== undefined) {
+    req.body.reminderOffsets = normalizeReminderOffsets(req.body.reminderOffsets);
+  }
+  
   // Create event
   const event = await Event.create(req.body);
   
@@ -90,7 +237,8 @@ export const getEvents = asyncHandler(async (req, res, next) => {
   } = req.query;
   
   // Build query
-  const query = { status: 'published' }; // Only published events for public
+  // Only published events for public, kept listed while they run
+  const query = { status: { $in: OPEN_STATUSES } };
   
   // Fuzzy search — match partial words in name, description, tags, venue
   // Also search by organizer name (requires aggregation for proper search)
@@ -233,9 +381,9 @@ export const getEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  // Check access for non-published events
-  if (event.status !== 'published') {
-    if (!req.user || (req.user.role !== 'admin' && req.user.id !== event.organizer._id.toString())) {
+  // Check access for drafts and closed events
+  if (!PUBLIC_STATUSES.includes(event.status)) {
+    if (!can(event, req.user, 'view')) {
       throw new AppError('Event not found', 404);
     }
   }
@@ -254,9 +402,17 @@ export const getEvent = asyncHandler(async (req, res, next) => {
     }
   ).exec();
   
+  // Staff assignments are only shown to the people running the event
+  const access = { role: eventRole(event, req.user), permissions: eventPermissions(event, req.user) };
+  const body = event.toObject();
+  if (!access.permissions.includes('view')) {
+    delete body.staff;
+  }
+  
   res.status(200).json({
     success: true,
-    event
+    event: body,
+    access
   });
 });
 
@@ -277,18 +433,19 @@ export const updateEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  // Check ownership
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized to update this event', 403);
-  }
+  assertCan(event, req.user, 'manage', 'Not authorized to update this event');
   
   // Apply editing rules based on status
   const { status: currentStatus } = event;
   const updates = { ...req.body };
   
+  // Ownership and staff are changed through the staff endpoints only
+  delete updates.organizer;
+  delete updates.staff;
+  
   if (currentStatus === 'published') {
     // Limited edits allowed
-    const allowedFields = ['description', 'registrationDeadline', 'registrationLimit', 'status', 'venue'];
+    const allowedFields = ['description', 'registrationDeadline', 'registrationLimit', 'status', 'venue', 'waitlistEnabled', 'paymentHoldHours', 'paymentMode', 'customFields', 'reminderOffsets'];
     
     Object.keys(updates).forEach(key => {
       if (!allowedFields.includes(key)) {
@@ -307,6 +464,11 @@ export const updateEvent = asyncHandler(async (req, res, next) => {
     }
   }
   
+  // A deadline moved into the future reopens registration the scheduler closed
+  if (updates.registrationDeadline && new Date(updates.registrationDeadline) > new Date()) {
+    updates.registrationClosedAt = null;
+  }
+  
   if (['ongoing', 'completed'].includes(currentStatus)) {
     // Only status changes allowed
     if (Object.keys(updates).some(key => key !== 'status')) {
@@ -314,9 +476,46 @@ export const updateEvent = asyncHandler(async (req, res, next) => {
     }
   }
   
-  // Lock form after first registration
-  if (currentStatus !== 'draft' && updates.customFields) {
-    throw new AppError('Cannot modify registration form after publishing', 400);
+  // Once the form has answers, edits publish a new version and the old one is
+  // kept in formHistory. The version/lock in the filter below makes sure no
+  // registration slipped in against the form being replaced.
+  const formFilter = {};
+  if (updates.customFields !== undefined) {
+    updates.customFields = normalizeFormFields(updates.customFields);
+    formFilter.formVersion = event.formVersion;
+    formFilter.formLocked = event.formLocked;
+    // Unanswered versions are edited in place, but still have to fit the answers to the previous one
+    const answeredFields = event.formLocked ? event.customFields : event.formHistory.at(-1)?.fields;
+    if (answeredFields) {
+      assertCompatibleFormVersion(answeredFields, updates.customFields);
+    }
+    if (event.formLocked) {
+      updates.formVersion = event.formVersion + 1;
+      updates.formLocked = false;
+      updates.$push = {
+        formHistory: { version: event.formVersion, fields: event.customFields.map(f => f.toObject()), replacedAt: new Date() }
+      };
+    }
+  }
+  
+  // Tiers are priced before publishing; after that they are locked like the form
+  if (updates.ticketTiers !== undefined) {
+    if (currentStatus !== 'draft') {
+      throw new AppError('Cannot modify ticket tiers after publishing', 400);
+    }
+    updates.ticketTiers = (updates.eventType || event.eventType) === 'normal' ? normalizeTicketTiers(updates.ticketTiers) : [];
+  }
+  
+  if (updates.reminderOffsets !== undefined) {
+    updates.reminderOffsets = normalizeReminderOffsets(updates.reminderOffsets);
+  }
+  
+  // Participants pay under the published refund policy, so it is fixed from then on
+  if (updates.refundPolicy !== undefined) {
+    if (currentStatus !== 'draft') {
+      throw new AppError('Cannot modify the refund policy after publishing', 400);
+    }
+    updates.refundPolicy = normalizeRefundPolicy(updates.refundPolicy);
   }
 
   // Business rules: if dates are being updated, validate them
@@ -344,13 +543,41 @@ export const updateEvent = asyncHandler(async (req, res, next) => {
     }
   }
   
+  const changedFields = Object.keys(updates).filter(key => !key.startsWith('$'));
+  const before = snapshot(event, changedFields);
+  const hadWaitlist = event.waitlistEnabled;
+  
   // Update event
-  event = await Event.findByIdAndUpdate(
-    req.params.id,
+  event = await Event.findOneAndUpdate(
+    { _id: req.params.id, ...formFilter },
     updates,
     { new: true, runValidators: true }
   ).populate('organizer', 'organizerName category');
   
+  if (!event) {
+    throw new AppError('New registrations arrived while you were editing the form. Reload and try again.', 409);
+  }
+  
+  await auditService.record(req, {
+    action: 'event.update',
+    targetType: 'Event',
+    targetId: event._id,
+    event,
+    summary: `Edited ${event.name}`,
+    before,
+    after: snapshot(event, changedFields)
+  });
+  
+  // A raised limit frees slots — promote from the waitlist
+  if (updates.registrationLimit && event.eventType === 'normal') {
+    await waitlistService.promoteNext(event._id);
+  }
+  
+  // Nobody can be promoted from a waitlist that's off — release whoever is still queued
+  if (hadWaitlist && !event.waitlistEnabled) {
+    await waitlistService.close(event);
+  }
+  
   res.status(200).json({
     success: true,
     message: 'Event updated',
@@ -370,10 +597,7 @@ export const deleteEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  // Check ownership
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized to delete this event', 403);
-  }
+  assertCan(event, req.user, 'delete', 'Not authorized to delete this event');
   
   // Don't allow deletion of events with registrations
   const registrationCount = await Registration.countDocuments({ event: event._id });
@@ -383,6 +607,15 @@ export const deleteEvent = asyncHandler(async (req, res, next) => {
   
   await event.deleteOne();
   
+  await auditService.record(req, {
+    action: 'event.delete',
+    targetType: 'Event',
+    targetId: event._id,
+    event,
+    summary: `Deleted ${event.name}`,
+    before: snapshot(event, ['name', 'status', 'eventType', 'organizer', 'eventStartDate'])
+  });
+  
   res.status(200).json({
     success: true,
     message: 'Event deleted'
@@ -460,6 +693,31 @@ export const getMyEvents = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Audit log for one event (payment decisions, attendance, edits, staff, moderation)
+ * @route   GET /api/events/:id/audit-log
+ * @access  Private (Organizer - own events, co-organizers, Admin)
+ *
+ * FILTERS: action (comma-separated), actor, targetId, from, to, page, limit
+ */
+export const getEventAuditLog = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.id);
+  
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  
+  assertCan(event, req.user, 'manage', 'Not authorized to view the audit log');
+  
+  const result = await auditService.list({ ...req.query, targetType: undefined, event: event._id });
+  
+  res.status(200).json({
+    success: true,
+    ...result,
+    actions: AUDIT_ACTIONS
+  });
+});
+
 /**
  * @desc    Get event analytics
  * @route   GET /api/events/:id/analytics
@@ -472,10 +730,7 @@ export const getEventAnalytics = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  // Check ownership
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized to view analytics', 403);
-  }
+  assertCan(event, req.user, 'manage', 'Not authorized to view analytics');
   
   // Get registration stats
   const registrations = await Registration.aggregate([
@@ -513,12 +768,45 @@ export const getEventAnalytics = asyncHandler(async (req, res, next) => {
     },
     { $sort: { _id: 1 } }
   ]);
+
+  // Revenue breakdown per ticket tier (only confirmed/attended tickets earn revenue)
+  let revenueByTier = [];
+  if (event.ticketTiers?.length) {
+    const tierTotals = await Registration.aggregate([
+      { $match: { event: event._id, 'ticketTier.tierId': { $exists: true }, status: { $in: ['pending', 'confirmed', 'attended'] } } },
+      {
+        $group: {
+          _id: '$ticketTier.tierId',
+          registrations: { $sum: 1 },
+          paid: { $sum: { $cond: [{ $in: ['$status', ['confirmed', 'attended']] }, 1, 0] } },
+          revenue: { $sum: { $cond: [{ $in: ['$status', ['confirmed', 'attended']] }, '$totalAmount', 0] } }
+        }
+      }
+    ]);
+    const totalsById = new Map(tierTotals.map(t => [t._id.toString(), t]));
+    revenueByTier = event.ticketTiers.map(tier => {
+      const t = totalsById.get(tier._id.toString());
+      return {
+        tierId: tier._id,
+        name: tier.name,
+        price: tier.price,
+        capacity: tier.capacity,
+        sold: tier.sold,
+        registrations: t?.registrations || 0,
+        paid: t?.paid || 0,
+        revenue: t?.revenue || 0
+      };
+    });
+  }
   
   // Format stats
   const stats = {
     totalRegistrations: event.registrationCount,
     registrationsByStatus: {},
     revenue: 0,
+    revenueByTier,
+    discounts: await summarizeDiscounts(event._id),
+    refunds: await summarizeRefunds(event._id),
     attendance: attendance[0] || { total: 0, attended: 0 },
     views: event.viewCount,
     registrationTrend: registrationTrend.map(r => ({ date: r._id, count: r.count }))
@@ -528,6 +816,7 @@ export const getEventAnalytics = asyncHandler(async (req, res, next) => {
     stats.registrationsByStatus[r._id] = r.count;
     stats.revenue += r.totalAmount || 0;
   });
+  stats.revenue -= stats.refunds.refunded;
   
   res.status(200).json({
     success: true,
@@ -581,6 +870,8 @@ export const getOrganizerAnalytics = asyncHandler(async (req, res, next) => {
     totalRegistrations,
     registrationsByStatus: {},
     revenue: 0,
+    discounts: await summarizeDiscounts({ $in: eventIds }),
+    refunds: await summarizeRefunds({ $in: eventIds }),
     attendance: attendanceAgg[0] || { total: 0, attended: 0 },
     views: totalViews,
     registrationTrend: registrationTrend.map(r => ({ date: r._id, count: r.count }))
@@ -590,6 +881,7 @@ export const getOrganizerAnalytics = asyncHandler(async (req, res, next) => {
     stats.registrationsByStatus[r._id] = r.count;
     stats.revenue += r.totalAmount || 0;
   });
+  stats.revenue -= stats.refunds.refunded;
 
   res.status(200).json({ success: true, analytics: stats, events });
 });
@@ -606,9 +898,7 @@ export const publishEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  if (event.organizer.toString() !== req.user.id) {
-    throw new AppError('Not authorized', 403);
-  }
+  assertCan(event, req.user, 'manage');
   
   if (event.status !== 'draft') {
     throw new AppError('Only draft events can be published', 400);
@@ -630,8 +920,18 @@ export const publishEvent = asyncHandler(async (req, res, next) => {
   event.status = 'published';
   await event.save();
   
-  // Send Discord webhook notification if configured
-  const organizer = await User.findById(req.user.id);
+  await auditService.record(req, {
+    action: 'event.publish',
+    targetType: 'Event',
+    targetId: event._id,
+    event,
+    summary: `Published ${event.name}`,
+    before: { status: 'draft' },
+    after: { status: 'published' }
+  });
+  
+  // Send Discord webhook notification if configured (the owner's, even when a co-organizer publishes)
+  const organizer = await User.findById(event.organizer);
   if (organizer?.discordWebhook) {
     try {
       const payload = {
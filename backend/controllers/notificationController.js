@@ -1,12 +1,18 @@
 /**
  * Notification Controller
  * 
- * Handles fetching, marking read, and creating in-app notifications.
+ * Handles fetching and marking read in-app notifications, notification
+ * preferences, and the helpers other modules notify users through.
  */
 
 import Notification from '../models/Notification.js';
 import Registration from '../models/Registration.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import notificationService, {
+  NOTIFICATION_TYPE_LABELS,
+  NOTIFICATION_CHANNELS,
+  DIGEST_HOUR
+} from '../services/notificationService.js';
 
 /**
  * @desc    Get notifications for current user
@@ -69,8 +75,35 @@ export const deleteNotification = asyncHandler(async (req, res) => {
 });
 
 /**
- * Helper: Create notification(s) for event participants
+ * @desc    Get notification preferences (channels per notification type)
+ * @route   GET /api/notifications/preferences
+ * @access  Private
+ */
+export const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.getPreferences(req.user.id);
+  res.status(200).json({
+    success: true,
+    preferences,
+    types: Object.entries(NOTIFICATION_TYPE_LABELS).map(([type, info]) => ({ type, ...info })),
+    channels: NOTIFICATION_CHANNELS,
+    digestHour: DIGEST_HOUR
+  });
+});
+
+/**
+ * @desc    Update notification preferences
+ * @route   PUT /api/notifications/preferences
+ * @access  Private
+ */
+export const updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.updatePreferences(req.user.id, req.body.preferences);
+  res.status(200).json({ success: true, preferences });
+});
+
+/**
+ * Helper: Notify event participants
  * Called internally from other controllers — not an HTTP endpoint.
+ * Delivery follows each participant's preferences (see services/notificationService.js).
  */
 export const notifyEventParticipants = async ({ eventId, senderId, type, title, message, link, excludeUser }) => {
   try {
@@ -80,35 +113,20 @@ export const notifyEventParticipants = async ({ eventId, senderId, type, title,
       status: { $in: ['confirmed', 'attended'] }
     }).select('participant');
 
-    const recipientIds = registrations
+    const recipients = registrations
       .map(r => r.participant.toString())
       .filter(id => id !== excludeUser?.toString());
 
-    if (recipientIds.length === 0) return;
-
-    const docs = recipientIds.map(rid => ({
-      recipient: rid,
-      type,
-      title,
-      message: message.slice(0, 500),
-      link,
-      event: eventId,
-      sender: senderId
-    }));
-
-    await Notification.insertMany(docs);
+    await notificationService.dispatch({ recipients, type, title, message, link, event: eventId, sender: senderId });
   } catch (err) {
     console.error('Failed to create notifications:', err.message);
   }
 };
 
 /**
- * Helper: Create a single notification
+ * Helper: Notify a single user. `email` optionally builds the email sent to
+ * users who get this type by email: (user) => { subject, html, attachments }
  */
-export const createNotification = async ({ recipient, type, title, message, link, event, sender }) => {
-  try {
-    await Notification.create({ recipient, type, title, message: message.slice(0, 500), link, event, sender });
-  } catch (err) {
-    console.error('Failed to create notification:', err.message);
-  }
+export const createNotification = async ({ recipient, type, title, message, link, event, sender, email }) => {
+  await notificationService.dispatch({ recipients: [recipient], type, title, message, link, event, sender, email });
 };
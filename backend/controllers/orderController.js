@@ -0,0 +1,165 @@
+/**
+ * Order Controller
+ *
+ * Multi-item merchandise orders created from the cart.
+ * One payment proof and one organizer decision cover every line.
+ */
+
+import Order from '../models/Order.js';
+import Registration from '../models/Registration.js';
+import Event from '../models/Event.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import orderService from '../services/orderService.js';
+import auditService, { snapshot } from '../services/auditService.js';
+import { can } from '../utils/eventPermissions.js';
+
+const PAYMENT_FIELDS = ['status', 'paymentStatus'];
+
+/**
+ * Load an order visible to the current user: the buyer, or whoever may take
+ * payment decisions on every event in it (owner, co-organizer, finance, admin)
+ */
+const findVisibleOrder = async (id, user) => {
+  const order = await Order.findById(id);
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  const isBuyer = order.participant.toString() === user.id;
+  const events = await Event.find({ _id: { $in: order.items.map(item => item.event) } }).select('organizer staff');
+  const isSeller = events.length > 0 && events.every(event => can(event, user, 'payments'));
+  if (!isBuyer && !isSeller) {
+    throw new AppError('Not authorized', 403);
+  }
+  return { order, isBuyer, isSeller, events };
+};
+
+/**
+ * @desc    Get my orders
+ * @route   GET /api/orders/my-orders
+ * @access  Private (Participant)
+ */
+export const getMyOrders = asyncHandler(async (req, res, next) => {
+  const orders = await Order.find({ participant: req.user.id })
+    .populate('organizer', 'organizerName')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: orders.length,
+    orders
+  });
+});
+
+/**
+ * @desc    Get single order with its line registrations (QR codes)
+ * @route   GET /api/orders/:id
+ * @access  Private (Buyer, Organizer, Admin)
+ */
+export const getOrder = asyncHandler(async (req, res, next) => {
+  const { order } = await findVisibleOrder(req.params.id, req.user);
+  await order.populate([
+    { path: 'organizer', select: 'organizerName contactEmail' },
+    { path: 'participant', select: 'firstName lastName email' }
+  ]);
+
+  const registrations = await Registration.find({ order: order._id })
+    .select('ticketId event variantDetails quantity totalAmount status paymentStatus qrCodeData attended');
+
+  res.status(200).json({
+    success: true,
+    order,
+    registrations
+  });
+});
+
+/**
+ * @desc    Upload one payment proof for the whole order
+ * @route   PUT /api/orders/:id/payment-proof
+ * @access  Private (Participant)
+ */
+export const uploadOrderProof = asyncHandler(async (req, res, next) => {
+  const { order, isBuyer } = await findVisibleOrder(req.params.id, req.user);
+  if (!isBuyer) {
+    throw new AppError('Not authorized', 403);
+  }
+  if (order.status !== 'pending') {
+    throw new AppError(`Order is already ${order.status}`, 400);
+  }
+  if (!req.file) {
+    throw new AppError('Please upload a payment proof image', 400);
+  }
+
+  // Persist storage URL/identifier. Priority: S3 URL -> GridFS id -> local disk path
+  let proofPath;
+  if (req.file.s3Url) {
+    proofPath = req.file.s3Url;
+  } else if (req.file.gridFsId) {
+    proofPath = `/uploads/gridfs/${req.file.gridFsId}`;
+  } else {
+    proofPath = `/uploads/${req.file.filename}`;
+  }
+
+  await orderService.submitProof(order, proofPath);
+
+  res.status(200).json({
+    success: true,
+    message: 'Payment proof uploaded. Awaiting approval.',
+    order
+  });
+});
+
+/**
+ * @desc    Approve/Reject payment for a whole order
+ * @route   PUT /api/orders/:id/payment-action
+ * @access  Private (Organizer, co-organizers and finance staff of its events, Admin)
+ */
+export const orderPaymentAction = asyncHandler(async (req, res, next) => {
+  const { action } = req.body;
+  if (!['approve', 'reject'].includes(action)) {
+    throw new AppError('Action must be approve or reject', 400);
+  }
+
+  const { order, isSeller, events } = await findVisibleOrder(req.params.id, req.user);
+  if (!isSeller) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  const before = snapshot(order, PAYMENT_FIELDS);
+  await orderService.review(order, action, req.user.id);
+  await auditService.record(req, {
+    action: `payment.${action}`,
+    targetType: 'Order',
+    targetId: order._id,
+    event: events[0],
+    summary: `${action === 'approve' ? 'Approved' : 'Rejected'} payment for order ${order.orderNumber}`,
+    before,
+    after: snapshot(order, PAYMENT_FIELDS),
+    metadata: { registrations: order.items.map(item => item.registration) }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Payment ${action}d successfully`,
+    order
+  });
+});
+
+/**
+ * @desc    Cancel a pending order (releases reserved stock)
+ * @route   PUT /api/orders/:id/cancel
+ * @access  Private (Participant)
+ */
+export const cancelOrder = asyncHandler(async (req, res, next) => {
+  const { order, isBuyer } = await findVisibleOrder(req.params.id, req.user);
+  if (!isBuyer) {
+    throw new AppError('Not authorized', 403);
+  }
+
+  await orderService.cancel(order);
+
+  res.status(200).json({
+    success: true,
+    message: 'Order cancelled',
+    order
+  });
+});
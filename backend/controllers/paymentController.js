@@ -0,0 +1,231 @@
+/**
+ * Payment Controller
+ *
+ * Online payments through the configured gateway (services/paymentGateway.js).
+ * Participants start a checkout for a pending registration or cart order and
+ * are redirected to the provider; the provider's signed webhook settles the
+ * payment through the same ticket/QR issuance path as organizer approval.
+ */
+
+import Registration from '../models/Registration.js';
+import Order from '../models/Order.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import paymentGateway from '../services/paymentGateway.js';
+import registrationService from '../services/registrationService.js';
+import orderService from '../services/orderService.js';
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const CURRENCY = 'INR';
+
+const assertPayable = (doc, label) => {
+  if (doc.status !== 'pending' || doc.paymentStatus !== 'pending') {
+    throw new AppError(`This ${label} is not awaiting payment`, 400);
+  }
+  if (doc.paymentGateway?.status === 'mismatch') {
+    throw new AppError(`A payment for this ${label} is being reviewed by the organizers`, 400);
+  }
+  if (doc.reservationExpiresAt && doc.reservationExpiresAt <= new Date()) {
+    throw new AppError('Your reservation has expired. Please place a new order.', 400);
+  }
+  if (!(doc.totalAmount > 0)) {
+    throw new AppError('Nothing to pay', 400);
+  }
+};
+
+/**
+ * Apply a verified gateway event. Idempotent — providers retry webhooks, so a
+ * payment that was already settled is acknowledged without side effects.
+ */
+const reconcile = async (provider, evt) => {
+  const [kind, id] = String(evt.reference || '').split(':');
+  const match = { _id: id, 'paymentGateway.sessionId': evt.sessionId };
+  const Model = kind === 'order' ? Order : Registration;
+
+  if (evt.type === 'payment.failed') {
+    await Model.updateOne(
+      { ...match, 'paymentGateway.status': 'created' },
+      { $set: { 'paymentGateway.status': 'failed' } }
+    );
+    return;
+  }
+  if (evt.type !== 'payment.succeeded') return;
+  if (kind !== 'order' && kind !== 'registration') {
+    throw new AppError('Unknown payment reference', 400);
+  }
+
+  // A capture that doesn't match what was charged is recorded and held for
+  // the organizers, never confirmed as paid in full
+  const expected = await Model.findOne(match).select('totalAmount');
+  if (expected && (Number(evt.amount) !== expected.totalAmount || evt.currency !== CURRENCY)) {
+    await Model.updateOne(
+      { ...match, 'paymentGateway.status': { $ne: 'paid' } },
+      {
+        $set: {
+          'paymentGateway.status': 'mismatch',
+          'paymentGateway.paymentId': evt.paymentId,
+          'paymentGateway.capturedAmount': Number(evt.amount),
+          'paymentGateway.capturedCurrency': evt.currency
+        },
+        $unset: { reservationExpiresAt: 1 }
+      }
+    );
+    console.error(`Payment ${evt.paymentId} (${provider.name}) for ${kind} ${id} captured ${evt.amount} ${evt.currency}, expected ${expected.totalAmount} ${CURRENCY} — held for review`);
+    return;
+  }
+
+  // Claiming the row also stops the reservation sweeper from releasing it
+  const paid = {
+    $set: {
+      'paymentGateway.status': 'paid',
+      'paymentGateway.paymentId': evt.paymentId,
+      'paymentGateway.paidAt': new Date()
+    },
+    $unset: { reservationExpiresAt: 1 }
+  };
+  const claimable = { ...match, status: 'pending', paymentStatus: 'pending', 'paymentGateway.status': { $ne: 'paid' } };
+
+  if (kind === 'order') {
+    const order = await Order.findOneAndUpdate(claimable, paid, { new: true });
+    if (order) {
+      await orderService.review(order, 'approve', null);
+      return;
+    }
+  } else {
+    const registration = await Registration.findOneAndUpdate(claimable, paid, { new: true })
+      .populate('event')
+      .populate('participant', 'firstName lastName email');
+    if (registration) {
+      await registrationService.approvePayment(registration);
+      return;
+    }
+  }
+
+  // Not claimable: either a retry of a settled payment, or money arrived for
+  // something that was cancelled/expired meanwhile and must be refunded
+  const doc = await Model.findOne(match);
+  if (doc && doc.paymentGateway?.status !== 'paid') {
+    await Model.updateOne({ _id: doc._id }, paid);
+    console.error(`Payment ${evt.paymentId} (${provider.name}) received for ${kind} ${id} in status '${doc.status}' — needs refund`);
+  }
+};
+
+/**
+ * @desc    Start an online checkout for a pending registration or cart order
+ * @route   POST /api/payments/checkout
+ * @access  Private (Participant)
+ */
+export const createCheckout = asyncHandler(async (req, res, next) => {
+  const { registrationId, orderId } = req.body;
+  const provider = paymentGateway.provider();
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  let doc, session;
+
+  if (orderId) {
+    doc = await Order.findById(orderId);
+    if (!doc || doc.participant.toString() !== req.user.id) {
+      throw new AppError('Order not found', 404);
+    }
+    if (doc.paymentMode !== 'gateway') {
+      throw new AppError('This order is paid by uploading a payment proof', 400);
+    }
+    assertPayable(doc, 'order');
+    session = await provider.createSession({
+      amount: doc.totalAmount,
+      currency: CURRENCY,
+      reference: `order:${doc._id}`,
+      description: `Order ${doc.orderNumber}`,
+      returnUrl: `${frontendUrl()}/orders/${doc._id}`,
+      baseUrl
+    });
+  } else {
+    doc = await Registration.findById(registrationId).populate('event', 'name paymentMode');
+    if (!doc || doc.participant.toString() !== req.user.id) {
+      throw new AppError('Registration not found', 404);
+    }
+    if (doc.order) {
+      throw new AppError('This item is part of an order. Pay for the order instead.', 400);
+    }
+    if (doc.event.paymentMode !== 'gateway') {
+      throw new AppError('This event is paid by uploading a payment proof', 400);
+    }
+    assertPayable(doc, 'registration');
+    session = await provider.createSession({
+      amount: doc.totalAmount,
+      currency: CURRENCY,
+      reference: `registration:${doc._id}`,
+      description: `${doc.event.name} — ${doc.ticketId}`,
+      returnUrl: `${frontendUrl()}/ticket/${doc._id}`,
+      baseUrl
+    });
+  }
+
+  doc.paymentGateway = { provider: provider.name, sessionId: session.sessionId, status: 'created' };
+  await doc.save();
+
+  res.status(200).json({
+    success: true,
+    sessionId: session.sessionId,
+    redirectUrl: session.redirectUrl
+  });
+});
+
+/**
+ * @desc    Signed payment webhook from the provider
+ * @route   POST /api/payments/webhook/:provider
+ * @access  Public (signature verified)
+ */
+export const handleWebhook = asyncHandler(async (req, res, next) => {
+  const provider = paymentGateway.provider(req.params.provider);
+  if (!req.rawBody) {
+    throw new AppError('Webhook body must be JSON', 400);
+  }
+  const evt = provider.parseWebhook(req.rawBody.toString('utf8'), req.headers);
+  await reconcile(provider, evt);
+
+  res.status(200).json({ received: true });
+});
+
+/**
+ * @desc    Hosted checkout page of the mock provider (development only)
+ * @route   GET /api/payments/mock/:sessionId
+ * @access  Public
+ */
+export const mockCheckoutPage = asyncHandler(async (req, res, next) => {
+  const session = paymentGateway.mockEnabled() && paymentGateway.provider('mock').getSession(req.params.sessionId);
+  if (!session) {
+    throw new AppError('Checkout session not found', 404);
+  }
+
+  res.type('html').send(`<!doctype html>
+<html><head><meta charset="utf-8"><title>Mock Payment</title></head>
+<body style="font-family:Arial,sans-serif;max-width:420px;margin:60px auto;text-align:center">
+  <h2>Mock Payment Gateway</h2>
+  <p style="color:#666">Development only — no money moves.</p>
+  <p>${session.description || ''}</p>
+  <p style="font-size:28px;font-weight:bold">₹${session.amount}</p>
+  <form method="post" style="display:inline"><input type="hidden" name="outcome" value="success">
+    <button style="padding:10px 24px;background:#16a34a;color:#fff;border:0;border-radius:6px;cursor:pointer">Pay</button></form>
+  <form method="post" style="display:inline;margin-left:8px"><input type="hidden" name="outcome" value="failure">
+    <button style="padding:10px 24px;background:#dc2626;color:#fff;border:0;border-radius:6px;cursor:pointer">Fail</button></form>
+</body></html>`);
+});
+
+/**
+ * @desc    Finish a mock checkout — sends the signed webhook, then returns to the app
+ * @route   POST /api/payments/mock/:sessionId
+ * @access  Public
+ */
+export const completeMockCheckout = asyncHandler(async (req, res, next) => {
+  if (!paymentGateway.mockEnabled()) {
+    throw new AppError('Checkout session not found', 404);
+  }
+  const provider = paymentGateway.provider('mock');
+  const succeeded = req.body.outcome === 'success';
+  const { body, signature, returnUrl } = provider.completeSession(req.params.sessionId, succeeded);
+
+  // Delivered exactly like a provider webhook: signature check included
+  await reconcile(provider, provider.parseWebhook(body, { 'x-mock-signature': signature }));
+
+  res.redirect(303, `${returnUrl}?payment=${succeeded ? 'success' : 'failed'}`);
+});
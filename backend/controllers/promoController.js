@@ -0,0 +1,206 @@
+/**
+ * Promo Code Controller
+ *
+ * Organizers manage discount codes for their own events.
+ * Participants can preview a code before registering/purchasing;
+ * the code is applied for real in registerForEvent / purchaseMerchandise.
+ */
+
+import PromoCode from '../models/PromoCode.js';
+import Event from '../models/Event.js';
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import promoService from '../services/promoService.js';
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'discountType', 'discountValue', 'maxDiscount',
+  'maxUses', 'perUserLimit', 'validFrom', 'expiresAt',
+  'events', 'variants', 'participantTypes', 'isActive'
+];
+
+/**
+ * Pick editable fields and check that restricted events belong to the organizer
+ * and restricted variants belong to those events.
+ */
+const buildPromoData = async (body, organizerId) => {
+  const data = {};
+  EDITABLE_FIELDS.forEach(key => {
+    if (body[key] !== undefined) data[key] = body[key];
+  });
+
+  if (data.validFrom && data.expiresAt && new Date(data.expiresAt) <= new Date(data.validFrom)) {
+    throw new AppError('Expiry must be after the start date', 400);
+  }
+
+  if (data.events?.length) {
+    const owned = await Event.find({ _id: { $in: data.events }, organizer: organizerId }).select('variants');
+    if (owned.length !== new Set(data.events.map(String)).size) {
+      throw new AppError('Promo codes can only be restricted to your own events', 400);
+    }
+    if (data.variants?.length) {
+      const variantIds = new Set(owned.flatMap(e => e.variants.map(v => v._id.toString())));
+      if (!data.variants.every(id => variantIds.has(String(id)))) {
+        throw new AppError('Restricted variants must belong to the selected events', 400);
+      }
+    }
+  } else if (data.variants?.length) {
+    throw new AppError('Select the events before restricting variants', 400);
+  }
+
+  return data;
+};
+
+/**
+ * Find a promo code the current user is allowed to manage
+ */
+const findOwnedPromo = async (id, user) => {
+  const promo = await PromoCode.findById(id);
+  if (!promo) {
+    throw new AppError('Promo code not found', 404);
+  }
+  if (promo.organizer.toString() !== user.id && user.role !== 'admin') {
+    throw new AppError('Not authorized to manage this promo code', 403);
+  }
+  return promo;
+};
+
+/**
+ * @desc    Create promo code
+ * @route   POST /api/promos
+ * @access  Private (Organizer)
+ */
+export const createPromoCode = asyncHandler(async (req, res, next) => {
+  const data = await buildPromoData(req.body, req.user.id);
+
+  const exists = await PromoCode.findOne({ organizer: req.user.id, code: String(data.code || '').trim().toUpperCase() });
+  if (exists) {
+    throw new AppError('You already have a promo code with this name', 400);
+  }
+
+  const promo = await PromoCode.create({ ...data, organizer: req.user.id, usedCount: 0 });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promo code created',
+    promo
+  });
+});
+
+/**
+ * @desc    List the organizer's promo codes
+ * @route   GET /api/promos
+ * @access  Private (Organizer, Admin)
+ */
+export const getMyPromoCodes = asyncHandler(async (req, res, next) => {
+  const query = req.user.role === 'admin' && req.query.all === 'true' ? {} : { organizer: req.user.id };
+
+  const promos = await PromoCode.find(query)
+    .populate('events', 'name eventType variants')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: promos.length,
+    promos
+  });
+});
+
+/**
+ * @desc    Update promo code
+ * @route   PUT /api/promos/:id
+ * @access  Private (Organizer - own codes)
+ */
+export const updatePromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await findOwnedPromo(req.params.id, req.user);
+  const data = await buildPromoData(req.body, promo.organizer);
+
+  // Renaming a code that has been used would orphan it in reports
+  if (data.code && data.code.trim().toUpperCase() !== promo.code && promo.usedCount > 0) {
+    throw new AppError('Cannot rename a promo code that has already been used', 400);
+  }
+
+  Object.assign(promo, data);
+  await promo.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code updated',
+    promo
+  });
+});
+
+/**
+ * @desc    Delete promo code (deactivated instead if it has been used)
+ * @route   DELETE /api/promos/:id
+ * @access  Private (Organizer - own codes)
+ */
+export const deletePromoCode = asyncHandler(async (req, res, next) => {
+  const promo = await findOwnedPromo(req.params.id, req.user);
+
+  if (promo.usedCount > 0) {
+    promo.isActive = false;
+    await promo.save();
+    return res.status(200).json({
+      success: true,
+      message: 'Promo code has been used, so it was deactivated instead of deleted',
+      promo
+    });
+  }
+
+  await promo.deleteOne();
+
+  res.status(200).json({
+    success: true,
+    message: 'Promo code deleted'
+  });
+});
+
+/**
+ * @desc    Preview a promo code for an event before checkout
+ * @route   POST /api/promos/validate
+ * @access  Private (Participant)
+ */
+export const validatePromoCode = asyncHandler(async (req, res, next) => {
+  const { code, eventId, variantId, quantity = 1, tierId } = req.body;
+
+  if (!code || !eventId) {
+    throw new AppError('Promo code and event are required', 400);
+  }
+
+  const event = await Event.findById(eventId);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+
+  // Same amount the checkout would charge
+  let amount = event.registrationFee || 0;
+  if (event.eventType === 'merchandise') {
+    const variant = event.variants.id(variantId);
+    if (!variant) {
+      throw new AppError('Please select a variant first', 400);
+    }
+    amount = variant.price * Number(quantity);
+  } else if (event.ticketTiers?.length) {
+    const tier = tierId ? event.ticketTiers.id(tierId) : null;
+    if (!tier) {
+      throw new AppError('Please select a ticket tier first', 400);
+    }
+    amount = tier.price;
+  }
+
+  const participant = await User.findById(req.user.id);
+  const { promo, discount } = await promoService.resolve({ code, event, participant, variantId, amount });
+
+  res.status(200).json({
+    success: true,
+    promo: {
+      code: promo.code,
+      description: promo.description,
+      discountType: promo.discountType,
+      discountValue: promo.discountValue
+    },
+    originalAmount: amount,
+    discount,
+    finalAmount: Math.max(0, amount - discount)
+  });
+});
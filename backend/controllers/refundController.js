@@ -0,0 +1,182 @@
+/**
+ * Refund Controller
+ *
+ * Participants see their refunds and a quote before cancelling; organizers
+ * work through the refund queue for their events. The refunds themselves are
+ * opened by cancelRegistration (services/refundService.js). Event staff with
+ * payment rights (utils/eventPermissions.js) work the queue too.
+ */
+
+import Refund from '../models/Refund.js';
+import Registration from '../models/Registration.js';
+import Event from '../models/Event.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import refundService from '../services/refundService.js';
+import auditService, { snapshot } from '../services/auditService.js';
+import { assertCan, staffRolesWith } from '../utils/eventPermissions.js';
+
+const REFUND_FIELDS = ['status', 'amount', 'decisionNote', 'reference'];
+
+/**
+ * Audit a refund decision
+ */
+const recordDecision = (req, { action, event, before, refund, summary }) => auditService.record(req, {
+  action,
+  targetType: 'Refund',
+  targetId: refund._id,
+  event,
+  summary,
+  before,
+  after: snapshot(refund, REFUND_FIELDS),
+  metadata: { registration: refund.registration }
+});
+
+/**
+ * Find a refund the current user is allowed to action (payment rights on its event)
+ */
+const findManagedRefund = async (id, user) => {
+  const refund = await Refund.findById(id);
+  if (!refund) {
+    throw new AppError('Refund not found', 404);
+  }
+  const event = await Event.findById(refund.event).select('organizer staff');
+  assertCan(event, user, 'payments', 'Not authorized to manage this refund');
+  return { refund, event };
+};
+
+/**
+ * @desc    Get my refunds
+ * @route   GET /api/refunds/my
+ * @access  Private (Participant)
+ */
+export const getMyRefunds = asyncHandler(async (req, res, next) => {
+  const refunds = await Refund.find({ participant: req.user.id })
+    .populate('event', 'name eventStartDate')
+    .populate('registration', 'ticketId')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    refunds
+  });
+});
+
+/**
+ * @desc    What cancelling this registration now would refund
+ * @route   GET /api/refunds/quote/:registrationId
+ * @access  Private (Participant - own registrations)
+ */
+export const getRefundQuote = asyncHandler(async (req, res, next) => {
+  const registration = await Registration.findById(req.params.registrationId)
+    .populate('event', 'refundPolicy');
+
+  if (!registration || registration.participant.toString() !== req.user.id) {
+    throw new AppError('Registration not found', 404);
+  }
+
+  const paid = refundService.isPaid(registration);
+  const quote = paid
+    ? refundService.quote(registration.event, registration.totalAmount)
+    : { hasPolicy: registration.event.refundPolicy.length > 0, percent: 0, amount: 0 };
+
+  res.status(200).json({
+    success: true,
+    paid,
+    amountPaid: paid ? registration.totalAmount : 0,
+    ...quote,
+    refundPolicy: registration.event.refundPolicy
+  });
+});
+
+/**
+ * @desc    Refund queue for the events the user owns or handles payments for
+ * @route   GET /api/refunds?status=&event=
+ * @access  Private (Organizer, co-organizers and finance staff, Admin)
+ */
+export const getRefundQueue = asyncHandler(async (req, res, next) => {
+  let query = {};
+  if (req.user.role !== 'admin') {
+    const staffed = await Event.find({
+      staff: { $elemMatch: { user: req.user._id, role: { $in: staffRolesWith('payments') } } }
+    }).distinct('_id');
+    query = { $or: [{ organizer: req.user.id }, { event: { $in: staffed } }] };
+  }
+  if (req.query.status) query.status = req.query.status;
+  if (req.query.event) query.event = req.query.event;
+
+  const refunds = await Refund.find(query)
+    .populate('participant', 'firstName lastName email')
+    .populate('event', 'name')
+    .populate('registration', 'ticketId registrationType order')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: refunds.length,
+    refunds
+  });
+});
+
+/**
+ * @desc    Approve a refund, optionally adjusting the amount
+ * @route   PUT /api/refunds/:id/approve
+ * @access  Private (Organizer, co-organizers and finance staff of the event, Admin)
+ */
+export const approveRefund = asyncHandler(async (req, res, next) => {
+  const { refund, event } = await findManagedRefund(req.params.id, req.user);
+  const before = snapshot(refund, REFUND_FIELDS);
+  const updated = await refundService.approve(refund._id, req.user.id, {
+    amount: req.body.amount,
+    note: req.body.note
+  });
+  await recordDecision(req, {
+    action: 'refund.approve', event, before, refund: updated, summary: `Approved a refund of ₹${updated.amount}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund approved',
+    refund: updated
+  });
+});
+
+/**
+ * @desc    Deny a refund
+ * @route   PUT /api/refunds/:id/deny
+ * @access  Private (Organizer, co-organizers and finance staff of the event, Admin)
+ */
+export const denyRefund = asyncHandler(async (req, res, next) => {
+  const { refund, event } = await findManagedRefund(req.params.id, req.user);
+  const before = snapshot(refund, REFUND_FIELDS);
+  const updated = await refundService.deny(refund._id, req.user.id, { note: req.body.note });
+  await recordDecision(req, {
+    action: 'refund.deny', event, before, refund: updated, summary: `Denied a refund of ₹${refund.amount}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund denied',
+    refund: updated
+  });
+});
+
+/**
+ * @desc    Mark an approved refund as paid out
+ * @route   PUT /api/refunds/:id/process
+ * @access  Private (Organizer, co-organizers and finance staff of the event, Admin)
+ */
+export const processRefund = asyncHandler(async (req, res, next) => {
+  const { refund, event } = await findManagedRefund(req.params.id, req.user);
+  const before = snapshot(refund, REFUND_FIELDS);
+  const updated = await refundService.process(refund._id, { reference: req.body.reference });
+  await recordDecision(req, {
+    action: 'refund.process', event, before, refund: updated, summary: `Paid out a refund of ₹${updated.amount}`
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Refund processed',
+    refund: updated
+  });
+});
@@ -1,11 +1,67 @@
 
 
 import Registration from '../models/Registration.js';
-import Event from '../models/Event.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
 import User from '../models/User.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
-import { generateTicketQR } from '../utils/qrcode.js';
+import { attachUploads, validateFormResponses } from '../utils/formRules.js';
+import { createZipWriter } from '../utils/zip.js';
+import { storedFileUrl, openStoredFile, discardUploads } from '../middleware/upload.js';
+import { generateTicketQR, validateQRData, getQRPublicKey, acceptsLegacyQR } from '../utils/qrcode.js';
 import sendEmail, { sendRegistrationEmail, sendMerchandiseEmail } from '../utils/email.js';
+import waitlistService from '../services/waitlistService.js';
+import checkinService from '../services/checkinService.js';
+import promoService from '../services/promoService.js';
+import orderService from '../services/orderService.js';
+import Order from '../models/Order.js';
+import registrationService from '../services/registrationService.js';
+import refundService from '../services/refundService.js';
+import importService from '../services/importService.js';
+import exportService, { EXPORT_FORMATS } from '../services/exportService.js';
+import auditService, { snapshot } from '../services/auditService.js';
+import Refund from '../models/Refund.js';
+import { assertCan, can } from '../utils/eventPermissions.js';
+import { createNotification } from './notificationController.js';
+
+// Registration fields shown in the audit log for attendance and payment decisions
+const ATTENDANCE_FIELDS = ['status', 'attended', 'attendedAt'];
+const PAYMENT_FIELDS = ['status', 'paymentStatus'];
+
+/**
+ * Give a ticket-tier seat back when a registration stops holding one.
+ */
+const releaseTierSeat = async (registration) => {
+  if (!registration.ticketTier?.tierId) return;
+  await Event.updateOne(
+    { _id: registration.event._id || registration.event, 'ticketTiers._id': registration.ticketTier.tierId },
+    { $inc: { 'ticketTiers.$.sold': -1 } }
+  );
+};
+
+/**
+ * Participant type comes from the email domain, so events and tiers limited
+ * by it only accept participants who have verified that address.
+ */
+const assertVerifiedFor = (participant, eligibility) => {
+  if (eligibility && eligibility !== 'all' && !participant.emailVerified) {
+    throw new AppError('Please verify your email address to register for events limited to IIIT or non-IIIT participants', 403);
+  }
+};
+
+/**
+ * Load the event in req.params.eventId for a user with `permission` on it
+ * (see utils/eventPermissions.js)
+ */
+const findOwnedEvent = async (req, permission = 'manage') => {
+  const event = await Event.findById(req.params.eventId);
+  
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  
+  assertCan(event, req.user, permission);
+  return event;
+};
 
 /**
  * @desc    Register for a normal event
@@ -17,11 +73,24 @@ import sendEmail, { sendRegistrationEmail, sendMerchandiseEmail } from '../utils
  * - Registration is open (before deadline)
  * - Limit not reached
  * - Eligibility check
+ * - Ticket tier (if the event has tiers): sale window, eligibility, capacity
+ * - Promo code (optional): validated here, not applied to waitlist entries
  * - Not already registered
  */
 export const registerForEvent = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
-  const { formResponses } = req.body;
+  const { tierId, promoCode } = req.body;
+  
+  // Forms with file fields are sent as multipart: answers as a JSON string,
+  // plus one file per file field under its fieldId
+  let formResponses = req.body.formResponses;
+  if (typeof formResponses === 'string') {
+    try {
+      formResponses = JSON.parse(formResponses);
+    } catch {
+      throw new AppError('Invalid form responses', 400);
+    }
+  }
   
   // Get event
   const event = await Event.findById(eventId);
@@ -35,8 +104,8 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Use the merchandise endpoint for merchandise events', 400);
   }
   
-  // Check if event is published
-  if (event.status !== 'published') {
+  // Check if event is live (it may already be running; the deadline decides)
+  if (!OPEN_STATUSES.includes(event.status)) {
     throw new AppError('Event is not open for registration', 400);
   }
   
@@ -45,8 +114,9 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
     throw new AppError('Registration deadline has passed', 400);
   }
   
-  // Check registration limit
-  if (event.registrationLimit && event.registrationCount >= event.registrationLimit) {
+  // Check registration limit (full events fall through to the waitlist if enabled)
+  const isFull = event.registrationLimit && event.registrationCount >= event.registrationLimit;
+  if (isFull && !event.waitlistEnabled) {
     throw new AppError('Event is fully booked', 400);
   }
   
@@ -60,6 +130,36 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
   if (event.eligibility === 'non-iiit-only' && participant.participantType === 'iiit') {
     throw new AppError('This event is only for non-IIIT participants', 403);
   }
+  assertVerifiedFor(participant, event.eligibility);
+  
+  // Resolve ticket tier (required when the event defines tiers)
+  let tier = null;
+  if (event.ticketTiers?.length) {
+    tier = tierId ? event.ticketTiers.id(tierId) : null;
+    if (!tier) {
+      throw new AppError('Please select a ticket tier', 400);
+    }
+    
+    const now = new Date();
+    if (tier.salesStart && now < tier.salesStart) {
+      throw new AppError(`${tier.name} tickets go on sale on ${tier.salesStart.toLocaleString()}`, 400);
+    }
+    if (tier.salesEnd && now > tier.salesEnd) {
+      throw new AppError(`${tier.name} ticket sales have ended`, 400);
+    }
+    if (tier.eligibility === 'iiit-only' && participant.participantType !== 'iiit') {
+      throw new AppError(`${tier.name} tickets are only for IIIT students`, 403);
+    }
+    if (tier.eligibility === 'non-iiit-only' && participant.participantType === 'iiit') {
+      throw new AppError(`${tier.name} tickets are only for non-IIIT participants`, 403);
+    }
+    assertVerifiedFor(participant, tier.eligibility);
+    if (tier.capacity > 0 && tier.sold >= tier.capacity) {
+      throw new AppError(`${tier.name} tickets are sold out`, 400);
+    }
+  }
+  const fee = tier ? tier.price : event.registrationFee;
+  const ticketTier = tier ? { tierId: tier._id, name: tier.name, price: tier.price } : undefined;
   
   // Check if already registered (allow re-registration if previous was cancelled or rejected)
   const existingReg = await Registration.findOne({
@@ -69,7 +169,9 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
   });
   
   if (existingReg) {
-    throw new AppError('You are already registered for this event', 400);
+    throw new AppError(existingReg.status === 'waitlisted'
+      ? 'You are already on the waitlist for this event'
+      : 'You are already registered for this event', 400);
   }
 
   // Remove old cancelled/rejected registrations so a fresh one can be created
@@ -79,74 +181,140 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
     status: { $in: ['cancelled', 'rejected'] }
   });
   
-  // Validate form responses against custom fields
-  if (event.customFields && event.customFields.length > 0) {
-    const requiredFields = event.customFields.filter(f => f.required);
-    
-    for (const field of requiredFields) {
-      const response = formResponses?.find(r => r.fieldId === field.fieldId);
-      if (!response || !response.value) {
-        throw new AppError(`${field.label} is required`, 400);
-      }
+  // Validate form responses against custom fields (conditional rules and
+  // constraints); the result carries labels so schema validation passes
+  const uploads = (req.files || []).map(file => ({
+    fieldId: file.fieldname,
+    url: storedFileUrl(file),
+    name: file.originalname,
+    size: file.size,
+    mimeType: file.mimetype
+  }));
+  const enrichedFormResponses = validateFormResponses(
+    event.customFields,
+    attachUploads(event.customFields, formResponses, uploads)
+  );
+  // Files for fields the rules hid were dropped with their responses
+  const kept = new Set(enrichedFormResponses.filter(r => r.file).map(r => r.file.url));
+  const unused = (req.files || []).filter(file => !kept.has(storedFileUrl(file)));
+  await discardUploads(unused);
+  req.files = (req.files || []).filter(file => !unused.includes(file));
+  
+  // Event is full — join the waitlist instead. No slot is taken (registrationCount
+  // is untouched) until waitlistService.promoteNext moves this entry up.
+  if (isFull) {
+    const registration = await Registration.create({
+      event: eventId,
+      participant: req.user.id,
+      registrationType: 'normal',
+      formResponses: enrichedFormResponses,
+      formVersion: event.formVersion,
+      ticketTier,
+      status: 'waitlisted',
+      waitlistPosition: await waitlistService.nextPosition(eventId)
+    });
+
+    await Event.findByIdAndUpdate(eventId, { formLocked: true });
+    await registration.populate('event', 'name eventType eventStartDate eventEndDate venue');
+
+    return res.status(201).json({
+      success: true,
+      waitlisted: true,
+      message: `Event is full — you are #${registration.waitlistPosition} on the waitlist`,
+      registration
+    });
+  }
+  
+  // Validate the promo code before any seat is claimed
+  let amount = fee;
+  let promoDoc;
+  let promo;
+  if (promoCode) {
+    const resolved = await promoService.resolve({ code: promoCode, event, participant, amount: fee });
+    promoDoc = resolved.promo;
+    promo = promoService.snapshot(promoDoc, resolved.discount, fee);
+    amount = Math.max(0, fee - resolved.discount);
+  }
+  
+  // Claim a seat in the tier atomically (the check above is only a fast path)
+  if (tier) {
+    const filter = tier.capacity > 0
+      ? { _id: eventId, ticketTiers: { $elemMatch: { _id: tier._id, sold: { $lt: tier.capacity } } } }
+      : { _id: eventId, 'ticketTiers._id': tier._id };
+    const claimed = await Event.updateOne(filter, { $inc: { 'ticketTiers.$.sold': 1 } });
+    if (!claimed.modifiedCount) {
+      throw new AppError(`${tier.name} tickets are sold out`, 400);
     }
   }
   
-  // Enrich formResponses with labels from event customFields so schema validation passes
-  const enrichedFormResponses = (formResponses || []).map(r => {
-    const field = event.customFields?.find(f => f.fieldId === r.fieldId);
-    return { fieldId: r.fieldId, label: field?.label || r.fieldId, value: r.value };
-  });
+  if (promoDoc && !(await promoService.claim(promoDoc))) {
+    if (tier) await releaseTierSeat({ event: eventId, ticketTier });
+    throw new AppError('This promo code has reached its usage limit', 400);
+  }
   
   // Create registration
   // Create registration. If event requires manual payment approval and has a fee,
   // create a pending registration and ask user to upload proof. Otherwise confirm and generate QR.
   let registration;
   // If event has a fee (>0) treat it as requiring payment verification (prompt proof upload)
-  if (event.registrationFee && event.registrationFee > 0) {
+  if (amount && amount > 0) {
     registration = await Registration.create({
       event: eventId,
       participant: req.user.id,
       registrationType: 'normal',
       formResponses: enrichedFormResponses,
+      formVersion: event.formVersion,
+      ticketTier,
+      promo,
       status: 'pending',
       paymentStatus: 'pending',
-      totalAmount: event.registrationFee
+      totalAmount: amount
     });
 
     // Notify participant to upload payment proof
-    try {
-      const html = `
+    const nextStep = event.paymentMode === 'gateway'
+      ? 'Please complete the online payment (Pay Online) on the Ticket page to confirm your registration.'
+      : 'Please upload your payment proof (screenshot/receipt) on the Ticket page to complete your registration. Your registration will remain pending until the organizer approves the payment.';
+    await createNotification({
+      recipient: participant._id,
+      type: 'payment_update',
+      title: `Payment required — ${event.name}`,
+      message: `Your registration ${registration.ticketId} (₹${registration.totalAmount}) is pending. ${nextStep}`,
+      link: `/ticket/${registration._id}`,
+      event: event._id,
+      email: (user) => ({
+        subject: `Payment Required — ${event.name}`,
+        html: `
         <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
           <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
             <h1>💳 Payment Required</h1><p>Felicity Registration</p>
           </div>
           <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
-            <p>Hi <strong>${participant.firstName}</strong>,</p>
+            <p>Hi <strong>${user.firstName}</strong>,</p>
             <p>Your registration for <strong>${event.name}</strong> is pending because this event requires manual payment verification.</p>
             <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px">
               <p><strong>Registration ID:</strong> ${registration.ticketId}</p>
               <p><strong>Amount:</strong> ₹${registration.totalAmount}</p>
             </div>
             <div style="background:#fff3cd;border:1px solid #ffc107;padding:15px;border-radius:5px;margin-top:15px">
-              <strong>⚠️ Action Required:</strong> Please upload your payment proof (screenshot/receipt) on the Ticket page to complete your registration. Your registration will remain pending until the organizer approves the payment.
+              <strong>⚠️ Action Required:</strong> ${nextStep}
             </div>
           </div>
         </div>
-      `;
-      await (await import('../services/emailService.js')).default.enqueue({ to: participant.email, subject: `Payment Required — ${event.name}`, html });
-      registration.confirmationEmailSent = true;
-      await registration.save();
-    } catch (e) {
-      console.error('Failed to enqueue payment-required email:', e);
-    }
+      `
+      })
+    });
   } else {
     registration = await Registration.create({
       event: eventId,
       participant: req.user.id,
       registrationType: 'normal',
       formResponses: enrichedFormResponses,
+      formVersion: event.formVersion,
+      ticketTier,
+      promo,
       status: 'confirmed',
-      totalAmount: event.registrationFee
+      totalAmount: amount
     });
 
     // Generate QR code
@@ -203,7 +371,7 @@ export const registerForEvent = asyncHandler(async (req, res, next) => {
  */
 export const purchaseMerchandise = asyncHandler(async (req, res, next) => {
   const { eventId } = req.params;
-  const { variantId, quantity = 1 } = req.body;
+  const { variantId, quantity = 1, promoCode } = req.body;
   
   // Get event
   const event = await Event.findById(eventId);
@@ -216,7 +384,7 @@ export const purchaseMerchandise = asyncHandler(async (req, res, next) => {
     throw new AppError('This is not a merchandise event', 400);
   }
   
-  if (event.status !== 'published') {
+  if (!OPEN_STATUSES.includes(event.status)) {
     throw new AppError('Merchandise is not available for purchase', 400);
   }
   
@@ -263,108 +431,137 @@ export const purchaseMerchandise = asyncHandler(async (req, res, next) => {
   // Get participant
   const participant = await User.findById(req.user.id);
   
+  // Apply promo code (claimed before the order is created)
+  let promo;
+  if (promoCode) {
+    const subtotal = variant.price * quantity;
+    const { promo: promoDoc, discount } = await promoService.resolve({ code: promoCode, event, participant, variantId, amount: subtotal });
+    if (!(await promoService.claim(promoDoc))) {
+      throw new AppError('This promo code has reached its usage limit', 400);
+    }
+    promo = promoService.snapshot(promoDoc, discount, subtotal);
+  }
+  
   // Create registration
-  // If event requires manual payment approval, create pending registration and reserve stock
+  // If event requires manual payment approval, create pending registration and reserve stock.
+  // Until the stock is saved, a failure hands the promo use back.
   let registration;
-  if (event.requiresPaymentApproval) {
-    registration = await Registration.create({
-      event: eventId,
-      participant: req.user.id,
-      registrationType: 'merchandise',
-      selectedVariant: variantId,
-      variantDetails: {
-        name: variant.name,
-        size: variant.size,
-        color: variant.color,
-        price: variant.price
-      },
-      quantity,
-      totalAmount: variant.price * quantity,
-      status: 'pending',
-      paymentStatus: 'pending'
-    });
+  let stockTaken = false;
+  try {
+    if (event.requiresPaymentApproval) {
+      registration = await Registration.create({
+        event: eventId,
+        participant: req.user.id,
+        registrationType: 'merchandise',
+        selectedVariant: variantId,
+        variantDetails: {
+          name: variant.name,
+          size: variant.size,
+          color: variant.color,
+          price: variant.price
+        },
+        quantity,
+        promo,
+        totalAmount: variant.price * quantity,
+        status: 'pending',
+        paymentStatus: 'pending',
+        reservationExpiresAt: event.reservationExpiry()
+      });
 
-    // Reserve stock by decrementing available stock but marking registration pending.
-    // This prevents oversell while awaiting proof. We'll decrement sold only on approval.
-    variant.stock -= quantity;
-    await event.save();
+      // Reserve stock by decrementing available stock but marking registration pending.
+      // This prevents oversell while awaiting proof. We'll decrement sold only on approval.
+      variant.stock -= quantity;
+      await event.save();
+      stockTaken = true;
 
-    // Increment registration count (reserved)
-    await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: 1 } });
+      // Increment registration count (reserved)
+      await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: 1 } });
 
-    // Send "order placed – upload proof" email to participant
-    try {
-      const html = `
-        <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
-          <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
-            <h1>🛍️ Order Placed!</h1><p>Felicity Merchandise</p>
-          </div>
-          <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
-            <p>Hi <strong>${participant.firstName}</strong>,</p>
-            <p>Your order for <strong>${event.name}</strong> has been placed successfully.</p>
-            <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px">
-              <p><strong>Order ID:</strong> ${registration.ticketId}</p>
-              <p><strong>Item:</strong> ${variant.name} ${variant.size ? '(' + variant.size + ')' : ''} x${quantity}</p>
-              <p><strong>Total:</strong> ₹${registration.totalAmount}</p>
+      // Send "order placed – upload proof" email to participant
+      try {
+        const html = `
+          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+            <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+              <h1>🛍️ Order Placed!</h1><p>Felicity Merchandise</p>
             </div>
-            <div style="background:#fff3cd;border:1px solid #ffc107;padding:15px;border-radius:5px;margin-top:15px">
-              <strong>⚠️ Action Required:</strong> Please upload your payment proof (screenshot/receipt) on the Ticket page to complete your order. Your order will remain pending until the organizer approves the payment.
+            <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+              <p>Hi <strong>${participant.firstName}</strong>,</p>
+              <p>Your order for <strong>${event.name}</strong> has been placed successfully.</p>
+              <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px">
+                <p><strong>Order ID:</strong> ${registration.ticketId}</p>
+                <p><strong>Item:</strong> ${variant.name} ${variant.size ? '(' + variant.size + ')' : ''} x${quantity}</p>
+                <p><strong>Total:</strong> ₹${registration.totalAmount}</p>
+              </div>
+              <div style="background:#fff3cd;border:1px solid #ffc107;padding:15px;border-radius:5px;margin-top:15px">
+                <strong>⚠️ Action Required:</strong> ${event.paymentMode === 'gateway'
+                  ? 'Please complete the online payment (Pay Online) on the Ticket page to confirm your order.'
+                  : 'Please upload your payment proof (screenshot/receipt) on the Ticket page to complete your order. Your order will remain pending until the organizer approves the payment.'}
+                ${registration.reservationExpiresAt ? `<br/><br/>Your items are reserved until <strong>${registration.reservationExpiresAt.toLocaleString()}</strong>. If payment isn't completed by then, the order is cancelled automatically.` : ''}
+              </div>
             </div>
           </div>
-        </div>
-      `;
-      await sendEmail({
-        to: participant.email,
-        subject: `🛍️ Order Placed — Upload Payment Proof | ${event.name}`,
-        html
+        `;
+        await sendEmail({
+          to: participant.email,
+          subject: `🛍️ Order Placed — ${event.paymentMode === 'gateway' ? 'Complete Payment' : 'Upload Payment Proof'} | ${event.name}`,
+          html
+        });
+      } catch (emailError) {
+        console.error('Failed to send order-placed email:', emailError);
+      }
+    } else {
+      // Immediate confirmed purchase
+      registration = await Registration.create({
+        event: eventId,
+        participant: req.user.id,
+        registrationType: 'merchandise',
+        selectedVariant: variantId,
+        variantDetails: {
+          name: variant.name,
+          size: variant.size,
+          color: variant.color,
+          price: variant.price
+        },
+        quantity,
+        promo,
+        totalAmount: variant.price * quantity,
+        status: 'confirmed',
+        paymentStatus: 'not_required'
       });
-    } catch (emailError) {
-      console.error('Failed to send order-placed email:', emailError);
-    }
-  } else {
-    // Immediate confirmed purchase
-    registration = await Registration.create({
-      event: eventId,
-      participant: req.user.id,
-      registrationType: 'merchandise',
-      selectedVariant: variantId,
-      variantDetails: {
-        name: variant.name,
-        size: variant.size,
-        color: variant.color,
-        price: variant.price
-      },
-      quantity,
-      totalAmount: variant.price * quantity,
-      status: 'confirmed',
-      paymentStatus: 'not_required'
-    });
 
-    // Generate QR code
-    const qrCodeData = await generateTicketQR(registration, event, participant);
-    registration.qrCodeData = qrCodeData;
-    await registration.save();
+      // Generate QR code
+      const qrCodeData = await generateTicketQR(registration, event, participant);
+      registration.qrCodeData = qrCodeData;
+      await registration.save();
 
-    // Decrement stock and increment sold
-    variant.stock -= quantity;
-    variant.sold += quantity;
-    await event.save();
+      // Decrement stock and increment sold
+      variant.stock -= quantity;
+      variant.sold += quantity;
+      await event.save();
+      stockTaken = true;
 
-    // Increment registration count
-    await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: 1 } });
+      // Increment registration count
+      await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: 1 } });
 
-  // Push recent registration timestamp for trending (non-blocking)
-  Event.updateOne({ _id: eventId }, { $push: { recentRegistrations: { $each: [{ timestamp: new Date() }], $slice: -200 } } }).exec();
+    // Push recent registration timestamp for trending (non-blocking)
+    Event.updateOne({ _id: eventId }, { $push: { recentRegistrations: { $each: [{ timestamp: new Date() }], $slice: -200 } } }).exec();
 
-    // Send confirmation email
-    try {
-      const html = `<p>Hi <strong>${participant.firstName}</strong>,</p><p>Your order for <strong>${event.name}</strong> has been confirmed. Order ID: <strong>${registration.ticketId}</strong></p>`;
-      await (await import('../services/emailService.js')).default.enqueue({ to: participant.email, subject: `🛍️ Order Confirmed - ${event.name}`, html });
-      registration.confirmationEmailSent = true;
-      await registration.save();
-    } catch (emailError) {
-      console.error('Failed to enqueue merchandise confirmation email:', emailError);
+      // Send confirmation email
+      try {
+        const html = `<p>Hi <strong>${participant.firstName}</strong>,</p><p>Your order for <strong>${event.name}</strong> has been confirmed. Order ID: <strong>${registration.ticketId}</strong></p>`;
+        await (await import('../services/emailService.js')).default.enqueue({ to: participant.email, subject: `🛍️ Order Confirmed - ${event.name}`, html });
+        registration.confirmationEmailSent = true;
+        await registration.save();
+      } catch (emailError) {
+        console.error('Failed to enqueue merchandise confirmation email:', emailError);
+      }
     }
+  } catch (err) {
+    if (!stockTaken) {
+      if (registration) await Registration.deleteOne({ _id: registration._id });
+      if (promo) await promoService.release({ promo });
+    }
+    throw err;
   }
   
   res.status(201).json({
@@ -442,7 +639,7 @@ export const getRegistration = asyncHandler(async (req, res, next) => {
   const registration = await Registration.findById(req.params.id)
     .populate({
       path: 'event',
-      select: 'name eventType organizer eventStartDate eventEndDate venue requiresPaymentApproval',
+      select: 'name eventType organizer eventStartDate eventEndDate venue requiresPaymentApproval paymentMode',
       populate: {
         path: 'organizer',
         select: 'organizerName'
@@ -460,16 +657,19 @@ export const getRegistration = asyncHandler(async (req, res, next) => {
     registration.participant._id.toString() !== req.user.id &&
     req.user.role !== 'admin'
   ) {
-    // Check if organizer owns the event
+    // Event staff who handle registrations or payments
     const event = await Event.findById(registration.event._id);
-    if (!event || event.organizer.toString() !== req.user.id) {
+    if (!can(event, req.user, 'manage') && !can(event, req.user, 'payments')) {
       throw new AppError('Not authorized to view this registration', 403);
     }
   }
   
+  const refund = await Refund.findOne({ registration: registration._id });
+  
   res.status(200).json({
     success: true,
-    registration
+    registration,
+    refund
   });
 });
 
@@ -493,10 +693,20 @@ export const cancelRegistration = asyncHandler(async (req, res, next) => {
     throw new AppError('Registration already cancelled', 400);
   }
   
+  // Rejection and expiry already gave back the slot, seat, promo use and stock
+  if (registration.status === 'rejected' || registration.paymentStatus === 'expired') {
+    throw new AppError(`This registration has ${registration.status === 'rejected' ? 'been rejected' : 'expired'} and can't be cancelled`, 400);
+  }
+  
   if (registration.attended) {
     throw new AppError('Cannot cancel after attending', 400);
   }
   
+  // Lines of an unpaid cart order share one payment — cancel the order as a whole
+  if (registration.order && registration.status === 'pending') {
+    throw new AppError('This item is part of a pending order. Cancel the order instead.', 400);
+  }
+  
   // Get event to check if cancellation is allowed
   const event = await Event.findById(registration.event);
   
@@ -504,14 +714,43 @@ export const cancelRegistration = asyncHandler(async (req, res, next) => {
     throw new AppError('Cannot cancel after event has started', 400);
   }
   
-  // Update registration
+  // Waitlisted entries never held a slot — just leave the queue
+  if (registration.status === 'waitlisted') {
+    const position = registration.waitlistPosition;
+    registration.status = 'cancelled';
+    registration.waitlistPosition = undefined;
+    await registration.save();
+    await waitlistService.compact(registration.event, position);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Removed from waitlist',
+      registration
+    });
+  }
+  
+  // Claim the cancellation so a concurrent reject or second cancel can't
+  // release everything twice
+  const claimed = await Registration.updateOne(
+    { _id: registration._id, status: registration.status },
+    { $set: { status: 'cancelled' } }
+  );
+  if (!claimed.modifiedCount) {
+    throw new AppError('This registration changed while you were cancelling it. Reload and try again.', 409);
+  }
   registration.status = 'cancelled';
-  await registration.save();
   
   // Decrement counts
   await Event.findByIdAndUpdate(registration.event, {
     $inc: { registrationCount: -1 }
   });
+  await releaseTierSeat(registration);
+  await promoService.release(registration);
+  
+  // Hand the freed slot to the waitlist
+  if (registration.registrationType === 'normal') {
+    await waitlistService.promoteNext(registration.event);
+  }
   
   // Restore stock for merchandise
   if (registration.registrationType === 'merchandise') {
@@ -523,10 +762,14 @@ export const cancelRegistration = asyncHandler(async (req, res, next) => {
     }
   }
   
+  // Paid cancellations get a refund request priced by the event's policy
+  const refund = await refundService.openForCancellation(registration, event, req.body?.reason);
+  
   res.status(200).json({
     success: true,
     message: 'Registration cancelled',
-    registration
+    registration,
+    refund
   });
 });
 
@@ -542,15 +785,20 @@ export const getEventRegistrations = asyncHandler(async (req, res, next) => {
     throw new AppError('Event not found', 404);
   }
   
-  // Check ownership
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
+  // Finance staff only see the registrations that involve a payment
+  const paymentsOnly = !can(event, req.user, 'manage');
+  if (paymentsOnly) {
+    assertCan(event, req.user, 'payments');
   }
   
   const { status, attended, search, page = 1, limit = 20 } = req.query;
   
   const query = { event: req.params.eventId };
   
+  if (paymentsOnly) {
+    query.paymentStatus = { $ne: 'not_required' };
+  }
+  
   if (status) {
     query.status = status;
   }
@@ -563,6 +811,7 @@ export const getEventRegistrations = asyncHandler(async (req, res, next) => {
   
   let registrations = await Registration.find(query)
     .populate('participant', 'firstName lastName email contactNumber collegeName')
+    .populate('order', 'orderNumber totalAmount items.eventName items.variantDetails.name items.quantity')
     .sort({ registeredAt: -1 })
     .skip(skip)
     .limit(parseInt(limit));
@@ -590,61 +839,160 @@ export const getEventRegistrations = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * @desc    Export registrations as CSV
+ * @desc    Export registrations (CSV, XLSX or JSON)
  * @route   GET /api/registrations/event/:eventId/export
- * @access  Private (Organizer)
+ * @access  Private (Organizer - own events, Admin)
+ * 
+ * QUERY:
+ * - format: csv (default), xlsx or json
+ * - columns: comma-separated column keys (see /export/columns); defaults apply when omitted
+ * - status, paymentStatus: comma-separated values to include
+ * - attended: 'true' or 'false'
  */
 export const exportRegistrations = asyncHandler(async (req, res, next) => {
+  const event = await findOwnedEvent(req);
+  await exportService.stream(event, res, req.query);
+});
+
+/**
+ * @desc    Columns available for an event's registration export
+ * @route   GET /api/registrations/event/:eventId/export/columns
+ * @access  Private (Organizer - own events, Admin)
+ */
+export const getExportColumns = asyncHandler(async (req, res, next) => {
+  const event = await findOwnedEvent(req);
+  
+  res.status(200).json({
+    success: true,
+    columns: exportService.columns(event),
+    formats: Object.keys(EXPORT_FORMATS)
+  });
+});
+
+/**
+ * @desc    Import offline registrations from a CSV (dry run by default)
+ * @route   POST /api/registrations/event/:eventId/import
+ * @access  Private (Organizer - own events, Admin)
+ * 
+ * BODY: { csv, mapping?, dryRun = true, sendEmails = true }
+ * - mapping: { email, firstName, lastName, contactNumber, collegeName,
+ *   participantType, ticketTier, fields: { [fieldId]: column } } — column
+ *   headers; suggested from the headers when omitted
+ * - dryRun: check every row and report problems without writing anything
+ */
+export const importRegistrations = asyncHandler(async (req, res, next) => {
+  const event = await findOwnedEvent(req);
+  
+  const { csv, mapping, dryRun = true, sendEmails = true } = req.body;
+  if (typeof csv !== 'string' || !csv.trim()) {
+    throw new AppError('Please provide the CSV contents', 400);
+  }
+  
+  if (dryRun) {
+    const preview = await importService.preview(event, { csv, mapping });
+    return res.status(200).json({ success: true, dryRun: true, ...preview });
+  }
+  
+  const { imported, ...result } = await importService.commit(event, { csv, mapping }, req.user.id);
+  if (sendEmails && imported.length) {
+    importService.sendTickets(event, imported);
+  }
+  
+  res.status(201).json({
+    success: true,
+    dryRun: false,
+    message: `Imported ${imported.length} registration${imported.length === 1 ? '' : 's'}`,
+    ...result
+  });
+});
+
+// Responses to 'file' fields that have an uploaded file
+const formFiles = (registration) => (registration.formResponses || []).filter(r => r.file?.url);
+
+// Safe single path segment for zip entries
+const zipSegment = (text) => String(text).replace(/[\\/:*?"<>|]+/g, '_').trim();
+
+/**
+ * @desc    Download a file uploaded with a registration form
+ * @route   GET /api/registrations/:id/files/:fieldId
+ * @access  Private (Participant - own, Organizer - own events, Admin)
+ */
+export const downloadFormFile = asyncHandler(async (req, res, next) => {
+  const registration = await Registration.findById(req.params.id).populate('event', 'organizer staff');
+  
+  if (!registration) {
+    throw new AppError('Registration not found', 404);
+  }
+  
+  if (registration.participant.toString() !== req.user.id) {
+    assertCan(registration.event, req.user, 'manage');
+  }
+  
+  const response = formFiles(registration).find(r => r.fieldId === req.params.fieldId);
+  if (!response) {
+    throw new AppError('File not found', 404);
+  }
+  
+  // Stored off-server (S3)
+  if (/^https?:\/\//.test(response.file.url)) {
+    return res.redirect(response.file.url);
+  }
+  
+  const stream = openStoredFile(response.file.url);
+  if (!stream) {
+    throw new AppError('File not found', 404);
+  }
+  res.setHeader('Content-Type', response.file.mimeType || 'application/octet-stream');
+  res.attachment(response.file.name);
+  stream.on('error', next);
+  stream.pipe(res);
+});
+
+/**
+ * @desc    Download all uploaded form files of an event as one zip,
+ *          one folder per registration
+ * @route   GET /api/registrations/event/:eventId/files
+ * @access  Private (Organizer)
+ */
+export const downloadEventFiles = asyncHandler(async (req, res, next) => {
   const event = await Event.findById(req.params.eventId);
   
   if (!event) {
     throw new AppError('Event not found', 404);
   }
   
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
-  }
-  
-  const registrations = await Registration.find({ event: req.params.eventId })
-    .populate('participant', 'firstName lastName email contactNumber collegeName')
-    .sort({ registeredAt: -1 });
+  assertCan(event, req.user, 'manage');
   
-  // Build CSV
-  const headers = ['Ticket ID', 'First Name', 'Last Name', 'Email', 'Contact', 'College', 'Status', 'Attended', 'Registered At'];
+  const registrations = await Registration.find({
+    event: event._id,
+    status: { $nin: ['cancelled', 'rejected'] },
+    'formResponses.file.url': { $exists: true }
+  })
+    .populate('participant', 'firstName lastName')
+    .sort({ registeredAt: 1 });
   
-  if (event.eventType === 'merchandise') {
-    headers.push('Variant', 'Quantity', 'Amount');
+  if (registrations.length === 0) {
+    throw new AppError('No files have been uploaded for this event', 404);
   }
   
-  let csv = headers.join(',') + '\n';
+  res.setHeader('Content-Type', 'application/zip');
+  res.attachment(`${event.name}-files.zip`);
   
+  // Headers are sent from here on, so a missing file is skipped rather than failing the bundle
+  const zip = createZipWriter(res);
   for (const reg of registrations) {
-    const row = [
-      reg.ticketId,
-      reg.participant?.firstName || '',
-      reg.participant?.lastName || '',
-      reg.participant?.email || '',
-      reg.participant?.contactNumber || '',
-      reg.participant?.collegeName || '',
-      reg.status,
-      reg.attended ? 'Yes' : 'No',
-      new Date(reg.registeredAt).toISOString()
-    ];
-    
-    if (event.eventType === 'merchandise') {
-      row.push(
-        reg.variantDetails?.name || '',
-        reg.quantity || 0,
-        reg.totalAmount || 0
-      );
+    const folder = zipSegment(`${reg.ticketId} ${reg.participant?.firstName || ''} ${reg.participant?.lastName || ''}`);
+    for (const response of formFiles(reg)) {
+      const stream = openStoredFile(response.file.url);
+      if (!stream) continue;
+      try {
+        await zip.add(`${folder}/${zipSegment(response.label)} - ${zipSegment(response.file.name)}`, stream, reg.registeredAt);
+      } catch (e) {
+        console.error(`Skipping ${response.file.url} in file bundle:`, e.message);
+      }
     }
-    
-    csv += row.map(v => `"${v}"`).join(',') + '\n';
   }
-  
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename="${event.name}-registrations.csv"`);
-  res.send(csv);
+  await zip.finish();
 });
 
 /**
@@ -660,10 +1008,7 @@ export const markAttendance = asyncHandler(async (req, res, next) => {
     throw new AppError('Registration not found', 404);
   }
   
-  // Check organizer owns the event
-  if (registration.event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
-  }
+  assertCan(registration.event, req.user, 'checkin');
 
   // Attendance can only be marked once the event has started
   if (new Date() < new Date(registration.event.eventStartDate)) {
@@ -678,11 +1023,22 @@ export const markAttendance = asyncHandler(async (req, res, next) => {
     throw new AppError('Already marked as attended', 400);
   }
   
+  const before = snapshot(registration, ATTENDANCE_FIELDS);
   registration.attended = true;
   registration.attendedAt = new Date();
   registration.status = 'attended';
   await registration.save();
   
+  await auditService.record(req, {
+    action: 'attendance.mark',
+    targetType: 'Registration',
+    targetId: registration._id,
+    event: registration.event,
+    summary: `Marked ${registration.ticketId} as attended`,
+    before,
+    after: snapshot(registration, ATTENDANCE_FIELDS)
+  });
+  
   res.status(200).json({
     success: true,
     message: 'Attendance marked',
@@ -710,6 +1066,17 @@ export const uploadPaymentProof = asyncHandler(async (req, res, next) => {
     throw new AppError('Please upload a payment proof image', 400);
   }
 
+  const { paymentMode } = await Event.findById(registration.event).select('paymentMode');
+  if (paymentMode === 'gateway' && !registration.order) {
+    throw new AppError('This event takes online payments. Use Pay Online instead of uploading a proof.', 400);
+  }
+
+  // A lapsed hold may not have been swept yet — its stock is no longer guaranteed
+  if (registration.paymentStatus === 'expired' ||
+      (registration.reservationExpiresAt && registration.reservationExpiresAt <= new Date())) {
+    throw new AppError('Your reservation has expired. Please place a new order.', 400);
+  }
+
   // Persist storage URL/identifier. Priority: S3 URL -> GridFS id -> local disk path
   if (req.file.s3Url) {
     registration.paymentProof = req.file.s3Url;
@@ -720,8 +1087,16 @@ export const uploadPaymentProof = asyncHandler(async (req, res, next) => {
   }
   registration.paymentStatus = 'pending';
   registration.status = 'pending';
+  // Proof received — stock stays held until the organizer decides
+  registration.reservationExpiresAt = undefined;
   await registration.save();
 
+  // Cart orders take one proof for every line
+  if (registration.order) {
+    const order = await Order.findById(registration.order);
+    if (order) await orderService.submitProof(order, registration.paymentProof);
+  }
+
   // Notify organizer that a payment proof has been uploaded
   try {
   // Populate event and organizer (including contactEmail)
@@ -776,107 +1151,40 @@ export const paymentAction = asyncHandler(async (req, res, next) => {
     throw new AppError('Registration not found', 404);
   }
 
-  // Check organizer owns the event
-  if (registration.event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
-  }
+  assertCan(registration.event, req.user, 'payments');
 
   if (registration.paymentStatus !== 'pending') {
     throw new AppError('Payment is not in pending state', 400);
   }
 
-    if (action === 'approve') {
-    registration.paymentStatus = 'approved';
-    registration.status = 'confirmed';
-
-    // Generate QR code now that payment is approved
-    try {
-      const qrCodeData = await generateTicketQR(registration, registration.event, registration.participant);
-      registration.qrCodeData = qrCodeData;
-    } catch (qrErr) {
-      console.error('Failed to generate QR code on approval:', qrErr);
-      // Continue with approval even if QR fails — participant can still use ticket ID
-    }
-
-    // Send confirmation email via queue (non-blocking) so approval response is not delayed
-    try {
-      const participant = registration.participant;
-      const event = registration.event;
-
-      // Build CID attachment for QR code so email clients render it
-      const attachments = [];
-      let qrCid = null;
-      if (registration.qrCodeData) {
-        try {
-          const base64Data = registration.qrCodeData.replace(/^data:image\/\w+;base64,/, '');
-          qrCid = 'qrcode@felicity';
-          attachments.push({
-            filename: 'qrcode.png',
-            content: Buffer.from(base64Data, 'base64'),
-            contentType: 'image/png',
-            cid: qrCid
-          });
-        } catch (e) {
-          console.error('QR attachment prep failed:', e);
-          qrCid = null;
-        }
-      }
-      const qrHtml = qrCid
-        ? `<div style="text-align:center;margin:20px 0"><img src="cid:${qrCid}" alt="QR Code" style="max-width:200px;width:200px;height:200px" /><p style="font-size:12px;color:#666">Show this QR code at the venue</p></div>`
-        : '';
-
-      let html;
-      if (registration.registrationType === 'merchandise') {
-        html = `
-          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
-            <div style="background:linear-gradient(135deg,#11998e,#38ef7d);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
-              <h1>🛍️ Order Confirmed!</h1><p>Felicity Merchandise</p>
-            </div>
-            <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
-              <p>Hi <strong>${participant.firstName}</strong>,</p>
-              <p>Your payment has been approved and your merchandise order <strong>${registration.ticketId}</strong> for <strong>${event.name}</strong> is confirmed!</p>
-              ${qrHtml}
-            </div>
-          </div>
-        `;
-      } else {
-        html = `
-          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
-            <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
-              <h1>🎉 Registration Confirmed!</h1><p>Felicity 2026</p>
-            </div>
-            <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
-              <p>Hi <strong>${participant.firstName}</strong>,</p>
-              <p>Your payment has been approved! Your registration for <strong>${event.name}</strong> is now confirmed.</p>
-              <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px;text-align:center">
-                <p style="font-size:24px;font-weight:bold;color:#667eea">🎫 ${registration.ticketId}</p>
-              </div>
-              ${qrHtml}
-            </div>
-          </div>
-        `;
-      }
-      await (await import('../services/emailService.js')).default.enqueue({
-        to: participant.email,
-        subject: `✅ Payment Approved — ${event.name}`,
-        html,
-        attachments
+  // Cart orders are approved/rejected as a whole
+  if (registration.order) {
+    const order = await Order.findById(registration.order);
+    if (order) {
+      const before = snapshot(order, PAYMENT_FIELDS);
+      await orderService.review(order, action, req.user.id);
+      await auditService.record(req, {
+        action: `payment.${action}`,
+        targetType: 'Order',
+        targetId: order._id,
+        event: registration.event,
+        summary: `${action === 'approve' ? 'Approved' : 'Rejected'} payment for order ${order.orderNumber}`,
+        before,
+        after: snapshot(order, PAYMENT_FIELDS),
+        metadata: { registrations: order.items.map(item => item.registration) }
+      });
+      return res.status(200).json({
+        success: true,
+        message: `Payment ${action}d for all ${order.items.length} items in order ${order.orderNumber}`,
+        registration: await Registration.findById(registration._id),
+        order
       });
-      registration.confirmationEmailSent = true;
-    } catch (e) {
-      console.error('Failed to enqueue confirmation email:', e);
-    }
-    // Mark sold count if variants exist
-    try {
-      const eventDoc = await Event.findById(registration.event._id);
-      const variant = eventDoc.variants.id(registration.selectedVariant);
-      if (variant) {
-        variant.sold += registration.quantity;
-        await eventDoc.save();
-      }
-    } catch (e) {
-      console.error('Failed to update sold count on approval:', e);
     }
+  }
+
+  const before = snapshot(registration, PAYMENT_FIELDS);
+  if (action === 'approve') {
+    await registrationService.approvePayment(registration);
   } else {
     registration.paymentStatus = 'rejected';
     registration.status = 'rejected';
@@ -892,18 +1200,40 @@ export const paymentAction = asyncHandler(async (req, res, next) => {
     await Event.findByIdAndUpdate(registration.event._id, {
       $inc: { registrationCount: -1 }
     });
+    await releaseTierSeat(registration);
+    await promoService.release(registration);
 
-    // Send rejection email to participant
-    try {
-        const html = `<p>Hi <strong>${registration.participant.firstName}</strong>,</p><p>Unfortunately, your payment for order <strong>${registration.ticketId}</strong> on <strong>${registration.event.name}</strong> has been rejected by the organizer. You may place a new order and upload a valid payment proof.</p>`;
-        await (await import('../services/emailService.js')).default.enqueue({ to: registration.participant.email, subject: `Payment Rejected — ${registration.event.name}`, html });
-    } catch (e) {
-      console.error('Failed to send rejection email:', e);
+    // Hand the freed slot to the waitlist
+    if (registration.registrationType === 'normal') {
+      await waitlistService.promoteNext(registration.event._id);
     }
+
+    await createNotification({
+      recipient: registration.participant._id,
+      type: 'payment_update',
+      title: `Payment rejected — ${registration.event.name}`,
+      message: `Your payment for ${registration.ticketId} was rejected by the organizer. You may place a new order and upload a valid payment proof.`,
+      link: `/ticket/${registration._id}`,
+      event: registration.event._id,
+      email: (user) => ({
+        subject: `Payment Rejected — ${registration.event.name}`,
+        html: `<p>Hi <strong>${user.firstName}</strong>,</p><p>Unfortunately, your payment for order <strong>${registration.ticketId}</strong> on <strong>${registration.event.name}</strong> has been rejected by the organizer. You may place a new order and upload a valid payment proof.</p>`
+      })
+    });
   }
 
   await registration.save();
 
+  await auditService.record(req, {
+    action: `payment.${action}`,
+    targetType: 'Registration',
+    targetId: registration._id,
+    event: registration.event,
+    summary: `${action === 'approve' ? 'Approved' : 'Rejected'} payment for ${registration.ticketId} (₹${registration.totalAmount || 0})`,
+    before,
+    after: snapshot(registration, PAYMENT_FIELDS)
+  });
+
   res.status(200).json({
     success: true,
     message: `Payment ${action}d successfully`,
@@ -923,34 +1253,36 @@ export const scanQRCode = asyncHandler(async (req, res, next) => {
     throw new AppError('QR data is required', 400);
   }
 
-  let parsed;
-  try {
-    parsed = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
-  } catch (e) {
-    // If JSON parse fails, treat the raw string as a plain ticket ID
-    const trimmed = (typeof qrData === 'string' ? qrData.trim() : '');
-    if (trimmed) {
-      parsed = { ticketId: trimmed };
-    } else {
-      throw new AppError('Invalid QR code data', 400);
-    }
-  }
-
-  if (!parsed.ticketId) {
-    throw new AppError('Invalid QR code - no ticket ID found', 400);
+  // Verifies the signature for v2 tickets; legacy JSON / bare IDs come back flagged
+  const result = validateQRData(qrData);
+  if (!result.valid) {
+    throw new AppError(result.error, 400);
   }
+  const parsed = result.data;
 
   const registration = await Registration.findOne({ ticketId: parsed.ticketId })
-    .populate('event', 'name organizer eventType status')
+    .populate('event', 'name organizer staff eventType status')
     .populate('participant', 'firstName lastName email');
 
   if (!registration) {
     throw new AppError('Ticket not found', 404);
   }
 
-  // Check organizer owns the event
-  if (registration.event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized to scan for this event', 403);
+  assertCan(registration.event, req.user, 'checkin', 'Not authorized to scan for this event');
+
+  if (result.legacy) {
+    // Unsigned payloads are only honoured for tickets issued before signing,
+    // and must agree with what we have on record
+    if (!acceptsLegacyQR(registration)) {
+      throw new AppError('Unsigned QR data is not accepted for this ticket — scan the original QR code', 400);
+    }
+    if ((parsed.eventId && parsed.eventId !== registration.event._id.toString()) ||
+        (parsed.participantId && parsed.participantId !== registration.participant?._id.toString())) {
+      throw new AppError('QR data does not match ticket records', 400);
+    }
+  } else if (parsed.eventId !== registration.event._id.toString() ||
+             parsed.participantId !== registration.participant?._id.toString()) {
+    throw new AppError('QR data does not match ticket records', 400);
   }
 
   // Check if already attended (duplicate scan)
@@ -963,7 +1295,8 @@ export const scanQRCode = asyncHandler(async (req, res, next) => {
     });
   }
 
-  if (registration.status === 'cancelled' || registration.status === 'rejected') {
+  // Pending and unpaid tickets can't check in, same as at offline stations
+  if (!['confirmed', 'attended'].includes(registration.status)) {
     return res.status(200).json({
       success: false,
       message: `Ticket is ${registration.status}`,
@@ -975,6 +1308,13 @@ export const scanQRCode = asyncHandler(async (req, res, next) => {
   registration.attended = true;
   registration.attendedAt = new Date();
   registration.status = 'attended';
+  registration.checkIn = {
+    method: 'qr',
+    stationId: req.body.stationId || 'online',
+    scannedAt: registration.attendedAt,
+    syncedAt: registration.attendedAt,
+    scannedBy: req.user.id
+  };
   await registration.save();
 
   res.status(200).json({
@@ -984,6 +1324,19 @@ export const scanQRCode = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get public key for offline QR signature verification
+ * @route   GET /api/registrations/qr-public-key
+ * @access  Public
+ */
+export const getQRVerificationKey = asyncHandler(async (req, res, next) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.status(200).json({
+    success: true,
+    key: getQRPublicKey()
+  });
+});
+
 /**
  * @desc    Get attendance dashboard for an event (Tier A Feature)
  * @route   GET /api/registrations/event/:eventId/attendance
@@ -993,9 +1346,7 @@ export const getAttendanceDashboard = asyncHandler(async (req, res, next) => {
   const event = await Event.findById(req.params.eventId);
   if (!event) throw new AppError('Event not found', 404);
 
-  if (event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
-  }
+  assertCan(event, req.user, 'manage');
 
   const [total, attended, notAttended] = await Promise.all([
     Registration.countDocuments({ event: req.params.eventId, status: { $in: ['confirmed', 'attended'] } }),
@@ -1009,11 +1360,86 @@ export const getAttendanceDashboard = asyncHandler(async (req, res, next) => {
     .populate('participant', 'firstName lastName email')
     .sort({ attendedAt: -1 });
 
+  // Scans from check-in stations that lost to another scan or hit an invalid ticket
+  const conflicts = await Registration.find({ event: req.params.eventId, 'checkInConflicts.0': { $exists: true } })
+    .populate('participant', 'firstName lastName email')
+    .select('ticketId participant status attendedAt checkIn checkInConflicts');
+
+  const offlineSynced = attendedList.filter(r => r.checkIn?.method === 'offline_sync').length;
+
   res.status(200).json({
     success: true,
-    stats: { total, attended, pending: total - attended },
+    stats: {
+      total,
+      attended,
+      pending: total - attended,
+      offlineSynced,
+      conflicts: conflicts.reduce((n, r) => n + r.checkInConflicts.length, 0)
+    },
     attendedList,
-    notAttendedList: notAttended
+    notAttendedList: notAttended,
+    conflicts
+  });
+});
+
+/**
+ * @desc    Download attendee manifest for an offline check-in station
+ * @route   GET /api/registrations/event/:eventId/checkin-manifest
+ * @access  Private (Organizer, co-organizers and volunteers of the event, Admin)
+ */
+export const getCheckinManifest = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) throw new AppError('Event not found', 404);
+
+  assertCan(event, req.user, 'checkin');
+
+  const manifest = await checkinService.buildManifest(event);
+
+  res.status(200).json({
+    success: true,
+    manifest
+  });
+});
+
+/**
+ * @desc    Bulk-sync queued scans from an offline check-in station
+ * @route   POST /api/registrations/event/:eventId/checkin-sync
+ * @access  Private (Organizer, co-organizers and volunteers of the event, Admin)
+ * 
+ * BODY: { stationId, scans: [{ clientScanId, ticketId, qrData?, scannedAt }] }
+ * Each scan is resolved independently; the station drops every scan that
+ * comes back (accepted, duplicate or rejected) from its local queue.
+ */
+export const syncCheckins = asyncHandler(async (req, res, next) => {
+  const { stationId, scans } = req.body;
+
+  if (!stationId || !Array.isArray(scans)) {
+    throw new AppError('stationId and scans[] are required', 400);
+  }
+  if (scans.length > 500) {
+    throw new AppError('At most 500 scans can be synced per request', 400);
+  }
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) throw new AppError('Event not found', 404);
+
+  assertCan(event, req.user, 'checkin');
+
+  // Oldest first so "earliest scan wins" needs as few rewrites as possible
+  const ordered = [...scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+  const results = [];
+  for (const scan of ordered) {
+    results.push(await checkinService.applyScan(event, scan, { stationId: String(stationId), userId: req.user.id }));
+  }
+
+  res.status(200).json({
+    success: true,
+    summary: {
+      accepted: results.filter(r => r.result === 'accepted').length,
+      duplicate: results.filter(r => r.result === 'duplicate').length,
+      rejected: results.filter(r => r.result === 'rejected').length
+    },
+    results
   });
 });
 
@@ -1049,10 +1475,13 @@ export const manualAttendanceOverride = asyncHandler(async (req, res, next) => {
 
   if (!registration) throw new AppError('Registration not found', 404);
 
-  if (registration.event.organizer.toString() !== req.user.id && req.user.role !== 'admin') {
-    throw new AppError('Not authorized', 403);
+  assertCan(registration.event, req.user, 'manage');
+
+  if (registration.status === 'waitlisted') {
+    throw new AppError('Waitlisted registrations cannot be marked as attended', 400);
   }
 
+  const before = snapshot(registration, ATTENDANCE_FIELDS);
   registration.attended = true;
   registration.attendedAt = new Date();
   registration.status = 'attended';
@@ -1064,6 +1493,17 @@ export const manualAttendanceOverride = asyncHandler(async (req, res, next) => {
   };
   await registration.save();
 
+  await auditService.record(req, {
+    action: 'attendance.override',
+    targetType: 'Registration',
+    targetId: registration._id,
+    event: registration.event,
+    summary: `Overrode attendance for ${registration.ticketId}`,
+    before,
+    after: snapshot(registration, ATTENDANCE_FIELDS),
+    metadata: { reason: registration.attendanceOverride.reason }
+  });
+
   res.status(200).json({
     success: true,
     message: 'Manual attendance override applied',
@@ -1071,6 +1511,59 @@ export const manualAttendanceOverride = asyncHandler(async (req, res, next) => {
   });
 });
 
+/**
+ * @desc    Get waitlist for an event (ordered)
+ * @route   GET /api/registrations/event/:eventId/waitlist
+ * @access  Private (Organizer)
+ */
+export const getWaitlist = asyncHandler(async (req, res, next) => {
+  const event = await Event.findById(req.params.eventId);
+  if (!event) throw new AppError('Event not found', 404);
+
+  assertCan(event, req.user, 'manage');
+
+  const waitlist = await waitlistService.getQueue(event._id);
+
+  res.status(200).json({
+    success: true,
+    count: waitlist.length,
+    waitlistEnabled: event.waitlistEnabled,
+    waitlist
+  });
+});
+
+/**
+ * @desc    Reorder waitlist for an event
+ * @route   PUT /api/registrations/event/:eventId/waitlist
+ * @access  Private (Organizer)
+ * 
+ * BODY: { order: [registrationId, ...] } — full queue, head first
+ */
+export const reorderWaitlist = asyncHandler(async (req, res, next) => {
+  const { order } = req.body;
+
+  if (!Array.isArray(order)) {
+    throw new AppError('order must be an array of registration IDs', 400);
+  }
+
+  const event = await Event.findById(req.params.eventId);
+  if (!event) throw new AppError('Event not found', 404);
+
+  assertCan(event, req.user, 'manage');
+
+  const waitlist = await waitlistService.reorder(event._id, order);
+  if (!waitlist) {
+    throw new AppError('order must list every waitlisted registration exactly once', 400);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Waitlist reordered',
+    count: waitlist.length,
+    waitlist
+  });
+});
+
 /**
  * @desc    Export event to calendar (.ics file)
  * @route   GET /api/registrations/:id/calendar
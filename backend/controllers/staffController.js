@@ -0,0 +1,312 @@
+/**
+ * Staff Controller
+ *
+ * Per-event staff: the owning organizer adds co-organizers, volunteers and
+ * finance members (what each may do: utils/eventPermissions.js). Anyone with
+ * an account can be added by email; for everyone else a limited `staff`
+ * account is created, which signs in with a password set by the organizer or
+ * with one-time access links.
+ */
+
+import crypto from 'crypto';
+import Event, { STAFF_ROLES } from '../models/Event.js';
+import User from '../models/User.js';
+import StaffAccessLink from '../models/StaffAccessLink.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { assertCan, eventRole } from '../utils/eventPermissions.js';
+import { sendTokenResponse } from '../utils/jwt.js';
+import { createNotification } from './notificationController.js';
+import emailService from '../services/emailService.js';
+import auditService from '../services/auditService.js';
+
+const DEFAULT_LINK_HOURS = 24;
+const MAX_LINK_HOURS = 7 * 24;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const findEvent = async (id) => {
+  const event = await Event.findById(id);
+  if (!event) {
+    throw new AppError('Event not found', 404);
+  }
+  return event;
+};
+
+const staffList = async (eventId) => {
+  const event = await Event.findById(eventId)
+    .select('organizer staff')
+    .populate('organizer', 'organizerName email')
+    .populate('staff.user', 'firstName lastName organizerName email role')
+    .populate('staff.addedBy', 'firstName lastName organizerName');
+  return { owner: event.organizer, staff: event.staff };
+};
+
+/**
+ * @desc    List an event's staff
+ * @route   GET /api/events/:id/staff
+ * @access  Private (Event staff)
+ */
+export const getEventStaff = asyncHandler(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  assertCan(event, req.user, 'view');
+
+  res.status(200).json({
+    success: true,
+    ...(await staffList(event._id))
+  });
+});
+
+/**
+ * @desc    Add a staff member by email, or change their role
+ * @route   POST /api/events/:id/staff
+ * @access  Private (Organizer - own events, Admin)
+ *
+ * BODY: { email, role, firstName?, lastName?, password? }
+ * Names (and optionally a password) are only used when the email has no
+ * account yet and a limited staff account is created for it.
+ */
+export const addEventStaff = asyncHandler(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  assertCan(event, req.user, 'staff', 'Only the event organizer can manage staff');
+
+  const { role, firstName, lastName, password } = req.body;
+  const email = req.body.email?.trim().toLowerCase();
+  if (!email) {
+    throw new AppError('Email is required', 400);
+  }
+  if (!STAFF_ROLES.includes(role)) {
+    throw new AppError(`Role must be one of: ${STAFF_ROLES.join(', ')}`, 400);
+  }
+
+  let user = await User.findOne({ email });
+  let created = false;
+  if (user) {
+    if (user.role === 'admin') {
+      throw new AppError('Admins already have full access to every event', 400);
+    }
+    if (eventRole(event, user) === 'owner') {
+      throw new AppError('The event organizer cannot also be staff', 400);
+    }
+    if (!user.isActive) {
+      throw new AppError('That account has been deactivated', 400);
+    }
+  } else {
+    if (!firstName?.trim()) {
+      throw new AppError('No account uses that email - give a name to create a staff account', 400);
+    }
+    if (password && password.length < 6) {
+      throw new AppError('Password must be at least 6 characters', 400);
+    }
+    user = await User.create({
+      email,
+      // Without a password the account signs in through access links only
+      password: password || crypto.randomBytes(24).toString('base64url'),
+      firstName: firstName.trim(),
+      lastName: lastName?.trim(),
+      role: 'staff',
+      onboardingCompleted: true
+    });
+    created = true;
+  }
+
+  const previousRole = event.staff.find(m => m.user.toString() === user._id.toString())?.role;
+  
+  // Add, or change the role of an existing member
+  const added = await Event.updateOne(
+    { _id: event._id, 'staff.user': { $ne: user._id } },
+    { $push: { staff: { user: user._id, role, addedBy: req.user._id } } }
+  );
+  if (!added.modifiedCount) {
+    await Event.updateOne(
+      { _id: event._id, 'staff.user': user._id },
+      { $set: { 'staff.$.role': role } }
+    );
+  }
+
+  await auditService.record(req, {
+    action: added.modifiedCount ? 'staff.add' : 'staff.role',
+    targetType: 'User',
+    targetId: user._id,
+    event,
+    summary: `${added.modifiedCount ? 'Added' : 'Changed the role of'} ${email} ${added.modifiedCount ? 'as' : 'to'} ${role}`,
+    before: { role: added.modifiedCount ? null : previousRole },
+    after: { role },
+    metadata: created ? { accountCreated: true } : undefined
+  });
+
+  await createNotification({
+    recipient: user._id,
+    type: 'event_update',
+    title: `You're ${role === 'co-organizer' ? 'a co-organizer' : `on the ${role} team`} for ${event.name}`,
+    message: added.modifiedCount
+      ? `You have been added to the staff of ${event.name}.`
+      : `Your role on ${event.name} is now ${role}.`,
+    link: '/staff',
+    event: event._id,
+    sender: req.user._id
+  });
+
+  res.status(added.modifiedCount ? 201 : 200).json({
+    success: true,
+    message: created ? 'Staff account created' : (added.modifiedCount ? 'Staff member added' : 'Role updated'),
+    accountCreated: created,
+    ...(await staffList(event._id))
+  });
+});
+
+/**
+ * @desc    Remove a staff member (their unused access links stop working)
+ * @route   DELETE /api/events/:id/staff/:userId
+ * @access  Private (Organizer - own events, Admin)
+ */
+export const removeEventStaff = asyncHandler(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  assertCan(event, req.user, 'staff', 'Only the event organizer can manage staff');
+
+  const member = event.staff.find(m => m.user.toString() === req.params.userId);
+  const removed = await Event.updateOne(
+    { _id: event._id },
+    { $pull: { staff: { user: req.params.userId } } }
+  );
+  if (!removed.modifiedCount) {
+    throw new AppError('Staff member not found', 404);
+  }
+  await StaffAccessLink.deleteMany({ event: event._id, user: req.params.userId, usedAt: null });
+
+  await auditService.record(req, {
+    action: 'staff.remove',
+    targetType: 'User',
+    targetId: req.params.userId,
+    event,
+    summary: `Removed a ${member?.role || 'staff member'} from the staff`,
+    before: { role: member?.role },
+    after: { role: null }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Staff member removed',
+    ...(await staffList(event._id))
+  });
+});
+
+/**
+ * @desc    Create a one-time sign-in link for a limited staff account
+ * @route   POST /api/events/:id/staff/:userId/link
+ * @access  Private (Organizer - own events, Admin)
+ *
+ * BODY: { expiresInHours? (default 24, max 168), sendEmail? }
+ * The link is returned once; only its hash is stored.
+ */
+export const createStaffAccessLink = asyncHandler(async (req, res, next) => {
+  const event = await findEvent(req.params.id);
+  assertCan(event, req.user, 'staff', 'Only the event organizer can manage staff');
+
+  const member = event.staff.find(m => m.user.toString() === req.params.userId);
+  if (!member) {
+    throw new AppError('Staff member not found', 404);
+  }
+  const user = await User.findById(member.user);
+  // A link signs in as the account, so full accounts use their own password
+  if (!user || user.role !== 'staff') {
+    throw new AppError('Access links are only for limited staff accounts', 400);
+  }
+
+  const hours = Number(req.body.expiresInHours) || DEFAULT_LINK_HOURS;
+  if (hours <= 0 || hours > MAX_LINK_HOURS) {
+    throw new AppError(`Links can last at most ${MAX_LINK_HOURS} hours`, 400);
+  }
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  await StaffAccessLink.create({
+    event: event._id,
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt,
+    createdBy: req.user._id
+  });
+
+  const url = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/staff-access/${token}`;
+
+  await auditService.record(req, {
+    action: 'staff.link',
+    targetType: 'User',
+    targetId: user._id,
+    event,
+    summary: `Created a one-time access link for ${user.email}`,
+    metadata: { expiresAt, sendEmail: !!req.body.sendEmail }
+  });
+
+  let emailed = false;
+  if (req.body.sendEmail) {
+    try {
+      const html = `<p>Hi <strong>${user.firstName || 'there'}</strong>,</p>
+        <p>You're ${member.role === 'co-organizer' ? 'a co-organizer' : `on the ${member.role} team`} for <strong>${event.name}</strong>.</p>
+        <p><a href="${url}">Sign in to Felicity</a></p>
+        <p>This link works once and expires on ${expiresAt.toLocaleString()}.</p>`;
+      await emailService.enqueue({ to: user.email, subject: `Staff access — ${event.name}`, html });
+      emailed = true;
+    } catch (emailErr) {
+      console.error('Failed to send staff access link:', emailErr);
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    url,
+    expiresAt,
+    emailed
+  });
+});
+
+/**
+ * @desc    Sign in with a one-time staff access link
+ * @route   POST /api/staff/access/:token
+ * @access  Public
+ */
+export const redeemStaffAccessLink = asyncHandler(async (req, res, next) => {
+  // Spend the link first so two simultaneous requests can't both sign in
+  const link = await StaffAccessLink.findOneAndUpdate(
+    { tokenHash: hashToken(req.params.token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!link) {
+    throw new AppError('This access link is invalid, used or expired. Ask the organizer for a new one.', 400);
+  }
+
+  const [user, event] = await Promise.all([
+    User.findById(link.user),
+    Event.findById(link.event).select('organizer staff')
+  ]);
+  if (!user || !user.isActive || user.role !== 'staff') {
+    throw new AppError('This account can no longer sign in with access links', 401);
+  }
+  if (!event || !eventRole(event, user)) {
+    throw new AppError('You are no longer on the staff of this event', 403);
+  }
+
+  await sendTokenResponse(user, 200, res, 'Signed in');
+});
+
+/**
+ * @desc    Events the current user is staff on
+ * @route   GET /api/staff/events
+ * @access  Private
+ */
+export const getMyStaffEvents = asyncHandler(async (req, res, next) => {
+  const events = await Event.find({ 'staff.user': req.user._id })
+    .select('name eventType status eventStartDate eventEndDate venue organizer staff registrationCount')
+    .populate('organizer', 'organizerName')
+    .sort({ eventStartDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: events.length,
+    events: events.map(event => {
+      const { staff, ...rest } = event.toObject();
+      return { ...rest, staffRole: eventRole(event, req.user) };
+    })
+  });
+});
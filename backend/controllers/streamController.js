@@ -0,0 +1,36 @@
+/**
+ * Stream Controller
+ * 
+ * Server-Sent Event endpoints that replace client-side polling for
+ * discussions and notifications. Payloads are published by the
+ * discussion and notification controllers via realtimeService.
+ */
+
+import Event from '../models/Event.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import realtimeService from '../services/realtimeService.js';
+
+/**
+ * @desc    Stream personal notifications
+ * @route   GET /api/stream/notifications
+ * @access  Private (token via header or ?token=)
+ * 
+ * EVENTS: ready, notification
+ */
+export const streamNotifications = asyncHandler(async (req, res) => {
+  realtimeService.subscribe(req, res, `user:${req.user.id}`);
+});
+
+/**
+ * @desc    Stream an event's discussion room
+ * @route   GET /api/stream/discussions/:eventId
+ * @access  Private (token via header or ?token=)
+ * 
+ * EVENTS: ready, message:new, message:deleted, message:pinned, message:reaction
+ */
+export const streamDiscussion = asyncHandler(async (req, res) => {
+  const event = await Event.findById(req.params.eventId).select('_id');
+  if (!event) throw new AppError('Event not found', 404);
+
+  realtimeService.subscribe(req, res, `event:${event._id}`);
+});
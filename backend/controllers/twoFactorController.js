@@ -0,0 +1,167 @@
+/**
+ * Two-Factor Controller
+ *
+ * The second login step, and organizers/admins managing their own TOTP
+ * two-factor authentication (services/twoFactorService.js).
+ */
+
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { sendTokenResponse, verifyTwoFactorChallenge } from '../utils/jwt.js';
+import twoFactorService from '../services/twoFactorService.js';
+import loginThrottleService from '../services/loginThrottleService.js';
+
+/**
+ * The 429 for a locked-out account, with Retry-After set
+ */
+const lockedOut = (res, lockedUntil) => {
+  const seconds = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000));
+  const minutes = Math.ceil(seconds / 60);
+  res.set('Retry-After', String(seconds));
+  return new AppError(`Too many failed login attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+};
+
+/**
+ * @desc    Finish a login with the authenticator or a backup code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (challenge token from POST /api/auth/login)
+ *
+ * BODY: { challengeToken, code } or { challengeToken, backupCode }
+ *
+ * Wrong codes count as failed logins for the account and the IP
+ * (services/loginThrottleService.js), so a fresh password login can't be used
+ * to keep guessing.
+ */
+export const verifyTwoFactorLogin = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  const userId = verifyTwoFactorChallenge(challengeToken);
+  if (!userId) {
+    throw new AppError('Your login expired - please enter your password again', 401);
+  }
+  if (!code && !backupCode) {
+    throw new AppError('Please enter your code', 400);
+  }
+
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    throw new AppError('Your account has been deactivated. Please contact admin.', 401);
+  }
+
+  const attempt = { ip: req.ip, email: user.email };
+  const throttle = await loginThrottleService.check(attempt);
+  if (throttle.lockedUntil) {
+    throw lockedOut(res, throttle.lockedUntil);
+  }
+
+  let result;
+  try {
+    result = await twoFactorService.verify(user._id, { code, backupCode });
+  } catch (err) {
+    if (!(err instanceof AppError)) throw err;
+    const state = await loginThrottleService.recordFailure(attempt);
+    if (state.lockedUntil) {
+      throw lockedOut(res, state.lockedUntil);
+    }
+    throw err;
+  }
+  await loginThrottleService.recordSuccess(attempt);
+
+  await sendTokenResponse(user, 200, res, 'Login successful', result.usedBackupCode
+    ? { backupCodesLeft: result.backupCodesLeft }
+    : {});
+});
+
+/**
+ * @desc    Two-factor status of the current user
+ * @route   GET /api/auth/2fa
+ * @access  Private (Organizer, Admin)
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select('+twoFactorBackupCodes');
+
+  res.status(200).json({
+    success: true,
+    enabled: user.twoFactorEnabled,
+    enabledAt: user.twoFactorEnabledAt,
+    required: await twoFactorService.isRequired(user),
+    backupCodesLeft: user.twoFactorEnabled ? user.twoFactorBackupCodes?.length || 0 : 0
+  });
+});
+
+/**
+ * @desc    Start setting up two-factor authentication
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (Organizer, Admin)
+ *
+ * Returns the secret (for typing in by hand) and a QR code to scan; nothing
+ * changes for the login until POST /api/auth/2fa/enable confirms a code.
+ */
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const enrollment = await twoFactorService.startEnrollment(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    ...enrollment
+  });
+});
+
+/**
+ * @desc    Turn two-factor authentication on with a first code
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (Organizer, Admin)
+ */
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const backupCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is on',
+    backupCodes
+  });
+});
+
+/**
+ * @desc    Turn two-factor authentication off
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (Organizer, Admin)
+ *
+ * BODY: { password, code } or { password, backupCode }
+ */
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, backupCode } = req.body;
+
+  if (await twoFactorService.isRequired(req.user)) {
+    throw new AppError('Two-factor authentication is required for organizer accounts', 403);
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!password || !(await user.comparePassword(password))) {
+    throw new AppError('Password is incorrect', 400);
+  }
+  await twoFactorService.verify(user._id, { code, backupCode });
+  await twoFactorService.clear(user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication is off'
+  });
+});
+
+/**
+ * @desc    Replace the backup codes
+ * @route   POST /api/auth/2fa/backup-codes
+ * @access  Private (Organizer, Admin)
+ *
+ * BODY: { code } - a current authenticator code
+ */
+export const regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  await twoFactorService.verify(req.user._id, { code: req.body.code });
+  const backupCodes = await twoFactorService.regenerateBackupCodes(req.user._id);
+
+  res.status(200).json({
+    success: true,
+    message: 'New backup codes created - the old ones no longer work',
+    backupCodes
+  });
+});
@@ -9,7 +9,7 @@
  */
 
 import User from '../models/User.js';
-import Event from '../models/Event.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import PasswordReset from '../models/PasswordReset.js';
 
@@ -29,7 +29,7 @@ import PasswordReset from '../models/PasswordReset.js';
  * - participantType
  */
 export const updateProfile = asyncHandler(async (req, res, next) => {
-  const { firstName, lastName, contactNumber, collegeName, interests } = req.body;
+  const { firstName, lastName, contactNumber, collegeName, interests, eventReminders } = req.body;
   
   const user = await User.findById(req.user.id);
   
@@ -42,6 +42,7 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
   if (lastName !== undefined) user.lastName = lastName;
   if (contactNumber !== undefined) user.contactNumber = contactNumber;
   if (interests) user.interests = interests;
+  if (typeof eventReminders === 'boolean') user.eventReminders = eventReminders;
   
   // College name only editable for non-IIIT
   if (collegeName && user.participantType !== 'iiit') {
@@ -63,7 +64,7 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
  * @access  Private (Organizer)
  */
 export const updateOrganizerProfile = asyncHandler(async (req, res, next) => {
-  const { organizerName, category, description, contactEmail, contactNumber, discordWebhook } = req.body;
+  const { organizerName, category, description, contactEmail, contactNumber, discordWebhook, emailPasswordReset } = req.body;
   
   const user = await User.findById(req.user.id);
   
@@ -78,6 +79,7 @@ export const updateOrganizerProfile = asyncHandler(async (req, res, next) => {
   if (contactEmail) user.contactEmail = contactEmail;
   if (contactNumber !== undefined) user.contactNumber = contactNumber;
   if (discordWebhook !== undefined) user.discordWebhook = discordWebhook;
+  if (typeof emailPasswordReset === 'boolean') user.emailPasswordReset = emailPasswordReset;
   
   await user.save();
   
@@ -144,12 +146,12 @@ export const getOrganizer = asyncHandler(async (req, res, next) => {
     throw new AppError('Organizer not found', 404);
   }
   
-  // Get organizer's events
+  // Get organizer's events (upcoming includes those running now)
   const [upcomingEvents, pastEvents] = await Promise.all([
     Event.find({
       organizer: organizer._id,
-      status: 'published',
-      eventStartDate: { $gt: new Date() }
+      status: { $in: OPEN_STATUSES },
+      eventEndDate: { $gt: new Date() }
     })
       .select('name eventType eventStartDate registrationDeadline')
       .sort({ eventStartDate: 1 })
@@ -14,12 +14,15 @@
  * 
  * SECURITY CONSIDERATIONS:
  * - Token expiration prevents indefinite access
+ * - Tokens name their session; a revoked session locks its tokens out at once
  * - select('+password') NOT called - password never exposed
  * - Role-based access control as separate middleware
  */
 
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import sessionService from '../services/sessionService.js';
+import twoFactorService from '../services/twoFactorService.js';
 
 /**
  * Protect routes - Verify JWT token
@@ -46,6 +49,14 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
+      // Session revoked (logout, password change...) or token from before sessions
+      if (!(await sessionService.isActive(decoded.sid, decoded.id))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session expired - please log in again'
+        });
+      }
+      
       // Get user from token payload
       const user = await User.findById(decoded.id);
       
@@ -64,8 +75,20 @@ export const protect = async (req, res, next) => {
         });
       }
       
-      // Attach user to request
+      // Organizers required to use 2FA can only reach their account settings
+      // (/api/auth/*) until they have set it up
+      if (!user.twoFactorEnabled && !req.originalUrl.startsWith('/api/auth/')
+          && await twoFactorService.isRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+          message: 'Set up two-factor authentication in your profile to continue'
+        });
+      }
+      
+      // Attach user (and the session, for logout) to request
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
       
     } catch (error) {
@@ -85,6 +108,19 @@ export const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * Protect Server-Sent Event streams
+ * 
+ * EventSource cannot set headers, so streams also accept the JWT as
+ * ?token=... — only on routes that use this middleware, never globally.
+ */
+export const protectStream = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  return protect(req, res, next);
+};
+
 /**
  * Role-based access control
  * 
@@ -132,9 +168,12 @@ export const optionalAuth = async (req, res, next) => {
     if (token) {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.id);
-        if (user && user.isActive) {
-          req.user = user;
+        if (await sessionService.isActive(decoded.sid, decoded.id)) {
+          const user = await User.findById(decoded.id);
+          if (user && user.isActive) {
+            req.user = user;
+            req.sessionId = decoded.sid;
+          }
         }
       } catch (error) {
         // Token invalid - continue without user
@@ -118,6 +118,11 @@ export const errorHandler = (err, req, res, next) => {
     error = new AppError('Token expired', 401);
   }
   
+  // Upload limits (file too large, too many files)
+  if (err.name === 'MulterError') {
+    error = new AppError(err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message, 400);
+  }
+  
   // Send response
   res.status(error.statusCode || 500).json({
     success: false,
@@ -0,0 +1,49 @@
+/**
+ * Rate Limit Middleware
+ *
+ * Fixed-window request counter per key (the client IP by default), kept in
+ * memory. Meant for small public endpoints that send email or check secrets,
+ * not as general API protection.
+ *
+ * USAGE:
+ * router.post('/forgot-password', rateLimit({ windowMs: 15 * 60 * 1000, max: 5 }), forgotPassword)
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} [options.key] - (req) => string; defaults to the IP
+ * @param {string} [options.message]
+ */
+export const rateLimit = ({ windowMs, max, key = (req) => req.ip, message = 'Too many requests. Please try again later.' }) => {
+  // key -> { count, resetAt }
+  const hits = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [k, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(k);
+    }
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const now = Date.now();
+    const k = key(req);
+    let entry = hits.get(k);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(k, entry);
+    }
+    entry.count += 1;
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+      return res.status(429).json({
+        success: false,
+        message
+      });
+    }
+    next();
+  };
+};
@@ -1,14 +1,15 @@
 /**
  * File Upload Middleware
  * 
- * Uses multer for handling file uploads (payment proofs, etc.)
+ * Uses multer for handling file uploads (payment proofs, registration form files, etc.)
  */
 
 import multer from 'multer';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
-import { uploadBufferToGridFS } from '../services/gridfs.js';
+import { AppError } from './errorHandler.js';
+import { uploadBufferToGridFS, getGridFSReadStream, deleteFromGridFS } from '../services/gridfs.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -51,16 +52,40 @@ export const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB max
 });
 
-// Middleware to upload the received file buffer to S3 or GridFS when configured.
+// Files participants attach to custom registration form fields. Each field
+// narrows this further with its own types and size (utils/formRules.js).
+const formFileFilter = (req, file, cb) => {
+  const allowed = /jpeg|jpg|png|gif|webp|pdf|doc|docx|ppt|pptx|xls|xlsx|txt|csv|zip/;
+  if (allowed.test(path.extname(file.originalname).toLowerCase().slice(1))) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Unsupported file type. Allowed: images, PDF, Office documents, text, CSV and ZIP', 400), false);
+  }
+};
+
+export const formUpload = multer({
+  storage: useGridFS ? memory : localDiskStorage,
+  fileFilter: formFileFilter,
+  limits: { fileSize: 10 * 1024 * 1024, files: 10 } // hard cap; fields set lower limits
+});
+
+const storeFile = async (file) => {
+  const originalName = file.originalname || 'file';
+  const gridId = await uploadBufferToGridFS(file.buffer, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(originalName)}`, file.mimetype);
+  file.gridFsId = gridId;
+  file.filename = path.basename(originalName);
+};
+
+// Middleware to upload the received file buffer(s) to S3 or GridFS when configured.
 export const uploadToStorage = async (req, res, next) => {
-  if (!req.file || !req.file.buffer) return next();
+  const files = [req.file, ...(Array.isArray(req.files) ? req.files : [])].filter(f => f?.buffer);
+  if (!files.length) return next();
 
   try {
     if (useGridFS) {
-      const originalName = req.file.originalname || 'file';
-      const gridId = await uploadBufferToGridFS(req.file.buffer, `${Date.now()}-${Math.round(Math.random() * 1e9)}${path.extname(originalName)}`, req.file.mimetype);
-      req.file.gridFsId = gridId;
-      req.file.filename = path.basename(originalName);
+      for (const file of files) {
+        await storeFile(file);
+      }
       return next();
     }
 
@@ -70,3 +95,46 @@ export const uploadToStorage = async (req, res, next) => {
     return next(err);
   }
 };
+
+/**
+ * Public path of a stored upload, as saved on documents (paymentProof, form files)
+ */
+export const storedFileUrl = (file) => {
+  if (file.s3Url) return file.s3Url;
+  if (file.gridFsId) return `/uploads/gridfs/${file.gridFsId}`;
+  return `/uploads/${file.filename}`;
+};
+
+/**
+ * Readable stream for a stored upload path, or null if it is not on this server
+ */
+export const openStoredFile = (url) => {
+  const gridMatch = /^\/uploads\/gridfs\/([a-f0-9]{24})$/.exec(url || '');
+  if (gridMatch) return getGridFSReadStream(gridMatch[1]);
+  if (!url?.startsWith('/uploads/')) return null;
+  const filePath = path.join(uploadsDir, path.basename(url));
+  return fs.existsSync(filePath) ? fs.createReadStream(filePath) : null;
+};
+
+/**
+ * Delete stored uploads that won't be linked to anything
+ */
+export const discardUploads = async (files = []) => {
+  for (const file of files.filter(Boolean)) {
+    try {
+      if (file.gridFsId) await deleteFromGridFS(file.gridFsId);
+      else if (file.path) await fs.promises.unlink(file.path);
+    } catch (e) {
+      console.error('Failed to discard upload:', e.message);
+    }
+  }
+};
+
+/**
+ * Error middleware: delete the request's uploads when the handler failed,
+ * so rejected submissions don't leave orphaned files behind.
+ */
+export const discardUploadsOnError = async (err, req, res, next) => {
+  await discardUploads([req.file, ...(Array.isArray(req.files) ? req.files : [])]);
+  next(err);
+};
@@ -0,0 +1,84 @@
+/**
+ * Audit Log Model
+ *
+ * Append-only record of privileged actions (payment decisions, attendance
+ * overrides, account and event changes, moderation), written through
+ * services/auditService.js. Entries are never updated or deleted: every
+ * update/delete path on the model throws.
+ */
+
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // The actor's role when acting: their event role where there is an event
+  // (owner, co-organizer, volunteer...), otherwise their account role
+  actorRole: {
+    type: String
+  },
+  // '<area>.<verb>', e.g. 'payment.approve' (see AUDIT_ACTIONS in the service)
+  action: {
+    type: String,
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['Registration', 'Order', 'Refund', 'Event', 'User', 'Message', 'PasswordReset', 'Setting', 'LoginThrottle'],
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The event the action belongs to, for the organizers' per-event view
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  // Human-readable one-liner ("Approved payment for FEL-1234")
+  summary: {
+    type: String,
+    maxlength: 500
+  },
+  changes: [changeSchema],
+  // Anything else worth keeping (reason given, order items...)
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ event: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// ============ APPEND-ONLY ============
+const rejectChange = function () {
+  throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+auditLogSchema.pre('save', function () {
+  if (!this.isNew) rejectChange();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: true, query: true },
+  rejectChange
+);
+auditLogSchema.pre('bulkWrite', rejectChange);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
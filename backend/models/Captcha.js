@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+/**
+ * An issued CAPTCHA (see utils/captcha.js). Only the SHA-256 of the answer is
+ * stored; the document is deleted when the answer is checked, and MongoDB
+ * drops unanswered ones once they expire.
+ */
+const captchaSchema = new mongoose.Schema({
+  captchaId: { type: String, required: true, unique: true },
+  answerHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+captchaSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Captcha = mongoose.model('Captcha', captchaSchema);
+
+export default Captcha;
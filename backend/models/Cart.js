@@ -0,0 +1,47 @@
+/**
+ * Cart Model
+ *
+ * One cart per participant holding merchandise variants that have not been
+ * checked out yet. Items can come from several merchandise events, but a
+ * checkout only accepts items from a single organizer (one payment, one approval).
+ * Nothing is reserved while an item sits in the cart — stock is claimed at checkout.
+ */
+
+import mongoose from 'mongoose';
+
+const cartItemSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const cartSchema = new mongoose.Schema({
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [cartItemSchema]
+}, {
+  timestamps: true
+});
+
+const Cart = mongoose.model('Cart', cartSchema);
+
+export default Cart;
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from './Notification.js';
+
+/**
+ * A notification waiting for the recipient's next daily digest email (see
+ * services/notificationService.js). Entries are deleted once mailed; ones
+ * never mailed (the user switched the digest off) expire after a week.
+ */
+const digestEntrySchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  title: { type: String, required: true, maxlength: 200 },
+  message: { type: String, required: true, maxlength: 500 },
+  link: { type: String, default: null },
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event' }
+}, { timestamps: true });
+
+digestEntrySchema.index({ recipient: 1, createdAt: 1 });
+digestEntrySchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+const DigestEntry = mongoose.model('DigestEntry', digestEntrySchema);
+
+export default DigestEntry;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+/**
+ * Proof-of-ownership challenge for an account's email address. The email
+ * carries both a link (token) and a short code; only SHA-256 hashes of the
+ * two are stored. A new challenge replaces the user's previous one.
+ *
+ * A claim challenge proves ownership of an imported placeholder account
+ * before someone signing up with its email takes it over: it carries the
+ * sign-up details to apply and works by link only.
+ */
+const emailVerificationSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // The address being proved; a later change of address voids the challenge
+  email: { type: String, required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  // Absent on claim challenges
+  codeHash: { type: String, default: null },
+  // Wrong codes entered; the code stops working after a few
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  // Sign-up details for a placeholder claim; the password is already hashed
+  claim: {
+    type: new mongoose.Schema({
+      firstName: String,
+      lastName: String,
+      participantType: String,
+      collegeName: String,
+      contactNumber: String,
+      passwordHash: String
+    }, { _id: false }),
+    default: undefined,
+    select: false
+  }
+}, { timestamps: true });
+
+emailVerificationSchema.index({ user: 1, createdAt: -1 });
+// Drop challenges a day after they expire
+emailVerificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const EmailVerification = mongoose.model('EmailVerification', emailVerificationSchema);
+
+export default EmailVerification;
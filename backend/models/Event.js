@@ -25,6 +25,23 @@
 import mongoose from 'mongoose';
 
 // Schema for custom form fields (Form Builder)
+// Show-if / required-if rule: compares the response to another field
+const fieldConditionSchema = new mongoose.Schema({
+  fieldId: {
+    type: String,
+    required: true
+  },
+  operator: {
+    type: String,
+    enum: ['equals', 'not_equals', 'contains', 'filled', 'empty'],
+    default: 'equals'
+  },
+  value: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const customFieldSchema = new mongoose.Schema({
   fieldId: {
     type: String,
@@ -54,6 +71,19 @@ const customFieldSchema = new mongoose.Schema({
   order: {
     type: Number,
     default: 0
+  },
+  // Conditional logic (see utils/formRules.js): hidden fields are skipped entirely
+  showIf: fieldConditionSchema,
+  requiredIf: fieldConditionSchema,
+  // Constraints checked when the field has a value
+  validation: {
+    min: Number,            // number
+    max: Number,            // number
+    maxLength: Number,      // text, textarea
+    pattern: String,        // text, textarea — JavaScript regex source
+    patternMessage: String,
+    fileTypes: [String],    // file — allowed extensions, e.g. ['pdf', 'png']
+    maxSizeMB: Number       // file — at most 10 (middleware/upload.js formUpload)
   }
 }, { _id: false });
 
@@ -88,6 +118,79 @@ const variantSchema = new mongoose.Schema({
   }
 });
 
+// Schema for ticket tiers on normal events (Early Bird, Regular, IIIT Student, ...)
+const ticketTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+    default: 0
+  },
+  // Max tickets in this tier (0 = limited only by registrationLimit)
+  capacity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Tickets currently held (confirmed, pending payment, attended)
+  sold: {
+    type: Number,
+    default: 0
+  },
+  // Sale window — unset means open from publish until registrationDeadline
+  salesStart: Date,
+  salesEnd: Date,
+  eligibility: {
+    type: String,
+    enum: ['all', 'iiit-only', 'non-iiit-only'],
+    default: 'all'
+  }
+});
+
+// Per-event roles for accounts other than the owning organizer
+// (what each role may do: utils/eventPermissions.js)
+export const STAFF_ROLES = ['co-organizer', 'volunteer', 'finance'];
+
+// Reminders go out at most this long before the event starts (minutes)
+export const MAX_REMINDER_MINUTES = 7 * 24 * 60;
+
+// Statuses anyone can see; the scheduler moves published events on to ongoing and completed
+export const PUBLIC_STATUSES = ['published', 'ongoing', 'completed'];
+
+// Statuses of live events: listed for browsing, and merchandise stays on sale
+// (a merchandise event is ongoing from its sale start)
+export const OPEN_STATUSES = ['published', 'ongoing'];
+
+const staffMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: STAFF_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   // Basic Information
   name: {
@@ -117,6 +220,9 @@ const eventSchema = new mongoose.Schema({
     required: true
   },
   
+  // Co-organizers, volunteers and finance members of this event
+  staff: [staffMemberSchema],
+  
   // Event Status
   status: {
     type: String,
@@ -130,6 +236,12 @@ const eventSchema = new mongoose.Schema({
     required: [true, 'Registration deadline is required']
   },
   
+  // Set by the lifecycle scheduler once the deadline passes (services/eventLifecycleService.js)
+  registrationClosedAt: {
+    type: Date,
+    default: null
+  },
+  
   eventStartDate: {
     type: Date,
     required: [true, 'Event start date is required']
@@ -165,6 +277,16 @@ const eventSchema = new mongoose.Schema({
     default: 0
   },
   
+  // Optional ticket tiers — when present, each tier's price replaces registrationFee
+  ticketTiers: [ticketTierSchema],
+  
+  // When full, let participants queue up and auto-promote them as slots free
+  // up. Organizers opt in per event.
+  waitlistEnabled: {
+    type: Boolean,
+    default: false
+  },
+  
   // Tags for search and recommendations
   tags: [{
     type: String,
@@ -173,14 +295,26 @@ const eventSchema = new mongoose.Schema({
   }],
   
   // ============ NORMAL EVENT FIELDS ============
-  // Custom registration form
+  // Custom registration form (the current version)
   customFields: [customFieldSchema],
   
-  // Flag to lock form after first registration
+  // Set on the first registration: from then on form edits publish a new
+  // version (optional fields added, labels edited) instead of changing answered ones
   formLocked: {
     type: Boolean,
     default: false
   },
+  formVersion: {
+    type: Number,
+    default: 1
+  },
+  // Earlier versions, kept so older registrations can be read against the form they answered
+  formHistory: [{
+    _id: false,
+    version: Number,
+    fields: [customFieldSchema],
+    replacedAt: Date
+  }],
   
   // Venue/Location
   venue: {
@@ -204,6 +338,45 @@ const eventSchema = new mongoose.Schema({
       default: true
     },
   
+  // How paid registrations/purchases are settled: uploaded proof + organizer
+  // approval, or online through the payment gateway
+  paymentMode: {
+    type: String,
+    enum: ['manual', 'gateway'],
+    default: 'manual'
+  },
+  
+  // Refund tiers for paid cancellations, e.g. 100% before X, 50% before Y.
+  // The earliest tier still in the future applies; after the last one, no refund.
+  refundPolicy: [{
+    _id: false,
+    before: {
+      type: Date,
+      required: true
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true
+    }
+  }],
+  
+  // Hours a pending purchase holds stock while waiting for a payment proof (0 = no expiry)
+  paymentHoldHours: {
+    type: Number,
+    min: 0,
+    max: 720,
+    default: 24
+  },
+  
+  // Minutes before eventStartDate to remind registrants, e.g. a day and an hour
+  // (sent by services/reminderService.js)
+  reminderOffsets: {
+    type: [Number],
+    default: [24 * 60, 60]
+  },
+  
   // ============ ANALYTICS ============
   viewCount: {
     type: Number,
@@ -256,9 +429,13 @@ eventSchema.index({ name: 'text', description: 'text', tags: 'text' });
 // For filtering by organizer and status
 eventSchema.index({ organizer: 1, status: 1 });
 
+// For listing the events an account is staff on
+eventSchema.index({ 'staff.user': 1 });
+
 // For date-based queries
 eventSchema.index({ eventStartDate: 1 });
 eventSchema.index({ registrationDeadline: 1 });
+eventSchema.index({ status: 1, eventEndDate: 1 });
 
 // ============ VIRTUAL PROPERTIES ============
 /**
@@ -267,7 +444,8 @@ eventSchema.index({ registrationDeadline: 1 });
 eventSchema.virtual('isRegistrationOpen').get(function() {
   const now = new Date();
   return (
-    this.status === 'published' &&
+    OPEN_STATUSES.includes(this.status) &&
+    !this.registrationClosedAt &&
     now < this.registrationDeadline &&
     this.registrationCount < this.registrationLimit
   );
@@ -293,9 +471,26 @@ eventSchema.virtual('totalSold').get(function() {
 eventSchema.set('toJSON', { virtuals: true });
 eventSchema.set('toObject', { virtuals: true });
 
+// ============ METHODS ============
+/**
+ * When a pending purchase made now stops holding stock (undefined = held until reviewed)
+ */
+eventSchema.methods.reservationExpiry = function(from = new Date()) {
+  if (!(this.paymentHoldHours > 0)) return undefined;
+  return new Date(from.getTime() + this.paymentHoldHours * 60 * 60 * 1000);
+};
+
+/**
+ * Form fields a registration answered (registrations from before versioning count as v1)
+ */
+eventSchema.methods.formFieldsFor = function(version = 1) {
+  if (version === this.formVersion) return this.customFields;
+  return this.formHistory.find(h => h.version === version)?.fields || this.customFields;
+};
+
 // ============ STATIC METHODS ============
 /**
- * Get trending events (most viewed in last 24 hours, falls back to most popular published events)
+ * Get trending events (most viewed in last 24 hours, falls back to most popular open events)
  */
 eventSchema.statics.getTrending = async function(limit = 5) {
   const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -303,7 +498,7 @@ eventSchema.statics.getTrending = async function(limit = 5) {
   let events = await this.aggregate([
     {
       $match: {
-        status: 'published'
+        status: { $in: OPEN_STATUSES }
       }
     },
     {
@@ -378,7 +573,7 @@ eventSchema.statics.getRecommendations = async function(limit = 5, options = {})
   const followedIds = (followedOrganizers || []).map(id => String(id));
 
   const pipeline = [
-    { $match: { status: 'published' } },
+    { $match: { status: { $in: OPEN_STATUSES } } },
     { $addFields: {
         recentViewCount: {
           $size: {
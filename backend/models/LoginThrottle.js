@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * Failed-login counter for one client IP or one account (by email; the
+ * account need not exist). Enough failures on an IP ask for a CAPTCHA; on an
+ * account they lock it for a while, and each further lockout doubles the time
+ * (see services/loginThrottleService.js).
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['ip', 'account'], required: true },
+  // The IP address or the lowercased email
+  value: { type: String, required: true },
+  failures: { type: Number, default: 0 },
+  lastFailureAt: { type: Date, default: null },
+  lockouts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  lastLockedAt: { type: Date, default: null },
+  // Last IP that failed against an account, for admins looking at lockouts
+  lastIp: String,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+loginThrottleSchema.index({ kind: 1, value: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: -1 });
+// Forget a key (and its lockout history) a while after its last failure
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+
+export default LoginThrottle;
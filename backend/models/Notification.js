@@ -10,6 +10,8 @@
 
 import mongoose from 'mongoose';
 
+export const NOTIFICATION_TYPES = ['discussion_message', 'discussion_reply', 'announcement', 'registration', 'payment_update', 'event_update', 'reminder', 'attendance'];
+
 const notificationSchema = new mongoose.Schema({
   recipient: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +20,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['discussion_message', 'discussion_reply', 'announcement', 'registration', 'payment_update', 'event_update', 'attendance'],
+    enum: NOTIFICATION_TYPES,
     required: true
   },
   title: {
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from './Notification.js';
+
+/**
+ * Which channels a user gets each kind of notification on. Channels left
+ * unset fall back to the defaults in services/notificationService.js, so a
+ * user without a document gets the defaults for everything.
+ */
+const channelsSchema = new mongoose.Schema({
+  inApp: Boolean,
+  email: Boolean,
+  digest: Boolean
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  channels: Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, { type: channelsSchema, default: undefined }])),
+  // When the last daily digest went out; claimed by the digest worker
+  digestLastSentAt: { type: Date, default: null }
+}, { timestamps: true });
+
+const NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
+
+export default NotificationPreference;
@@ -0,0 +1,116 @@
+/**
+ * Order Model
+ *
+ * A cart checkout. Each line item is backed by a regular merchandise
+ * Registration (linked both ways), so per-event views, QR tickets and
+ * analytics keep working. Payment proof and organizer approval happen once
+ * per order and are mirrored onto every line's registration.
+ */
+
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+
+const orderItemSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  eventName: String,
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  variantDetails: {
+    name: String,
+    size: String,
+    color: String,
+    price: Number
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  lineTotal: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    unique: true,
+    default: () => `ORD-${uuidv4().substring(0, 8).toUpperCase()}`
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [orderItemSchema],
+  totalAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'confirmed', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  paymentStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'approved', 'rejected', 'expired'],
+    default: 'pending'
+  },
+  // 'gateway' only when every event in the order takes online payments
+  paymentMode: {
+    type: String,
+    enum: ['manual', 'gateway'],
+    default: 'manual'
+  },
+  paymentProof: String,
+  paymentGateway: {
+    provider: String,
+    sessionId: String,
+    paymentId: String,
+    status: {
+      type: String,
+      // mismatch: the provider captured a different amount or currency (held for review)
+      enum: ['created', 'paid', 'failed', 'mismatch']
+    },
+    paidAt: Date,
+    // What a mismatched capture actually was
+    capturedAmount: Number,
+    capturedCurrency: String
+  },
+  // Stock is released if no proof is uploaded by then (shortest hold among the order's events)
+  reservationExpiresAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date
+}, {
+  timestamps: true
+});
+
+orderSchema.index({ participant: 1, createdAt: -1 });
+orderSchema.index({ organizer: 1, paymentStatus: 1 });
+orderSchema.index({ status: 1, reservationExpiresAt: 1 });
+orderSchema.index({ 'paymentGateway.sessionId': 1 }, { sparse: true });
+
+const Order = mongoose.model('Order', orderSchema);
+
+export default Order;
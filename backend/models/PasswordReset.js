@@ -1,16 +1,27 @@
 import mongoose from 'mongoose';
 
 const passwordResetSchema = new mongoose.Schema({
+  // The account being reset: an organizer for admin resets, any account that
+  // may reset itself for emailed links
   organizer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  requestedBy: { type: String, default: 'organizer' }, // who requested: organizer or admin
+  requestedBy: { type: String, default: 'organizer' }, // who requested: organizer, admin or self (emailed link)
   reason: { type: String, default: '' },
-  status: { type: String, enum: ['Pending', 'Approved', 'Rejected'], default: 'Pending' },
+  // Admin flow: Pending -> Approved/Rejected. Emailed links: Sent -> Completed
+  status: { type: String, enum: ['Pending', 'Approved', 'Rejected', 'Sent', 'Completed'], default: 'Pending' },
   adminComment: { type: String },
   temporaryPassword: { type: String },
+  // Emailed links only: SHA-256 of the single-use token
+  tokenHash: { type: String, select: false },
+  expiresAt: { type: Date },
+  usedAt: { type: Date },
+  ip: { type: String },
   requestedAt: { type: Date, default: Date.now },
   actionedAt: { type: Date }
 }, { timestamps: true });
 
+passwordResetSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+passwordResetSchema.index({ organizer: 1, requestedBy: 1, createdAt: -1 });
+
 const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema);
 
 export default PasswordReset;
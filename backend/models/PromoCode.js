@@ -0,0 +1,116 @@
+/**
+ * Promo Code Model
+ *
+ * Organizer-managed discount codes:
+ * - Percentage or flat discounts
+ * - Global usage cap and per-participant limit
+ * - Validity window
+ * - Optional restriction to events, merchandise variants and participant types
+ *
+ * Codes are unique per organizer, so two clubs can both run "EARLY10".
+ */
+
+import mongoose from 'mongoose';
+
+const promoCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Code must be 3-30 letters, digits, - or _']
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+
+  // Discount
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [0, 'Discount cannot be negative']
+  },
+  // Caps a percentage discount (0 = no cap)
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Usage limits (0 = unlimited)
+  maxUses: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  perUserLimit: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+
+  // Validity window
+  validFrom: Date,
+  expiresAt: Date,
+
+  // Restrictions (empty = no restriction)
+  events: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  }],
+  variants: [{
+    type: mongoose.Schema.Types.ObjectId
+  }],
+  participantTypes: [{
+    type: String,
+    enum: ['iiit', 'non-iiit']
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promoCodeSchema.index({ organizer: 1, code: 1 }, { unique: true });
+
+promoCodeSchema.pre('validate', function() {
+  if (this.discountType === 'percentage' && this.discountValue > 100) {
+    this.invalidate('discountValue', 'Percentage discount cannot exceed 100');
+  }
+});
+
+/**
+ * Discount for a given amount (never more than the amount itself)
+ */
+promoCodeSchema.methods.computeDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? (amount * this.discountValue) / 100
+    : this.discountValue;
+  if (this.discountType === 'percentage' && this.maxDiscount > 0) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
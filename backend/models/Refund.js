@@ -0,0 +1,94 @@
+/**
+ * Refund Model
+ *
+ * Money owed back to a participant after a paid registration/purchase is
+ * cancelled. Created automatically by cancellation, priced by the event's
+ * refund policy at that moment, then actioned by the organizer:
+ *
+ *   requested → approved → processed
+ *        └──────────┴────→ denied
+ */
+
+import mongoose from 'mongoose';
+
+const refundSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  participant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // What was paid and what the policy allows back
+  amountPaid: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  policyPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Set from the policy; the organizer may adjust it when approving
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'processed', 'denied'],
+    default: 'requested'
+  },
+
+  // Organizer's note on approve/deny
+  decisionNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Payout reference (gateway refund ID or bank/UPI transaction)
+  reference: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ organizer: 1, status: 1, createdAt: -1 });
+refundSchema.index({ participant: 1, createdAt: -1 });
+refundSchema.index({ event: 1, status: 1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+
+export default Refund;
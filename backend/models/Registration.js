@@ -35,6 +35,13 @@ const formResponseSchema = new mongoose.Schema({
   value: {
     type: mongoose.Schema.Types.Mixed,
     required: true
+  },
+  // Uploaded file for 'file' fields (value holds the original file name)
+  file: {
+    url: String,
+    name: String,
+    size: Number,
+    mimeType: String
   }
 }, { _id: false });
 
@@ -69,13 +76,46 @@ const registrationSchema = new mongoose.Schema({
   // Status workflow
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'cancelled', 'rejected', 'attended'],
+    enum: ['pending', 'confirmed', 'cancelled', 'rejected', 'attended', 'waitlisted'],
     default: 'confirmed'
   },
   
+  // ============ WAITLIST FIELDS ============
+  // 1-based queue position while status is 'waitlisted' (kept contiguous per event)
+  waitlistPosition: {
+    type: Number,
+    min: 1
+  },
+  
+  // Set when a waitlisted registration is promoted into a free slot
+  promotedFromWaitlistAt: {
+    type: Date
+  },
+  
   // ============ NORMAL EVENT FIELDS ============
   // Form responses for custom fields
   formResponses: [formResponseSchema],
+  // Event.formVersion the responses were given against
+  formVersion: Number,
+  
+  // 'import' for offline/on-spot registrations added from an organizer's CSV
+  source: {
+    type: String,
+    enum: ['online', 'import'],
+    default: 'online'
+  },
+  
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // Ticket tier snapshot (name/price frozen at registration time)
+  ticketTier: {
+    tierId: mongoose.Schema.Types.ObjectId,
+    name: String,
+    price: Number
+  },
   
   // ============ MERCHANDISE FIELDS ============
   selectedVariant: {
@@ -101,6 +141,19 @@ const registrationSchema = new mongoose.Schema({
     min: 0
   },
   
+  // Applied promo code (snapshot; totalAmount is already net of the discount)
+  promo: {
+    promoId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode'
+    },
+    code: String,
+    discountType: String,
+    discountValue: Number,
+    discountAmount: Number,
+    originalAmount: Number
+  },
+  
   // Payment proof (for Tier A - Payment Approval Workflow)
   paymentProof: {
     type: String, // File path/URL
@@ -108,16 +161,54 @@ const registrationSchema = new mongoose.Schema({
   
   paymentStatus: {
     type: String,
-    enum: ['not_required', 'pending', 'approved', 'rejected'],
+    enum: ['not_required', 'pending', 'approved', 'rejected', 'expired'],
     default: 'not_required'
   },
   
+  // Pending merchandise holds stock until this time unless a payment proof is uploaded
+  reservationExpiresAt: Date,
+  
+  // Online payment through the configured gateway (events with paymentMode 'gateway')
+  paymentGateway: {
+    provider: String,
+    sessionId: String,
+    paymentId: String,
+    status: {
+      type: String,
+      // mismatch: the provider captured a different amount or currency (held for review)
+      enum: ['created', 'paid', 'failed', 'mismatch']
+    },
+    paidAt: Date,
+    // What a mismatched capture actually was
+    capturedAmount: Number,
+    capturedCurrency: String
+  },
+  
   // ============ QR CODE ============
   qrCodeData: {
     type: String,
     // Stores the QR code as base64 data URL
   },
   
+  // QR payload version (2 = signed). Unset until a QR is issued.
+  qrVersion: {
+    type: Number
+  },
+
+  // Ticket issued with an unsigned QR before signing shipped — still accepted
+  // through the legacy scan path. Only set by scripts/migrate-legacy-qr.js.
+  legacyQr: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Reminder offsets (minutes before the start) already sent for this ticket,
+  // so a restarted scheduler never sends one twice
+  remindersSent: {
+    type: [Number],
+    default: []
+  },
+  
   // ============ ATTENDANCE ============
   attended: {
     type: Boolean,
@@ -136,6 +227,32 @@ const registrationSchema = new mongoose.Schema({
     overriddenAt: Date
   },
   
+  // Where/when the winning check-in happened (online scan or offline station sync)
+  checkIn: {
+    method: { type: String, enum: ['qr', 'offline_sync'] },
+    stationId: String,
+    clientScanId: String,
+    scannedAt: Date,
+    syncedAt: Date,
+    scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  
+  // Competing scans from other stations, resolved server-side (earliest scan wins)
+  checkInConflicts: [{
+    stationId: String,
+    scannedAt: Date,
+    syncedAt: Date,
+    scannedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolution: { type: String, enum: ['duplicate', 'superseded', 'rejected'] },
+    reason: String
+  }],
+  
+  // Cart checkout this line belongs to (payment proof/approval are order-wide)
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  
   // ============ TEAM FIELDS (Tier A Feature) ============
   team: {
     type: mongoose.Schema.Types.ObjectId,
@@ -163,6 +280,10 @@ const registrationSchema = new mongoose.Schema({
 // and multiple merchandise purchases from the same user for the same event)
 registrationSchema.index({ participant: 1, event: 1 });
 registrationSchema.index({ event: 1, status: 1 });
+registrationSchema.index({ event: 1, status: 1, waitlistPosition: 1 });
+registrationSchema.index({ 'promo.promoId': 1, participant: 1 });
+registrationSchema.index({ status: 1, reservationExpiresAt: 1 });
+registrationSchema.index({ 'paymentGateway.sessionId': 1 }, { sparse: true });
 // ticketId already has unique:true in schema definition — no need for duplicate index
 
 // ============ PRE-SAVE MIDDLEWARE ============
@@ -172,7 +293,7 @@ registrationSchema.index({ event: 1, status: 1 });
  */
 registrationSchema.pre('save', function() {
   if (this.registrationType === 'merchandise' && this.variantDetails) {
-    this.totalAmount = this.variantDetails.price * this.quantity;
+    this.totalAmount = Math.max(0, this.variantDetails.price * this.quantity - (this.promo?.discountAmount || 0));
   }
 });
 
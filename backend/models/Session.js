@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+/**
+ * A signed-in device. Access tokens carry the session id and only work while
+ * the session is active; the refresh token (only its SHA-256 is stored)
+ * rotates on every use. The previous hash is kept so a replayed refresh token
+ * can be spotted (see services/sessionService.js).
+ */
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  userAgent: String,
+  ip: String,
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  // 'logout', 'revoked', 'password_change', 'password_reset', 'token_reuse'
+  revokedReason: { type: String, default: null }
+}, { timestamps: true });
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Drop sessions a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
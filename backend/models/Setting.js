@@ -0,0 +1,15 @@
+import mongoose from 'mongoose';
+
+/**
+ * Site-wide settings admins can change at runtime, one document per key
+ * (read through services/settingsService.js).
+ */
+const settingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
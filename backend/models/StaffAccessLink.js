@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * One-time sign-in link for a limited staff account. Only the SHA-256 of the
+ * token is stored; the link is spent on first use.
+ */
+const staffAccessLinkSchema = new mongoose.Schema({
+  event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+staffAccessLinkSchema.index({ event: 1, user: 1 });
+// Drop links a day after they expire
+staffAccessLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const StaffAccessLink = mongoose.model('StaffAccessLink', staffAccessLinkSchema);
+
+export default StaffAccessLink;
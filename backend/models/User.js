@@ -21,6 +21,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+// Institute email domains: IIIT participants must use one, external participants must not
+export const IIIT_EMAIL_DOMAINS = ['iiit.ac.in', 'students.iiit.ac.in', 'research.iiit.ac.in'];
+
 const userSchema = new mongoose.Schema({
   // Common fields for all users
   email: {
@@ -44,7 +47,9 @@ const userSchema = new mongoose.Schema({
   
   role: {
     type: String,
-    enum: ['participant', 'organizer', 'admin'],
+    // staff: limited account created for an event's staff (see Event.staff);
+    // it can only act on events it is assigned to
+    enum: ['participant', 'organizer', 'admin', 'staff'],
     default: 'participant'
   },
   
@@ -124,6 +129,57 @@ const userSchema = new mongoose.Schema({
     default: true
   },
   
+  // ============ TWO-FACTOR AUTHENTICATION (organizers and admins) ============
+  // See services/twoFactorService.js. Secrets are encrypted (utils/totp.js);
+  // backup codes are SHA-256 hashes, removed as they are used.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  
+  twoFactorEnabledAt: {
+    type: Date
+  },
+  
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  
+  // Secret shown during enrollment, until the first code confirms it
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  
+  // Last time step a code was accepted for, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  
+  // Set once the user proves they own `email` (services/verificationService.js).
+  // IIIT status comes from the email domain, so restricted events need this.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  emailVerifiedAt: {
+    type: Date
+  },
+  
+  // Emails and notifications before registered events (services/reminderService.js)
+  eventReminders: {
+    type: Boolean,
+    default: true
+  },
+  
   // Onboarding completed flag
   onboardingCompleted: {
     type: Boolean,
@@ -138,6 +194,20 @@ const userSchema = new mongoose.Schema({
   
   passwordResetRequestDate: {
     type: Date
+  },
+  
+  // Organizers may opt in to resetting their own password by email
+  // (participants always can; admins and staff accounts never do)
+  emailPasswordReset: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Created by an organizer's registration import rather than by signing up.
+  // The password is random; signing up with the same email claims the account.
+  isPlaceholder: {
+    type: Boolean,
+    default: false
   }
   
 }, {
@@ -188,6 +258,10 @@ userSchema.methods.getPublicProfile = function() {
   const user = this.toObject();
   delete user.password;
   delete user.__v;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorBackupCodes;
+  delete user.twoFactorLastStep;
   return user;
 };
 
@@ -18,7 +18,12 @@ import {
   actionPasswordResetRequest,
   getPasswordResetHistory,
   getPasswordResetRequests,
-  getDashboardStats
+  getDashboardStats,
+  getAuditLogs,
+  getSettings,
+  updateSettings,
+  getLoginLockouts,
+  unlockLogin
 } from '../controllers/adminController.js';
 import { protect, authorize } from '../middleware/auth.js';
 import sendEmail from '../utils/email.js';
@@ -144,6 +149,17 @@ router.post('/send-test-email', async (req, res) => {
   }
 });
 
+// Audit log
+router.get('/audit-logs', getAuditLogs);
+
+// Site settings
+router.get('/settings', getSettings);
+router.put('/settings', updateSettings);
+
+// Login lockouts
+router.get('/login-lockouts', getLoginLockouts);
+router.delete('/login-lockouts/:id', unlockLogin);
+
 // Organizer management
 router.route('/organizers')
   .get(getOrganizers)
@@ -11,22 +11,82 @@ import {
   getMe,
   updatePassword,
   logout,
+  refreshToken,
+  forgotPassword,
+  checkResetToken,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   completeOnboarding,
   getCaptcha
 } from '../controllers/authController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} from '../controllers/twoFactorController.js';
+import { protect, authorize, optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+const resetRequestLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests. Please try again in a few minutes.'
+});
+const twoFactorLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many code attempts. Please try again in a few minutes.'
+});
+const twoFactorAccountLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: (req) => req.user._id.toString(),
+  message: 'Too many code attempts. Please try again in a few minutes.'
+});
+// Every CAPTCHA is stored until used or expired
+const captchaLimit = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: 'Too many CAPTCHA requests. Please wait a minute.'
+});
+// Endpoints that take an emailed token or code
+const tokenLimit = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+
 // Public routes
-router.get('/captcha', getCaptcha);
+router.get('/captcha', captchaLimit, getCaptcha);
 router.post('/register', register);
 router.post('/login', login);
+router.post('/login/2fa', twoFactorLimit, verifyTwoFactorLogin);
+router.post('/refresh', refreshToken);
+router.post('/logout', optionalAuth, logout);
+router.post('/forgot-password', resetRequestLimit, forgotPassword);
+router.get('/reset-password/:token', tokenLimit, checkResetToken);
+router.post('/reset-password/:token', tokenLimit, resetPassword);
+router.post('/verify-email', tokenLimit, optionalAuth, verifyEmail);
 
 // Protected routes
 router.get('/me', protect, getMe);
-router.post('/logout', protect, logout);
 router.put('/password', protect, updatePassword);
+router.post('/verify-email/resend', protect, resendVerification);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:id', protect, revokeSession);
 router.put('/onboarding', protect, authorize('participant'), completeOnboarding);
 
+// Two-factor authentication (organizers and admins)
+router.get('/2fa', protect, authorize('organizer', 'admin'), getTwoFactorStatus);
+router.post('/2fa/setup', protect, authorize('organizer', 'admin'), setupTwoFactor);
+router.post('/2fa/enable', protect, authorize('organizer', 'admin'), twoFactorAccountLimit, enableTwoFactor);
+router.post('/2fa/disable', protect, authorize('organizer', 'admin'), twoFactorAccountLimit, disableTwoFactor);
+router.post('/2fa/backup-codes', protect, authorize('organizer', 'admin'), twoFactorAccountLimit, regenerateBackupCodes);
+
 export default router;
@@ -0,0 +1,27 @@
+/**
+ * Cart Routes
+ *
+ * BASE: /api/cart
+ */
+
+import express from 'express';
+import {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeCartItem,
+  checkoutCart
+} from '../controllers/cartController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(protect, authorize('participant'));
+
+router.get('/', getCart);
+router.post('/items', addToCart);
+router.put('/items/:itemId', updateCartItem);
+router.delete('/items/:itemId', removeCartItem);
+router.post('/checkout', checkoutCart);
+
+export default router;
@@ -18,9 +18,16 @@ import {
   getRecommendations,
   getMyEvents,
   getEventAnalytics,
+  getEventAuditLog,
   getOrganizerAnalytics,
   publishEvent
 } from '../controllers/eventController.js';
+import {
+  getEventStaff,
+  addEventStaff,
+  removeEventStaff,
+  createStaffAccessLink
+} from '../controllers/staffController.js';
 import { protect, authorize, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -34,10 +41,17 @@ router.post('/', protect, authorize('organizer'), createEvent);
 router.get('/', optionalAuth, getEvents);
 
 // === PARAMETERIZED ROUTES ===
-router.get('/:id/analytics', protect, authorize('organizer', 'admin'), getEventAnalytics);
-router.put('/:id/publish', protect, authorize('organizer'), publishEvent);
-router.put('/:id', protect, authorize('organizer', 'admin'), updateEvent);
-router.delete('/:id', protect, authorize('organizer', 'admin'), deleteEvent);
+// Event staff can use these whatever their account role, so access is
+// checked per event in the controllers (utils/eventPermissions.js)
+router.get('/:id/analytics', protect, getEventAnalytics);
+router.get('/:id/audit-log', protect, getEventAuditLog);
+router.put('/:id/publish', protect, publishEvent);
+router.get('/:id/staff', protect, getEventStaff);
+router.post('/:id/staff', protect, addEventStaff);
+router.delete('/:id/staff/:userId', protect, removeEventStaff);
+router.post('/:id/staff/:userId/link', protect, createStaffAccessLink);
+router.put('/:id', protect, updateEvent);
+router.delete('/:id', protect, deleteEvent);
 router.get('/:id', optionalAuth, getEvent);
 
 export default router;
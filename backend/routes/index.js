@@ -12,6 +12,13 @@ import adminRoutes from './adminRoutes.js';
 import feedbackRoutes from './feedbackRoutes.js';
 import discussionRoutes from './discussionRoutes.js';
 import notificationRoutes from './notificationRoutes.js';
+import streamRoutes from './streamRoutes.js';
+import promoRoutes from './promoRoutes.js';
+import cartRoutes from './cartRoutes.js';
+import orderRoutes from './orderRoutes.js';
+import paymentRoutes from './paymentRoutes.js';
+import refundRoutes from './refundRoutes.js';
+import staffRoutes from './staffRoutes.js';
 
 export {
   authRoutes,
@@ -21,5 +28,12 @@ export {
   adminRoutes,
   feedbackRoutes,
   discussionRoutes,
-  notificationRoutes
+  notificationRoutes,
+  streamRoutes,
+  promoRoutes,
+  cartRoutes,
+  orderRoutes,
+  paymentRoutes,
+  refundRoutes,
+  staffRoutes
 };
@@ -9,7 +9,9 @@ import {
   getNotifications,
   getUnreadCount,
   markAsRead,
-  deleteNotification
+  deleteNotification,
+  getPreferences,
+  updatePreferences
 } from '../controllers/notificationController.js';
 import { protect } from '../middleware/auth.js';
 
@@ -18,6 +20,8 @@ const router = express.Router();
 router.get('/', protect, getNotifications);
 router.get('/unread-count', protect, getUnreadCount);
 router.put('/read', protect, markAsRead);
+router.get('/preferences', protect, getPreferences);
+router.put('/preferences', protect, updatePreferences);
 router.delete('/:id', protect, deleteNotification);
 
 export default router;
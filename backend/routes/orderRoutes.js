@@ -0,0 +1,29 @@
+/**
+ * Order Routes
+ *
+ * BASE: /api/orders
+ */
+
+import express from 'express';
+import {
+  getMyOrders,
+  getOrder,
+  uploadOrderProof,
+  orderPaymentAction,
+  cancelOrder
+} from '../controllers/orderController.js';
+import { protect, authorize } from '../middleware/auth.js';
+import { upload, uploadToStorage } from '../middleware/upload.js';
+
+const router = express.Router();
+
+// Specific routes before :id
+router.get('/my-orders', protect, authorize('participant'), getMyOrders);
+
+router.get('/:id', protect, getOrder);
+router.put('/:id/payment-proof', protect, authorize('participant'), upload.single('paymentProof'), uploadToStorage, uploadOrderProof);
+// Event staff with payment rights too; checked against each event in the controller
+router.put('/:id/payment-action', protect, orderPaymentAction);
+router.put('/:id/cancel', protect, authorize('participant'), cancelOrder);
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * Payment Routes
+ *
+ * BASE: /api/payments
+ */
+
+import express from 'express';
+import {
+  createCheckout,
+  handleWebhook,
+  mockCheckoutPage,
+  completeMockCheckout
+} from '../controllers/paymentController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/checkout', protect, authorize('participant'), createCheckout);
+
+// Provider callbacks — authenticated by signature, not JWT
+router.post('/webhook/:provider', handleWebhook);
+
+// Hosted page of the mock provider (development only)
+router.get('/mock/:sessionId', mockCheckoutPage);
+router.post('/mock/:sessionId', completeMockCheckout);
+
+export default router;
@@ -0,0 +1,28 @@
+/**
+ * Promo Code Routes
+ *
+ * BASE: /api/promos
+ */
+
+import express from 'express';
+import {
+  createPromoCode,
+  getMyPromoCodes,
+  updatePromoCode,
+  deletePromoCode,
+  validatePromoCode
+} from '../controllers/promoController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Participant preview (before :id routes)
+router.post('/validate', protect, authorize('participant'), validatePromoCode);
+
+// Organizer management
+router.get('/', protect, authorize('organizer', 'admin'), getMyPromoCodes);
+router.post('/', protect, authorize('organizer'), createPromoCode);
+router.put('/:id', protect, authorize('organizer', 'admin'), updatePromoCode);
+router.delete('/:id', protect, authorize('organizer', 'admin'), deletePromoCode);
+
+export default router;
@@ -0,0 +1,30 @@
+/**
+ * Refund Routes
+ *
+ * BASE: /api/refunds
+ */
+
+import express from 'express';
+import {
+  getMyRefunds,
+  getRefundQuote,
+  getRefundQueue,
+  approveRefund,
+  denyRefund,
+  processRefund
+} from '../controllers/refundController.js';
+import { protect, authorize } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Participant
+router.get('/my', protect, authorize('participant'), getMyRefunds);
+router.get('/quote/:registrationId', protect, authorize('participant'), getRefundQuote);
+
+// Refund queue: organizers and event staff with payment rights (checked per event)
+router.get('/', protect, getRefundQueue);
+router.put('/:id/approve', protect, approveRefund);
+router.put('/:id/deny', protect, denyRefund);
+router.put('/:id/process', protect, processRefund);
+
+export default router;
@@ -22,34 +22,55 @@ import {
   exportToCalendar,
   exportBatchToCalendar,
   getCalendarLinks,
-  getOrganizerRegistrations
+  getOrganizerRegistrations,
+  getWaitlist,
+  reorderWaitlist,
+  getQRVerificationKey,
+  getCheckinManifest,
+  syncCheckins,
+  downloadFormFile,
+  downloadEventFiles,
+  importRegistrations,
+  getExportColumns
 } from '../controllers/registrationController.js';
 import { protect, authorize } from '../middleware/auth.js';
-import { upload, uploadToStorage } from '../middleware/upload.js';
+import { upload, formUpload, uploadToStorage, discardUploadsOnError } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Event-specific routes (must come before /:id to avoid conflict)
-router.post('/event/:eventId', protect, authorize('participant'), registerForEvent);
+// Event-specific routes (must come before /:id to avoid conflict).
+// The staff routes check the user's role on the event in the controller.
+router.post('/event/:eventId', protect, authorize('participant'), formUpload.any(), uploadToStorage, registerForEvent, discardUploadsOnError);
 router.post('/merchandise/:eventId', protect, authorize('participant'), purchaseMerchandise);
-router.get('/event/:eventId/export', protect, authorize('organizer', 'admin'), exportRegistrations);
-router.get('/event/:eventId/attendance', protect, authorize('organizer', 'admin'), getAttendanceDashboard);
-router.get('/event/:eventId', protect, authorize('organizer', 'admin'), getEventRegistrations);
+router.get('/event/:eventId/export/columns', protect, getExportColumns);
+router.get('/event/:eventId/export', protect, exportRegistrations);
+router.post('/event/:eventId/import', protect, importRegistrations);
+router.get('/event/:eventId/files', protect, downloadEventFiles);
+router.get('/event/:eventId/attendance', protect, getAttendanceDashboard);
+router.get('/event/:eventId/waitlist', protect, getWaitlist);
+router.put('/event/:eventId/waitlist', protect, reorderWaitlist);
+router.get('/event/:eventId/checkin-manifest', protect, getCheckinManifest);
+router.post('/event/:eventId/checkin-sync', protect, syncCheckins);
+router.get('/event/:eventId', protect, getEventRegistrations);
+
+// Public key for offline scanners (must come before /:id)
+router.get('/qr-public-key', getQRVerificationKey);
 
 // Participant routes
 router.get('/my-registrations', protect, authorize('participant'), getMyRegistrations);
-router.post('/scan-qr', protect, authorize('organizer', 'admin'), scanQRCode);
+router.post('/scan-qr', protect, scanQRCode);
 router.get('/organizer/all', protect, authorize('organizer', 'admin'), getOrganizerRegistrations);
 router.post('/calendar/batch', protect, authorize('participant'), exportBatchToCalendar);
 router.get('/:id', protect, getRegistration);
+router.get('/:id/files/:fieldId', protect, downloadFormFile);
 router.get('/:id/calendar', protect, authorize('participant'), exportToCalendar);
 router.get('/:id/calendar-links', protect, authorize('participant'), getCalendarLinks);
 router.put('/:id/cancel', protect, authorize('participant'), cancelRegistration);
 router.put('/:id/payment-proof', protect, authorize('participant'), upload.single('paymentProof'), uploadToStorage, uploadPaymentProof);
 
-// Organizer routes
-router.put('/:id/attend', protect, authorize('organizer', 'admin'), markAttendance);
-router.put('/:id/payment-action', protect, authorize('organizer', 'admin'), paymentAction);
-router.put('/:id/manual-attend', protect, authorize('organizer', 'admin'), manualAttendanceOverride);
+// Event staff routes
+router.put('/:id/attend', protect, markAttendance);
+router.put('/:id/payment-action', protect, paymentAction);
+router.put('/:id/manual-attend', protect, manualAttendanceOverride);
 
 export default router;
@@ -0,0 +1,18 @@
+/**
+ * Staff Routes
+ *
+ * BASE: /api/staff
+ *
+ * Per-event staff management lives under /api/events/:id/staff
+ */
+
+import express from 'express';
+import { redeemStaffAccessLink, getMyStaffEvents } from '../controllers/staffController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.post('/access/:token', redeemStaffAccessLink);
+router.get('/events', protect, getMyStaffEvents);
+
+export default router;
@@ -0,0 +1,16 @@
+/**
+ * Stream Routes (Server-Sent Events)
+ * 
+ * BASE: /api/stream
+ */
+
+import express from 'express';
+import { streamNotifications, streamDiscussion } from '../controllers/streamController.js';
+import { protectStream } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/notifications', protectStream, streamNotifications);
+router.get('/discussions/:eventId', protectStream, streamDiscussion);
+
+export default router;
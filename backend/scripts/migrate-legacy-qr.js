@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+/**
+ * Migration script: flag registrations whose QR was issued before ticket
+ * signing (a QR on record but no qrVersion) so their unsigned QR codes and
+ * bare ticket IDs keep scanning. Run once when deploying signed QR codes;
+ * registrations created afterwards are never flagged.
+ * Usage: node scripts/migrate-legacy-qr.js
+ * (Ensure NODE_ENV and DB connection env vars are set as in server.js)
+ */
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+dotenv.config();
+import Registration from '../models/Registration.js';
+
+const MONGO_URI = process.env.MONGODB_URI || process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/felicity';
+
+async function run() {
+  console.log('Connecting to', MONGO_URI);
+  await mongoose.connect(MONGO_URI);
+  const res = await Registration.updateMany(
+    { qrVersion: null, qrCodeData: { $nin: [null, ''] }, legacyQr: { $ne: true } },
+    { $set: { legacyQr: true } }
+  );
+  console.log('Flagged', res.modifiedCount, 'legacy tickets');
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -47,7 +47,14 @@ import {
   adminRoutes,
   feedbackRoutes,
   discussionRoutes,
-  notificationRoutes
+  notificationRoutes,
+  streamRoutes,
+  promoRoutes,
+  cartRoutes,
+  orderRoutes,
+  paymentRoutes,
+  refundRoutes,
+  staffRoutes
 } from './routes/index.js';
 import teamRoutes from './routes/teamRoutes.js';
 import debugRoutes from './routes/debugRoutes.js';
@@ -59,10 +66,27 @@ import { notFound, errorHandler } from './middleware/errorHandler.js';
 // Admin seeder
 import seedAdmin from './config/seedAdmin.js';
 import emailService from './services/emailService.js';
+import reservationService from './services/reservationService.js';
+import eventLifecycleService from './services/eventLifecycleService.js';
+import reminderService from './services/reminderService.js';
+import notificationService from './services/notificationService.js';
 
 // Initialize Express app
 const app = express();
 
+/**
+ * Proxies
+ *
+ * Behind a load balancer (Render) every request comes from the proxy, so
+ * req.ip — used for login throttling, rate limits, sessions and the audit
+ * log — is only the client's address once Express trusts the proxy hops in
+ * front of it. TRUST_PROXY is a hop count or any Express "trust proxy" value.
+ */
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 // ============ MIDDLEWARE ============
 
 /**
@@ -95,7 +119,11 @@ app.use(cors({
  * express.json() - Parse JSON request bodies
  * express.urlencoded() - Parse form submissions
  */
-app.use(express.json({ limit: '10mb' })); // Limit for QR code data
+app.use(express.json({
+  limit: '10mb', // Limit for QR code data
+  // Keep the exact bytes for payment webhook signature checks
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 /**
@@ -150,6 +178,13 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/discussions', discussionRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/staff', staffRoutes);
 app.use('/api/teams', teamRoutes);
 app.use('/api/debug', debugRoutes);
 
@@ -190,6 +225,14 @@ const startServer = async () => {
     });
   // Start email worker (process queued emails)
   emailService.startWorker(5000);
+  // Release merchandise reservations whose payment hold expired
+  reservationService.startWorker(60 * 1000);
+  // Close registration and move events to ongoing/completed on schedule
+  eventLifecycleService.startWorker(60 * 1000);
+  // Remind registrants before their events start
+  reminderService.startWorker(60 * 1000);
+  // Mail daily notification digests
+  notificationService.startWorker(10 * 60 * 1000);
     
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -0,0 +1,167 @@
+/**
+ * Audit Service (Backend)
+ *
+ * Writes and reads the audit log (models/AuditLog.js). Controllers call
+ * `record` after a privileged action succeeds, with snapshots of the fields
+ * it changed; the entry keeps only the fields that differ. Recording never
+ * fails the request it belongs to.
+ */
+
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { eventRole } from '../utils/eventPermissions.js';
+
+export const AUDIT_ACTIONS = {
+  'payment.approve': 'Payment approved',
+  'payment.reject': 'Payment rejected',
+  'refund.approve': 'Refund approved',
+  'refund.deny': 'Refund denied',
+  'refund.process': 'Refund paid out',
+  'attendance.mark': 'Attendance marked',
+  'attendance.override': 'Attendance overridden',
+  'event.update': 'Event edited',
+  'event.publish': 'Event published',
+  'event.delete': 'Event deleted',
+  'staff.add': 'Staff added',
+  'staff.role': 'Staff role changed',
+  'staff.remove': 'Staff removed',
+  'staff.link': 'Staff access link created',
+  'discussion.delete': 'Message deleted',
+  'discussion.pin': 'Message pinned/unpinned',
+  'organizer.update': 'Organizer edited',
+  'organizer.activate': 'Organizer activated',
+  'organizer.deactivate': 'Organizer deactivated',
+  'organizer.archive': 'Organizer archived',
+  'organizer.delete': 'Organizer deleted',
+  'organizer.password_reset': 'Organizer password reset',
+  'password_request.approve': 'Password reset request approved',
+  'password_request.reject': 'Password reset request rejected',
+  'settings.update': 'Site setting changed',
+  'login.unlock': 'Login lockout lifted'
+};
+
+const MAX_LIMIT = 100;
+
+// Mixed paths store plain values; ids and dates as strings keep diffs readable
+const plain = (value) => {
+  if (value === undefined || value === null) return value ?? null;
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toObject === 'function') return plain(value.toObject());
+  if (Array.isArray(value)) return value.map(plain);
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, plain(v)]));
+  }
+  return value;
+};
+
+/**
+ * The listed fields of a document (or plain object) as plain values
+ */
+export const snapshot = (doc, fields) => Object.fromEntries(fields.map(field => [field, plain(doc?.get ? doc.get(field) : doc?.[field])]));
+
+/**
+ * [{ field, before, after }] for every field whose value differs
+ */
+const diff = (before = {}, after = {}) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .map(field => ({ field, before: plain(before[field]), after: plain(after[field]) }))
+    .filter(({ before: b, after: a }) => JSON.stringify(b) !== JSON.stringify(a));
+};
+
+const auditService = {
+  /**
+   * Append an entry for the request's user.
+   *
+   * @param {import('express').Request} req
+   * @param {Object} entry
+   * @param {string} entry.action - a key of AUDIT_ACTIONS
+   * @param {string} entry.targetType
+   * @param {*} entry.targetId
+   * @param {Object} [entry.event] - the event document, when there is one (sets the event role too)
+   * @param {string} [entry.summary]
+   * @param {Object} [entry.before] - snapshot before the change
+   * @param {Object} [entry.after] - snapshot after the change
+   * @param {Object} [entry.metadata]
+   */
+  record: async (req, { action, targetType, targetId, event, summary, before, after, metadata }) => {
+    try {
+      await AuditLog.create({
+        actor: req.user?._id,
+        actorRole: (event && eventRole(event, req.user)) || req.user?.role,
+        action,
+        targetType,
+        targetId,
+        event: event?._id,
+        summary: summary?.slice(0, 500),
+        changes: diff(before, after),
+        metadata: metadata && plain(metadata),
+        ip: req.ip,
+        userAgent: req.get('user-agent')?.slice(0, 500)
+      });
+    } catch (err) {
+      console.error(`Failed to write audit log (${action}):`, err.message);
+    }
+  },
+
+  /**
+   * A page of entries, newest first.
+   *
+   * Filters: event, action (comma-separated), targetType, targetId, actor
+   * (user id or email), from/to (dates)
+   */
+  list: async ({ event, action, targetType, targetId, actor, from, to, page = 1, limit = 50 } = {}) => {
+    const query = {};
+    const asId = (value, label) => {
+      if (!mongoose.isValidObjectId(value)) throw new AppError(`Invalid ${label}`, 400);
+      return new mongoose.Types.ObjectId(String(value));
+    };
+
+    if (event) query.event = asId(event, 'event');
+    if (targetId) query.targetId = asId(targetId, 'target');
+    if (targetType) query.targetType = targetType;
+    if (action) query.action = { $in: String(action).split(',') };
+    if (actor) {
+      if (mongoose.isValidObjectId(actor)) {
+        query.actor = new mongoose.Types.ObjectId(String(actor));
+      } else {
+        const user = await User.findOne({ email: String(actor).trim().toLowerCase() }).select('_id');
+        // Unknown email: nothing matches
+        query.actor = user?._id || new mongoose.Types.ObjectId();
+      }
+    }
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+      if (Object.values(query.createdAt).some(d => isNaN(d.getTime()))) {
+        throw new AppError('Invalid date range', 400);
+      }
+    }
+
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit) || 50));
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate('actor', 'firstName lastName organizerName email role')
+        .populate('event', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      AuditLog.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    };
+  }
+};
+
+export default auditService;
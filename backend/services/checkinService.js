@@ -0,0 +1,146 @@
+/**
+ * Check-in Service (Backend)
+ *
+ * Supports offline check-in stations: stations download an attendee manifest,
+ * validate scans locally, and later push queued scans in bulk. Conflicts
+ * (e.g. two stations scanning the same ticket) are resolved here —
+ * the earliest scan wins and every losing scan is kept in checkInConflicts.
+ */
+
+import Registration from '../models/Registration.js';
+import { validateQRData, getQRPublicKey, acceptsLegacyQR } from '../utils/qrcode.js';
+
+// Scans stamped further than this in the future are treated as clock skew
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const normalizeScanTime = (value, now) => {
+  const t = value ? new Date(value) : now;
+  if (isNaN(t.getTime()) || t.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS) return now;
+  return t;
+};
+
+const checkinService = {
+  /**
+   * Build the attendee manifest a station caches for offline validation.
+   */
+  buildManifest: async (event) => {
+    const registrations = await Registration.find({
+      event: event._id,
+      status: { $in: ['confirmed', 'attended'] }
+    })
+      .populate('participant', 'firstName lastName email')
+      .select('ticketId participant status attended attendedAt qrVersion legacyQr');
+
+    return {
+      event: {
+        _id: event._id,
+        name: event.name,
+        eventStartDate: event.eventStartDate,
+        eventEndDate: event.eventEndDate,
+        venue: event.venue
+      },
+      generatedAt: new Date(),
+      key: getQRPublicKey(),
+      attendees: registrations.map(r => ({
+        registrationId: r._id,
+        ticketId: r.ticketId,
+        participantId: r.participant?._id,
+        name: r.participant ? `${r.participant.firstName} ${r.participant.lastName}` : 'Unknown',
+        email: r.participant?.email,
+        attended: r.attended,
+        attendedAt: r.attendedAt,
+        // Legacy (unsigned) tickets may be accepted by bare ticket ID
+        signed: !acceptsLegacyQR(r)
+      }))
+    };
+  },
+
+  /**
+   * Apply one queued scan from a station.
+   * Returns { clientScanId, ticketId, result: 'accepted'|'duplicate'|'rejected', message }.
+   */
+  applyScan: async (event, scan, { stationId, userId }) => {
+    const now = new Date();
+    const clientScanId = scan.clientScanId;
+    const scannedAt = normalizeScanTime(scan.scannedAt, now);
+    const reply = (result, message, ticketId) => ({ clientScanId, ticketId, result, message });
+
+    // Resolve ticket ID — re-verify the signature when the raw QR content is sent
+    let ticketId = scan.ticketId;
+    let legacy = true;
+    if (scan.qrData) {
+      const check = validateQRData(scan.qrData, event._id);
+      if (!check.valid) return reply('rejected', check.error, ticketId);
+      ticketId = check.data.ticketId;
+      legacy = check.legacy;
+    }
+    if (!ticketId) return reply('rejected', 'No ticket ID', ticketId);
+
+    const registration = await Registration.findOne({ ticketId, event: event._id });
+    if (!registration) return reply('rejected', 'Ticket not found for this event', ticketId);
+
+    if (legacy && !acceptsLegacyQR(registration)) {
+      return reply('rejected', 'Unsigned QR data is not accepted for this ticket', ticketId);
+    }
+
+    const conflict = { stationId, scannedAt, syncedAt: now, scannedBy: userId };
+
+    if (!['confirmed', 'attended'].includes(registration.status)) {
+      await Registration.updateOne({ _id: registration._id }, {
+        $push: { checkInConflicts: { ...conflict, resolution: 'rejected', reason: `Ticket is ${registration.status}` } }
+      });
+      return reply('rejected', `Ticket is ${registration.status}`, ticketId);
+    }
+
+    // Same scan re-sent after a lost response — already applied
+    if (clientScanId && registration.checkIn?.clientScanId === clientScanId) {
+      return reply('accepted', 'Already synced', ticketId);
+    }
+
+    const checkIn = {
+      method: 'offline_sync',
+      stationId,
+      clientScanId,
+      scannedAt,
+      syncedAt: now,
+      scannedBy: userId
+    };
+
+    // First check-in: claim atomically so concurrent syncs can't both win
+    const claimed = await Registration.findOneAndUpdate(
+      { _id: registration._id, attended: { $ne: true } },
+      { $set: { attended: true, attendedAt: scannedAt, status: 'attended', checkIn } },
+      { new: true }
+    );
+    if (claimed) return reply('accepted', 'Checked in', ticketId);
+
+    // Already checked in — earliest scan wins
+    const current = await Registration.findById(registration._id);
+    if (current.attendedAt && scannedAt < current.attendedAt) {
+      const superseded = await Registration.findOneAndUpdate(
+        { _id: current._id, attendedAt: current.attendedAt },
+        {
+          $set: { attendedAt: scannedAt, checkIn },
+          $push: {
+            checkInConflicts: {
+              stationId: current.checkIn?.stationId || (current.attendanceOverride?.overridden ? 'manual' : 'online'),
+              scannedAt: current.attendedAt,
+              syncedAt: now,
+              scannedBy: current.checkIn?.scannedBy,
+              resolution: 'superseded',
+              reason: `Earlier scan from station ${stationId}`
+            }
+          }
+        }
+      );
+      if (superseded) return reply('accepted', 'Checked in (earlier than existing scan)', ticketId);
+    }
+
+    await Registration.updateOne({ _id: current._id }, {
+      $push: { checkInConflicts: { ...conflict, resolution: 'duplicate', reason: `Already checked in at ${current.attendedAt?.toISOString()}` } }
+    });
+    return reply('duplicate', `Already checked in at ${current.attendedAt?.toLocaleString()}`, ticketId);
+  }
+};
+
+export default checkinService;
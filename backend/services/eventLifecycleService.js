@@ -0,0 +1,156 @@
+/**
+ * Event Lifecycle Service
+ *
+ * Moves events along their schedule (see the status workflow in
+ * models/Event.js):
+ * - at registrationDeadline, registration closes (registrationClosedAt)
+ * - at eventStartDate, published → ongoing
+ * - at eventEndDate, published/ongoing → completed
+ *
+ * For merchandise the dates are the sale window: an ongoing merchandise event
+ * is on sale (see OPEN_STATUSES) until its deadline.
+ *
+ * Drafts and closed (cancelled) events are left alone. Each change is claimed
+ * with a conditional update on the current state, so when several instances
+ * sweep at once only one of them makes it and notifies the registrants.
+ * Changes that fell due long ago (the first sweep after a deploy, or the
+ * scheduler was down) are applied silently: registrants only hear about
+ * what just happened.
+ */
+
+import Event, { OPEN_STATUSES } from '../models/Event.js';
+import realtimeService from './realtimeService.js';
+import { notifyEventParticipants } from '../controllers/notificationController.js';
+
+// How late a change may be applied and still be announced
+const NOTICE_GRACE_MS = 60 * 60 * 1000;
+
+const isRecent = (date, now) => new Date(date).getTime() > now.getTime() - NOTICE_GRACE_MS;
+
+const formatDate = (date) => new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+
+const TRANSITIONS = [
+  {
+    to: 'ongoing',
+    from: ['published'],
+    // Started but not over; events already over go straight to completed
+    due: (now) => ({ eventStartDate: { $lte: now }, eventEndDate: { $gt: now } }),
+    dueAt: (event) => event.eventStartDate,
+    notice: (event) => ({
+      title: `${event.name} has started`,
+      message: `${event.name} is happening now${event.venue ? ` at ${event.venue}` : ''}. Keep your ticket handy for check-in.`
+    })
+  },
+  {
+    to: 'completed',
+    from: ['published', 'ongoing'],
+    due: (now) => ({ eventEndDate: { $lte: now } }),
+    dueAt: (event) => event.eventEndDate,
+    notice: (event) => ({
+      title: `${event.name} has ended`,
+      message: `Thanks for taking part in ${event.name}! You can now leave feedback on the event page.`
+    })
+  }
+];
+
+// Registrants hear about normal events; merchandise buyers only about their orders
+const notifyRegistrants = async (event, { title, message }) => {
+  if (event.eventType !== 'normal') return;
+  await notifyEventParticipants({
+    eventId: event._id,
+    type: 'event_update',
+    title,
+    message,
+    link: `/events/${event._id}`
+  });
+};
+
+let workerStarted = false;
+
+const eventLifecycleService = {
+  /**
+   * Close registration on events whose deadline has passed
+   *
+   * @returns {Promise<number>} events closed
+   */
+  closeRegistrations: async (now = new Date()) => {
+    let closed = 0;
+    const due = await Event.find({
+      status: { $in: OPEN_STATUSES },
+      registrationClosedAt: null,
+      registrationDeadline: { $lte: now }
+    }).select('_id');
+
+    for (const { _id } of due) {
+      const event = await Event.findOneAndUpdate(
+        { _id, status: { $in: OPEN_STATUSES }, registrationClosedAt: null, registrationDeadline: { $lte: now } },
+        { registrationClosedAt: now },
+        { new: true }
+      );
+      if (!event) continue;
+
+      realtimeService.publishToEvent(event._id, 'event:registration-closed', { registrationClosedAt: now });
+      if (isRecent(event.registrationDeadline, now)) {
+        await notifyRegistrants(event, {
+          title: `Registration closed — ${event.name}`,
+          message: event.eventStartDate > now
+            ? `Registration for ${event.name} has closed. See you on ${formatDate(event.eventStartDate)}!`
+            : `Registration for ${event.name} has closed.`
+        });
+      }
+      closed++;
+    }
+    return closed;
+  },
+
+  /**
+   * Apply every status change that is due
+   *
+   * @returns {Promise<number>} events moved
+   */
+  advanceStatuses: async (now = new Date()) => {
+    let moved = 0;
+    for (const transition of TRANSITIONS) {
+      const due = await Event.find({ status: { $in: transition.from }, ...transition.due(now) }).select('_id');
+
+      for (const { _id } of due) {
+        const event = await Event.findOneAndUpdate(
+          { _id, status: { $in: transition.from }, ...transition.due(now) },
+          { status: transition.to },
+          { new: true }
+        );
+        if (!event) continue;
+
+        realtimeService.publishToEvent(event._id, 'event:status', { status: event.status });
+        if (isRecent(transition.dueAt(event), now)) {
+          await notifyRegistrants(event, transition.notice(event));
+        }
+        moved++;
+      }
+    }
+    return moved;
+  },
+
+  /**
+   * One pass: close registrations first, so an event that starts in the same
+   * pass has already announced that
+   */
+  sweep: async (now = new Date()) => {
+    const closed = await eventLifecycleService.closeRegistrations(now);
+    const moved = await eventLifecycleService.advanceStatuses(now);
+    return { closed, moved };
+  },
+
+  /**
+   * Sweep periodically
+   */
+  startWorker: (intervalMs = 60 * 1000) => {
+    if (workerStarted) return;
+    workerStarted = true;
+    setInterval(() => {
+      eventLifecycleService.sweep().catch(err => console.error('Event lifecycle worker error:', err));
+    }, intervalMs);
+  }
+};
+
+export default eventLifecycleService;
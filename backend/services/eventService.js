@@ -6,15 +6,15 @@
  * Controllers delegate to these helpers for reusable logic.
  */
 
-import Event from '../models/Event.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
 import Registration from '../models/Registration.js';
 
 const eventService = {
   /**
-   * Find published events with optional filters.
+   * Find published (and running) events with optional filters.
    */
   getPublishedEvents: async (filters = {}, { page = 1, limit = 10 } = {}) => {
-    const query = { status: 'published', ...filters };
+    const query = { status: { $in: OPEN_STATUSES }, ...filters };
     const skip = (page - 1) * limit;
     const [events, total] = await Promise.all([
       Event.find(query)
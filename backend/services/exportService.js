@@ -0,0 +1,217 @@
+/**
+ * Export Service (Backend)
+ *
+ * Registration exports for organizers: selectable columns (including every
+ * custom form question), filters, and CSV / XLSX / JSON output. Registrations
+ * are read through a cursor and written as they arrive, so the size of an
+ * event never decides how much is held in memory.
+ */
+
+import Registration from '../models/Registration.js';
+import Team from '../models/Team.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { csvCell } from '../utils/csv.js';
+import { writeXlsx } from '../utils/xlsx.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const isoDate = (date) => (date ? new Date(date).toISOString() : '');
+
+/**
+ * Fixed columns. `types` limits a column to normal or merchandise events;
+ * `default` columns are selected when the request names none.
+ */
+const COLUMNS = [
+  { key: 'ticketId', label: 'Ticket ID', default: true, value: r => r.ticketId },
+  { key: 'firstName', label: 'First Name', default: true, value: r => r.participant?.firstName },
+  { key: 'lastName', label: 'Last Name', default: true, value: r => r.participant?.lastName },
+  { key: 'email', label: 'Email', default: true, value: r => r.participant?.email },
+  { key: 'contactNumber', label: 'Contact', default: true, value: r => r.participant?.contactNumber },
+  { key: 'collegeName', label: 'College', default: true, value: r => r.participant?.collegeName },
+  { key: 'participantType', label: 'Participant Type', value: r => r.participant?.participantType },
+  { key: 'teamName', label: 'Team', value: (r, ctx) => ctx.teams.get(r.participant?._id?.toString()) },
+  { key: 'status', label: 'Status', default: true, value: r => r.status },
+  { key: 'registeredAt', label: 'Registered At', default: true, value: r => isoDate(r.registeredAt) },
+  { key: 'source', label: 'Source', value: r => r.source || 'online' },
+  { key: 'ticketTier', label: 'Ticket Tier', types: ['normal'], default: true, value: r => r.ticketTier?.name },
+  { key: 'variant', label: 'Variant', types: ['merchandise'], default: true, value: r => r.variantDetails?.name },
+  { key: 'quantity', label: 'Quantity', types: ['merchandise'], default: true, value: r => r.quantity || 0 },
+  { key: 'amount', label: 'Amount', default: true, value: r => r.totalAmount || 0 },
+  { key: 'promoCode', label: 'Promo Code', default: true, value: r => r.promo?.code },
+  { key: 'discount', label: 'Discount', default: true, value: r => r.promo?.discountAmount || 0 },
+  { key: 'paymentStatus', label: 'Payment Status', value: r => r.paymentStatus },
+  { key: 'attended', label: 'Attended', default: true, value: r => (r.attended ? 'Yes' : 'No') },
+  { key: 'attendedAt', label: 'Attended At', value: r => isoDate(r.attendedAt) },
+  { key: 'overrideReason', label: 'Attendance Override Reason', value: r => (r.attendanceOverride?.overridden ? r.attendanceOverride.reason || '(no reason given)' : '') },
+  { key: 'formVersion', label: 'Form Version', types: ['normal'], value: r => r.formVersion || 1 }
+];
+
+const FORM_PREFIX = 'form:';
+
+/**
+ * Every column available for an event: the fixed ones for its type, then one
+ * per custom form question (keyed `form:<fieldId>`, default on).
+ */
+const availableColumns = (event) => [
+  ...COLUMNS.filter(c => !c.types || c.types.includes(event.eventType)),
+  ...[...event.customFields]
+    .sort((a, b) => a.order - b.order)
+    .map(field => ({
+      key: `${FORM_PREFIX}${field.fieldId}`,
+      label: field.label,
+      default: true,
+      form: true,
+      // Answered versions only ever add questions; anything missing from the
+      // registration's version was never asked
+      value: (r, ctx) => {
+        if (!ctx.askedIn(r.formVersion || 1).has(field.fieldId)) return 'N/A';
+        const response = r.formResponses?.find(res => res.fieldId === field.fieldId);
+        return response ? response.file?.name || response.value : '';
+      }
+    }))
+];
+
+/**
+ * Registration query from the filters: status, attended ('true'/'false'),
+ * paymentStatus
+ */
+const buildQuery = (event, { status, attended, paymentStatus } = {}) => {
+  const query = { event: event._id };
+  if (status) query.status = { $in: String(status).split(',') };
+  if (attended === 'true' || attended === 'false') query.attended = attended === 'true';
+  if (paymentStatus) query.paymentStatus = { $in: String(paymentStatus).split(',') };
+  return query;
+};
+
+/**
+ * Team name per participant id (leader and accepted members)
+ */
+const teamNames = async (event) => {
+  const names = new Map();
+  if (!event.isTeamEvent) return names;
+  const teams = await Team.find({ event: event._id }).select('teamName teamLeader members');
+  teams.forEach(team => {
+    names.set(team.teamLeader.toString(), team.teamName);
+    team.members.filter(m => m.status === 'accepted' && m.user).forEach(m => names.set(m.user.toString(), team.teamName));
+  });
+  return names;
+};
+
+const exportService = {
+  /**
+   * Columns an organizer can choose from ({ key, label, default })
+   */
+  columns: (event) => availableColumns(event).map(({ key, label, default: isDefault = false }) => ({ key, label, default: isDefault })),
+
+  /**
+   * Stream the export to `res` (headers included).
+   *
+   * @param {Object} event
+   * @param {import('express').Response} res
+   * @param {{ format?: string, columns?: string, status?: string, attended?: string, paymentStatus?: string }} options
+   */
+  stream: async (event, res, { format = 'csv', columns: requested, ...filters } = {}) => {
+    const output = EXPORT_FORMATS[format];
+    if (!output) {
+      throw new AppError(`Unknown export format "${format}" (use ${Object.keys(EXPORT_FORMATS).join(', ')})`, 400);
+    }
+
+    const available = availableColumns(event);
+    let columns = available.filter(c => c.default);
+    if (requested) {
+      const keys = String(requested).split(',').map(k => k.trim()).filter(Boolean);
+      const unknown = keys.filter(k => !available.some(c => c.key === k));
+      if (unknown.length) {
+        throw new AppError(`Unknown export columns: ${unknown.join(', ')}`, 400);
+      }
+      columns = keys.map(k => available.find(c => c.key === k));
+    }
+    if (columns.length === 0) {
+      throw new AppError('Choose at least one column to export', 400);
+    }
+
+    const askedCache = new Map();
+    const ctx = {
+      teams: columns.some(c => c.key === 'teamName') ? await teamNames(event) : new Map(),
+      askedIn: (version) => {
+        if (!askedCache.has(version)) {
+          askedCache.set(version, new Set(event.formFieldsFor(version).map(f => f.fieldId)));
+        }
+        return askedCache.get(version);
+      }
+    };
+    const valueOf = (column, registration) => {
+      const value = column.value(registration, ctx);
+      return value === undefined || value === null ? '' : value;
+    };
+
+    const cursor = Registration.find(buildQuery(event, filters))
+      .populate('participant', 'firstName lastName email contactNumber collegeName participantType')
+      .sort({ registeredAt: -1 })
+      .cursor();
+
+    const fileName = `${event.name.replace(/[^\w\- ]+/g, '').trim() || 'event'}-registrations.${output.extension}`;
+    res.setHeader('Content-Type', output.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    // Respect backpressure so a slow download doesn't buffer the whole export
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await new Promise(resolve => res.once('drain', resolve));
+    };
+
+    try {
+      if (format === 'xlsx') {
+        async function* rows() {
+          for await (const registration of cursor) {
+            yield columns.map(c => valueOf(c, registration));
+          }
+        }
+        await writeXlsx(res, { name: event.name, header: columns.map(c => c.label), rows: rows() });
+        return;
+      }
+
+      if (format === 'json') {
+        // Form answers are grouped under `form`, keyed by question label
+        await write(`{"event":${JSON.stringify({ id: event._id, name: event.name })},` +
+          `"columns":${JSON.stringify(columns.map(({ key, label }) => ({ key, label })))},"registrations":[`);
+        let first = true;
+        for await (const registration of cursor) {
+          const record = {};
+          columns.forEach(c => {
+            if (c.form) {
+              record.form = record.form || {};
+              record.form[c.label] = valueOf(c, registration);
+            } else {
+              record[c.key] = valueOf(c, registration);
+            }
+          });
+          await write(`${first ? '' : ','}\n${JSON.stringify(record)}`);
+          first = false;
+        }
+        await write('\n]}\n');
+        res.end();
+        return;
+      }
+
+      // BOM so Excel opens UTF-8 CSVs correctly
+      await write('\uFEFF' + columns.map(c => csvCell(c.label)).join(',') + '\r\n');
+      for await (const registration of cursor) {
+        await write(columns.map(c => csvCell(valueOf(c, registration))).join(',') + '\r\n');
+      }
+      res.end();
+    } catch (err) {
+      // Too late for an error response once the download has started
+      if (!res.headersSent) throw err;
+      console.error('Registration export failed mid-stream:', err);
+      res.destroy(err);
+    } finally {
+      await cursor.close();
+    }
+  }
+};
+
+export default exportService;
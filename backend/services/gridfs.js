@@ -27,10 +27,15 @@ export const uploadBufferToGridFS = async (buffer, filename, contentType = 'appl
 export const getGridFSReadStream = (id) => {
   const b = init();
   try {
-    return b.openDownloadStream(mongoose.Types.ObjectId(id));
+    return b.openDownloadStream(new mongoose.Types.ObjectId(id));
   } catch (e) {
     return null;
   }
 };
 
-export default { init, uploadBufferToGridFS, getGridFSReadStream };
+export const deleteFromGridFS = async (id) => {
+  const b = init();
+  await b.delete(new mongoose.Types.ObjectId(id));
+};
+
+export default { init, uploadBufferToGridFS, getGridFSReadStream, deleteFromGridFS };
@@ -0,0 +1,368 @@
+/**
+ * Import Service (Backend)
+ *
+ * Bulk registration of participants from an organizer's CSV (paper sign-up
+ * sheets, Google Forms exports, on-spot desks). Columns are mapped to user
+ * fields and custom form fields; each row is matched to an existing participant
+ * by email or gets a placeholder account, then becomes a confirmed registration
+ * with a ticket and QR code.
+ *
+ * `preview` checks every row without writing anything (the dry run); `commit`
+ * runs the same checks and imports the rows that pass. Seats are claimed with
+ * conditional updates, so online sign-ups racing an import can't overfill.
+ */
+
+import crypto from 'crypto';
+import Registration from '../models/Registration.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
+import User, { IIIT_EMAIL_DOMAINS } from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parseCsv } from '../utils/csv.js';
+import { validateFormResponses } from '../utils/formRules.js';
+import { generateTicketQR } from '../utils/qrcode.js';
+import { sendRegistrationEmail } from '../utils/email.js';
+
+const MAX_ROWS = 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Importable user columns and the header names they are recognised by
+const USER_COLUMNS = {
+  email: ['email', 'emailaddress', 'mail'],
+  firstName: ['firstname', 'first', 'givenname', 'name'],
+  lastName: ['lastname', 'last', 'surname', 'familyname'],
+  contactNumber: ['contactnumber', 'contact', 'phone', 'phonenumber', 'mobile'],
+  collegeName: ['collegename', 'college', 'institute', 'organization'],
+  participantType: ['participanttype', 'type', 'iiit'],
+  ticketTier: ['tickettier', 'tier', 'ticket']
+};
+
+const normalizeHeader = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'x', '✓'];
+
+/**
+ * Column mapping guessed from the headers: user columns by common names,
+ * form fields by label.
+ */
+const suggestMapping = (headers, event) => {
+  const byName = new Map(headers.map(h => [normalizeHeader(h), h]));
+  const mapping = { fields: {} };
+  Object.entries(USER_COLUMNS).forEach(([key, names]) => {
+    const match = names.find(n => byName.has(n));
+    if (match) mapping[key] = byName.get(match);
+  });
+  event.customFields.forEach(field => {
+    const header = byName.get(normalizeHeader(field.label));
+    if (header && field.type !== 'file') mapping.fields[field.fieldId] = header;
+  });
+  return mapping;
+};
+
+const emailDomain = (email) => email.split('@')[1] || '';
+
+/**
+ * 'iiit' / 'non-iiit' from a participant type cell, or undefined
+ */
+const parseParticipantType = (text) => {
+  const value = normalizeHeader(text);
+  if (!value) return undefined;
+  if (['iiit', 'internal', 'yes', 'y', 'true'].includes(value)) return 'iiit';
+  if (['noniiit', 'external', 'no', 'n', 'false'].includes(value)) return 'non-iiit';
+  return null;
+};
+
+/**
+ * Parse the CSV and check every row against the event, the participant
+ * records and each other. Nothing is written.
+ */
+const planImport = async (event, { csv, mapping: requestedMapping } = {}) => {
+  if (event.eventType !== 'normal') {
+    throw new AppError('Registrations can only be imported for normal events', 400);
+  }
+  if (!OPEN_STATUSES.includes(event.status)) {
+    throw new AppError('Publish the event before importing registrations', 400);
+  }
+
+  const [headers, ...lines] = parseCsv(csv);
+  if (!headers || lines.length === 0) {
+    throw new AppError('The CSV needs a header row and at least one participant', 400);
+  }
+  if (lines.length > MAX_ROWS) {
+    throw new AppError(`At most ${MAX_ROWS} rows can be imported at once`, 400);
+  }
+
+  const mapping = requestedMapping ? { fields: {}, ...requestedMapping } : suggestMapping(headers, event);
+  if (!mapping.email || !headers.includes(mapping.email)) {
+    throw new AppError('Choose the column that holds participant emails', 400);
+  }
+  const column = (key) => headers.indexOf(mapping[key]);
+  const cell = (line, key) => (column(key) >= 0 ? line[column(key)] ?? '' : '').trim();
+
+  // Files can't come through a CSV, so file questions are left unanswered
+  const importableFields = event.customFields.filter(f => f.type !== 'file');
+
+  const emails = lines.map(line => cell(line, 'email').toLowerCase());
+  const users = await User.find({ email: { $in: emails.filter(Boolean) } });
+  const usersByEmail = new Map(users.map(u => [u.email, u]));
+  const registered = new Set((await Registration.find({
+    event: event._id,
+    participant: { $in: users.map(u => u._id) },
+    status: { $nin: ['cancelled', 'rejected'] }
+  }).select('participant')).map(r => r.participant.toString()));
+
+  let seatsLeft = event.registrationLimit ? event.registrationLimit - event.registrationCount : Infinity;
+  const tierSeatsLeft = new Map(event.ticketTiers.map(t => [t._id.toString(), t.capacity > 0 ? t.capacity - t.sold : Infinity]));
+  const firstRowFor = new Map();
+
+  const rows = lines.map((line, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const email = emails[index];
+    const errors = [];
+    const user = usersByEmail.get(email);
+    const data = {
+      email,
+      firstName: cell(line, 'firstName'),
+      lastName: cell(line, 'lastName'),
+      contactNumber: cell(line, 'contactNumber'),
+      collegeName: cell(line, 'collegeName')
+    };
+
+    if (!email) {
+      errors.push('Email is missing');
+    } else if (!EMAIL_REGEX.test(email)) {
+      errors.push(`"${email}" is not a valid email`);
+    } else if (firstRowFor.has(email)) {
+      errors.push(`Duplicate of row ${firstRowFor.get(email)}`);
+    } else {
+      firstRowFor.set(email, rowNumber);
+    }
+
+    let participantType;
+    if (user) {
+      participantType = user.participantType;
+      if (user.role !== 'participant') {
+        errors.push('Email belongs to an organizer or admin account');
+      } else if (registered.has(user._id.toString())) {
+        errors.push('Already registered for this event');
+      }
+    } else if (email) {
+      if (!data.firstName) errors.push('First name is needed to create an account');
+      if (data.contactNumber && !/^[0-9]{10}$/.test(data.contactNumber)) {
+        errors.push('Contact number must have 10 digits');
+      }
+      const isIiitEmail = IIIT_EMAIL_DOMAINS.includes(emailDomain(email));
+      participantType = parseParticipantType(cell(line, 'participantType'));
+      if (participantType === null) {
+        errors.push('Participant type must be "iiit" or "non-iiit"');
+      } else if (participantType === 'iiit' && !isIiitEmail) {
+        errors.push('IIIT participants need an IIIT email address');
+      } else if (participantType === 'non-iiit' && isIiitEmail) {
+        errors.push('External participants cannot use an IIIT email address');
+      }
+      participantType = participantType || (isIiitEmail ? 'iiit' : 'non-iiit');
+    }
+    data.participantType = participantType;
+
+    if (event.eligibility === 'iiit-only' && participantType && participantType !== 'iiit') {
+      errors.push('Event is only for IIIT students');
+    }
+    if (event.eligibility === 'non-iiit-only' && participantType === 'iiit') {
+      errors.push('Event is only for non-IIIT participants');
+    }
+
+    let tier = null;
+    if (event.ticketTiers.length) {
+      const tierName = cell(line, 'ticketTier').toLowerCase();
+      tier = event.ticketTiers.find(t => t.name.toLowerCase() === tierName);
+      if (!tier) {
+        errors.push(tierName ? `Unknown ticket tier "${cell(line, 'ticketTier')}"` : 'Ticket tier is missing');
+      } else if (tier.eligibility === 'iiit-only' && participantType !== 'iiit') {
+        errors.push(`${tier.name} tickets are only for IIIT students`);
+      } else if (tier.eligibility === 'non-iiit-only' && participantType === 'iiit') {
+        errors.push(`${tier.name} tickets are only for non-IIIT participants`);
+      }
+    }
+
+    const responses = Object.entries(mapping.fields || {})
+      .filter(([, header]) => headers.includes(header))
+      .map(([fieldId, header]) => {
+        const field = importableFields.find(f => f.fieldId === fieldId);
+        let value = (line[headers.indexOf(header)] ?? '').trim();
+        if (field?.type === 'checkbox') value = TRUE_VALUES.includes(value.toLowerCase()) ? 'true' : 'false';
+        return { fieldId, value };
+      });
+    try {
+      data.formResponses = validateFormResponses(importableFields, responses);
+    } catch (err) {
+      errors.push(err.message);
+    }
+
+    // Seats only go to rows that are otherwise valid, in file order
+    if (errors.length === 0) {
+      if (seatsLeft <= 0) {
+        errors.push(`Event is full (limit ${event.registrationLimit})`);
+      } else if (tier && tierSeatsLeft.get(tier._id.toString()) <= 0) {
+        errors.push(`${tier.name} tickets are sold out`);
+      } else {
+        seatsLeft--;
+        if (tier) tierSeatsLeft.set(tier._id.toString(), tierSeatsLeft.get(tier._id.toString()) - 1);
+      }
+    }
+
+    return {
+      row: rowNumber,
+      email,
+      name: user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : `${data.firstName} ${data.lastName}`.trim(),
+      account: user ? 'existing' : 'new',
+      tier: tier?.name,
+      errors,
+      user,
+      tierDoc: tier,
+      data
+    };
+  });
+
+  return { headers, mapping, rows };
+};
+
+// What the organizer sees for a row
+const rowSummary = ({ row, email, name, account, tier, errors }) => ({ row, email, name, account, tier, errors });
+
+const summarize = (rows) => ({
+  total: rows.length,
+  valid: rows.filter(r => r.errors.length === 0).length,
+  invalid: rows.filter(r => r.errors.length > 0).length,
+  newAccounts: rows.filter(r => r.errors.length === 0 && r.account === 'new').length
+});
+
+/**
+ * An existing participant, or a placeholder account for a new email
+ */
+const resolveParticipant = async ({ user, data }) => {
+  if (user) return user;
+  try {
+    return await User.create({
+      email: data.email,
+      password: crypto.randomBytes(24).toString('base64url'),
+      firstName: data.firstName,
+      lastName: data.lastName,
+      participantType: data.participantType,
+      collegeName: data.participantType === 'iiit' ? 'IIIT Hyderabad' : data.collegeName,
+      contactNumber: data.contactNumber || undefined,
+      role: 'participant',
+      isPlaceholder: true
+    });
+  } catch (err) {
+    // Signed up between the preview and now
+    if (err.code === 11000) return User.findOne({ email: data.email });
+    throw err;
+  }
+};
+
+/**
+ * Claim an event seat (and tier seat) for one row; false when none is left
+ */
+const claimSeat = async (event, tier) => {
+  const filter = event.registrationLimit
+    ? { _id: event._id, registrationCount: { $lt: event.registrationLimit } }
+    : { _id: event._id };
+  const claimed = await Event.updateOne(filter, { $inc: { registrationCount: 1 } });
+  if (!claimed.modifiedCount) return false;
+
+  if (tier) {
+    const tierFilter = tier.capacity > 0
+      ? { _id: event._id, ticketTiers: { $elemMatch: { _id: tier._id, sold: { $lt: tier.capacity } } } }
+      : { _id: event._id, 'ticketTiers._id': tier._id };
+    const tierClaimed = await Event.updateOne(tierFilter, { $inc: { 'ticketTiers.$.sold': 1 } });
+    if (!tierClaimed.modifiedCount) {
+      await Event.updateOne({ _id: event._id }, { $inc: { registrationCount: -1 } });
+      return false;
+    }
+  }
+  return true;
+};
+
+const importService = {
+  /**
+   * Dry run: the mapping used (suggested from the headers when none is given)
+   * and every row with its problems.
+   */
+  preview: async (event, options) => {
+    const { headers, mapping, rows } = await planImport(event, options);
+    return { columns: headers, mapping, rows: rows.map(rowSummary), summary: summarize(rows) };
+  },
+
+  /**
+   * Import the rows that pass the checks; rows with problems are skipped and
+   * reported. Offline registrations count as paid at the ticket price.
+   *
+   * @returns {{ rows, summary, imported: Array<{ registration, participant }> }}
+   */
+  commit: async (event, options, organizerId) => {
+    const { mapping, rows } = await planImport(event, options);
+    const imported = [];
+
+    for (const row of rows) {
+      if (row.errors.length) continue;
+
+      const participant = await resolveParticipant(row);
+      if (participant.role !== 'participant') {
+        row.errors.push('Email belongs to an organizer or admin account');
+        continue;
+      }
+      if (!(await claimSeat(event, row.tierDoc))) {
+        row.errors.push(row.tierDoc ? `Event or ${row.tierDoc.name} tickets filled up during the import` : 'Event filled up during the import');
+        continue;
+      }
+
+      const price = row.tierDoc ? row.tierDoc.price : event.registrationFee || 0;
+      const registration = new Registration({
+        event: event._id,
+        participant: participant._id,
+        registrationType: 'normal',
+        formResponses: row.data.formResponses,
+        formVersion: event.formVersion,
+        ticketTier: row.tierDoc ? { tierId: row.tierDoc._id, name: row.tierDoc.name, price: row.tierDoc.price } : undefined,
+        status: 'confirmed',
+        paymentStatus: price > 0 ? 'approved' : 'not_required',
+        totalAmount: price,
+        source: 'import',
+        importedBy: organizerId
+      });
+      registration.qrCodeData = await generateTicketQR(registration, event, participant);
+      await registration.save();
+
+      row.ticketId = registration.ticketId;
+      imported.push({ registration, participant });
+    }
+
+    if (imported.length) {
+      await Event.updateOne({ _id: event._id }, { formLocked: true });
+    }
+
+    return {
+      mapping,
+      rows: rows.map(r => ({ ...rowSummary(r), ticketId: r.ticketId })),
+      summary: { ...summarize(rows), imported: imported.length },
+      imported
+    };
+  },
+
+  /**
+   * Email tickets for imported registrations, one after another. Called
+   * without awaiting so a large import doesn't wait on SMTP.
+   */
+  sendTickets: async (event, imported) => {
+    for (const { registration, participant } of imported) {
+      try {
+        await sendRegistrationEmail(participant, event, registration);
+        registration.confirmationEmailSent = true;
+        await registration.save();
+      } catch (e) {
+        console.error('Failed to send imported ticket email:', e);
+      }
+    }
+  }
+};
+
+export default importService;
@@ -0,0 +1,166 @@
+/**
+ * Login Throttle Service (Backend)
+ *
+ * Counts failed logins per client IP and per account (models/LoginThrottle.js)
+ * in MongoDB, so every backend instance sees the same counts.
+ *
+ * - After CAPTCHA_AFTER_FAILURES failures from an IP or on an account the
+ *   login form needs a CAPTCHA.
+ * - After ACCOUNT_LOCK_AFTER failures on an account it is locked: one minute
+ *   the first time, doubling with each further lockout up to a day. IPs are
+ *   never locked, since many people can share one (a campus network, a
+ *   proxy) and one of them could otherwise lock out the rest.
+ * - Failures older than FAILURE_WINDOW_MS start the count again; a key is
+ *   forgotten, lockout history included, a day after its last failure.
+ * - A completed login clears the account's count (not the IP's, so one
+ *   working account can't be used to reset the IP's count). With two-factor
+ *   authentication on that is after the code, and wrong codes count as
+ *   failures too.
+ */
+
+import LoginThrottle from '../models/LoginThrottle.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const CAPTCHA_AFTER_FAILURES = 3;
+const ACCOUNT_LOCK_AFTER = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 24 * 60 * 60 * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const MAX_LIMIT = 100;
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const keysFor = ({ ip, email }) => [
+  { kind: 'ip', value: ip || 'unknown' },
+  ...(normalizeEmail(email) ? [{ kind: 'account', value: normalizeEmail(email) }] : [])
+];
+
+const isLocked = (entry, now = Date.now()) => !!entry?.lockedUntil && entry.lockedUntil.getTime() > now;
+
+const recentFailures = (entry, now = Date.now()) =>
+  entry?.lastFailureAt && now - entry.lastFailureAt.getTime() < FAILURE_WINDOW_MS ? entry.failures : 0;
+
+// What the login form needs to know, from the IP's and the account's entries
+const summarize = (entries) => {
+  const now = Date.now();
+  const locked = entries.filter(entry => entry?.kind === 'account' && isLocked(entry, now));
+  return {
+    lockedUntil: locked.length ? new Date(Math.max(...locked.map(entry => entry.lockedUntil.getTime()))) : null,
+    captchaRequired: entries.some(entry => entry && (entry.lockouts > 0 || recentFailures(entry, now) >= CAPTCHA_AFTER_FAILURES))
+  };
+};
+
+const recordKeyFailure = async ({ kind, value }, ip) => {
+  const now = new Date();
+  const key = { kind, value };
+
+  // Start counting again once the last failure is outside the window
+  await LoginThrottle.updateOne(
+    { ...key, lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+    { $set: { failures: 0 } }
+  );
+
+  const update = {
+    $inc: { failures: 1 },
+    $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + FORGET_AFTER_MS), ...(kind === 'account' && { lastIp: ip }) }
+  };
+  let entry;
+  try {
+    entry = await LoginThrottle.findOneAndUpdate(key, update, { upsert: true, new: true, setDefaultsOnInsert: true });
+  } catch (err) {
+    // Two first failures raced to create the entry; the loser updates it
+    if (err.code !== 11000) throw err;
+    entry = await LoginThrottle.findOneAndUpdate(key, update, { new: true });
+  }
+
+  if (kind === 'account' && entry.failures >= ACCOUNT_LOCK_AFTER) {
+    const lockMs = Math.min(BASE_LOCK_MS * 2 ** entry.lockouts, MAX_LOCK_MS);
+    const lockedUntil = new Date(now.getTime() + lockMs);
+    // Only one of several parallel failures turns the count into a lockout
+    entry = await LoginThrottle.findOneAndUpdate(
+      { _id: entry._id, failures: { $gte: ACCOUNT_LOCK_AFTER } },
+      {
+        $set: { failures: 0, lockedUntil, lastLockedAt: now, expiresAt: new Date(lockedUntil.getTime() + FORGET_AFTER_MS) },
+        $inc: { lockouts: 1 }
+      },
+      { new: true }
+    ) || await LoginThrottle.findById(entry._id);
+  }
+  return entry;
+};
+
+const loginThrottleService = {
+  /**
+   * Whether this IP/account may try to log in now, and if it needs a CAPTCHA
+   *
+   * @returns {Promise<{ lockedUntil: Date|null, captchaRequired: boolean }>}
+   */
+  check: async ({ ip, email }) => {
+    const entries = await Promise.all(keysFor({ ip, email }).map(key => LoginThrottle.findOne(key)));
+    return summarize(entries);
+  },
+
+  /**
+   * Count a failed login against the IP and the account
+   *
+   * @returns {Promise<{ lockedUntil: Date|null, captchaRequired: boolean }>} state for the next attempt
+   */
+  recordFailure: async ({ ip, email }) => {
+    const entries = [];
+    for (const key of keysFor({ ip, email })) {
+      entries.push(await recordKeyFailure(key, ip));
+    }
+    return summarize(entries);
+  },
+
+  /**
+   * A completed login: forget the account's failures
+   */
+  recordSuccess: async ({ email }) => {
+    if (!normalizeEmail(email)) return;
+    await LoginThrottle.deleteOne({ kind: 'account', value: normalizeEmail(email) });
+  },
+
+  /**
+   * Accounts that have been locked out, most recent first
+   *
+   * @param {Object} query - { active: 'true' for current lockouts only, page, limit }
+   */
+  list: async ({ active, page = 1, limit = 50 } = {}) => {
+    const filter = { kind: 'account', lockouts: { $gt: 0 } };
+    if (active === 'true' || active === true) filter.lockedUntil = { $gt: new Date() };
+
+    const pageNum = Math.max(1, parseInt(page, 10) || 1);
+    const limitNum = Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || 50));
+
+    const [lockouts, total] = await Promise.all([
+      LoginThrottle.find(filter).sort({ lastLockedAt: -1 }).skip((pageNum - 1) * limitNum).limit(limitNum).lean(),
+      LoginThrottle.countDocuments(filter)
+    ]);
+
+    const now = Date.now();
+    return {
+      lockouts: lockouts.map(entry => ({ ...entry, locked: isLocked(entry, now) })),
+      total,
+      page: pageNum,
+      pages: Math.ceil(total / limitNum)
+    };
+  },
+
+  /**
+   * Lift a lockout and forget the key's history
+   *
+   * @returns {Promise<Object>} the removed entry
+   */
+  unlock: async (id) => {
+    const entry = await LoginThrottle.findByIdAndDelete(id);
+    if (!entry) {
+      throw new AppError('Lockout not found', 404);
+    }
+    return entry;
+  }
+};
+
+export default loginThrottleService;
@@ -0,0 +1,262 @@
+/**
+ * Notification Service
+ *
+ * The one place notifications go out. Every notification has a type (see
+ * Notification.type) and each user picks, per type, the channels it reaches
+ * them on (NotificationPreference):
+ * - inApp: a Notification document, pushed over the realtime stream
+ * - email: an email through the queue; callers with a richer email than the
+ *   title and message pass it as `email`
+ * - digest: a DigestEntry, mailed with the rest of the day's in one email at
+ *   DIGEST_HOUR
+ *
+ * Emails that deliver a ticket or confirm an order (registration, waitlist
+ * promotion, order placed) are sent directly by their services and are not
+ * governed by preferences.
+ *
+ * Dispatch never throws: a failed notification must not fail the action that
+ * triggered it.
+ */
+
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import NotificationPreference from '../models/NotificationPreference.js';
+import DigestEntry from '../models/DigestEntry.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import emailService from './emailService.js';
+import realtimeService from './realtimeService.js';
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'digest'];
+
+// Labels for the preferences screen, in display order
+export const NOTIFICATION_TYPE_LABELS = {
+  announcement: { label: 'Announcements', description: 'Organizer announcements for events you registered for' },
+  discussion_reply: { label: 'Replies', description: 'Replies to your messages in event discussions' },
+  discussion_message: { label: 'Discussion messages', description: 'New messages in event discussions' },
+  registration: { label: 'Registrations', description: 'Registration confirmations and waitlist updates' },
+  payment_update: { label: 'Payments & refunds', description: 'Payment reviews, expired reservations and refunds' },
+  event_update: { label: 'Event updates', description: 'Registration closing, event start and end, and staff roles' },
+  reminder: { label: 'Event reminders', description: 'Reminders before events you registered for, with your ticket' },
+  attendance: { label: 'Attendance', description: 'Check-ins at events' }
+};
+
+// Everything shows in-app; email only for what was already emailed before
+// preferences existed
+export const DEFAULT_CHANNELS = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+  inApp: true,
+  email: ['payment_update', 'reminder'].includes(type),
+  digest: false
+}]));
+
+// Server local hour the daily digest goes out at
+export const DIGEST_HOUR = Math.min(Math.max(parseInt(process.env.NOTIFICATION_DIGEST_HOUR ?? '8', 10) || 0, 0), 23);
+
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Titles and messages carry user text (event names, discussion posts), so
+// everything interpolated into email HTML is escaped
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const channelsFor = (pref, type) => {
+  const stored = pref?.channels?.[type] || {};
+  return Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [
+    channel,
+    typeof stored[channel] === 'boolean' ? stored[channel] : DEFAULT_CHANNELS[type][channel]
+  ]));
+};
+
+const resolve = (pref) => Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, channelsFor(pref, type)]));
+
+const notificationEmail = (user, { title, message, link }) => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>${escapeHtml(title)}</h1><p>Felicity</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${escapeHtml(user.firstName)}</strong>,</p>
+      <p>${escapeHtml(message)}</p>
+      ${link ? `<p><a href="${escapeHtml(frontendUrl() + link)}">Open in Felicity</a></p>` : ''}
+      <p style="font-size:12px;color:#666">You can choose which notifications you get by email in your Felicity profile.</p>
+    </div>
+  </div>
+`;
+
+const DIGEST_MAX_ITEMS = 50;
+
+const digestEmail = (user, entries) => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>📬 Your daily digest</h1><p>${entries.length} update${entries.length === 1 ? '' : 's'} from Felicity</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${escapeHtml(user.firstName)}</strong>, here's what happened since your last digest:</p>
+      ${entries.slice(0, DIGEST_MAX_ITEMS).map(entry => `
+        <div style="background:#fff;border-left:4px solid #667eea;padding:12px 16px;margin:12px 0;border-radius:4px">
+          <p style="margin:0 0 4px"><strong>${entry.link ? `<a href="${escapeHtml(frontendUrl() + entry.link)}">${escapeHtml(entry.title)}</a>` : escapeHtml(entry.title)}</strong></p>
+          <p style="margin:0 0 4px">${escapeHtml(entry.message)}</p>
+          <p style="margin:0;font-size:12px;color:#666">${new Date(entry.createdAt).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}</p>
+        </div>`).join('')}
+      ${entries.length > DIGEST_MAX_ITEMS ? `<p>…and ${entries.length - DIGEST_MAX_ITEMS} more. <a href="${frontendUrl()}">Open Felicity</a> to see them all.</p>` : ''}
+      <p style="font-size:12px;color:#666">You can choose what goes into your digest in your Felicity profile.</p>
+    </div>
+  </div>
+`;
+
+/**
+ * The latest digest time at or before `now`
+ */
+const lastDigestTime = (now) => {
+  const at = new Date(now);
+  at.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (at > now) at.setDate(at.getDate() - 1);
+  return at;
+};
+
+let workerStarted = false;
+
+const notificationService = {
+  /**
+   * Send one notification to each recipient on the channels they chose for
+   * its type
+   *
+   * @param {Object} notification
+   * @param {Array} notification.recipients - user ids (duplicates are dropped)
+   * @param {Function} [notification.email] - (user) => { subject, html, attachments }
+   *   for recipients getting it by email; defaults to a plain email of the
+   *   title and message
+   */
+  dispatch: async ({ recipients, type, title, message, link, event, sender, email }) => {
+    try {
+      const ids = [...new Set((recipients || []).filter(Boolean).map(id => id.toString()))];
+      if (ids.length === 0) return;
+
+      const prefs = await NotificationPreference.find({ user: { $in: ids } }).select(`user channels.${type}`).lean();
+      const byUser = new Map(prefs.map(pref => [pref.user.toString(), pref]));
+      const route = Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, []]));
+      for (const id of ids) {
+        const channels = channelsFor(byUser.get(id), type);
+        NOTIFICATION_CHANNELS.forEach(channel => channels[channel] && route[channel].push(id));
+      }
+
+      const content = { type, title, message: message.slice(0, 500), link, event };
+
+      if (route.inApp.length) {
+        const created = await Notification.insertMany(route.inApp.map(recipient => ({ recipient, ...content, sender })));
+        created.forEach(n => realtimeService.publishToUser(n.recipient, 'notification', n));
+      }
+
+      if (route.digest.length) {
+        await DigestEntry.insertMany(route.digest.map(recipient => ({ recipient, ...content })));
+      }
+
+      if (route.email.length) {
+        const users = await User.find({ _id: { $in: route.email } }).select('firstName email');
+        for (const user of users) {
+          try {
+            const mail = email ? email(user) : { subject: title, html: notificationEmail(user, content) };
+            await emailService.enqueue({ to: user.email, ...mail });
+          } catch (e) {
+            console.error('Failed to enqueue notification email:', e);
+          }
+        }
+      }
+    } catch (err) {
+      console.error('Failed to dispatch notification:', err.message);
+    }
+  },
+
+  /**
+   * A user's channels for every type, defaults filled in
+   */
+  getPreferences: async (userId) => {
+    const pref = await NotificationPreference.findOne({ user: userId }).lean();
+    return resolve(pref);
+  },
+
+  /**
+   * Change some of a user's channels
+   *
+   * @param {Object} changes - { [type]: { [channel]: boolean } }
+   */
+  updatePreferences: async (userId, changes) => {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new AppError('Preferences must be an object of notification types', 400);
+    }
+    const set = {};
+    for (const [type, channels] of Object.entries(changes)) {
+      if (!NOTIFICATION_TYPES.includes(type)) throw new AppError(`Unknown notification type: ${type}`, 400);
+      if (!channels || typeof channels !== 'object') throw new AppError(`Channels for ${type} must be an object`, 400);
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) throw new AppError(`Unknown notification channel: ${channel}`, 400);
+        if (typeof enabled !== 'boolean') throw new AppError(`${type}.${channel} must be true or false`, 400);
+        set[`channels.${type}.${channel}`] = enabled;
+      }
+    }
+
+    const pref = await NotificationPreference.findOneAndUpdate(
+      { user: userId },
+      // The first digest covers what arrives after the user starts choosing
+      { $set: set, $setOnInsert: { digestLastSentAt: new Date() } },
+      { new: true, upsert: true, lean: true }
+    );
+    return resolve(pref);
+  },
+
+  /**
+   * Mail each user with pending digest entries their digest, once per day.
+   * The user's digestLastSentAt is claimed before sending, so parallel
+   * instances never send the same digest twice.
+   *
+   * @returns {Promise<number>} digests sent
+   */
+  sendDigests: async (now = new Date()) => {
+    const due = lastDigestTime(now);
+    let sent = 0;
+    const recipients = await DigestEntry.distinct('recipient', { createdAt: { $lte: now } });
+
+    for (const recipient of recipients) {
+      const claimed = await NotificationPreference.findOneAndUpdate(
+        { user: recipient, digestLastSentAt: { $lt: due } },
+        { digestLastSentAt: now }
+      );
+      if (!claimed) continue;
+
+      const entries = await DigestEntry.find({ recipient, createdAt: { $lte: now } }).sort({ createdAt: 1 }).lean();
+      const user = await User.findById(recipient).select('firstName email');
+      if (user && entries.length) {
+        try {
+          await emailService.enqueue({
+            to: user.email,
+            subject: `📬 Your Felicity digest — ${entries.length} update${entries.length === 1 ? '' : 's'}`,
+            html: digestEmail(user, entries)
+          });
+          sent++;
+        } catch (e) {
+          // Keep the entries for tomorrow's digest
+          console.error('Failed to enqueue digest email:', e);
+          continue;
+        }
+      }
+      await DigestEntry.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+    }
+    return sent;
+  },
+
+  /**
+   * Check for due digests periodically
+   */
+  startWorker: (intervalMs = 10 * 60 * 1000) => {
+    if (workerStarted) return;
+    workerStarted = true;
+    setInterval(() => {
+      notificationService.sendDigests().catch(err => console.error('Digest worker error:', err));
+    }, intervalMs);
+  }
+};
+
+export default notificationService;
@@ -0,0 +1,381 @@
+/**
+ * Order Service (Backend)
+ *
+ * Cart pricing, checkout and order-wide payment review.
+ *
+ * Stock is reserved per variant with a conditional $inc at checkout, so two
+ * shoppers can never both take the last item. If any line can't be reserved,
+ * the lines already reserved are given back and checkout fails as a whole.
+ */
+
+import Event, { OPEN_STATUSES } from '../models/Event.js';
+import Order from '../models/Order.js';
+import Registration from '../models/Registration.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { generateTicketQR } from '../utils/qrcode.js';
+import { createNotification } from '../controllers/notificationController.js';
+import emailService from './emailService.js';
+
+const itemsHtml = (order) => order.items.map(i => `
+  <tr>
+    <td style="padding:6px 0">${i.eventName} — ${i.variantDetails?.name || 'Item'}${i.variantDetails?.size ? ` (${i.variantDetails.size})` : ''}</td>
+    <td style="padding:6px 0;text-align:center">x${i.quantity}</td>
+    <td style="padding:6px 0;text-align:right">₹${i.lineTotal}</td>
+  </tr>`).join('');
+
+const orderEmail = (title, participant, order, body, extra = '') => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#11998e,#38ef7d);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>${title}</h1><p>Felicity Merchandise</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${participant.firstName}</strong>,</p>
+      <p>${body}</p>
+      <div style="background:#fff;border:2px dashed #11998e;padding:20px;margin:20px 0;border-radius:10px">
+        <p><strong>Order:</strong> ${order.orderNumber}</p>
+        <table style="width:100%;font-size:14px">${itemsHtml(order)}</table>
+        <p style="font-size:18px;font-weight:bold;margin-top:12px">Total: ₹${order.totalAmount}</p>
+      </div>
+      ${extra}
+    </div>
+  </div>
+`;
+
+const orderService = {
+  /**
+   * Price a cart and flag lines that can't be bought right now.
+   */
+  summarizeCart: async (cart) => {
+    const eventIds = [...new Set((cart?.items || []).map(i => i.event.toString()))];
+    const events = await Event.find({ _id: { $in: eventIds } })
+      .populate('organizer', 'organizerName');
+    const byId = new Map(events.map(e => [e._id.toString(), e]));
+    const now = new Date();
+
+    const items = (cart?.items || []).map(item => {
+      const event = byId.get(item.event.toString());
+      const variant = event?.variants.id(item.variantId);
+      let problem = null;
+      if (!event || !variant) problem = 'No longer available';
+      else if (!OPEN_STATUSES.includes(event.status)) problem = 'Not on sale';
+      else if (now > event.registrationDeadline) problem = 'Sales closed';
+      else if (variant.stock < item.quantity) problem = variant.stock > 0 ? `Only ${variant.stock} left` : 'Out of stock';
+
+      return {
+        _id: item._id,
+        quantity: item.quantity,
+        event: event ? {
+          _id: event._id,
+          name: event.name,
+          organizer: event.organizer,
+          purchaseLimit: event.purchaseLimit
+        } : null,
+        variant: variant ? {
+          _id: variant._id,
+          name: variant.name,
+          size: variant.size,
+          color: variant.color,
+          price: variant.price,
+          stock: variant.stock
+        } : null,
+        lineTotal: variant ? variant.price * item.quantity : 0,
+        problem
+      };
+    });
+
+    return {
+      items,
+      totalAmount: items.reduce((sum, i) => sum + i.lineTotal, 0)
+    };
+  },
+
+  /**
+   * Turn a cart into one order. Throws AppError if anything can't be bought;
+   * on success the cart is emptied.
+   */
+  checkout: async (participant, cart) => {
+    if (!cart?.items.length) {
+      throw new AppError('Your cart is empty', 400);
+    }
+
+    const eventIds = [...new Set(cart.items.map(i => i.event.toString()))];
+    const events = await Event.find({ _id: { $in: eventIds } });
+    const byId = new Map(events.map(e => [e._id.toString(), e]));
+    const now = new Date();
+
+    // Validate every line before touching stock
+    let organizer = null;
+    const lines = cart.items.map(item => {
+      const event = byId.get(item.event.toString());
+      if (!event || event.eventType !== 'merchandise') {
+        throw new AppError('An item in your cart is no longer available', 400);
+      }
+      if (!OPEN_STATUSES.includes(event.status)) {
+        throw new AppError(`${event.name} is not available for purchase`, 400);
+      }
+      if (now > event.registrationDeadline) {
+        throw new AppError(`Purchase deadline has passed for ${event.name}`, 400);
+      }
+      const variant = event.variants.id(item.variantId);
+      if (!variant) {
+        throw new AppError(`An item from ${event.name} no longer exists`, 400);
+      }
+      if (organizer && !organizer.equals(event.organizer)) {
+        throw new AppError('All items in one checkout must be from the same organizer', 400);
+      }
+      organizer = event.organizer;
+      return { event, variant, quantity: item.quantity };
+    });
+
+    // purchaseLimit is per event, across earlier purchases and this cart
+    const existing = await Registration.aggregate([
+      { $match: { event: { $in: events.map(e => e._id) }, participant: participant._id, status: { $ne: 'cancelled' } } },
+      { $group: { _id: '$event', totalQuantity: { $sum: '$quantity' } } }
+    ]);
+    const boughtByEvent = new Map(existing.map(e => [e._id.toString(), e.totalQuantity]));
+    for (const event of events) {
+      const inCart = lines.filter(l => l.event._id.equals(event._id)).reduce((sum, l) => sum + l.quantity, 0);
+      const already = boughtByEvent.get(event._id.toString()) || 0;
+      if (already + inCart > event.purchaseLimit) {
+        throw new AppError(`Purchase limit for ${event.name} is ${event.purchaseLimit} items per person${already ? ` (you already have ${already})` : ''}`, 400);
+      }
+    }
+
+    // Reserve stock line by line; undo everything on the first failure
+    const reserved = [];
+    for (const line of lines) {
+      const result = await Event.updateOne(
+        { _id: line.event._id, variants: { $elemMatch: { _id: line.variant._id, stock: { $gte: line.quantity } } } },
+        { $inc: { 'variants.$.stock': -line.quantity } }
+      );
+      if (!result.modifiedCount) {
+        await Promise.all(reserved.map(l => Event.updateOne(
+          { _id: l.event._id, 'variants._id': l.variant._id },
+          { $inc: { 'variants.$.stock': l.quantity } }
+        )));
+        throw new AppError(`Not enough stock for ${line.variant.name} (${line.event.name})`, 400);
+      }
+      reserved.push(line);
+    }
+
+    const totalAmount = lines.reduce((sum, l) => sum + l.variant.price * l.quantity, 0);
+    const paid = totalAmount > 0;
+
+    // The order holds stock for the shortest hold window among its events
+    const expiries = paid ? events.map(e => e.reservationExpiry()).filter(Boolean) : [];
+    const reservationExpiresAt = expiries.length ? new Date(Math.min(...expiries)) : undefined;
+
+    const order = new Order({
+      participant: participant._id,
+      organizer,
+      totalAmount,
+      status: paid ? 'pending' : 'confirmed',
+      paymentStatus: paid ? 'pending' : 'not_required',
+      paymentMode: events.every(e => e.paymentMode === 'gateway') ? 'gateway' : 'manual',
+      reservationExpiresAt
+    });
+
+    for (const line of lines) {
+      const variantDetails = {
+        name: line.variant.name,
+        size: line.variant.size,
+        color: line.variant.color,
+        price: line.variant.price
+      };
+      const registration = await Registration.create({
+        event: line.event._id,
+        participant: participant._id,
+        registrationType: 'merchandise',
+        selectedVariant: line.variant._id,
+        variantDetails,
+        quantity: line.quantity,
+        totalAmount: line.variant.price * line.quantity,
+        order: order._id,
+        status: paid ? 'pending' : 'confirmed',
+        paymentStatus: paid ? 'pending' : 'not_required',
+        reservationExpiresAt
+      });
+
+      // Free lines are confirmed immediately, like a free single purchase
+      if (!paid) {
+        registration.qrCodeData = await generateTicketQR(registration, line.event, participant);
+        await registration.save();
+        await Event.updateOne(
+          { _id: line.event._id, 'variants._id': line.variant._id },
+          { $inc: { 'variants.$.sold': line.quantity } }
+        );
+      }
+
+      order.items.push({
+        registration: registration._id,
+        event: line.event._id,
+        eventName: line.event.name,
+        variantId: line.variant._id,
+        variantDetails,
+        quantity: line.quantity,
+        lineTotal: registration.totalAmount
+      });
+    }
+    await order.save();
+
+    // One registration per line
+    for (const event of events) {
+      const count = lines.filter(l => l.event._id.equals(event._id)).length;
+      await Event.updateOne({ _id: event._id }, {
+        $inc: { registrationCount: count },
+        $push: { recentRegistrations: { $each: [{ timestamp: new Date() }], $slice: -200 } }
+      });
+    }
+
+    cart.items = [];
+    await cart.save();
+
+    try {
+      const html = paid
+        ? orderEmail('🛍️ Order Placed!', participant, order, 'Your order has been placed.',
+          `<div style="background:#fff3cd;border:1px solid #ffc107;padding:15px;border-radius:5px">
+             <strong>⚠️ Action Required:</strong> ${order.paymentMode === 'gateway'
+               ? 'Complete the online payment (Pay Online) on the Order page to confirm it.'
+               : 'Upload one payment proof for the whole order on the Order page. It stays pending until the organizer approves the payment.'}
+             ${reservationExpiresAt ? `<br/><br/>Your items are reserved until <strong>${reservationExpiresAt.toLocaleString()}</strong>. If payment isn't completed by then, the order is cancelled automatically.` : ''}
+           </div>`)
+        : orderEmail('🛍️ Order Confirmed!', participant, order, 'Your order is confirmed. Your QR codes are on the Order page.');
+      await emailService.enqueue({
+        to: participant.email,
+        subject: paid ? `🛍️ Order ${order.orderNumber} — ${order.paymentMode === 'gateway' ? 'Complete Payment' : 'Upload Payment Proof'}` : `🛍️ Order ${order.orderNumber} Confirmed`,
+        html
+      });
+    } catch (e) {
+      console.error('Failed to enqueue order email:', e);
+    }
+
+    return order;
+  },
+
+  /**
+   * Attach one payment proof to the order and every line registration.
+   */
+  submitProof: async (order, proofPath) => {
+    if (order.paymentMode === 'gateway') {
+      throw new AppError('This order is paid online. Use Pay Online instead of uploading a proof.', 400);
+    }
+    if (order.paymentStatus === 'expired' || (order.reservationExpiresAt && order.reservationExpiresAt <= new Date())) {
+      throw new AppError('This order\'s reservation has expired. Please place a new order.', 400);
+    }
+    order.paymentProof = proofPath;
+    order.paymentStatus = 'pending';
+    order.status = 'pending';
+    order.reservationExpiresAt = undefined;
+    await order.save();
+    await Registration.updateMany(
+      { order: order._id },
+      {
+        $set: { paymentProof: proofPath, paymentStatus: 'pending', status: 'pending' },
+        $unset: { reservationExpiresAt: 1 }
+      }
+    );
+  },
+
+  /**
+   * Approve or reject a pending order as a whole.
+   */
+  review: async (order, action, reviewerId) => {
+    if (order.paymentStatus !== 'pending') {
+      throw new AppError('Payment is not in pending state', 400);
+    }
+
+    const registrations = await Registration.find({ order: order._id })
+      .populate('event')
+      .populate('participant', 'firstName lastName email');
+    const participant = registrations[0]?.participant;
+    const attachments = [];
+
+    for (const registration of registrations) {
+      if (action === 'approve') {
+        registration.paymentStatus = 'approved';
+        registration.status = 'confirmed';
+        try {
+          registration.qrCodeData = await generateTicketQR(registration, registration.event, registration.participant);
+          attachments.push({
+            filename: `${registration.ticketId}.png`,
+            content: Buffer.from(registration.qrCodeData.replace(/^data:image\/\w+;base64,/, ''), 'base64'),
+            contentType: 'image/png',
+            cid: `qr-${registration.ticketId}@felicity`
+          });
+        } catch (qrErr) {
+          console.error('Failed to generate QR code on order approval:', qrErr);
+        }
+        await Event.updateOne(
+          { _id: registration.event._id, 'variants._id': registration.selectedVariant },
+          { $inc: { 'variants.$.sold': registration.quantity } }
+        );
+      } else {
+        registration.paymentStatus = 'rejected';
+        registration.status = 'rejected';
+        // Give the reserved stock and the registration slot back
+        await Event.updateOne(
+          { _id: registration.event._id, 'variants._id': registration.selectedVariant },
+          { $inc: { 'variants.$.stock': registration.quantity, registrationCount: -1 } }
+        );
+      }
+      await registration.save();
+    }
+
+    order.paymentStatus = action === 'approve' ? 'approved' : 'rejected';
+    order.status = action === 'approve' ? 'confirmed' : 'rejected';
+    order.reviewedBy = reviewerId;
+    order.reviewedAt = new Date();
+    await order.save();
+
+    if (participant) {
+      const qrHtml = attachments.map(a => `
+          <div style="text-align:center;margin:12px 0">
+            <img src="cid:${a.cid}" alt="QR Code" style="width:160px;height:160px" />
+            <p style="font-size:12px;color:#666">${a.filename.replace('.png', '')}</p>
+          </div>`).join('');
+
+      await createNotification({
+        recipient: participant._id,
+        type: 'payment_update',
+        title: action === 'approve' ? `Order ${order.orderNumber} confirmed` : `Order ${order.orderNumber} rejected`,
+        message: action === 'approve'
+          ? 'Your payment was approved. Your QR codes are ready.'
+          : 'Your payment was rejected. You can place a new order.',
+        link: `/orders/${order._id}`,
+        email: (user) => ({
+          subject: action === 'approve' ? `✅ Payment Approved — ${order.orderNumber}` : `Payment Rejected — ${order.orderNumber}`,
+          html: action === 'approve'
+            ? orderEmail('✅ Order Confirmed!', user, order, 'Your payment has been approved and your order is confirmed!', qrHtml)
+            : orderEmail('Payment Rejected', user, order, 'Unfortunately, your payment for this order was rejected by the organizer. You may place a new order and upload a valid payment proof.'),
+          attachments
+        })
+      });
+    }
+
+    return registrations;
+  },
+
+  /**
+   * Participant cancels an order that hasn't been approved yet.
+   */
+  cancel: async (order) => {
+    if (order.status !== 'pending') {
+      throw new AppError('Only pending orders can be cancelled', 400);
+    }
+
+    const registrations = await Registration.find({ order: order._id, status: { $nin: ['cancelled', 'rejected'] } });
+    for (const registration of registrations) {
+      registration.status = 'cancelled';
+      await registration.save();
+      await Event.updateOne(
+        { _id: registration.event, 'variants._id': registration.selectedVariant },
+        { $inc: { 'variants.$.stock': registration.quantity, registrationCount: -1 } }
+      );
+    }
+
+    order.status = 'cancelled';
+    await order.save();
+  }
+};
+
+export default orderService;
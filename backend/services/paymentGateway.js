@@ -0,0 +1,141 @@
+/**
+ * Payment Gateway
+ *
+ * Provider abstraction for online payments (Razorpay/Stripe-style flow):
+ * 1. createSession() registers a payment with the provider and returns a
+ *    hosted checkout URL to redirect the participant to
+ * 2. the provider calls POST /api/payments/webhook/:provider with a signed body
+ * 3. parseWebhook() verifies the signature and normalizes the event to
+ *    { type: 'payment.succeeded' | 'payment.failed', sessionId, reference, amount, currency, paymentId }
+ *
+ * A provider is an object with { name, createSession, parseWebhook } and an
+ * optional refund({ paymentId, amount }) → { refundId }.
+ * Only the local mock provider ships here; real providers plug into `providers`.
+ * The active provider comes from PAYMENT_PROVIDER (default: mock).
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from '../middleware/errorHandler.js';
+
+// Signed webhooks older than this are rejected (replay protection)
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const webhookSecret = () => {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!process.env.JWT_SECRET) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET or JWT_SECRET must be set to verify payment webhooks');
+  }
+  return crypto.createHash('sha256').update(`felicity-payments:${process.env.JWT_SECRET}`).digest('hex');
+};
+
+/**
+ * Stripe-style signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+ */
+const sign = (body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const verifySignature = (body, header) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) {
+    throw new AppError('Missing webhook signature', 400);
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new AppError('Webhook signature expired', 400);
+  }
+  const expected = Buffer.from(sign(body, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    throw new AppError('Invalid webhook signature', 400);
+  }
+};
+
+/**
+ * Mock provider for development — hosts its own checkout page on this server
+ * (routes/paymentRoutes.js) and signs its webhooks like a real provider would.
+ * Sessions live in memory, so an unfinished mock checkout is lost on restart.
+ */
+const mockSessions = new Map();
+
+const mockProvider = {
+  name: 'mock',
+
+  createSession: async ({ amount, currency, reference, description, returnUrl, baseUrl }) => {
+    const sessionId = `mock_${uuidv4().replace(/-/g, '')}`;
+    mockSessions.set(sessionId, { sessionId, amount, currency, reference, description, returnUrl, createdAt: new Date() });
+    return { sessionId, redirectUrl: `${baseUrl}/api/payments/mock/${sessionId}` };
+  },
+
+  parseWebhook: (rawBody, headers) => {
+    verifySignature(rawBody, headers['x-mock-signature']);
+    const payload = JSON.parse(rawBody);
+    return {
+      type: payload.type,
+      sessionId: payload.data?.sessionId,
+      reference: payload.data?.reference,
+      amount: payload.data?.amount,
+      currency: payload.data?.currency,
+      paymentId: payload.data?.paymentId
+    };
+  },
+
+  getSession: (sessionId) => mockSessions.get(sessionId),
+
+  refund: async ({ paymentId, amount }) => {
+    if (!paymentId) {
+      throw new AppError('Payment has no provider payment ID', 400);
+    }
+    return { refundId: `rfnd_${uuidv4().replace(/-/g, '').slice(0, 16)}`, amount };
+  },
+
+  /**
+   * Finish a mock checkout: build the webhook the provider would send.
+   * Returns { body, signature } for the caller to deliver.
+   */
+  completeSession: (sessionId, succeeded) => {
+    const session = mockSessions.get(sessionId);
+    if (!session) {
+      throw new AppError('Checkout session not found', 404);
+    }
+    mockSessions.delete(sessionId);
+    const body = JSON.stringify({
+      id: `evt_${uuidv4().replace(/-/g, '')}`,
+      type: succeeded ? 'payment.succeeded' : 'payment.failed',
+      data: {
+        sessionId,
+        reference: session.reference,
+        amount: session.amount,
+        currency: session.currency,
+        paymentId: succeeded ? `pay_${uuidv4().replace(/-/g, '').slice(0, 16)}` : undefined
+      }
+    });
+    return { body, signature: sign(body), returnUrl: session.returnUrl };
+  }
+};
+
+const providers = {
+  mock: mockProvider
+};
+
+const paymentGateway = {
+  /**
+   * Provider by name, defaulting to PAYMENT_PROVIDER
+   */
+  provider: (name = process.env.PAYMENT_PROVIDER || 'mock') => {
+    const provider = providers[name];
+    if (!provider) {
+      throw new AppError(`Unknown payment provider: ${name}`, 400);
+    }
+    return provider;
+  },
+
+  /**
+   * Mock checkout is for development only
+   */
+  mockEnabled: () => (process.env.PAYMENT_PROVIDER || 'mock') === 'mock' && process.env.NODE_ENV !== 'production'
+};
+
+export default paymentGateway;
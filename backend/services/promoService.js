@@ -0,0 +1,104 @@
+/**
+ * Promo Service (Backend)
+ *
+ * Validates promo codes at checkout and keeps usage counts honest.
+ * A use is claimed atomically when a registration is created and released
+ * again if that registration is cancelled or its payment is rejected.
+ */
+
+import PromoCode from '../models/PromoCode.js';
+import Registration from '../models/Registration.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const promoService = {
+  /**
+   * Look up a code for an event and check every restriction.
+   * Throws AppError with a participant-facing message when the code can't be used.
+   *
+   * @returns {Promise<{ promo: PromoCode, discount: number }>}
+   */
+  resolve: async ({ code, event, participant, variantId, amount }) => {
+    const promo = await PromoCode.findOne({
+      code: String(code).trim().toUpperCase(),
+      organizer: event.organizer._id || event.organizer
+    });
+    if (!promo || !promo.isActive) {
+      throw new AppError('Invalid promo code', 400);
+    }
+
+    const now = new Date();
+    if (promo.validFrom && now < promo.validFrom) {
+      throw new AppError('This promo code is not active yet', 400);
+    }
+    if (promo.expiresAt && now > promo.expiresAt) {
+      throw new AppError('This promo code has expired', 400);
+    }
+    if (promo.maxUses > 0 && promo.usedCount >= promo.maxUses) {
+      throw new AppError('This promo code has reached its usage limit', 400);
+    }
+    if (promo.events.length && !promo.events.some(id => id.equals(event._id))) {
+      throw new AppError('This promo code is not valid for this event', 400);
+    }
+    if (promo.variants.length && !(variantId && promo.variants.some(id => id.equals(variantId)))) {
+      throw new AppError('This promo code is not valid for the selected item', 400);
+    }
+    if (promo.participantTypes.length && !promo.participantTypes.includes(participant.participantType)) {
+      throw new AppError('This promo code is not available for your account type', 403);
+    }
+    if (promo.participantTypes.length && !participant.emailVerified) {
+      throw new AppError('Please verify your email address to use this promo code', 403);
+    }
+
+    if (promo.perUserLimit > 0) {
+      const used = await Registration.countDocuments({
+        participant: participant._id,
+        'promo.promoId': promo._id,
+        status: { $ne: 'cancelled' }
+      });
+      if (used >= promo.perUserLimit) {
+        throw new AppError('You have already used this promo code', 400);
+      }
+    }
+
+    if (!amount || amount <= 0) {
+      throw new AppError('Promo codes only apply to paid registrations', 400);
+    }
+
+    return { promo, discount: promo.computeDiscount(amount) };
+  },
+
+  /**
+   * Claim one use. Returns false if the global cap was hit in the meantime.
+   */
+  claim: async (promo) => {
+    const filter = { _id: promo._id, isActive: true };
+    if (promo.maxUses > 0) filter.usedCount = { $lt: promo.maxUses };
+    const result = await PromoCode.updateOne(filter, { $inc: { usedCount: 1 } });
+    return result.modifiedCount > 0;
+  },
+
+  /**
+   * Give a use back when a registration stops counting (cancel / payment rejected).
+   */
+  release: async (registration) => {
+    if (!registration.promo?.promoId) return;
+    await PromoCode.updateOne(
+      { _id: registration.promo.promoId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  },
+
+  /**
+   * Snapshot stored on the Registration
+   */
+  snapshot: (promo, discount, originalAmount) => ({
+    promoId: promo._id,
+    code: promo.code,
+    discountType: promo.discountType,
+    discountValue: promo.discountValue,
+    discountAmount: discount,
+    originalAmount
+  })
+};
+
+export default promoService;
@@ -0,0 +1,95 @@
+/**
+ * Realtime Service (Backend)
+ *
+ * Server-Sent Events hub. Clients hold one long-lived response per channel:
+ * - `event:<eventId>`: discussion room (new messages, deletions, pins, reactions)
+ * - `user:<userId>`: personal notifications
+ *
+ * Subscriptions live in process memory, so this assumes a single API instance
+ * (as deployed on Render). Clients fall back to slow polling if the stream drops.
+ */
+
+const HEARTBEAT_MS = 25000;
+
+// channel -> Set<res>
+const channels = new Map();
+let heartbeat = null;
+
+const write = (res, type, data) => {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const startHeartbeat = () => {
+  if (heartbeat) return;
+  // Comment lines keep proxies from closing idle connections
+  heartbeat = setInterval(() => {
+    for (const subscribers of channels.values()) {
+      for (const res of subscribers) res.write(': ping\n\n');
+    }
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+};
+
+const publish = (channel, type, data) => {
+  const subscribers = channels.get(channel);
+  if (!subscribers) return;
+  for (const res of subscribers) {
+    try {
+      write(res, type, data);
+    } catch (err) {
+      console.error('SSE write failed:', err.message);
+    }
+  }
+};
+
+const realtimeService = {
+  /**
+   * Open an SSE response and register it on the given channel.
+   * The subscription is removed when the client disconnects.
+   */
+  subscribe: (req, res, channel) => {
+    req.socket.setTimeout(0);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    // Tell EventSource how long to wait before reconnecting
+    res.write('retry: 5000\n\n');
+    write(res, 'ready', { channel });
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(res);
+    startHeartbeat();
+
+    req.on('close', () => {
+      const subscribers = channels.get(channel);
+      if (!subscribers) return;
+      subscribers.delete(res);
+      if (subscribers.size === 0) channels.delete(channel);
+    });
+  },
+
+  /**
+   * Broadcast to everyone viewing an event's discussion.
+   */
+  publishToEvent: (eventId, type, data) => publish(`event:${eventId}`, type, data),
+
+  /**
+   * Deliver to every open tab of one user.
+   */
+  publishToUser: (userId, type, data) => publish(`user:${userId}`, type, data),
+
+  /**
+   * Connection counts, for monitoring.
+   */
+  stats: () => {
+    let connections = 0;
+    for (const subscribers of channels.values()) connections += subscribers.size;
+    return { channels: channels.size, connections };
+  }
+};
+
+export default realtimeService;
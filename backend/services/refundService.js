@@ -0,0 +1,222 @@
+/**
+ * Refund Service (Backend)
+ *
+ * Refund requests for cancelled paid registrations, priced by the event's
+ * refund policy, and the organizer transitions that settle them. Every
+ * transition notifies the participant (in-app and by email, unless they
+ * turned payment updates off).
+ *
+ * Transitions are claimed with a conditional update on the current status,
+ * so a double click (or two organizers) can't approve or pay out twice.
+ */
+
+import Refund from '../models/Refund.js';
+import Order from '../models/Order.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { createNotification } from '../controllers/notificationController.js';
+import paymentGateway from './paymentGateway.js';
+
+const refundEmail = (participant, title, body, refund, eventName) => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>${title}</h1><p>Felicity</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${participant.firstName}</strong>,</p>
+      <p>${body}</p>
+      <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px">
+        <p><strong>Event:</strong> ${eventName}</p>
+        <p><strong>Amount paid:</strong> ₹${refund.amountPaid}</p>
+        <p><strong>Refund:</strong> ₹${refund.amount}</p>
+        ${refund.decisionNote ? `<p><strong>Note from organizer:</strong> ${refund.decisionNote}</p>` : ''}
+        ${refund.reference ? `<p><strong>Reference:</strong> ${refund.reference}</p>` : ''}
+      </div>
+    </div>
+  </div>
+`;
+
+const MESSAGES = {
+  requested: {
+    title: 'Refund Requested',
+    body: (r) => r.amount > 0
+      ? `Your cancellation was received and a refund of ₹${r.amount} (${r.policyPercent}% under the event's refund policy) has been requested. The organizer will review it shortly.`
+      : 'Your cancellation was received and a refund request has been sent to the organizer for review.'
+  },
+  approved: {
+    title: 'Refund Approved',
+    body: (r) => `Your refund of ₹${r.amount} has been approved and will be paid out shortly.`
+  },
+  processed: {
+    title: 'Refund Processed',
+    body: (r) => `Your refund of ₹${r.amount} has been paid out.`
+  },
+  denied: {
+    title: 'Refund Denied',
+    body: () => 'Your refund request was not approved.'
+  }
+};
+
+/**
+ * Tell the participant about the refund's current state (notification + email)
+ */
+const notifyParticipant = async (refund) => {
+  await refund.populate([
+    { path: 'participant', select: 'firstName email' },
+    { path: 'event', select: 'name' }
+  ]);
+  const { title, body } = MESSAGES[refund.status];
+  const eventName = refund.event?.name || 'your event';
+
+  await createNotification({
+    recipient: refund.participant._id,
+    type: 'payment_update',
+    title: `${title} — ${eventName}`,
+    message: body(refund),
+    link: `/ticket/${refund.registration}`,
+    event: refund.event?._id,
+    email: (user) => ({
+      subject: `${title} — ${eventName}`,
+      html: refundEmail(user, title, body(refund), refund, eventName)
+    })
+  });
+};
+
+/**
+ * Move a refund from one of `from` to `to`, or throw if someone else got there first
+ */
+const transition = async (refundId, from, to, set) => {
+  const refund = await Refund.findOneAndUpdate(
+    { _id: refundId, status: { $in: from } },
+    { $set: { status: to, ...set } },
+    { new: true }
+  );
+  if (!refund) {
+    throw new AppError(`Only ${from.join(' or ')} refunds can be ${to}`, 400);
+  }
+  await notifyParticipant(refund);
+  return refund;
+};
+
+const refundService = {
+  /**
+   * Refund the event's policy allows for a cancellation at `at`.
+   * Policy tiers are { before, percent }: the earliest tier still in the future
+   * applies; after the last one nothing is refunded.
+   */
+  quote: (event, amountPaid, at = new Date()) => {
+    const tiers = [...(event.refundPolicy || [])].sort((a, b) => new Date(a.before) - new Date(b.before));
+    const tier = tiers.find(t => at < new Date(t.before));
+    const percent = tier ? tier.percent : 0;
+    return {
+      hasPolicy: tiers.length > 0,
+      percent,
+      amount: Math.round(amountPaid * percent) / 100,
+      before: tier?.before
+    };
+  },
+
+  /**
+   * Whether cancelling this registration leaves money with the organizer
+   */
+  isPaid: (registration) => registration.totalAmount > 0 &&
+    (registration.paymentStatus === 'approved' || (registration.paymentStatus === 'pending' && !!registration.paymentProof)),
+
+  /**
+   * Open a refund for a paid registration that was just cancelled.
+   * With a policy that allows nothing the request is denied straight away;
+   * without any policy the organizer decides the amount.
+   */
+  openForCancellation: async (registration, event, reason) => {
+    if (!refundService.isPaid(registration)) return null;
+
+    const { hasPolicy, percent, amount } = refundService.quote(event, registration.totalAmount);
+    const autoDenied = hasPolicy && percent === 0;
+
+    const refund = await Refund.create({
+      registration: registration._id,
+      event: event._id,
+      participant: registration.participant,
+      organizer: event.organizer,
+      amountPaid: registration.totalAmount,
+      policyPercent: percent,
+      amount,
+      reason,
+      status: autoDenied ? 'denied' : 'requested',
+      decisionNote: autoDenied ? 'Cancelled after the refund window in the event\'s refund policy' : undefined,
+      reviewedAt: autoDenied ? new Date() : undefined
+    });
+
+    await notifyParticipant(refund);
+    if (!autoDenied) {
+      await createNotification({
+        recipient: event.organizer,
+        type: 'payment_update',
+        title: `Refund requested — ${event.name}`,
+        message: `A ₹${registration.totalAmount} registration (${registration.ticketId}) was cancelled. Review the refund request.`,
+        link: '/refunds',
+        event: event._id
+      });
+    }
+    return refund;
+  },
+
+  approve: async (refundId, reviewerId, { amount, note } = {}) => {
+    const refund = await Refund.findById(refundId);
+    if (!refund) throw new AppError('Refund not found', 404);
+    const finalAmount = amount === undefined || amount === '' ? refund.amount : Number(amount);
+    if (!(finalAmount >= 0) || finalAmount > refund.amountPaid) {
+      throw new AppError(`Refund amount must be between 0 and ₹${refund.amountPaid}`, 400);
+    }
+    return transition(refundId, ['requested'], 'approved', {
+      amount: finalAmount,
+      decisionNote: note,
+      reviewedBy: reviewerId,
+      reviewedAt: new Date()
+    });
+  },
+
+  deny: (refundId, reviewerId, { note } = {}) => transition(refundId, ['requested', 'approved'], 'denied', {
+    decisionNote: note,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date()
+  }),
+
+  /**
+   * Record the payout. Online payments are refunded through the gateway that
+   * took them (when the provider supports it); otherwise the organizer pays
+   * out by hand and records the transaction reference.
+   */
+  process: async (refundId, { reference } = {}) => {
+    // Claim first so the gateway is never asked to refund twice
+    const refund = await Refund.findOneAndUpdate(
+      { _id: refundId, status: 'approved' },
+      { $set: { status: 'processed', processedAt: new Date(), reference } },
+      { new: true }
+    ).populate('registration', 'paymentGateway order');
+    if (!refund) {
+      throw new AppError('Only approved refunds can be processed', 400);
+    }
+
+    const registration = refund.registration;
+    const gateway = registration?.paymentGateway?.status === 'paid'
+      ? registration.paymentGateway
+      : registration?.order && (await Order.findById(registration.order).select('paymentGateway'))?.paymentGateway;
+    const provider = gateway?.status === 'paid' && refund.amount > 0 && paymentGateway.provider(gateway.provider);
+    if (provider?.refund) {
+      try {
+        const result = await provider.refund({ paymentId: gateway.paymentId, amount: refund.amount });
+        refund.reference = result.refundId;
+        await refund.save();
+      } catch (err) {
+        await Refund.updateOne({ _id: refund._id }, { $set: { status: 'approved' }, $unset: { processedAt: 1, reference: 1 } });
+        throw new AppError(`Gateway refund failed: ${err.message}`, 502);
+      }
+    }
+
+    refund.depopulate('registration');
+    await notifyParticipant(refund);
+    return refund;
+  }
+};
+
+export default refundService;
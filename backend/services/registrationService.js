@@ -8,6 +8,8 @@
 
 import Registration from '../models/Registration.js';
 import Event from '../models/Event.js';
+import emailService from './emailService.js';
+import { generateTicketQR } from '../utils/qrcode.js';
 
 const registrationService = {
   /**
@@ -62,6 +64,109 @@ const registrationService = {
     return registrations;
   },
 
+  /**
+   * Confirm a paid registration: QR ticket, confirmation email and sold count.
+   * Shared by organizer approval and gateway webhooks. Expects event and
+   * participant to be populated.
+   */
+  approvePayment: async (registration) => {
+    registration.paymentStatus = 'approved';
+    registration.status = 'confirmed';
+
+    // Generate QR code now that payment is approved
+    try {
+      const qrCodeData = await generateTicketQR(registration, registration.event, registration.participant);
+      registration.qrCodeData = qrCodeData;
+    } catch (qrErr) {
+      console.error('Failed to generate QR code on approval:', qrErr);
+      // Continue with approval even if QR fails — participant can still use ticket ID
+    }
+
+    // Send confirmation email via queue (non-blocking) so approval response is not delayed
+    try {
+      const participant = registration.participant;
+      const event = registration.event;
+
+      // Build CID attachment for QR code so email clients render it
+      const attachments = [];
+      let qrCid = null;
+      if (registration.qrCodeData) {
+        try {
+          const base64Data = registration.qrCodeData.replace(/^data:image\/\w+;base64,/, '');
+          qrCid = 'qrcode@felicity';
+          attachments.push({
+            filename: 'qrcode.png',
+            content: Buffer.from(base64Data, 'base64'),
+            contentType: 'image/png',
+            cid: qrCid
+          });
+        } catch (e) {
+          console.error('QR attachment prep failed:', e);
+          qrCid = null;
+        }
+      }
+      const qrHtml = qrCid
+        ? `<div style="text-align:center;margin:20px 0"><img src="cid:${qrCid}" alt="QR Code" style="max-width:200px;width:200px;height:200px" /><p style="font-size:12px;color:#666">Show this QR code at the venue</p></div>`
+        : '';
+
+      let html;
+      if (registration.registrationType === 'merchandise') {
+        html = `
+          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+            <div style="background:linear-gradient(135deg,#11998e,#38ef7d);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+              <h1>🛍️ Order Confirmed!</h1><p>Felicity Merchandise</p>
+            </div>
+            <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+              <p>Hi <strong>${participant.firstName}</strong>,</p>
+              <p>Your payment has been approved and your merchandise order <strong>${registration.ticketId}</strong> for <strong>${event.name}</strong> is confirmed!</p>
+              ${qrHtml}
+            </div>
+          </div>
+        `;
+      } else {
+        html = `
+          <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+            <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+              <h1>🎉 Registration Confirmed!</h1><p>Felicity 2026</p>
+            </div>
+            <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+              <p>Hi <strong>${participant.firstName}</strong>,</p>
+              <p>Your payment has been approved! Your registration for <strong>${event.name}</strong> is now confirmed.</p>
+              <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px;text-align:center">
+                <p style="font-size:24px;font-weight:bold;color:#667eea">🎫 ${registration.ticketId}</p>
+              </div>
+              ${qrHtml}
+            </div>
+          </div>
+        `;
+      }
+      await emailService.enqueue({
+        to: participant.email,
+        subject: `✅ Payment Approved — ${event.name}`,
+        html,
+        attachments
+      });
+      registration.confirmationEmailSent = true;
+    } catch (e) {
+      console.error('Failed to enqueue confirmation email:', e);
+    }
+    // Mark sold count if variants exist
+    try {
+      const eventDoc = await Event.findById(registration.event._id);
+      const variant = eventDoc.variants.id(registration.selectedVariant);
+      if (variant) {
+        variant.sold += registration.quantity;
+        await eventDoc.save();
+      }
+    } catch (e) {
+      console.error('Failed to update sold count on approval:', e);
+    }
+
+    registration.reservationExpiresAt = undefined;
+    await registration.save();
+    return registration;
+  },
+
   /**
    * Cancel a registration.
    */
@@ -0,0 +1,142 @@
+/**
+ * Reminder Service
+ *
+ * Reminds confirmed registrants before an event starts, at the times the
+ * organizer picked (Event.reminderOffsets, minutes before eventStartDate).
+ * Reminders go out on the channels the participant chose for the 'reminder'
+ * notification type; the email carries the ticket QR code. Participants who
+ * turned off User.eventReminders get none.
+ *
+ * Each ticket records the reminders already sent (Registration.remindersSent)
+ * and a reminder is claimed with a conditional update before it goes out, so
+ * restarts and parallel instances never send one twice. When several
+ * reminders are due at once (the scheduler was down, or the participant
+ * registered late) only the closest to the start is sent, and only to tickets
+ * booked before that reminder was due.
+ */
+
+import Event, { MAX_REMINDER_MINUTES } from '../models/Event.js';
+import Registration from '../models/Registration.js';
+import { qrCodeAttachment } from '../utils/email.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+// "1 day", "3 hours", "1 hour 30 minutes"
+const describeOffset = (minutes) => {
+  const days = Math.floor(minutes / (24 * 60));
+  const hours = Math.floor((minutes % (24 * 60)) / 60);
+  const mins = minutes % 60;
+  return [[days, 'day'], [hours, 'hour'], [mins, 'minute']]
+    .filter(([n]) => n > 0)
+    .map(([n, unit]) => `${n} ${unit}${n === 1 ? '' : 's'}`)
+    .join(' ');
+};
+
+const reminderEmail = (participant, event, registration, when, qrCid) => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>⏰ Starting in ${when}</h1><p>${event.name}</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${participant.firstName}</strong>,</p>
+      <p>A reminder that <strong>${event.name}</strong> starts in ${when}.</p>
+      <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px">
+        <p style="font-size:20px;font-weight:bold;color:#667eea;text-align:center">🎫 ${registration.ticketId}</p>
+        <p><strong>Starts:</strong> ${new Date(event.eventStartDate).toLocaleString('en-IN', { dateStyle: 'full', timeStyle: 'short' })}</p>
+        <p><strong>Venue:</strong> ${event.venue || 'To be announced'}</p>
+        ${qrCid ? `<div style="text-align:center;margin-top:16px"><img src="cid:${qrCid}" alt="QR Code" style="width:200px;height:200px" />
+          <p style="font-size:12px;color:#666">Show this QR code at the venue</p></div>` : ''}
+      </div>
+      <p style="font-size:12px;color:#666">You can turn off event reminders in your Felicity profile.</p>
+    </div>
+  </div>
+`;
+
+/**
+ * The reminder to send now for an event: the smallest offset whose time has
+ * come, or null when none has
+ */
+const dueOffset = (event, now) => {
+  const start = new Date(event.eventStartDate).getTime();
+  const due = (event.reminderOffsets || []).filter(minutes => start - minutes * 60 * 1000 <= now.getTime());
+  return due.length ? Math.min(...due) : null;
+};
+
+const remind = async (registration, event, offset) => {
+  const when = describeOffset(offset);
+  const qr = qrCodeAttachment(registration.qrCodeData);
+
+  await createNotification({
+    recipient: registration.participant._id,
+    type: 'reminder',
+    title: `${event.name} starts in ${when}`,
+    message: `${event.name} starts ${new Date(event.eventStartDate).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' })}${event.venue ? ` at ${event.venue}` : ''}. Your ticket: ${registration.ticketId}.`,
+    link: `/ticket/${registration._id}`,
+    event: event._id,
+    email: (user) => ({
+      subject: `⏰ ${event.name} starts in ${when}`,
+      html: reminderEmail(user, event, registration, when, qr?.cid),
+      attachments: qr ? [qr] : []
+    })
+  });
+};
+
+let workerStarted = false;
+
+const reminderService = {
+  /**
+   * Send every reminder that is due
+   *
+   * @returns {Promise<number>} reminders sent
+   */
+  sendDue: async (now = new Date()) => {
+    let sent = 0;
+    const events = await Event.find({
+      eventType: 'normal',
+      status: 'published',
+      eventStartDate: { $gt: now, $lte: new Date(now.getTime() + MAX_REMINDER_MINUTES * 60 * 1000) },
+      'reminderOffsets.0': { $exists: true }
+    }).select('name venue eventStartDate reminderOffsets');
+
+    for (const event of events) {
+      const offset = dueOffset(event, now);
+      if (offset === null) continue;
+      const remindAt = new Date(event.eventStartDate.getTime() - offset * 60 * 1000);
+
+      const registrations = await Registration.find({
+        event: event._id,
+        status: 'confirmed',
+        remindersSent: { $ne: offset },
+        createdAt: { $lt: remindAt }
+      })
+        .select('participant ticketId qrCodeData')
+        .populate('participant', 'firstName email eventReminders');
+
+      for (const registration of registrations) {
+        // Claim first: whoever records the reminder sends it
+        const claimed = await Registration.updateOne(
+          { _id: registration._id, remindersSent: { $ne: offset } },
+          { $addToSet: { remindersSent: offset } }
+        );
+        if (!claimed.modifiedCount) continue;
+        if (!registration.participant || registration.participant.eventReminders === false) continue;
+
+        await remind(registration, event, offset);
+        sent++;
+      }
+    }
+    return sent;
+  },
+
+  /**
+   * Check for due reminders periodically
+   */
+  startWorker: (intervalMs = 60 * 1000) => {
+    if (workerStarted) return;
+    workerStarted = true;
+    setInterval(() => {
+      reminderService.sendDue().catch(err => console.error('Reminder worker error:', err));
+    }, intervalMs);
+  }
+};
+
+export default reminderService;
@@ -0,0 +1,138 @@
+/**
+ * Reservation Service
+ *
+ * Pending merchandise purchases hold stock for the event's payment hold window
+ * (paymentHoldHours). If no payment proof arrives before the hold expires the
+ * purchase is auto-cancelled and its stock released. Uploading a proof clears
+ * the expiry — from then on the organizer's decision settles the reservation.
+ */
+
+import Registration from '../models/Registration.js';
+import Order from '../models/Order.js';
+import Event from '../models/Event.js';
+import orderService from './orderService.js';
+import promoService from './promoService.js';
+import { createNotification } from '../controllers/notificationController.js';
+
+const expiryEmail = (participant, what, detail) => `
+  <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+    <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+      <h1>⌛ Reservation Expired</h1><p>Felicity Merchandise</p>
+    </div>
+    <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+      <p>Hi <strong>${participant.firstName}</strong>,</p>
+      <p>No payment proof was uploaded for ${what} before the reservation expired, so it has been cancelled and the items released.</p>
+      ${detail}
+      <p>You can place a new order while stock lasts.</p>
+    </div>
+  </div>
+`;
+
+/**
+ * Tell the participant their reservation lapsed (notification + email)
+ */
+const notifyExpired = async (participant, { title, what, detail, link, event }) => {
+  await createNotification({
+    recipient: participant._id,
+    type: 'payment_update',
+    title,
+    message: 'No payment proof was uploaded in time, so the reservation was released.',
+    link,
+    event,
+    email: (user) => ({ subject: `⌛ ${title}`, html: expiryEmail(user, what, detail) })
+  });
+};
+
+let workerStarted = false;
+
+const reservationService = {
+  /**
+   * Cancel every pending purchase whose hold ran out without a payment proof.
+   * Each row is claimed with a conditional update so overlapping sweeps never
+   * release the same stock twice.
+   */
+  expireStale: async (now = new Date()) => {
+    let expired = 0;
+
+    // Single purchases
+    const stale = await Registration.find({
+      registrationType: 'merchandise',
+      order: { $exists: false },
+      status: 'pending',
+      paymentStatus: 'pending',
+      reservationExpiresAt: { $lte: now }
+    }).select('_id');
+
+    for (const { _id } of stale) {
+      const registration = await Registration.findOneAndUpdate(
+        { _id, status: 'pending', paymentStatus: 'pending', reservationExpiresAt: { $lte: now } },
+        { $set: { status: 'cancelled', paymentStatus: 'expired' }, $unset: { reservationExpiresAt: 1 } },
+        { new: true }
+      ).populate('participant', 'firstName email');
+      if (!registration) continue;
+
+      const event = await Event.findOneAndUpdate(
+        { _id: registration.event, 'variants._id': registration.selectedVariant },
+        { $inc: { 'variants.$.stock': registration.quantity, registrationCount: -1 } },
+        { new: true }
+      );
+      await promoService.release(registration);
+
+      if (registration.participant) {
+        const item = registration.variantDetails;
+        await notifyExpired(registration.participant, {
+          title: `Reservation expired — ${event?.name || 'Merchandise'}`,
+          what: `your order <strong>${registration.ticketId}</strong>${event ? ` for <strong>${event.name}</strong>` : ''}`,
+          detail: `<p><strong>Item:</strong> ${item?.name || ''} ${item?.size ? '(' + item.size + ')' : ''} x${registration.quantity}</p>`,
+          link: `/ticket/${registration._id}`,
+          event: registration.event
+        });
+      }
+      expired++;
+    }
+
+    // Cart orders expire as a whole
+    const staleOrders = await Order.find({
+      status: 'pending',
+      paymentStatus: 'pending',
+      reservationExpiresAt: { $lte: now }
+    }).select('_id');
+
+    for (const { _id } of staleOrders) {
+      const claimed = await Order.updateOne(
+        { _id, status: 'pending', paymentStatus: 'pending', reservationExpiresAt: { $lte: now } },
+        { $set: { paymentStatus: 'expired' }, $unset: { reservationExpiresAt: 1 } }
+      );
+      if (!claimed.modifiedCount) continue;
+
+      const order = await Order.findById(_id).populate('participant', 'firstName email');
+      await orderService.cancel(order);
+      await Registration.updateMany({ order: order._id }, { $set: { paymentStatus: 'expired' }, $unset: { reservationExpiresAt: 1 } });
+
+      if (order.participant) {
+        await notifyExpired(order.participant, {
+          title: `Order ${order.orderNumber} expired`,
+          what: `order <strong>${order.orderNumber}</strong>`,
+          detail: `<p><strong>Total:</strong> ₹${order.totalAmount}</p>`,
+          link: `/orders/${order._id}`
+        });
+      }
+      expired++;
+    }
+
+    return expired;
+  },
+
+  /**
+   * Sweep expired reservations periodically
+   */
+  startWorker: (intervalMs = 60 * 1000) => {
+    if (workerStarted) return;
+    workerStarted = true;
+    setInterval(() => {
+      reservationService.expireStale().catch(err => console.error('Reservation worker error:', err));
+    }, intervalMs);
+  }
+};
+
+export default reservationService;
@@ -0,0 +1,155 @@
+/**
+ * Session Service (Backend)
+ *
+ * Server-side sessions behind the short-lived access tokens (utils/jwt.js).
+ * A refresh token is `<session id>.<secret>`; each use replaces it with a new
+ * one. Presenting a token that was already rotated away means it leaked (or
+ * two tabs raced): within half a minute of the rotation it is just refused,
+ * after that the whole session is revoked.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Session from '../models/Session.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+const REUSE_GRACE_MS = 30 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sameHash = (a, b) => !!a && !!b && a.length === b.length
+  && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+const activeQuery = () => ({ revokedAt: null, expiresAt: { $gt: new Date() } });
+
+const sessionService = {
+  /**
+   * Start a session for a user signing in from this request.
+   *
+   * @returns {Promise<{ session, refreshToken }>}
+   */
+  create: async (user, req) => {
+    const secret = newSecret();
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: req?.get?.('user-agent')?.slice(0, 500),
+      ip: req?.ip,
+      expiresAt: refreshExpiry()
+    });
+    await session.save();
+    return { session, refreshToken: `${session._id}.${secret}` };
+  },
+
+  /**
+   * Trade a refresh token for a new one.
+   *
+   * @returns {Promise<{ session, refreshToken }>}
+   */
+  rotate: async (refreshToken, req) => {
+    const [id, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(id)) {
+      throw new AppError('Invalid refresh token', 401);
+    }
+
+    const session = await Session.findOne({ _id: id, ...activeQuery() });
+    if (!session) {
+      throw new AppError('Session expired - please log in again', 401);
+    }
+
+    const presented = hashToken(secret);
+    if (!sameHash(presented, session.refreshTokenHash)) {
+      if (sameHash(presented, session.previousTokenHash) && Date.now() - session.rotatedAt < REUSE_GRACE_MS) {
+        throw new AppError('Refresh token already used', 401);
+      }
+      await Session.updateOne(
+        { _id: session._id, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: 'token_reuse' }
+      );
+      throw new AppError('Session revoked - please log in again', 401);
+    }
+
+    const next = newSecret();
+    // Conditional on the current hash so two simultaneous refreshes can't both win
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: session.refreshTokenHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(next),
+        previousTokenHash: session.refreshTokenHash,
+        rotatedAt: new Date(),
+        lastUsedAt: new Date(),
+        ip: req?.ip,
+        userAgent: req?.get?.('user-agent')?.slice(0, 500) || session.userAgent,
+        expiresAt: refreshExpiry()
+      },
+      { new: true }
+    );
+    if (!rotated) {
+      throw new AppError('Refresh token already used', 401);
+    }
+    return { session: rotated, refreshToken: `${rotated._id}.${next}` };
+  },
+
+  /**
+   * End the session a refresh token belongs to (logout). Works whether or
+   * not the access token has expired; unknown tokens are ignored.
+   */
+  end: async (refreshToken) => {
+    const [id, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(id)) return;
+
+    const session = await Session.findOne({ _id: id, revokedAt: null });
+    const presented = hashToken(secret);
+    if (session && (sameHash(presented, session.refreshTokenHash) || sameHash(presented, session.previousTokenHash))) {
+      await Session.updateOne({ _id: session._id, revokedAt: null }, { revokedAt: new Date(), revokedReason: 'logout' });
+    }
+  },
+
+  /**
+   * Whether an access token's session still lets it in
+   */
+  isActive: async (sessionId, userId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    return !!(await Session.exists({ _id: sessionId, user: userId, ...activeQuery() }));
+  },
+
+  /**
+   * A user's active sessions, most recently used first
+   */
+  list: (userId) => Session.find({ user: userId, ...activeQuery() })
+    .select('userAgent ip lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 }),
+
+  /**
+   * Revoke one of a user's sessions
+   *
+   * @returns {Promise<boolean>} false when there was no such active session
+   */
+  revoke: async (userId, sessionId, reason = 'revoked') => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    const result = await Session.updateOne(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount > 0;
+  },
+
+  /**
+   * Revoke every session of a user, optionally keeping one
+   *
+   * @returns {Promise<number>} how many were revoked
+   */
+  revokeAll: async (userId, reason = 'revoked', exceptSessionId = null) => {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+    const result = await Session.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+  }
+};
+
+export default sessionService;
@@ -0,0 +1,60 @@
+/**
+ * Settings Service (Backend)
+ *
+ * Site-wide settings (models/Setting.js) with their defaults. Reads are cached
+ * briefly since some are checked on every request; a change made on another
+ * instance shows up within CACHE_MS.
+ */
+
+import Setting from '../models/Setting.js';
+
+export const SETTING_DEFAULTS = {
+  // Organizers must set up two-factor authentication before using the app
+  'twoFactor.enforceForOrganizers': false
+};
+
+const CACHE_MS = 30 * 1000;
+
+// key -> { value, expiresAt }
+const cache = new Map();
+
+const settingsService = {
+  /**
+   * A setting's value, or its default when never set
+   */
+  get: async (key) => {
+    const cached = cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+    const doc = await Setting.findOne({ key }).lean();
+    const value = doc ? doc.value : SETTING_DEFAULTS[key];
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_MS });
+    return value;
+  },
+
+  /**
+   * Every known setting with its current value
+   */
+  getAll: async () => {
+    const docs = await Setting.find({ key: { $in: Object.keys(SETTING_DEFAULTS) } }).lean();
+    const stored = Object.fromEntries(docs.map(doc => [doc.key, doc.value]));
+    return Object.fromEntries(Object.entries(SETTING_DEFAULTS).map(([key, value]) => [key, key in stored ? stored[key] : value]));
+  },
+
+  /**
+   * Store a setting
+   *
+   * @returns {Promise<Object>} the setting document
+   */
+  set: async (key, value, userId) => {
+    const doc = await Setting.findOneAndUpdate(
+      { key },
+      { value, updatedBy: userId },
+      { upsert: true, new: true }
+    );
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_MS });
+    return doc;
+  }
+};
+
+export default settingsService;
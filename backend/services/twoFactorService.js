@@ -0,0 +1,180 @@
+/**
+ * Two-Factor Service (Backend)
+ *
+ * TOTP two-factor authentication for organizer and admin accounts:
+ * enrollment (secret + QR code, confirmed by a first code), verification at
+ * login with replay protection, single-use backup codes, and the admin
+ * setting that makes it mandatory for organizers.
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import settingsService from './settingsService.js';
+import { generateSecret, verifyCode, otpauthUrl, encryptSecret, decryptSecret } from '../utils/totp.js';
+
+export const TWO_FACTOR_ROLES = ['organizer', 'admin'];
+const BACKUP_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorBackupCodes +twoFactorLastStep';
+
+const hashCode = (code) => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-z]/g, ''))
+  .digest('hex');
+
+// 'xxxx-xxxx' from an unambiguous alphabet
+const newBackupCode = () => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+};
+
+const newBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, newBackupCode);
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) throw new AppError('User not found', 404);
+  return user;
+};
+
+/**
+ * Accept a TOTP code once: the step must be newer than the last one used
+ */
+const acceptCode = async (user, secret, code) => {
+  const step = verifyCode(secret, code);
+  if (step === null) return false;
+  const updated = await User.updateOne(
+    { _id: user._id, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: { $exists: false } }, { twoFactorLastStep: null }] },
+    { twoFactorLastStep: step }
+  );
+  return updated.modifiedCount > 0;
+};
+
+const twoFactorService = {
+  /**
+   * Whether the account must have 2FA before it can be used
+   */
+  isRequired: async (user) => user.role === 'organizer'
+    && !!(await settingsService.get('twoFactor.enforceForOrganizers')),
+
+  /**
+   * Start (or restart) enrollment: a new pending secret and its QR code
+   *
+   * @returns {Promise<{ secret, otpauthUrl, qrCode }>}
+   */
+  startEnrollment: async (userId) => {
+    const user = await loadUser(userId);
+    if (!TWO_FACTOR_ROLES.includes(user.role)) {
+      throw new AppError('Two-factor authentication is for organizer and admin accounts', 403);
+    }
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already on', 400);
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = encryptSecret(secret);
+    await user.save();
+
+    const url = otpauthUrl(secret, user.email);
+    return { secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) };
+  },
+
+  /**
+   * Finish enrollment with a code from the app
+   *
+   * @returns {Promise<string[]>} backup codes, shown once
+   */
+  confirmEnrollment: async (userId, code) => {
+    const user = await loadUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new AppError('Two-factor authentication is already on', 400);
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw new AppError('Start the setup first', 400);
+    }
+
+    const secret = decryptSecret(user.twoFactorPendingSecret);
+    const step = verifyCode(secret, code);
+    if (step === null) {
+      throw new AppError('That code is not right - check the time on your device and try again', 400);
+    }
+
+    const backupCodes = newBackupCodes();
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorBackupCodes = backupCodes.map(hashCode);
+    user.twoFactorLastStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    await user.save();
+
+    return backupCodes;
+  },
+
+  /**
+   * Check a login's second factor: an app code, or a backup code (spent on use)
+   *
+   * @returns {Promise<{ usedBackupCode: boolean, backupCodesLeft?: number }>}
+   */
+  verify: async (userId, { code, backupCode }) => {
+    const user = await loadUser(userId);
+    if (!user.twoFactorEnabled || !user.twoFactorSecret) {
+      throw new AppError('Two-factor authentication is not on for this account', 400);
+    }
+
+    if (backupCode) {
+      const hash = hashCode(backupCode);
+      const spent = await User.findOneAndUpdate(
+        { _id: user._id, twoFactorBackupCodes: hash },
+        { $pull: { twoFactorBackupCodes: hash } },
+        { new: true }
+      ).select('+twoFactorBackupCodes');
+      if (!spent) {
+        throw new AppError('Invalid or already used backup code', 400);
+      }
+      return { usedBackupCode: true, backupCodesLeft: spent.twoFactorBackupCodes.length };
+    }
+
+    if (!(await acceptCode(user, decryptSecret(user.twoFactorSecret), code))) {
+      throw new AppError('Invalid or already used code', 400);
+    }
+    return { usedBackupCode: false };
+  },
+
+  /**
+   * Replace the backup codes (the old ones stop working)
+   *
+   * @returns {Promise<string[]>}
+   */
+  regenerateBackupCodes: async (userId) => {
+    const backupCodes = newBackupCodes();
+    const updated = await User.updateOne(
+      { _id: userId, twoFactorEnabled: true },
+      { twoFactorBackupCodes: backupCodes.map(hashCode) }
+    );
+    if (!updated.modifiedCount) {
+      throw new AppError('Two-factor authentication is not on for this account', 400);
+    }
+    return backupCodes;
+  },
+
+  /**
+   * Turn 2FA off and forget the secret and codes (self-service or admin reset)
+   *
+   * @returns {Promise<boolean>} whether it had been on
+   */
+  clear: async (userId) => {
+    const previous = await User.findByIdAndUpdate(
+      userId,
+      {
+        twoFactorEnabled: false,
+        $unset: { twoFactorEnabledAt: 1, twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorBackupCodes: 1, twoFactorLastStep: 1 }
+      }
+    ).select('twoFactorEnabled');
+    // Whether it was on
+    return !!previous?.twoFactorEnabled;
+  }
+};
+
+export default twoFactorService;
@@ -0,0 +1,206 @@
+/**
+ * Verification Service (Backend)
+ *
+ * Proves that a user owns their email address (models/EmailVerification.js).
+ * One email carries a link and a 6-digit code; either works, once. A new
+ * email can be asked for after a short cooldown and replaces the old one.
+ */
+
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import EmailVerification from '../models/EmailVerification.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import emailService from './emailService.js';
+
+const LINK_HOURS = 24;
+const MAX_CODE_ATTEMPTS = 5;
+export const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_EMAILS_PER_HOUR = 5;
+
+const hash = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+const newCode = () => String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+const markVerified = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { emailVerified: true, emailVerifiedAt: new Date() },
+    { new: true }
+  );
+  // Once verified, no other challenge is needed
+  await EmailVerification.updateMany({ user: userId, usedAt: null }, { expiresAt: new Date() });
+  return user;
+};
+
+// At most a few emails an hour per account, whatever kind
+const checkEmailLimit = async (userId) => {
+  const sentLastHour = await EmailVerification.countDocuments({
+    user: userId,
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) }
+  });
+  if (sentLastHour >= MAX_EMAILS_PER_HOUR) {
+    throw new AppError('Too many verification emails. Please try again in an hour.', 429);
+  }
+};
+
+const verifyUrl = (token) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${token}`;
+
+const verificationService = {
+  /**
+   * Seconds until the user may ask for another email (0 when they may now)
+   */
+  cooldownRemaining: async (userId) => {
+    const last = await EmailVerification.findOne({ user: userId }).sort({ createdAt: -1 }).select('createdAt');
+    if (!last) return 0;
+    const elapsed = (Date.now() - last.createdAt.getTime()) / 1000;
+    return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+  },
+
+  /**
+   * Email a new link and code, voiding any earlier ones.
+   *
+   * @returns {Promise<{ expiresAt: Date }>}
+   */
+  send: async (user) => {
+    await checkEmailLimit(user._id);
+
+    await EmailVerification.updateMany({ user: user._id, usedAt: null }, { expiresAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const code = newCode();
+    const expiresAt = new Date(Date.now() + LINK_HOURS * 60 * 60 * 1000);
+    await EmailVerification.create({
+      user: user._id,
+      email: user.email,
+      tokenHash: hash(token),
+      codeHash: hash(code),
+      expiresAt
+    });
+
+    const url = verifyUrl(token);
+    const html = `<p>Hi <strong>${user.firstName || 'there'}</strong>,</p>
+      <p>Please confirm that <strong>${user.email}</strong> is your email address.</p>
+      <p><a href="${url}">Verify my email</a></p>
+      <p>Or enter this code on your dashboard: <strong style="font-size: 20px; letter-spacing: 4px;">${code}</strong></p>
+      <p>The link and code expire in ${LINK_HOURS} hours. If you didn't create a Felicity account, ignore this email.</p>`;
+    await emailService.enqueue({ to: user.email, subject: 'Verify your Felicity email address', html });
+
+    return { expiresAt };
+  },
+
+  /**
+   * Email a link that hands an imported placeholder account to whoever signed
+   * up with its address, once they prove they own it. Until then the account
+   * stays a placeholder and nobody can sign in to it.
+   *
+   * @param {Object} placeholder - the placeholder user
+   * @param {Object} details - sign-up details, with the plain password
+   * @returns {Promise<{ expiresAt: Date }>}
+   */
+  sendClaim: async (placeholder, { password, firstName, lastName, participantType, collegeName, contactNumber }) => {
+    await checkEmailLimit(placeholder._id);
+    await EmailVerification.updateMany({ user: placeholder._id, usedAt: null }, { expiresAt: new Date() });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + LINK_HOURS * 60 * 60 * 1000);
+    await EmailVerification.create({
+      user: placeholder._id,
+      email: placeholder.email,
+      tokenHash: hash(token),
+      expiresAt,
+      claim: {
+        firstName,
+        lastName,
+        participantType,
+        collegeName,
+        contactNumber,
+        passwordHash: await bcrypt.hash(password, await bcrypt.genSalt(12))
+      }
+    });
+
+    const html = `<p>Hi <strong>${firstName || 'there'}</strong>,</p>
+      <p>Someone signed up for Felicity with <strong>${placeholder.email}</strong>. An organizer has already registered this address for events, so the account and its tickets are waiting for you.</p>
+      <p><a href="${verifyUrl(token)}">Claim my account</a></p>
+      <p>The link expires in ${LINK_HOURS} hours. If this wasn't you, ignore this email — nothing changes until the link is used.</p>`;
+    await emailService.enqueue({ to: placeholder.email, subject: 'Claim your Felicity account', html });
+
+    return { expiresAt };
+  },
+
+  /**
+   * Verify with the emailed link, and hand over the account when the link
+   * was a placeholder claim
+   *
+   * @returns {Promise<{ user: Object, claimed: boolean }>} the verified user
+   */
+  verifyToken: async (token) => {
+    // Spend the link first so it can't be used twice
+    const challenge = await EmailVerification.findOneAndUpdate(
+      { tokenHash: hash(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!challenge) {
+      throw new AppError('This verification link is invalid, used or expired. Request a new one from your dashboard.', 400);
+    }
+
+    const user = await User.findById(challenge.user).select('email');
+    if (!user || user.email !== challenge.email) {
+      throw new AppError('This link was for a different email address', 400);
+    }
+
+    const { claim } = await EmailVerification.findById(challenge._id).select('+claim').lean();
+    if (claim) {
+      // updateOne skips the pre-save hook, which would hash the hash again
+      const { passwordHash, ...details } = claim;
+      const claimed = await User.updateOne(
+        { _id: user._id, isPlaceholder: true },
+        { $set: { ...details, password: passwordHash, role: 'participant', onboardingCompleted: false, isPlaceholder: false } }
+      );
+      if (!claimed.modifiedCount) {
+        throw new AppError('This account has already been claimed', 400);
+      }
+    }
+    return { user: await markVerified(user._id), claimed: Boolean(claim) };
+  },
+
+  /**
+   * Verify with the emailed code, for the signed-in user
+   *
+   * @returns {Promise<Object>} the verified user
+   */
+  verifyCode: async (user, code) => {
+    const active = { user: user._id, email: user.email, codeHash: { $ne: null }, usedAt: null, expiresAt: { $gt: new Date() } };
+    // Count the attempt before checking it, so parallel guesses can't exceed the limit
+    const challenge = await EmailVerification.findOneAndUpdate(
+      { ...active, attempts: { $lt: MAX_CODE_ATTEMPTS } },
+      { $inc: { attempts: 1 } },
+      { new: true, sort: { createdAt: -1 } }
+    );
+    if (!challenge) {
+      const exhausted = await EmailVerification.exists(active);
+      throw new AppError(exhausted
+        ? 'Too many wrong codes - request a new verification email'
+        : 'No active code - request a new verification email', 400);
+    }
+
+    const presented = hash(String(code).trim());
+    if (!crypto.timingSafeEqual(Buffer.from(presented), Buffer.from(challenge.codeHash))) {
+      const left = MAX_CODE_ATTEMPTS - challenge.attempts;
+      throw new AppError(left > 0
+        ? `Wrong code - ${left} attempt${left === 1 ? '' : 's'} left`
+        : 'Too many wrong codes - request a new verification email', 400);
+    }
+
+    const spent = await EmailVerification.updateOne({ _id: challenge._id, usedAt: null }, { usedAt: new Date() });
+    if (!spent.modifiedCount) {
+      throw new AppError('This code was already used', 400);
+    }
+    return markVerified(user._id);
+  },
+
+  markVerified
+};
+
+export default verificationService;
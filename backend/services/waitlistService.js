@@ -0,0 +1,255 @@
+/**
+ * Waitlist Service (Backend)
+ *
+ * Queue management for full normal events.
+ * Waitlisted registrations do NOT count towards registrationCount; a slot is
+ * claimed atomically on the Event document only when someone is promoted.
+ */
+
+import Registration from '../models/Registration.js';
+import Event, { OPEN_STATUSES } from '../models/Event.js';
+import { generateTicketQR } from '../utils/qrcode.js';
+import { createNotification } from '../controllers/notificationController.js';
+import emailService from './emailService.js';
+
+/**
+ * Build the promotion email (with CID QR attachment for free events).
+ */
+const buildPromotionEmail = (registration, event, participant) => {
+  const attachments = [];
+  let qrHtml = '';
+  if (registration.qrCodeData) {
+    const base64Data = registration.qrCodeData.replace(/^data:image\/\w+;base64,/, '');
+    attachments.push({
+      filename: 'qrcode.png',
+      content: Buffer.from(base64Data, 'base64'),
+      contentType: 'image/png',
+      cid: 'qrcode@felicity'
+    });
+    qrHtml = `<div style="text-align:center;margin:20px 0"><img src="cid:qrcode@felicity" alt="QR Code" style="max-width:200px;width:200px;height:200px" /><p style="font-size:12px;color:#666">Show this QR code at the venue</p></div>`;
+  }
+
+  const body = registration.status === 'confirmed'
+    ? `<p>A spot opened up and your registration for <strong>${event.name}</strong> is now <strong>confirmed</strong>!</p>${qrHtml}`
+    : `<p>A spot opened up for <strong>${event.name}</strong>! Your registration is now pending payment.</p>
+       <div style="background:#fff3cd;border:1px solid #ffc107;padding:15px;border-radius:5px;margin-top:15px">
+         <strong>⚠️ Action Required:</strong> Please upload your payment proof (₹${registration.totalAmount}) on the Ticket page to complete your registration.
+       </div>`;
+
+  const html = `
+    <div style="font-family:Arial,sans-serif;max-width:600px;margin:0 auto">
+      <div style="background:linear-gradient(135deg,#667eea,#764ba2);color:#fff;padding:30px;text-align:center;border-radius:10px 10px 0 0">
+        <h1>🎟️ You're off the waitlist!</h1><p>Felicity 2026</p>
+      </div>
+      <div style="background:#f9f9f9;padding:30px;border-radius:0 0 10px 10px">
+        <p>Hi <strong>${participant.firstName}</strong>,</p>
+        ${body}
+        <div style="background:#fff;border:2px dashed #667eea;padding:20px;margin:20px 0;border-radius:10px;text-align:center">
+          <p style="font-size:24px;font-weight:bold;color:#667eea">🎫 ${registration.ticketId}</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  return { html, attachments };
+};
+
+const waitlistService = {
+  /**
+   * Next free position at the end of an event's queue.
+   */
+  nextPosition: async (eventId) => {
+    const last = await Registration.findOne({ event: eventId, status: 'waitlisted' })
+      .sort({ waitlistPosition: -1 })
+      .select('waitlistPosition');
+    return (last?.waitlistPosition || 0) + 1;
+  },
+
+  /**
+   * Get the ordered waitlist for an event.
+   */
+  getQueue: async (eventId) => {
+    return Registration.find({ event: eventId, status: 'waitlisted' })
+      .populate('participant', 'firstName lastName email contactNumber collegeName')
+      .sort({ waitlistPosition: 1, registeredAt: 1 });
+  },
+
+  /**
+   * Close the gap left by a registration leaving the queue at `position`.
+   */
+  compact: async (eventId, position) => {
+    if (!position) return;
+    await Registration.updateMany(
+      { event: eventId, status: 'waitlisted', waitlistPosition: { $gt: position } },
+      { $inc: { waitlistPosition: -1 } }
+    );
+  },
+
+  /**
+   * Rewrite queue positions from an ordered list of registration IDs.
+   * The list must contain exactly the event's current waitlisted registrations.
+   */
+  reorder: async (eventId, orderedIds) => {
+    const current = await Registration.find({ event: eventId, status: 'waitlisted' }).select('_id');
+    const currentIds = new Set(current.map(r => r._id.toString()));
+    const requested = orderedIds.map(String);
+
+    if (requested.length !== currentIds.size ||
+        new Set(requested).size !== requested.length ||
+        !requested.every(id => currentIds.has(id))) {
+      return null;
+    }
+
+    await Registration.bulkWrite(requested.map((id, idx) => ({
+      updateOne: {
+        filter: { _id: id, event: eventId, status: 'waitlisted' },
+        update: { $set: { waitlistPosition: idx + 1 } }
+      }
+    })));
+
+    return waitlistService.getQueue(eventId);
+  },
+
+  /**
+   * Promote waitlisted registrations into any free slots.
+   * Each slot is claimed with a conditional $inc so concurrent cancellations
+   * can never push registrationCount over registrationLimit; tier seats are
+   * claimed the same way, and entries whose tier sold out keep their place.
+   * Returns the list of promoted registrations.
+   */
+  promoteNext: async (eventId) => {
+    const promoted = [];
+    // Entries left waiting because their tier sold out meanwhile
+    const skipped = [];
+
+    const event = await Event.findById(eventId);
+    if (!event || event.eventType !== 'normal' || !event.waitlistEnabled) return promoted;
+    if (!OPEN_STATUSES.includes(event.status)) return promoted;
+
+    while (true) {
+      // Claim a slot
+      const slot = await Event.findOneAndUpdate(
+        { _id: eventId, $expr: { $lt: ['$registrationCount', '$registrationLimit'] } },
+        { $inc: { registrationCount: 1 } },
+        { new: true }
+      );
+      if (!slot) break;
+
+      // Claim the head of the queue
+      const registration = await Registration.findOneAndUpdate(
+        { event: eventId, status: 'waitlisted', _id: { $nin: skipped } },
+        { $set: { status: 'pending' }, $unset: { waitlistPosition: '' } },
+        { sort: { waitlistPosition: 1, registeredAt: 1 }, new: false }
+      ).populate('participant', 'firstName lastName email');
+
+      if (!registration) {
+        // Nobody waiting — release the slot
+        await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: -1 } });
+        break;
+      }
+
+      const oldPosition = registration.waitlistPosition;
+
+      // Tiered registrations keep the tier (and price) chosen when joining the
+      // queue, if it still has a seat; otherwise they keep waiting
+      const tierId = registration.ticketTier?.tierId;
+      if (tierId) {
+        const tier = event.ticketTiers.id(tierId);
+        const filter = tier?.capacity > 0
+          ? { _id: eventId, ticketTiers: { $elemMatch: { _id: tierId, sold: { $lt: tier.capacity } } } }
+          : { _id: eventId, 'ticketTiers._id': tierId };
+        const tierClaimed = await Event.updateOne(filter, { $inc: { 'ticketTiers.$.sold': 1 } });
+        if (!tierClaimed.modifiedCount) {
+          await Registration.updateOne(
+            { _id: registration._id },
+            { $set: { status: 'waitlisted', waitlistPosition: oldPosition } }
+          );
+          await Event.findByIdAndUpdate(eventId, { $inc: { registrationCount: -1 } });
+          skipped.push(registration._id);
+          continue;
+        }
+      }
+
+      registration.waitlistPosition = undefined;
+      registration.promotedFromWaitlistAt = new Date();
+      const fee = tierId ? registration.ticketTier.price : event.registrationFee;
+
+      if (fee && fee > 0) {
+        registration.status = 'pending';
+        registration.paymentStatus = 'pending';
+        registration.totalAmount = fee;
+      } else {
+        registration.status = 'confirmed';
+        registration.totalAmount = fee;
+        try {
+          registration.qrCodeData = await generateTicketQR(registration, event, registration.participant);
+        } catch (qrErr) {
+          console.error('Failed to generate QR code on waitlist promotion:', qrErr);
+        }
+      }
+      await registration.save();
+      await waitlistService.compact(eventId, oldPosition);
+
+      try {
+        const { html, attachments } = buildPromotionEmail(registration, event, registration.participant);
+        await emailService.enqueue({
+          to: registration.participant.email,
+          subject: `🎟️ You're off the waitlist — ${event.name}`,
+          html,
+          attachments
+        });
+        registration.confirmationEmailSent = true;
+        await registration.save();
+      } catch (e) {
+        console.error('Failed to enqueue waitlist promotion email:', e);
+      }
+
+      await createNotification({
+        recipient: registration.participant._id,
+        type: 'registration',
+        title: `You're off the waitlist for ${event.name}`,
+        message: registration.status === 'confirmed'
+          ? 'A spot opened up and your registration is confirmed.'
+          : 'A spot opened up. Upload your payment proof to complete your registration.',
+        link: `/ticket/${registration._id}`,
+        event: eventId
+      });
+
+      promoted.push(registration);
+    }
+
+    return promoted;
+  },
+
+  /**
+   * Take everyone off the queue of an event whose waitlist was turned off —
+   * promoteNext no longer serves it — and tell them.
+   * Queued entries hold no slot, seat or promo use, so nothing is released.
+   * Returns the number of registrations cancelled.
+   */
+  close: async (event) => {
+    const queue = await Registration.find({ event: event._id, status: 'waitlisted' }).select('participant');
+    let closed = 0;
+    for (const entry of queue) {
+      // Skip entries promoted or withdrawn meanwhile
+      const cancelled = await Registration.findOneAndUpdate(
+        { _id: entry._id, status: 'waitlisted' },
+        { $set: { status: 'cancelled' }, $unset: { waitlistPosition: '' } }
+      );
+      if (!cancelled) continue;
+      closed++;
+
+      await createNotification({
+        recipient: entry.participant,
+        type: 'registration',
+        title: `Waitlist closed for ${event.name}`,
+        message: `The organizers turned off the waitlist for ${event.name}, so your place on it has been cancelled.`,
+        link: `/events/${event._id}`,
+        event: event._id
+      });
+    }
+    return closed;
+  }
+};
+
+export default waitlistService;
@@ -1,31 +1,78 @@
 /**
  * CAPTCHA Utility
- * 
+ *
  * Server-side CAPTCHA generation and verification using svg-captcha.
- * Stores CAPTCHA answers in an in-memory map with automatic TTL cleanup.
+ *
+ * Answers live in a store shared by every backend instance: MongoDB by
+ * default (models/Captcha.js, expired entries dropped by a TTL index).
+ * CAPTCHA_STORE=memory keeps them in this process instead, which is only
+ * correct for a single instance. Other stores can be plugged in with
+ * setCaptchaStore().
  */
 
 import svgCaptcha from 'svg-captcha';
 import crypto from 'crypto';
+import Captcha from '../models/Captcha.js';
 
-// In-memory store: captchaId -> { text, expiresAt }
-const captchaStore = new Map();
+const CAPTCHA_TTL_MS = 5 * 60 * 1000;
 
-// Clean up expired entries every 60 seconds
-setInterval(() => {
-  const now = Date.now();
-  for (const [id, entry] of captchaStore) {
-    if (entry.expiresAt < now) {
-      captchaStore.delete(id);
-    }
+const hashAnswer = (text) => crypto.createHash('sha256').update(String(text).trim().toLowerCase()).digest('hex');
+
+/**
+ * A store keeps answer hashes until they are taken or expire:
+ * - save(id, answerHash, expiresAt)
+ * - take(id) -> answerHash, or null when unknown or expired; the entry is
+ *   removed either way so each CAPTCHA is checked once
+ */
+export const mongoCaptchaStore = {
+  save: async (id, answerHash, expiresAt) => {
+    await Captcha.create({ captchaId: id, answerHash, expiresAt });
+  },
+  take: async (id) => {
+    const entry = await Captcha.findOneAndDelete({ captchaId: id });
+    if (!entry || entry.expiresAt < new Date()) return null;
+    return entry.answerHash;
   }
-}, 60_000);
+};
+
+export const createMemoryCaptchaStore = () => {
+  // captchaId -> { answerHash, expiresAt }
+  const entries = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, entry] of entries) {
+      if (entry.expiresAt < now) entries.delete(id);
+    }
+  }, 60_000).unref();
+
+  return {
+    save: async (id, answerHash, expiresAt) => {
+      entries.set(id, { answerHash, expiresAt: expiresAt.getTime() });
+    },
+    take: async (id) => {
+      const entry = entries.get(id);
+      entries.delete(id);
+      if (!entry || entry.expiresAt < Date.now()) return null;
+      return entry.answerHash;
+    }
+  };
+};
+
+let store = process.env.CAPTCHA_STORE === 'memory' ? createMemoryCaptchaStore() : mongoCaptchaStore;
+
+/**
+ * Replace the answer store (an object with save and take, as above)
+ */
+export function setCaptchaStore(newStore) {
+  store = newStore;
+}
 
 /**
  * Generate a new CAPTCHA
- * @returns {{ id: string, svg: string }} captcha ID and SVG image
+ * @returns {Promise<{ id: string, svg: string }>} captcha ID and SVG image
  */
-export function generateCaptcha() {
+export async function generateCaptcha() {
   const captcha = svgCaptcha.create({
     size: 5,          // 5 characters
     noise: 3,         // noise lines
@@ -37,32 +84,22 @@ export function generateCaptcha() {
   });
 
   const id = crypto.randomBytes(16).toString('hex');
-
-  captchaStore.set(id, {
-    text: captcha.text.toLowerCase(),
-    expiresAt: Date.now() + 5 * 60 * 1000, // 5-minute TTL
-  });
+  await store.save(id, hashAnswer(captcha.text), new Date(Date.now() + CAPTCHA_TTL_MS));
 
   return { id, svg: captcha.data };
 }
 
 /**
- * Verify a CAPTCHA answer
+ * Verify a CAPTCHA answer (one-time use)
  * @param {string} captchaId - The CAPTCHA token/ID
  * @param {string} captchaAnswer - User's answer
- * @returns {boolean} true if correct
+ * @returns {Promise<boolean>} true if correct
  */
-export function verifyCaptcha(captchaId, captchaAnswer) {
-  if (!captchaId || !captchaAnswer) return false;
-
-  const entry = captchaStore.get(captchaId);
-  if (!entry) return false;
-
-  // Delete after use (one-time use)
-  captchaStore.delete(captchaId);
+export async function verifyCaptcha(captchaId, captchaAnswer) {
+  if (typeof captchaId !== 'string' || typeof captchaAnswer !== 'string' || !captchaAnswer.trim()) return false;
 
-  // Check expiry
-  if (entry.expiresAt < Date.now()) return false;
+  const answerHash = await store.take(captchaId);
+  if (!answerHash) return false;
 
-  return entry.text === captchaAnswer.trim().toLowerCase();
+  return crypto.timingSafeEqual(Buffer.from(answerHash), Buffer.from(hashAnswer(captchaAnswer)));
 }
@@ -0,0 +1,65 @@
+/**
+ * CSV Utility
+ *
+ * Parsing for organizer uploads (spreadsheet and Google Forms exports) and
+ * cell quoting for downloads. Follows RFC 4180: quoted fields may hold commas,
+ * newlines and doubled quotes; CRLF or LF line endings; a leading BOM is ignored.
+ */
+
+/**
+ * @param {string} text
+ * @returns {string[][]} rows of cells, blank lines dropped
+ */
+export const parseCsv = (text) => {
+  const src = String(text ?? '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        cell += c;
+      }
+    } else if (c === '"' && cell === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += c;
+    }
+  }
+  if (cell !== '' || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+};
+
+// Text a spreadsheet app would run as a formula (CSV injection)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One quoted CSV cell. Text that would start a formula gets a leading `'` so
+ * spreadsheet apps show it as text; numbers are left alone.
+ */
+export const csvCell = (value) => {
+  let text = String(value ?? '');
+  if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
@@ -200,29 +200,34 @@ const sendEmail = async (options) => {
   }
 };
 
+/**
+ * A ticket's QR code as an inline attachment, so email clients render it
+ * (<img src="cid:qrcode@felicity">). Null when the ticket has no QR code.
+ */
+export const qrCodeAttachment = (qrCodeData) => {
+  if (!qrCodeData) return null;
+  try {
+    // qrCodeData is a data URL like "data:image/png;base64,iVBOR..."
+    const base64Data = qrCodeData.replace(/^data:image\/\w+;base64,/, '');
+    return {
+      filename: 'qrcode.png',
+      content: Buffer.from(base64Data, 'base64'),
+      contentType: 'image/png',
+      cid: 'qrcode@felicity'
+    };
+  } catch (e) {
+    console.error('Failed to prepare QR attachment:', e);
+    return null;
+  }
+};
+
 /**
  * Send registration confirmation email with ticket
  */
 export const sendRegistrationEmail = async (participant, event, registration) => {
-  // Build attachments array – embed QR as a CID inline image so email clients render it
-  const attachments = [];
-  let qrCid = null;
-  if (registration.qrCodeData) {
-    try {
-      // qrCodeData is a data URL like "data:image/png;base64,iVBOR..."
-      const base64Data = registration.qrCodeData.replace(/^data:image\/\w+;base64,/, '');
-      qrCid = 'qrcode@felicity';
-      attachments.push({
-        filename: 'qrcode.png',
-        content: Buffer.from(base64Data, 'base64'),
-        contentType: 'image/png',
-        cid: qrCid
-      });
-    } catch (e) {
-      console.error('Failed to prepare QR attachment:', e);
-      qrCid = null;
-    }
-  }
+  const qrAttachment = qrCodeAttachment(registration.qrCodeData);
+  const attachments = qrAttachment ? [qrAttachment] : [];
+  const qrCid = qrAttachment?.cid || null;
 
   const html = `
     <!DOCTYPE html>
@@ -0,0 +1,69 @@
+/**
+ * Event Permissions
+ *
+ * Who may do what on one event. Admins and the owning organizer can do
+ * everything; other accounts get what their role in event.staff grants:
+ * - co-organizer: full edit (everything but deleting the event and managing staff)
+ * - volunteer: check-in only (scanQRCode, markAttendance)
+ * - finance: payment decisions only (paymentAction)
+ *
+ * Event-level checks in the controllers all go through these helpers rather
+ * than comparing event.organizer with req.user.
+ */
+
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * - view: see the event while unpublished, and its staff list
+ * - manage: edit and publish, registrations, exports, analytics, attendance
+ *   tools, waitlist, discussion moderation
+ * - checkin: scan tickets and mark attendance
+ * - payments: approve or reject payments
+ * - delete, staff: delete the event, add and remove staff
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'manage', 'checkin', 'payments', 'delete', 'staff'],
+  'co-organizer': ['view', 'manage', 'checkin', 'payments'],
+  volunteer: ['view', 'checkin'],
+  finance: ['view', 'payments']
+};
+
+// Works for populated and unpopulated references
+const idOf = (ref) => (ref?._id ?? ref)?.toString();
+
+/**
+ * The user's role on the event: 'admin', 'owner', a staff role, or null.
+ * The event must have `organizer` and `staff` loaded.
+ */
+export const eventRole = (event, user) => {
+  if (!event || !user) return null;
+  if (user.role === 'admin') return 'admin';
+  const userId = idOf(user);
+  if (idOf(event.organizer) === userId) return 'owner';
+  return event.staff?.find(member => idOf(member.user) === userId)?.role || null;
+};
+
+/**
+ * Everything the user may do on the event
+ */
+export const eventPermissions = (event, user) => {
+  const role = eventRole(event, user);
+  return ROLE_PERMISSIONS[role === 'admin' ? 'owner' : role] || [];
+};
+
+/**
+ * Staff roles that grant `permission`, for finding the events a user may act on
+ */
+export const staffRolesWith = (permission) => Object.keys(ROLE_PERMISSIONS)
+  .filter(role => role !== 'owner' && ROLE_PERMISSIONS[role].includes(permission));
+
+export const can = (event, user, permission) => eventPermissions(event, user).includes(permission);
+
+/**
+ * @throws {AppError} 403 unless the user has `permission` on the event
+ */
+export const assertCan = (event, user, permission, message = 'Not authorized') => {
+  if (!can(event, user, permission)) {
+    throw new AppError(message, 403);
+  }
+};
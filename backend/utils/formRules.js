@@ -0,0 +1,275 @@
+/**
+ * Custom Form Rules
+ *
+ * Conditional logic and validation for an event's custom registration form
+ * (Event.customFields):
+ * - showIf: the field is only shown (and only accepted) when the condition holds
+ * - requiredIf: the field is required when the condition holds
+ * - validation: min/max, maxLength, pattern, file types and size, checked on filled fields;
+ *   patterns run with a time limit
+ *
+ * A condition is { fieldId, operator, value } against another field's response.
+ * The registration page renders the same rules (frontend/src/utils/formRules.js);
+ * this module is what enforces them.
+ */
+
+import vm from 'vm';
+import { AppError } from '../middleware/errorHandler.js';
+
+const OPERATORS = ['equals', 'not_equals', 'contains', 'filled', 'empty'];
+const MAX_PATTERN_LENGTH = 200;
+const MAX_FILE_SIZE_MB = 10;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Organizer patterns run in a sandbox with a time limit, so one that
+// backtracks catastrophically (e.g. (a+)+$) can't stall the server
+const PATTERN_TIMEOUT_MS = 50;
+const patternContext = vm.createContext(Object.create(null));
+const patternScript = new vm.Script('new RegExp(pattern).test(text)');
+
+/**
+ * Does `text` match the organizer's pattern? Too slow to tell counts as no.
+ */
+const matchesPattern = (pattern, text) => {
+  patternContext.pattern = pattern;
+  patternContext.text = text;
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIMEOUT_MS }) === true;
+  } catch {
+    return false;
+  }
+};
+
+// An unchecked checkbox is sent as 'false'
+const isBlank = (field, value) =>
+  value === undefined || value === null || String(value).trim() === '' ||
+  (field?.type === 'checkbox' && String(value) !== 'true');
+
+const hasCondition = (condition) => !!condition?.fieldId;
+
+/**
+ * Does `condition` hold for the source field's value?
+ */
+export const evaluateCondition = (condition, sourceField, value) => {
+  const blank = isBlank(sourceField, value);
+  const actual = blank ? '' : String(value).trim().toLowerCase();
+  const expected = String(condition.value ?? '').trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'filled': return !blank;
+    case 'empty': return blank;
+    case 'not_equals': return actual !== expected;
+    case 'contains': return !blank && actual.includes(expected);
+    default: return actual === expected;
+  }
+};
+
+/**
+ * Which fields are shown for these responses. A field whose showIf source is
+ * itself hidden is hidden too; a cycle hides every field in it.
+ *
+ * @param {Array} fields - event.customFields
+ * @param {Object} values - fieldId → value
+ * @returns {Set<string>} visible fieldIds
+ */
+export const visibleFieldIds = (fields, values) => {
+  const byId = new Map(fields.map(f => [f.fieldId, f]));
+  const memo = new Map();
+
+  const isVisible = (field, seen) => {
+    if (memo.has(field.fieldId)) return memo.get(field.fieldId);
+    if (seen.has(field.fieldId)) return false;
+    seen.add(field.fieldId);
+
+    let visible = true;
+    if (hasCondition(field.showIf)) {
+      const source = byId.get(field.showIf.fieldId);
+      visible = !!source && isVisible(source, seen) &&
+        evaluateCondition(field.showIf, source, values[source.fieldId]);
+    }
+    memo.set(field.fieldId, visible);
+    return visible;
+  };
+
+  return new Set(fields.filter(f => isVisible(f, new Set())).map(f => f.fieldId));
+};
+
+/**
+ * Is a (visible) field required for these responses?
+ */
+export const isFieldRequired = (field, fields, values, visible) => {
+  if (field.required) return true;
+  if (!hasCondition(field.requiredIf)) return false;
+  const source = fields.find(f => f.fieldId === field.requiredIf.fieldId);
+  if (!source) return false;
+  const value = visible.has(source.fieldId) ? values[source.fieldId] : undefined;
+  return evaluateCondition(field.requiredIf, source, value);
+};
+
+/**
+ * Constraint violation for a filled field, or null
+ */
+export const fieldError = (field, value) => {
+  const v = field.validation || {};
+  const text = String(value);
+
+  if (field.type === 'number') {
+    const num = Number(value);
+    if (text.trim() === '' || isNaN(num)) return `${field.label} must be a number`;
+    if (v.min !== undefined && v.min !== null && num < v.min) return `${field.label} must be at least ${v.min}`;
+    if (v.max !== undefined && v.max !== null && num > v.max) return `${field.label} must be at most ${v.max}`;
+  }
+
+  if (field.type === 'email' && !EMAIL_REGEX.test(text.trim())) {
+    return `${field.label} must be a valid email address`;
+  }
+
+  if (['dropdown', 'radio'].includes(field.type) && field.options?.length && !field.options.includes(text)) {
+    return `${field.label} must be one of: ${field.options.join(', ')}`;
+  }
+
+  if (['text', 'textarea'].includes(field.type)) {
+    if (v.maxLength && text.length > v.maxLength) return `${field.label} must be at most ${v.maxLength} characters`;
+    if (v.pattern && !matchesPattern(v.pattern, text)) return v.patternMessage || `${field.label} is not in the expected format`;
+  }
+
+  if (field.type === 'file' && v.fileTypes?.length) {
+    const ext = text.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (!v.fileTypes.includes(ext)) return `${field.label} must be a ${v.fileTypes.join(', ')} file`;
+  }
+
+  return null;
+};
+
+/**
+ * Put uploaded files into the responses of their 'file' fields.
+ * Any `file` the client sent itself is discarded — only real uploads count.
+ *
+ * @param {Array} fields - event.customFields
+ * @param {Array} responses - [{ fieldId, value }]
+ * @param {Array} uploads - [{ fieldId, url, name, size, mimeType }]
+ * @returns {Array} responses with { value: name, file } for uploaded fields
+ */
+export const attachUploads = (fields = [], responses = [], uploads = []) => {
+  const merged = (Array.isArray(responses) ? responses : [])
+    .filter(r => r?.fieldId && !uploads.some(u => u.fieldId === r.fieldId))
+    .map(({ fieldId, value }) => ({ fieldId, value }));
+
+  for (const upload of uploads) {
+    const field = fields.find(f => f.fieldId === upload.fieldId);
+    if (!field || field.type !== 'file') {
+      throw new AppError('File uploaded for a field that does not take files', 400);
+    }
+    const maxMB = Math.min(field.validation?.maxSizeMB || MAX_FILE_SIZE_MB, MAX_FILE_SIZE_MB);
+    if (upload.size > maxMB * 1024 * 1024) {
+      throw new AppError(`${field.label} must be at most ${maxMB} MB`, 400);
+    }
+    const { fieldId, ...file } = upload;
+    merged.push({ fieldId, value: upload.name, file });
+  }
+  return merged;
+};
+
+/**
+ * Enforce the form's rules on submitted responses.
+ * Responses to hidden or unknown fields are dropped, as are blank optional ones.
+ *
+ * @param {Array} fields - event.customFields
+ * @param {Array} responses - [{ fieldId, value, file? }] (files from attachUploads)
+ * @returns {Array} accepted [{ fieldId, label, value, file? }] in form order
+ * @throws {AppError} 400 naming the first failing field
+ */
+export const validateFormResponses = (fields = [], responses = []) => {
+  const values = {};
+  const files = {};
+  (Array.isArray(responses) ? responses : []).forEach(r => {
+    if (!r?.fieldId) return;
+    values[r.fieldId] = r.value;
+    if (r.file) files[r.fieldId] = r.file;
+  });
+
+  const ordered = [...fields].sort((a, b) => a.order - b.order);
+  const visible = visibleFieldIds(ordered, values);
+  const accepted = [];
+
+  for (const field of ordered) {
+    if (!visible.has(field.fieldId)) continue;
+    const value = values[field.fieldId];
+
+    if (isBlank(field, value)) {
+      if (isFieldRequired(field, ordered, values, visible)) {
+        throw new AppError(`${field.label} is required`, 400);
+      }
+      continue;
+    }
+
+    if (field.type === 'file' && !files[field.fieldId]) {
+      throw new AppError(`Please upload ${field.label}`, 400);
+    }
+    const error = fieldError(field, value);
+    if (error) {
+      throw new AppError(error, 400);
+    }
+    accepted.push({ fieldId: field.fieldId, label: field.label, value, ...(files[field.fieldId] && { file: files[field.fieldId] }) });
+  }
+
+  return accepted;
+};
+
+/**
+ * Check organizer-built rules before the form is saved: conditions must point
+ * at another field of the form, patterns must compile and ranges make sense.
+ * Empty conditions from the builder are dropped.
+ */
+export const normalizeFormFields = (fields) => {
+  if (!Array.isArray(fields)) {
+    throw new AppError('Custom fields must be a list', 400);
+  }
+  const ids = new Set(fields.map(f => f.fieldId));
+
+  return fields.map(field => {
+    const normalized = { ...field };
+
+    ['showIf', 'requiredIf'].forEach(key => {
+      const condition = field[key];
+      if (!hasCondition(condition)) {
+        delete normalized[key];
+        return;
+      }
+      if (condition.fieldId === field.fieldId || !ids.has(condition.fieldId)) {
+        throw new AppError(`"${field.label}" has a rule that refers to a field not in this form`, 400);
+      }
+      if (condition.operator && !OPERATORS.includes(condition.operator)) {
+        throw new AppError(`"${field.label}" has an unknown rule operator`, 400);
+      }
+    });
+
+    const v = field.validation;
+    if (v) {
+      if (v.min !== undefined && v.min !== null && v.max !== undefined && v.max !== null && Number(v.min) > Number(v.max)) {
+        throw new AppError(`"${field.label}": minimum cannot be above maximum`, 400);
+      }
+      if (v.pattern) {
+        if (v.pattern.length > MAX_PATTERN_LENGTH) {
+          throw new AppError(`"${field.label}": pattern is too long`, 400);
+        }
+        try {
+          new RegExp(v.pattern);
+        } catch {
+          throw new AppError(`"${field.label}": pattern is not a valid regular expression`, 400);
+        }
+      }
+      if (v.maxSizeMB !== undefined && v.maxSizeMB !== null && !(v.maxSizeMB > 0 && v.maxSizeMB <= MAX_FILE_SIZE_MB)) {
+        throw new AppError(`"${field.label}": file size limit must be between 0 and ${MAX_FILE_SIZE_MB} MB`, 400);
+      }
+      if (v.fileTypes) {
+        normalized.validation = {
+          ...v,
+          fileTypes: v.fileTypes.map(t => String(t).trim().replace(/^\./, '').toLowerCase()).filter(Boolean)
+        };
+      }
+    }
+
+    return normalized;
+  });
+};
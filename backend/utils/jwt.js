@@ -8,32 +8,64 @@
  */
 
 import jwt from 'jsonwebtoken';
+import sessionService from '../services/sessionService.js';
 
 /**
  * Generate JWT Token
  * 
  * @param {string} id - User ID to encode in token
+ * @param {string} sessionId - Session the token belongs to (models/Session.js)
  * @returns {string} - Signed JWT token
  * 
  * PAYLOAD CONSIDERATIONS:
- * - Only include user ID in payload
+ * - Only include user ID and session ID in payload
  * - Sensitive data (email, role) fetched from DB when needed
  * - Keeps token small and secure
+ * - Short-lived: clients renew it with their refresh token, and it stops
+ *   working as soon as its session is revoked
  */
-export const generateToken = (id) => {
+export const generateToken = (id, sessionId) => {
   return jwt.sign(
-    { id },
+    { id, sid: sessionId },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m' }
   );
 };
 
+/**
+ * Two-factor login challenge
+ * 
+ * Proves the password step passed, for the few minutes the user has to enter
+ * their code. It names no session, so `protect` never accepts it.
+ */
+export const generateTwoFactorChallenge = (id) => {
+  return jwt.sign(
+    { id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+};
+
+/**
+ * @returns {string|null} - User ID of a valid challenge, null otherwise
+ */
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Send token response
- * Creates token and sends it with user data
+ * Starts a session for the request's device and sends its tokens with user data
+ * (plus any `extra` response fields)
  */
-export const sendTokenResponse = (user, statusCode, res, message = 'Success') => {
-  const token = generateToken(user._id);
+export const sendTokenResponse = async (user, statusCode, res, message = 'Success', extra = {}) => {
+  const { session, refreshToken } = await sessionService.create(user, res.req);
+  const token = generateToken(user._id, session._id);
   
   // Get user data without sensitive fields
   const userData = user.getPublicProfile ? user.getPublicProfile() : user.toObject();
@@ -43,6 +75,8 @@ export const sendTokenResponse = (user, statusCode, res, message = 'Success') =>
     success: true,
     message,
     token,
+    refreshToken,
+    ...extra,
     user: userData
   });
 };
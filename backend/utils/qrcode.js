@@ -6,14 +6,102 @@
  * - Reduces fraud (unique codes hard to replicate)
  * - Works offline (organizer app can validate without internet)
  * 
- * QR DATA STRUCTURE:
- * - Contains minimal data for validation
- * - Includes ticket ID, event ID, participant ID
- * - JSON format for easy parsing
+ * QR DATA STRUCTURE (v2 — signed):
+ * - FELQR2.<base64url(payload JSON)>.<base64url(Ed25519 signature)>
+ * - Payload holds ticket ID, event ID, participant ID and key ID
+ * - Signature covers the exact base64url payload string, so no canonical
+ *   JSON is needed — scanners verify offline with the public key from
+ *   GET /api/registrations/qr-public-key
+ *
+ * LEGACY (v1): plain unsigned JSON. Still accepted, but only for
+ * registrations issued before signing was introduced (see acceptsLegacyQR).
  */
 
+import crypto from 'crypto';
 import QRCode from 'qrcode';
 
+export const QR_VERSION = 2;
+const QR_PREFIX = 'FELQR2';
+
+// PKCS#8 DER header for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+let signingKeys = null;
+
+/**
+ * Load (once) the Ed25519 key pair used to sign tickets.
+ * QR_SIGNING_PRIVATE_KEY (PEM) takes precedence; otherwise the key is derived
+ * from JWT_SECRET so tickets stay valid across restarts without extra config.
+ */
+const getSigningKeys = () => {
+  if (signingKeys) return signingKeys;
+
+  let privateKey;
+  if (process.env.QR_SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.QR_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('QR_SIGNING_PRIVATE_KEY or JWT_SECRET must be set to sign tickets');
+    }
+    const seed = crypto.createHash('sha256').update(`felicity-qr:${process.env.JWT_SECRET}`).digest();
+    privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const rawPublic = publicKey.export({ format: 'jwk' }).x;
+  const keyId = crypto.createHash('sha256').update(rawPublic).digest('hex').slice(0, 16);
+
+  signingKeys = { privateKey, publicKey, keyId };
+  return signingKeys;
+};
+
+/**
+ * Public verification key, in formats a scanner can cache for offline use.
+ */
+export const getQRPublicKey = () => {
+  const { publicKey, keyId } = getSigningKeys();
+  return {
+    algorithm: 'Ed25519',
+    version: QR_VERSION,
+    prefix: QR_PREFIX,
+    keyId,
+    publicKeyPem: publicKey.export({ format: 'pem', type: 'spki' }),
+    jwk: { ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'EdDSA', use: 'sig' }
+  };
+};
+
+/**
+ * Sign a payload into the compact FELQR2 token format.
+ */
+export const signQRPayload = (payload) => {
+  const { privateKey } = getSigningKeys();
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const signature = crypto.sign(null, Buffer.from(body), privateKey).toString('base64url');
+  return `${QR_PREFIX}.${body}.${signature}`;
+};
+
+/**
+ * Verify a FELQR2 token. Returns the decoded payload or null.
+ */
+const verifySignedToken = (token) => {
+  const parts = token.split('.');
+  if (parts.length !== 3 || parts[0] !== QR_PREFIX) return null;
+
+  const { publicKey } = getSigningKeys();
+  const ok = crypto.verify(null, Buffer.from(parts[1]), publicKey, Buffer.from(parts[2], 'base64url'));
+  if (!ok) return null;
+
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+};
+
 /**
  * Generate QR code for a registration ticket
  * 
@@ -22,27 +110,31 @@ import QRCode from 'qrcode';
  * @param {Object} participant - Participant document
  * @returns {Promise<string>} - Base64 data URL of QR code
  * 
- * DATA ENCODED:
+ * DATA ENCODED (signed):
+ * - v / kid: Payload version and signing key ID
  * - ticketId: For display and manual lookup
  * - eventId: To verify ticket is for correct event
  * - participantId: To identify the attendee
  * - type: 'normal' or 'merchandise' for different handling
+ * 
+ * NOTE: sets registration.qrVersion so the legacy path is closed for this
+ * ticket — callers save the registration afterwards anyway.
  */
 export const generateTicketQR = async (registration, event, participant) => {
   const qrData = {
+    v: QR_VERSION,
+    kid: getSigningKeys().keyId,
     ticketId: registration.ticketId,
     eventId: event._id.toString(),
-    eventName: event.name,
     participantId: participant._id.toString(),
-    participantName: `${participant.firstName} ${participant.lastName}`,
     type: registration.registrationType,
-    timestamp: Date.now()
+    iat: Date.now()
   };
   
   try {
     // Generate QR as data URL (base64 encoded PNG)
     // This can be directly used in <img> tags
-    const qrCodeDataUrl = await QRCode.toDataURL(JSON.stringify(qrData), {
+    const qrCodeDataUrl = await QRCode.toDataURL(signQRPayload(qrData), {
       errorCorrectionLevel: 'M', // Medium error correction (15%)
       type: 'image/png',
       width: 300,
@@ -53,6 +145,7 @@ export const generateTicketQR = async (registration, event, participant) => {
       }
     });
     
+    registration.qrVersion = QR_VERSION;
     return qrCodeDataUrl;
     
   } catch (error) {
@@ -61,27 +154,58 @@ export const generateTicketQR = async (registration, event, participant) => {
   }
 };
 
+/**
+ * Whether a registration may be scanned from unsigned QR data (legacy JSON or
+ * a bare ticket ID): only tickets issued before signing, flagged by the
+ * migration, that have not been reissued with a signed QR since. A missing
+ * qrVersion alone is not enough — pending and unpaid registrations have none.
+ */
+export const acceptsLegacyQR = (registration) => !!registration?.legacyQr && !(registration.qrVersion >= QR_VERSION);
+
 /**
  * Validate QR code data
  * Checks if the QR data is valid and not tampered
+ * 
+ * @param {string|Object} qrData - Scanned content (FELQR2 token, legacy JSON, or bare ticket ID)
+ * @param {string} [eventId] - Optional event the ticket must belong to
+ * @returns {{ valid: boolean, data?: Object, legacy?: boolean, error?: string }}
+ * 
+ * Legacy results are NOT trustworthy on their own — the caller must check
+ * acceptsLegacyQR for the registration and that any IDs in the data match
+ * the stored registration.
  */
 export const validateQRData = (qrData, eventId) => {
-  try {
-    const data = typeof qrData === 'string' ? JSON.parse(qrData) : qrData;
-    
-    // Validate required fields
-    if (!data.ticketId || !data.eventId || !data.participantId) {
-      return { valid: false, error: 'Invalid QR code data' };
+  const raw = typeof qrData === 'string' ? qrData.trim() : qrData;
+  let data;
+  let legacy = false;
+
+  if (typeof raw === 'string' && raw.startsWith(`${QR_PREFIX}.`)) {
+    data = verifySignedToken(raw);
+    if (!data) {
+      return { valid: false, error: 'QR signature is invalid — ticket may be forged' };
     }
-    
-    // Validate event match
-    if (data.eventId !== eventId.toString()) {
-      return { valid: false, error: 'Ticket is for a different event' };
+  } else {
+    legacy = true;
+    try {
+      data = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch {
+      // Not JSON — treat the raw string as a plain ticket ID
+      data = raw ? { ticketId: raw } : null;
     }
-    
-    return { valid: true, data };
-    
-  } catch (error) {
-    return { valid: false, error: 'Could not parse QR code' };
+    if (!data || typeof data !== 'object') {
+      return { valid: false, error: 'Could not parse QR code' };
+    }
+  }
+
+  // Validate required fields
+  if (!data.ticketId || (!legacy && (!data.eventId || !data.participantId))) {
+    return { valid: false, error: 'Invalid QR code data' };
   }
+
+  // Validate event match
+  if (eventId && data.eventId && data.eventId !== eventId.toString()) {
+    return { valid: false, error: 'Ticket is for a different event' };
+  }
+
+  return { valid: true, data, legacy };
 };
@@ -0,0 +1,133 @@
+/**
+ * TOTP Utility
+ *
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1 over 30-second steps, 6 digits. Codes from one step either side
+ * of now are accepted to allow for clock drift.
+ *
+ * Secrets are stored encrypted (AES-256-GCM). TWO_FACTOR_ENCRYPTION_KEY
+ * (32 bytes, hex or base64) takes precedence; otherwise the key is derived
+ * from JWT_SECRET, like the ticket signing key in utils/qrcode.js.
+ */
+
+import crypto from 'crypto';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * A new random secret (160 bits, base32 as authenticator apps expect)
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * The code for a secret at a time step
+ */
+export const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+export const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+/**
+ * Check a code against the current step and its neighbours.
+ *
+ * @returns {number|null} the matching time step (to refuse replays), or null
+ */
+export const verifyCode = (secret, code, time = Date.now()) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) return null;
+  const now = currentStep(time);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+};
+
+/**
+ * otpauth:// URL for the enrollment QR code
+ */
+export const otpauthUrl = (secret, accountName, issuer = 'Felicity') =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${accountName}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+// ============ ENCRYPTION AT REST ============
+
+let encryptionKey = null;
+
+const getEncryptionKey = () => {
+  if (encryptionKey) return encryptionKey;
+  const configured = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (configured) {
+    encryptionKey = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, 'hex') : Buffer.from(configured, 'base64');
+    if (encryptionKey.length !== 32) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY must be 32 bytes (hex or base64)');
+    }
+  } else {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set to store 2FA secrets');
+    }
+    encryptionKey = crypto.createHash('sha256').update(`felicity-2fa:${process.env.JWT_SECRET}`).digest();
+  }
+  return encryptionKey;
+};
+
+/**
+ * Encrypt a secret for storage: <iv>.<tag>.<ciphertext>, base64url
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join('.');
+};
+
+export const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = String(stored).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
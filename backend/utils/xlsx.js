@@ -0,0 +1,97 @@
+/**
+ * XLSX Utility
+ *
+ * Streams a single-sheet Excel workbook: the sheet XML is generated row by row
+ * into a streamed ZIP entry, so exports of any size use constant memory.
+ * Cells are inline strings or numbers (no shared strings table); the header
+ * row is bold and frozen.
+ */
+
+import { createZipWriter } from './zip.js';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+// Style 0: default, style 1: bold (header row)
+const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`;
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML = /[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g;
+
+const escapeXml = (text) => String(text)
+  .replace(INVALID_XML, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Sheet names: at most 31 characters, none of : \ / ? * [ ]
+const sheetName = (name) => escapeXml(String(name || 'Sheet1').replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+
+const cellXml = (value, style) => {
+  const s = style ? ` s="${style}"` : '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c${s}><v>${value}</v></c>`;
+  }
+  if (value === undefined || value === null || value === '') {
+    return `<c${s}/>`;
+  }
+  return `<c${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+async function* sheetXml(header, rows) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    '<sheetData>';
+  yield `<row>${header.map(h => cellXml(h, 1)).join('')}</row>`;
+  for await (const row of rows) {
+    yield `<row>${row.map(v => cellXml(v)).join('')}</row>`;
+  }
+  yield '</sheetData></worksheet>';
+}
+
+/**
+ * Write a workbook with one sheet to `out` and end it.
+ *
+ * @param {import('stream').Writable} out
+ * @param {{ name?: string, header: string[], rows: AsyncIterable<Array<string|number>> }} sheet
+ */
+export const writeXlsx = async (out, { name, header, rows }) => {
+  const zip = createZipWriter(out);
+  await zip.add('[Content_Types].xml', Buffer.from(CONTENT_TYPES));
+  await zip.add('_rels/.rels', Buffer.from(ROOT_RELS));
+  await zip.add('xl/workbook.xml', Buffer.from(
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${sheetName(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  ));
+  await zip.add('xl/_rels/workbook.xml.rels', Buffer.from(WORKBOOK_RELS));
+  await zip.add('xl/styles.xml', Buffer.from(STYLES));
+  await zip.add('xl/worksheets/sheet1.xml', sheetXml(header, rows));
+  await zip.finish();
+};
@@ -0,0 +1,145 @@
+/**
+ * ZIP Utility
+ *
+ * Minimal streaming ZIP writer for download bundles and generated documents
+ * (XLSX). Entries are added one at a time and written straight to the output
+ * (e.g. an Express response). Buffers are written whole; streams are deflated
+ * as they arrive and followed by a data descriptor, so they are never held in
+ * memory. No ZIP64: bundles must stay under 4 GB.
+ */
+
+import zlib from 'zlib';
+import { once } from 'events';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+// Pass the previous result to continue a checksum across chunks
+const crc32 = (buf, previous = 0) => {
+  let crc = (previous ^ 0xFFFFFFFF) >>> 0;
+  for (let i = 0; i < buf.length; i++) {
+    crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+const UTF8_NAMES = 0x0800;
+const DATA_DESCRIPTOR = 0x0008;
+
+// MS-DOS date/time as stored in ZIP headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+const localHeader = (entry) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);          // version needed
+  header.writeUInt16LE(entry.flags, 6);
+  header.writeUInt16LE(8, 8);           // deflate
+  header.writeUInt16LE(entry.time, 10);
+  header.writeUInt16LE(entry.day, 12);
+  header.writeUInt32LE(entry.crc, 14);  // all zero when a data descriptor follows
+  header.writeUInt32LE(entry.compressedSize, 18);
+  header.writeUInt32LE(entry.size, 22);
+  header.writeUInt16LE(entry.fileName.length, 26);
+  header.writeUInt16LE(0, 28);
+  return header;
+};
+
+/**
+ * @param {import('stream').Writable} out
+ * @returns {{ add: (name: string, data: Buffer|AsyncIterable<Buffer|string>, date?: Date) => Promise<void>, finish: () => Promise<void> }}
+ */
+export const createZipWriter = (out) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (buf) => {
+    offset += buf.length;
+    if (!out.write(buf)) await once(out, 'drain');
+  };
+
+  return {
+    add: async (name, data, date = new Date()) => {
+      const fileName = Buffer.from(name, 'utf8');
+      const { time, date: day } = dosDateTime(date);
+      const entry = { fileName, time, day, offset, crc: 0, size: 0, compressedSize: 0 };
+
+      if (Buffer.isBuffer(data)) {
+        const compressed = zlib.deflateRawSync(data);
+        Object.assign(entry, { flags: UTF8_NAMES, crc: crc32(data), size: data.length, compressedSize: compressed.length });
+        entries.push(entry);
+        await write(localHeader(entry));
+        await write(fileName);
+        await write(compressed);
+        return;
+      }
+
+      entry.flags = UTF8_NAMES | DATA_DESCRIPTOR;
+      entries.push(entry);
+      await write(localHeader(entry));
+      await write(fileName);
+
+      const deflate = zlib.createDeflateRaw();
+      const feed = (async () => {
+        for await (const chunk of data) {
+          const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'utf8');
+          entry.crc = crc32(buf, entry.crc);
+          entry.size += buf.length;
+          if (!deflate.write(buf)) await once(deflate, 'drain');
+        }
+        deflate.end();
+      })().catch(err => deflate.destroy(err));
+
+      for await (const compressed of deflate) {
+        entry.compressedSize += compressed.length;
+        await write(compressed);
+      }
+      await feed;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await write(descriptor);
+    },
+
+    finish: async () => {
+      const start = offset;
+      for (const e of entries) {
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4);        // version made by
+        header.writeUInt16LE(20, 6);        // version needed
+        header.writeUInt16LE(e.flags, 8);
+        header.writeUInt16LE(8, 10);
+        header.writeUInt16LE(e.time, 12);
+        header.writeUInt16LE(e.day, 14);
+        header.writeUInt32LE(e.crc, 16);
+        header.writeUInt32LE(e.compressedSize, 20);
+        header.writeUInt32LE(e.size, 24);
+        header.writeUInt16LE(e.fileName.length, 28);
+        header.writeUInt32LE(e.offset, 42);
+        await write(header);
+        await write(e.fileName);
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+      out.end();
+    }
+  };
+};
@@ -3,10 +3,14 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './context/AuthContext';
 import { ThemeProvider } from './context/ThemeContext';
 import Navbar from './components/common/Navbar';
+import VerifyEmailBanner from './components/common/VerifyEmailBanner';
 import ProtectedRoute from './components/common/ProtectedRoute';
 import LandingPage from './pages/LandingPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage from './pages/ResetPasswordPage';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import OnboardingPage from './pages/OnboardingPage';
 import BrowseEventsPage from './pages/BrowseEventsPage';
 import EventDetailsPage from './pages/EventDetailsPage';
@@ -18,13 +22,23 @@ import Dashboard from './pages/Dashboard';
 import CreateEventPage from './pages/CreateEventPage';
 import EditEventPage from './pages/EditEventPage';
 import EventRegistrationsPage from './pages/EventRegistrationsPage';
+import CheckInStationPage from './pages/CheckInStationPage';
+import PromoCodesPage from './pages/PromoCodesPage';
+import RefundsPage from './pages/RefundsPage';
+import CartPage from './pages/CartPage';
+import OrderPage from './pages/OrderPage';
 import ManageOrganizersPage from './pages/ManageOrganizersPage';
 import PasswordRequestsPage from './pages/PasswordRequestsPage';
 import TeamManagementPage from './pages/TeamManagementPage';
+import StaffEventsPage from './pages/StaffEventsPage';
+import StaffAccessPage from './pages/StaffAccessPage';
+import AuditLogPage from './pages/AuditLogPage';
+import LoginLockoutsPage from './pages/LoginLockoutsPage';
 
 const Layout = ({ children }) => (
   <>
     <Navbar />
+    <VerifyEmailBanner />
     <main style={{ paddingTop: 20, paddingBottom: 40 }}>{children}</main>
   </>
 );
@@ -41,6 +55,10 @@ function App() {
             <Route path="/" element={<LandingPage />} />
             <Route path="/login" element={<LoginPage />} />
             <Route path="/register" element={<RegisterPage />} />
+            <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+            <Route path="/reset-password/:token" element={<ResetPasswordPage />} />
+            <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
+            <Route path="/staff-access/:token" element={<StaffAccessPage />} />
 
             <Route path="/events" element={<Layout><BrowseEventsPage /></Layout>} />
             <Route path="/events/:id" element={<Layout><EventDetailsPage /></Layout>} />
@@ -62,15 +80,36 @@ function App() {
             <Route path="/teams" element={
               <ProtectedRoute allowedRoles={['participant']}><Layout><TeamManagementPage /></Layout></ProtectedRoute>
             } />
+            <Route path="/cart" element={
+              <ProtectedRoute allowedRoles={['participant']}><Layout><CartPage /></Layout></ProtectedRoute>
+            } />
+            <Route path="/orders/:id" element={
+              <ProtectedRoute allowedRoles={['participant', 'organizer', 'admin']}><Layout><OrderPage /></Layout></ProtectedRoute>
+            } />
 
             <Route path="/create-event" element={
               <ProtectedRoute allowedRoles={['organizer']}><Layout><CreateEventPage /></Layout></ProtectedRoute>
             } />
+            {/* Event staff can have any account role; access is checked per event */}
             <Route path="/edit-event/:id" element={
-              <ProtectedRoute allowedRoles={['organizer']}><Layout><EditEventPage /></Layout></ProtectedRoute>
+              <ProtectedRoute><Layout><EditEventPage /></Layout></ProtectedRoute>
             } />
             <Route path="/event-registrations/:eventId" element={
-              <ProtectedRoute allowedRoles={['organizer', 'admin']}><Layout><EventRegistrationsPage /></Layout></ProtectedRoute>
+              <ProtectedRoute><Layout><EventRegistrationsPage /></Layout></ProtectedRoute>
+            } />
+            <Route path="/staff" element={
+              <ProtectedRoute><Layout><StaffEventsPage /></Layout></ProtectedRoute>
+            } />
+            <Route path="/promo-codes" element={
+              <ProtectedRoute allowedRoles={['organizer']}><Layout><PromoCodesPage /></Layout></ProtectedRoute>
+            } />
+            {/* Event staff with payment rights work the queue too (filtered server-side) */}
+            <Route path="/refunds" element={
+              <ProtectedRoute><Layout><RefundsPage /></Layout></ProtectedRoute>
+            } />
+            {/* Volunteers run stations too (checked server-side) */}
+            <Route path="/checkin/:eventId" element={
+              <ProtectedRoute><Layout><CheckInStationPage /></Layout></ProtectedRoute>
             } />
 
             <Route path="/manage-organizers" element={
@@ -79,6 +118,12 @@ function App() {
             <Route path="/password-requests" element={
               <ProtectedRoute allowedRoles={['admin']}><Layout><PasswordRequestsPage /></Layout></ProtectedRoute>
             } />
+            <Route path="/audit-log" element={
+              <ProtectedRoute allowedRoles={['admin']}><Layout><AuditLogPage /></Layout></ProtectedRoute>
+            } />
+            <Route path="/login-lockouts" element={
+              <ProtectedRoute allowedRoles={['admin']}><Layout><LoginLockoutsPage /></Layout></ProtectedRoute>
+            } />
 
             <Route path="*" element={
               <Layout>
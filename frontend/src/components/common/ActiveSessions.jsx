@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import authService from '../../services/authService';
+import toast from 'react-hot-toast';
+
+// "Chrome on Windows" from a user agent string; good enough to tell devices apart
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]
+  ].find(([, re]) => re.test(userAgent))?.[0];
+  const os = [
+    ['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]
+  ].find(([, re]) => re.test(userAgent))?.[0];
+  if (!browser && !os) return userAgent ? userAgent.slice(0, 60) : 'Unknown device';
+  return [browser || 'Browser', os && `on ${os}`].filter(Boolean).join(' ');
+};
+
+/**
+ * The signed-in user's active sessions, with sign-out per session or for all
+ */
+const ActiveSessions = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const load = () => authService.getSessions()
+    .then(res => setSessions(res.sessions || []))
+    .catch(err => toast.error(err.response?.data?.message || 'Failed to load sessions'))
+    .finally(() => setLoading(false));
+
+  useEffect(() => { load(); }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      if (!window.confirm('Sign out of this device?')) return;
+      logout();
+      navigate('/');
+      return;
+    }
+    try {
+      await authService.revokeSession(session._id);
+      toast.success('Session signed out');
+      setSessions(prev => prev.filter(s => s._id !== session._id));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to sign out session');
+    }
+  };
+
+  const handleRevokeAll = async (exceptCurrent) => {
+    if (!window.confirm(exceptCurrent ? 'Sign out every other device?' : 'Sign out everywhere, including this device?')) return;
+    try {
+      const res = await authService.revokeAllSessions(exceptCurrent);
+      if (!exceptCurrent) {
+        logout();
+        navigate('/');
+        return;
+      }
+      toast.success(res.message);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to sign out sessions');
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+        <h4 style={{ margin: 0 }}>Active Sessions</h4>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button className="btn btn-secondary btn-sm" disabled={sessions.length < 2} onClick={() => handleRevokeAll(true)}>
+            Sign out other devices
+          </button>
+          <button className="btn btn-danger btn-sm" onClick={() => handleRevokeAll(false)}>Sign out everywhere</button>
+        </div>
+      </div>
+
+      {loading ? <p className="text-muted">Loading...</p> : sessions.length === 0 ? (
+        <p className="text-muted">No active sessions.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+          {sessions.map(session => (
+            <div key={session._id} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '8px 12px', border: '1px solid var(--border-color)', borderRadius: 'var(--radius)' }}>
+              <div>
+                <div style={{ fontWeight: 600 }}>
+                  {describeDevice(session.userAgent)}
+                  {session.current && <span className="badge badge-success" style={{ marginLeft: 8, fontSize: 10 }}>This device</span>}
+                </div>
+                <div className="text-muted" style={{ fontSize: 12 }}>
+                  {session.ip || 'Unknown IP'} · Last active {new Date(session.lastUsedAt || session.createdAt).toLocaleString()}
+                  {' · '}Signed in {new Date(session.createdAt).toLocaleDateString()}
+                </div>
+              </div>
+              <button className="btn btn-secondary btn-sm" onClick={() => handleRevoke(session)}>Sign out</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
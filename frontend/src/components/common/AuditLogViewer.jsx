@@ -0,0 +1,138 @@
+import { useState, useEffect, Fragment } from 'react';
+import toast from 'react-hot-toast';
+
+const EMPTY_FILTERS = { action: '', actor: '', from: '', to: '' };
+
+const actorName = (actor) => actor
+  ? actor.organizerName || [actor.firstName, actor.lastName].filter(Boolean).join(' ') || actor.email
+  : 'System';
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Filterable, paged audit log.
+ *
+ * @param {Function} load - (params) => Promise<{ entries, total, page, pages, actions }>
+ * @param {boolean} showEvent - add an Event column (admin view across events)
+ */
+const AuditLogViewer = ({ load, showEvent = false }) => {
+  const [entries, setEntries] = useState([]);
+  const [actions, setActions] = useState({});
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+
+  useEffect(() => {
+    const params = { page, ...Object.fromEntries(Object.entries(applied).filter(([, v]) => v)) };
+    // Date inputs give whole days: from the start of "from" to the end of "to"
+    if (params.from) params.from = `${params.from}T00:00:00`;
+    if (params.to) params.to = `${params.to}T23:59:59.999`;
+    load(params)
+      .then(res => {
+        setEntries(res.entries || []);
+        setActions(res.actions || {});
+        setPages(res.pages || 1);
+        setTotal(res.total || 0);
+      })
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load audit log'))
+      .finally(() => setLoading(false));
+  }, [load, applied, page]);
+
+  const setFilter = (key, value) => setFilters(f => ({ ...f, [key]: value }));
+  const goTo = (next) => { setLoading(true); setPage(next); };
+  const apply = () => { setLoading(true); setPage(1); setApplied({ ...filters }); };
+  const reset = () => { setLoading(true); setFilters(EMPTY_FILTERS); setPage(1); setApplied({ ...EMPTY_FILTERS }); };
+
+  return (
+    <div>
+      <div className="filter-bar" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+        <select className="form-control filter-select" value={filters.action} onChange={e => setFilter('action', e.target.value)}>
+          <option value="">All actions</option>
+          {Object.entries(actions).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+        <input className="form-control" style={{ maxWidth: 220 }} placeholder="Actor email"
+          value={filters.actor} onChange={e => setFilter('actor', e.target.value)} onKeyDown={e => e.key === 'Enter' && apply()} />
+        <input type="date" className="form-control" style={{ maxWidth: 160 }} value={filters.from} onChange={e => setFilter('from', e.target.value)} />
+        <input type="date" className="form-control" style={{ maxWidth: 160 }} value={filters.to} onChange={e => setFilter('to', e.target.value)} />
+        <button className="btn btn-primary btn-sm" onClick={apply}>Filter</button>
+        <button className="btn btn-secondary btn-sm" onClick={reset}>Reset</button>
+      </div>
+
+      {loading ? <p className="text-muted">Loading...</p> : entries.length === 0 ? (
+        <p className="text-muted">No audit entries match.</p>
+      ) : (
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>When</th><th>Who</th><th>Action</th>{showEvent && <th>Event</th>}<th>Details</th><th>IP</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <Fragment key={entry._id}>
+                  <tr style={{ cursor: 'pointer' }} onClick={() => setExpanded(expanded === entry._id ? null : entry._id)}>
+                    <td style={{ whiteSpace: 'nowrap', fontSize: 12 }}>{new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>
+                      {actorName(entry.actor)}
+                      {entry.actorRole && <span className="badge badge-info" style={{ marginLeft: 6, fontSize: 10 }}>{entry.actorRole}</span>}
+                    </td>
+                    <td><code style={{ fontSize: 12 }}>{actions[entry.action] || entry.action}</code></td>
+                    {showEvent && <td style={{ fontSize: 13 }}>{entry.event?.name || '—'}</td>}
+                    <td style={{ fontSize: 13 }}>{entry.summary}</td>
+                    <td style={{ fontSize: 12 }}>{entry.ip || '—'}</td>
+                  </tr>
+                  {expanded === entry._id && (
+                    <tr>
+                      <td colSpan={showEvent ? 6 : 5} style={{ background: 'var(--bg-secondary)', fontSize: 12 }}>
+                        {entry.changes?.length > 0 ? (
+                          <table style={{ marginBottom: 8 }}>
+                            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                            <tbody>
+                              {entry.changes.map(c => (
+                                <tr key={c.field}>
+                                  <td><code>{c.field}</code></td>
+                                  <td style={{ color: 'var(--danger)', wordBreak: 'break-word' }}>{formatValue(c.before)}</td>
+                                  <td style={{ color: 'var(--success)', wordBreak: 'break-word' }}>{formatValue(c.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        ) : <p className="text-muted" style={{ marginBottom: 8 }}>No field changes recorded.</p>}
+                        {entry.metadata && (
+                          <pre style={{ whiteSpace: 'pre-wrap', margin: 0 }}>{JSON.stringify(entry.metadata, null, 2)}</pre>
+                        )}
+                        <p className="text-muted" style={{ marginTop: 8 }}>
+                          {entry.targetType} <code>{entry.targetId}</code>{entry.userAgent && ` · ${entry.userAgent}`}
+                        </p>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12 }}>
+        <span className="text-muted" style={{ fontSize: 13 }}>{total} entries</span>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => goTo(page - 1)}>← Prev</button>
+          <span style={{ fontSize: 13 }}>Page {page} of {Math.max(pages, 1)}</span>
+          <button className="btn btn-secondary btn-sm" disabled={page >= pages} onClick={() => goTo(page + 1)}>Next →</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLogViewer;
@@ -0,0 +1,132 @@
+import { useState, useEffect } from 'react';
+import registrationService from '../../services/registrationService';
+import toast from 'react-hot-toast';
+
+const FORMATS = [
+  ['csv', 'CSV'],
+  ['xlsx', 'Excel (XLSX)'],
+  ['json', 'JSON'],
+];
+
+/**
+ * Export dialog: format, columns (every custom form question included) and filters
+ */
+const ExportRegistrationsModal = ({ eventId, onClose }) => {
+  const [columns, setColumns] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [filters, setFilters] = useState({ status: '', attended: '', paymentStatus: '' });
+  const [exporting, setExporting] = useState(false);
+
+  useEffect(() => {
+    registrationService.getExportColumns(eventId)
+      .then(res => {
+        setColumns(res.columns);
+        setSelected(res.columns.filter(c => c.default).map(c => c.key));
+      })
+      .catch(() => toast.error('Failed to load export columns'));
+  }, [eventId]);
+
+  const toggle = (key) => setSelected(s => s.includes(key) ? s.filter(k => k !== key) : [...s, key]);
+  const setFilter = (key, value) => setFilters(f => ({ ...f, [key]: value }));
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const params = {
+        format,
+        // Keep the dialog's column order
+        columns: columns.filter(c => selected.includes(c.key)).map(c => c.key).join(','),
+        ...Object.fromEntries(Object.entries(filters).filter(([, v]) => v)),
+      };
+      const blob = await registrationService.exportRegistrations(eventId, params);
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a'); a.href = url;
+      a.download = `registrations_${eventId}.${format}`; a.click();
+      window.URL.revokeObjectURL(url);
+      toast.success('Export downloaded');
+      onClose();
+    } catch {
+      toast.error('Export failed');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const formColumns = columns.filter(c => c.key.startsWith('form:'));
+  const fixedColumns = columns.filter(c => !c.key.startsWith('form:'));
+
+  const columnList = (list) => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 4, marginBottom: 12 }}>
+      {list.map(c => (
+        <label key={c.key} style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, cursor: 'pointer' }}>
+          <input type="checkbox" checked={selected.includes(c.key)} onChange={() => toggle(c.key)} /> {c.label}
+        </label>
+      ))}
+    </div>
+  );
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
+      <div className="card" style={{ maxWidth: 680, width: '95%', maxHeight: '90vh', overflowY: 'auto', padding: 24 }}>
+        <h3 style={{ marginBottom: 16 }}>📥 Export Registrations</h3>
+
+        <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+          {FORMATS.map(([value, label]) => (
+            <button key={value} className={`btn btn-sm ${format === value ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setFormat(value)}>
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 8 }}>
+          <h4 style={{ fontSize: 14 }}>Columns</h4>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-secondary btn-sm" onClick={() => setSelected(columns.map(c => c.key))}>All</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setSelected([])}>None</button>
+          </div>
+        </div>
+        {columnList(fixedColumns)}
+        {formColumns.length > 0 && (
+          <>
+            <h4 style={{ fontSize: 13, marginBottom: 6 }}>📝 Form questions</h4>
+            {columnList(formColumns)}
+          </>
+        )}
+
+        <h4 style={{ fontSize: 14, marginBottom: 8 }}>Filters</h4>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 8 }}>
+          <select className="form-control" value={filters.status} onChange={e => setFilter('status', e.target.value)}>
+            <option value="">All statuses</option>
+            <option value="confirmed,attended">Confirmed & attended</option>
+            <option value="confirmed">Confirmed</option>
+            <option value="pending">Pending</option>
+            <option value="waitlisted">Waitlisted</option>
+            <option value="cancelled,rejected">Cancelled / rejected</option>
+          </select>
+          <select className="form-control" value={filters.attended} onChange={e => setFilter('attended', e.target.value)}>
+            <option value="">Attended or not</option>
+            <option value="true">Attended</option>
+            <option value="false">Not attended</option>
+          </select>
+          <select className="form-control" value={filters.paymentStatus} onChange={e => setFilter('paymentStatus', e.target.value)}>
+            <option value="">Any payment</option>
+            <option value="approved">Paid</option>
+            <option value="pending">Payment pending</option>
+            <option value="not_required">Free</option>
+            <option value="rejected,expired">Rejected / expired</option>
+          </select>
+        </div>
+
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', marginTop: 20 }}>
+          <button className="btn btn-secondary" onClick={onClose}>Cancel</button>
+          <button className="btn btn-primary" disabled={exporting || selected.length === 0} onClick={handleExport}>
+            {exporting ? 'Exporting...' : 'Download'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportRegistrationsModal;
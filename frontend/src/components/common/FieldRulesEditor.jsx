@@ -0,0 +1,104 @@
+import { CONDITION_OPERATORS } from '../../utils/formRules';
+
+const NO_VALUE_OPERATORS = ['filled', 'empty'];
+
+/**
+ * One show-if / required-if condition: "<field> <operator> <value>"
+ */
+const ConditionRow = ({ label, condition, sources, onChange }) => {
+  const source = sources.find(f => f.fieldId === condition?.fieldId);
+  const set = (key, val) => onChange({ operator: 'equals', value: '', ...condition, [key]: val });
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: '90px 1fr 130px 1fr', gap: 6, alignItems: 'center', marginBottom: 6 }}>
+      <span style={{ fontSize: 12 }}>{label}</span>
+      <select className="form-control" style={{ fontSize: 13 }} value={condition?.fieldId || ''}
+        onChange={e => onChange(e.target.value ? { operator: 'equals', value: '', ...condition, fieldId: e.target.value } : undefined)}>
+        <option value="">— always —</option>
+        {sources.map(f => <option key={f.fieldId} value={f.fieldId}>{f.label || '(untitled field)'}</option>)}
+      </select>
+      {condition?.fieldId && (
+        <>
+          <select className="form-control" style={{ fontSize: 13 }} value={condition.operator || 'equals'}
+            onChange={e => set('operator', e.target.value)}>
+            {CONDITION_OPERATORS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+          </select>
+          {NO_VALUE_OPERATORS.includes(condition.operator) ? <span /> : source?.options?.length ? (
+            <select className="form-control" style={{ fontSize: 13 }} value={condition.value || ''}
+              onChange={e => set('value', e.target.value)}>
+              <option value="">Select...</option>
+              {source.options.map(o => <option key={o} value={o}>{o}</option>)}
+            </select>
+          ) : (
+            <input className="form-control" style={{ fontSize: 13 }} placeholder="Value" value={condition.value || ''}
+              onChange={e => set('value', e.target.value)} />
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+const numberOrUndefined = (val) => val === '' ? undefined : Number(val);
+
+/**
+ * Conditional logic and validation for one custom form field, shared by the
+ * create and edit form builders. `fields` is the whole form (rule sources).
+ * `allowRequiredIf` is off when the form already has answers (new version).
+ */
+const FieldRulesEditor = ({ field, fields, onChange, allowRequiredIf = true }) => {
+  const sources = fields.filter(f => f.fieldId !== field.fieldId);
+  const validation = field.validation || {};
+  const setValidation = (key, val) => onChange('validation', { ...validation, [key]: val });
+
+  return (
+    <details style={{ marginTop: 8 }}>
+      <summary style={{ fontSize: 12, cursor: 'pointer', color: 'var(--text-muted)' }}>
+        Rules & validation
+        {(field.showIf?.fieldId || field.requiredIf?.fieldId) && ' · conditional'}
+      </summary>
+      <div style={{ paddingTop: 8 }}>
+        {sources.length > 0 && (
+          <>
+            <ConditionRow label="Show if" condition={field.showIf} sources={sources} onChange={c => onChange('showIf', c)} />
+            {!field.required && allowRequiredIf && (
+              <ConditionRow label="Required if" condition={field.requiredIf} sources={sources} onChange={c => onChange('requiredIf', c)} />
+            )}
+          </>
+        )}
+
+        {field.type === 'number' && (
+          <div style={{ display: 'flex', gap: 8 }}>
+            <input type="number" className="form-control" style={{ fontSize: 13 }} placeholder="Min"
+              value={validation.min ?? ''} onChange={e => setValidation('min', numberOrUndefined(e.target.value))} />
+            <input type="number" className="form-control" style={{ fontSize: 13 }} placeholder="Max"
+              value={validation.max ?? ''} onChange={e => setValidation('max', numberOrUndefined(e.target.value))} />
+          </div>
+        )}
+
+        {['text', 'textarea'].includes(field.type) && (
+          <div style={{ display: 'grid', gridTemplateColumns: '110px 1fr 1fr', gap: 8 }}>
+            <input type="number" min={1} className="form-control" style={{ fontSize: 13 }} placeholder="Max length"
+              value={validation.maxLength ?? ''} onChange={e => setValidation('maxLength', numberOrUndefined(e.target.value))} />
+            <input className="form-control" style={{ fontSize: 13, fontFamily: 'monospace' }} placeholder="Pattern, e.g. ^[0-9]{10}$"
+              value={validation.pattern || ''} onChange={e => setValidation('pattern', e.target.value)} />
+            <input className="form-control" style={{ fontSize: 13 }} placeholder="Message when pattern fails"
+              value={validation.patternMessage || ''} onChange={e => setValidation('patternMessage', e.target.value)} />
+          </div>
+        )}
+
+        {field.type === 'file' && (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 130px', gap: 8 }}>
+            <input className="form-control" style={{ fontSize: 13 }} placeholder="Allowed file types, e.g. pdf, png, jpg"
+              value={validation.fileTypes?.join(', ') || ''}
+              onChange={e => setValidation('fileTypes', e.target.value.split(',').map(t => t.trim()))} />
+            <input type="number" min={1} max={10} className="form-control" style={{ fontSize: 13 }} placeholder="Max MB (10)"
+              value={validation.maxSizeMB ?? ''} onChange={e => setValidation('maxSizeMB', numberOrUndefined(e.target.value))} />
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default FieldRulesEditor;
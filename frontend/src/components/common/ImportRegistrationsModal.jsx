@@ -0,0 +1,174 @@
+import { useState } from 'react';
+import registrationService from '../../services/registrationService';
+import toast from 'react-hot-toast';
+
+const USER_COLUMNS = [
+  ['email', 'Email *'],
+  ['firstName', 'First name'],
+  ['lastName', 'Last name'],
+  ['contactNumber', 'Contact number'],
+  ['collegeName', 'College'],
+  ['participantType', 'Participant type (iiit / non-iiit)'],
+];
+
+/**
+ * Bulk import of offline registrations from a CSV. Every change is checked
+ * with a server dry run first; only rows without problems are imported.
+ */
+const ImportRegistrationsModal = ({ event, onClose, onImported }) => {
+  const [csv, setCsv] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [mapping, setMapping] = useState(null);
+  const [sendEmails, setSendEmails] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const columns = [
+    ...USER_COLUMNS,
+    ...(event.ticketTiers?.length ? [['ticketTier', 'Ticket tier']] : []),
+  ];
+  const formFields = (event.customFields || []).filter(f => f.type !== 'file');
+
+  const runPreview = async (text, nextMapping) => {
+    setBusy(true);
+    try {
+      const res = await registrationService.importRegistrations(event._id, { csv: text, mapping: nextMapping, dryRun: true });
+      setPreview(res);
+      setMapping(res.mapping);
+      setResult(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not read the CSV');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const text = await file.text();
+    setCsv(text);
+    setFileName(file.name);
+    runPreview(text);
+  };
+
+  const changeMapping = (key, header, isField) => {
+    const next = isField
+      ? { ...mapping, fields: { ...mapping.fields, [key]: header || undefined } }
+      : { ...mapping, [key]: header || undefined };
+    setMapping(next);
+    runPreview(csv, next);
+  };
+
+  const handleImport = async () => {
+    setBusy(true);
+    try {
+      const res = await registrationService.importRegistrations(event._id, { csv, mapping, dryRun: false, sendEmails });
+      setResult(res);
+      toast.success(res.message);
+      onImported();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Import failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const rows = result?.rows || preview?.rows || [];
+  const summary = result?.summary || preview?.summary;
+
+  const columnSelect = (value, onChange) => (
+    <select className="form-control" style={{ fontSize: 13 }} value={value || ''} disabled={busy || !!result}
+      onChange={e => onChange(e.target.value)}>
+      <option value="">— not imported —</option>
+      {preview.columns.map(c => <option key={c} value={c}>{c}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
+      <div className="card" style={{ maxWidth: 860, width: '95%', maxHeight: '90vh', overflowY: 'auto', padding: 24 }}>
+        <h3 style={{ marginBottom: 8 }}>📤 Import Registrations</h3>
+        <p className="text-muted" style={{ fontSize: 13, marginBottom: 16 }}>
+          Upload a CSV of on-spot or offline sign-ups. Participants are matched by email; new emails get an account
+          they can claim by signing up. Nothing is saved until you confirm the preview.
+        </p>
+
+        <input type="file" accept=".csv,text/csv" className="form-control" onChange={handleFile} disabled={busy} />
+        {fileName && <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>{fileName}</p>}
+
+        {preview && mapping && (
+          <>
+            <h4 style={{ fontSize: 14, margin: '16px 0 8px' }}>Columns</h4>
+            <div style={{ display: 'grid', gridTemplateColumns: '200px 1fr', gap: 6, alignItems: 'center' }}>
+              {columns.map(([key, label]) => (
+                <div key={key} style={{ display: 'contents' }}>
+                  <span style={{ fontSize: 13 }}>{label}</span>
+                  {columnSelect(mapping[key], header => changeMapping(key, header, false))}
+                </div>
+              ))}
+              {formFields.map(f => (
+                <div key={f.fieldId} style={{ display: 'contents' }}>
+                  <span style={{ fontSize: 13 }}>📝 {f.label}{f.required && ' *'}</span>
+                  {columnSelect(mapping.fields?.[f.fieldId], header => changeMapping(f.fieldId, header, true))}
+                </div>
+              ))}
+            </div>
+            {formFields.length < (event.customFields?.length || 0) && (
+              <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>File questions cannot be imported and are left unanswered.</p>
+            )}
+
+            {summary && (
+              <div className={`alert ${result ? 'alert-success' : summary.invalid ? 'alert-info' : 'alert-success'}`} style={{ fontSize: 13, margin: '16px 0 8px' }}>
+                {result
+                  ? `${summary.imported} imported, ${summary.invalid} skipped.`
+                  : `${summary.total} rows: ${summary.valid} ready to import (${summary.newAccounts} new accounts), ${summary.invalid} with problems.`}
+              </div>
+            )}
+
+            <div className="table-wrapper" style={{ maxHeight: 320, overflowY: 'auto' }}>
+              <table>
+                <thead>
+                  <tr><th>Row</th><th>Email</th><th>Name</th><th>Account</th>{columns.some(([k]) => k === 'ticketTier') && <th>Tier</th>}<th>Status</th></tr>
+                </thead>
+                <tbody>
+                  {rows.map(r => (
+                    <tr key={r.row}>
+                      <td>{r.row}</td>
+                      <td style={{ fontSize: 12 }}>{r.email || '—'}</td>
+                      <td>{r.name || '—'}</td>
+                      <td><span className={`badge ${r.account === 'new' ? 'badge-warning' : 'badge-info'}`}>{r.account}</span></td>
+                      {columns.some(([k]) => k === 'ticketTier') && <td>{r.tier || '—'}</td>}
+                      <td style={{ fontSize: 12 }}>
+                        {r.errors.length === 0
+                          ? <span style={{ color: 'var(--success)' }}>✓ {r.ticketId || 'Ready'}</span>
+                          : r.errors.map(e => <div key={e} style={{ color: 'var(--danger)' }}>{e}</div>)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'flex-end', alignItems: 'center', marginTop: 16 }}>
+          {preview && !result && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, marginRight: 'auto', cursor: 'pointer' }}>
+              <input type="checkbox" checked={sendEmails} onChange={e => setSendEmails(e.target.checked)} /> Email tickets to participants
+            </label>
+          )}
+          <button className="btn btn-secondary" onClick={onClose}>{result ? 'Close' : 'Cancel'}</button>
+          {preview && !result && (
+            <button className="btn btn-primary" disabled={busy || !summary?.valid} onClick={handleImport}>
+              {busy ? 'Checking...' : `Import ${summary?.valid || 0} registration${summary?.valid === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportRegistrationsModal;
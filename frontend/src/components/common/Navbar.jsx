@@ -3,6 +3,7 @@ import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
 import notificationService from '../../services/notificationService';
+import { useServerEvents } from '../../hooks';
 
 const Navbar = () => {
   const { user, logout, isAuthenticated } = useAuth();
@@ -17,14 +18,23 @@ const Navbar = () => {
   const [notifLoading, setNotifLoading] = useState(false);
   const notifRef = useRef(null);
 
-  // Poll unread count every 15s
+  // Live notifications over SSE
+  const notifLive = useServerEvents(isAuthenticated ? '/notifications' : null, {
+    notification: (n) => {
+      setUnreadCount(prev => prev + 1);
+      setNotifications(prev => [n, ...prev].slice(0, 20));
+    }
+  });
+
+  // Fetch unread count on (re)connect; poll only while the stream is down
   useEffect(() => {
     if (!isAuthenticated) return;
     const fetch = () => notificationService.getUnreadCount().then(r => setUnreadCount(r.count)).catch(() => {});
     fetch();
+    if (notifLive) return;
     const iv = setInterval(fetch, 15000);
     return () => clearInterval(iv);
-  }, [isAuthenticated]);
+  }, [isAuthenticated, notifLive]);
 
   // Close dropdown on outside click
   useEffect(() => {
@@ -80,6 +90,8 @@ const Navbar = () => {
           <Link to="/events" className={isActive('/events')}>Browse Events</Link>
           <Link to="/clubs" className={isActive('/clubs')}>Clubs/Organizers</Link>
           <Link to="/teams" className={isActive('/teams')}>My Teams</Link>
+          <Link to="/staff" className={isActive('/staff')}>Staffing</Link>
+          <Link to="/cart" className={isActive('/cart')}>Cart</Link>
           <Link to="/profile" className={isActive('/profile')}>Profile</Link>
         </>
       );
@@ -90,6 +102,9 @@ const Navbar = () => {
         <>
           <Link to="/dashboard" className={isActive('/dashboard')}>Dashboard</Link>
           <Link to="/create-event" className={isActive('/create-event')}>Create Event</Link>
+          <Link to="/promo-codes" className={isActive('/promo-codes')}>Promo Codes</Link>
+          <Link to="/refunds" className={isActive('/refunds')}>Refunds</Link>
+          <Link to="/staff" className={isActive('/staff')}>Staffing</Link>
           <Link to="/events" className={isActive('/events')}>Ongoing Events</Link>
           <Link to="/profile" className={isActive('/profile')}>Profile</Link>
         </>
@@ -102,10 +117,20 @@ const Navbar = () => {
           <Link to="/dashboard" className={isActive('/dashboard')}>Dashboard</Link>
           <Link to="/manage-organizers" className={isActive('/manage-organizers')}>Organizers</Link>
           <Link to="/password-requests" className={isActive('/password-requests')}>Password Resets</Link>
+          <Link to="/audit-log" className={isActive('/audit-log')}>Audit Log</Link>
+          <Link to="/login-lockouts" className={isActive('/login-lockouts')}>Lockouts</Link>
           <Link to="/events" className={isActive('/events')}>Browse Events</Link>
         </>
       );
     }
+
+    if (user?.role === 'staff') {
+      return (
+        <>
+          <Link to="/dashboard" className={isActive('/dashboard')}>My Events</Link>
+        </>
+      );
+    }
     return null;
   };
 
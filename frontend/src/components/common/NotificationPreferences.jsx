@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import notificationService from '../../services/notificationService';
+import toast from 'react-hot-toast';
+
+const CHANNEL_LABELS = { inApp: 'In-app', email: 'Email', digest: 'Daily digest' };
+
+/**
+ * Which channels each kind of notification reaches the signed-in user on.
+ * Each checkbox saves on its own.
+ */
+const NotificationPreferences = () => {
+  const [data, setData] = useState(null);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then(setData)
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load notification preferences'));
+  }, []);
+
+  const handleToggle = async (type, channel, enabled) => {
+    const key = `${type}.${channel}`;
+    setSaving(key);
+    try {
+      const res = await notificationService.updatePreferences({ [type]: { [channel]: enabled } });
+      setData(d => ({ ...d, preferences: res.preferences }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save preference');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (!data) return <p className="text-muted" style={{ marginTop: 12 }}>Loading...</p>;
+
+  const digestAt = new Date(2000, 0, 1, data.digestHour).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+  return (
+    <div style={{ marginTop: 12 }}>
+      <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+        Choose where each kind of notification reaches you. The daily digest collects them into one email at {digestAt} (server time).
+        Emails that deliver a ticket or confirm an order are always sent.
+      </p>
+      <div className="table-wrapper">
+        <table>
+          <thead>
+            <tr>
+              <th>Notification</th>
+              {data.channels.map(channel => <th key={channel} style={{ textAlign: 'center' }}>{CHANNEL_LABELS[channel] || channel}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {data.types.map(({ type, label, description }) => (
+              <tr key={type}>
+                <td>
+                  <div style={{ fontWeight: 600 }}>{label}</div>
+                  <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>{description}</div>
+                </td>
+                {data.channels.map(channel => (
+                  <td key={channel} style={{ textAlign: 'center' }}>
+                    <input type="checkbox" aria-label={`${label}: ${CHANNEL_LABELS[channel] || channel}`}
+                      checked={!!data.preferences[type]?.[channel]}
+                      disabled={saving === `${type}.${channel}`}
+                      onChange={e => handleToggle(type, channel, e.target.checked)} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,43 @@
+/**
+ * Refund policy builder: "N% back if cancelled before <date>".
+ * The earliest deadline still ahead applies; after the last one nothing is refunded.
+ * Dates are kept as datetime-local strings.
+ */
+const RefundPolicyEditor = ({ tiers, onChange }) => {
+  const addTier = () => onChange([...tiers, { before: '', percent: 100 }]);
+  const updateTier = (idx, key, val) => onChange(tiers.map((t, i) => i === idx ? { ...t, [key]: val } : t));
+  const removeTier = (idx) => onChange(tiers.filter((_, i) => i !== idx));
+
+  return (
+    <div className="card" style={{ marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <h3>Refund Policy</h3>
+        <button className="btn btn-secondary btn-sm" onClick={addTier}>+ Add Deadline</button>
+      </div>
+      {tiers.length === 0 ? (
+        <p className="text-muted" style={{ fontSize: 13 }}>No policy — you decide each refund request yourself.</p>
+      ) : (
+        <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+          e.g. 100% before one week out, 50% before the day before. Cancellations after the last deadline get nothing back.
+        </p>
+      )}
+      {tiers.map((tier, idx) => (
+        <div key={idx} style={{ display: 'grid', gridTemplateColumns: '1fr 120px auto', gap: 8, alignItems: 'end', marginBottom: 8 }}>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>Cancelled Before</label>
+            <input type="datetime-local" className="form-control" value={tier.before || ''}
+              onChange={e => updateTier(idx, 'before', e.target.value)} />
+          </div>
+          <div className="form-group" style={{ marginBottom: 0 }}>
+            <label>Refund %</label>
+            <input type="number" min={0} max={100} className="form-control" value={tier.percent}
+              onChange={e => updateTier(idx, 'percent', Number(e.target.value))} />
+          </div>
+          <button className="btn btn-danger btn-sm" onClick={() => removeTier(idx)}>Remove</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default RefundPolicyEditor;
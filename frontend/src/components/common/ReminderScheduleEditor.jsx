@@ -0,0 +1,38 @@
+import { REMINDER_UNITS } from '../../utils/reminders';
+
+/**
+ * Reminder schedule builder: "remind registrants N hours/days before the start".
+ * Rows are { amount, unit } (see utils/reminders.js for the conversion).
+ */
+const ReminderScheduleEditor = ({ reminders, onChange }) => {
+  const addReminder = () => onChange([...reminders, { amount: 1, unit: 'hours' }]);
+  const updateReminder = (idx, key, val) => onChange(reminders.map((r, i) => i === idx ? { ...r, [key]: val } : r));
+  const removeReminder = (idx) => onChange(reminders.filter((_, i) => i !== idx));
+
+  return (
+    <div className="card" style={{ marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <h3>Reminders</h3>
+        <button className="btn btn-secondary btn-sm" onClick={addReminder} disabled={reminders.length >= 5}>+ Add Reminder</button>
+      </div>
+      <p className="text-muted" style={{ fontSize: 13, marginBottom: reminders.length ? 12 : 0 }}>
+        {reminders.length === 0
+          ? 'No reminders — registrants only get their confirmation email.'
+          : 'Registrants get an email with their ticket QR code and a notification. Up to 7 days before the start.'}
+      </p>
+      {reminders.map((reminder, idx) => (
+        <div key={idx} style={{ display: 'grid', gridTemplateColumns: '120px 140px 1fr auto', gap: 8, alignItems: 'center', marginBottom: 8 }}>
+          <input type="number" min={1} className="form-control" value={reminder.amount}
+            onChange={e => updateReminder(idx, 'amount', e.target.value)} />
+          <select className="form-control" value={reminder.unit} onChange={e => updateReminder(idx, 'unit', e.target.value)}>
+            {REMINDER_UNITS.map(u => <option key={u.value} value={u.value}>{u.label}</option>)}
+          </select>
+          <span className="text-muted" style={{ fontSize: 13 }}>before the event starts</span>
+          <button className="btn btn-danger btn-sm" onClick={() => removeReminder(idx)}>Remove</button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ReminderScheduleEditor;
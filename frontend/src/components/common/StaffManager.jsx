@@ -0,0 +1,166 @@
+import { useState, useEffect } from 'react';
+import staffService from '../../services/staffService';
+import toast from 'react-hot-toast';
+
+const ROLES = [
+  ['co-organizer', 'Co-organizer', 'Full edit access, except deleting the event and managing staff'],
+  ['volunteer', 'Volunteer', 'QR scanning and marking attendance only'],
+  ['finance', 'Finance', 'Approving and rejecting payments only'],
+];
+
+const EMPTY_MEMBER = { email: '', role: 'volunteer', firstName: '', lastName: '', password: '' };
+
+const memberName = (user) => user?.organizerName || [user?.firstName, user?.lastName].filter(Boolean).join(' ') || user?.email;
+
+/**
+ * Event staff: co-organizers, volunteers and finance members.
+ * Only the owning organizer (canEdit) adds and removes staff and creates
+ * one-time access links for limited staff accounts.
+ */
+const StaffManager = ({ eventId, canEdit }) => {
+  const [staff, setStaff] = useState([]);
+  const [member, setMember] = useState(EMPTY_MEMBER);
+  const [needsAccount, setNeedsAccount] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [link, setLink] = useState(null); // { userId, url, expiresAt }
+
+  useEffect(() => {
+    staffService.getEventStaff(eventId)
+      .then(res => setStaff(res.staff || []))
+      .catch(() => toast.error('Failed to load staff'));
+  }, [eventId]);
+
+  const set = (key, value) => setMember(m => ({ ...m, [key]: value }));
+
+  const handleAdd = async () => {
+    if (!member.email.trim()) return toast.error('Enter an email');
+    setSaving(true);
+    try {
+      const data = { email: member.email, role: member.role };
+      if (needsAccount) Object.assign(data, { firstName: member.firstName, lastName: member.lastName, password: member.password || undefined });
+      const res = await staffService.addStaff(eventId, data);
+      setStaff(res.staff || []);
+      toast.success(res.message);
+      setMember(EMPTY_MEMBER);
+      setNeedsAccount(false);
+    } catch (err) {
+      const message = err.response?.data?.message || 'Failed to add staff';
+      // No account for that email yet: ask for the details of a staff account
+      if (!needsAccount && message.startsWith('No account')) setNeedsAccount(true);
+      toast.error(message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRoleChange = async (entry, role) => {
+    try {
+      const res = await staffService.addStaff(eventId, { email: entry.user.email, role });
+      setStaff(res.staff || []);
+      toast.success('Role updated');
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to change role'); }
+  };
+
+  const handleRemove = async (entry) => {
+    if (!window.confirm(`Remove ${memberName(entry.user)} from the event staff?`)) return;
+    try {
+      const res = await staffService.removeStaff(eventId, entry.user._id);
+      setStaff(res.staff || []);
+      if (link?.userId === entry.user._id) setLink(null);
+      toast.success('Staff member removed');
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to remove'); }
+  };
+
+  const handleLink = async (entry, sendEmail) => {
+    try {
+      const res = await staffService.createAccessLink(eventId, entry.user._id, { sendEmail });
+      setLink({ userId: entry.user._id, url: res.url, expiresAt: res.expiresAt });
+      toast.success(res.emailed ? 'Access link emailed' : 'Access link created');
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed to create link'); }
+  };
+
+  return (
+    <div className="card" style={{ marginBottom: 20 }}>
+      <h3 style={{ marginBottom: 4, fontSize: 16 }}>👥 Event Staff</h3>
+      <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+        {ROLES.map(([value, label, hint]) => <span key={value} style={{ display: 'block' }}><strong>{label}:</strong> {hint}</span>)}
+      </p>
+
+      {staff.length === 0 ? (
+        <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>No staff yet.</p>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 8, marginBottom: 12 }}>
+          {staff.map(entry => (
+            <div key={entry.user?._id} style={{ padding: 10, border: '1px solid var(--border-color)', borderRadius: 'var(--radius)' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+                <div>
+                  <strong>{memberName(entry.user)}</strong>
+                  <span className="text-muted" style={{ fontSize: 12, marginLeft: 8 }}>{entry.user?.email}</span>
+                  {entry.user?.role === 'staff' && <span className="badge badge-info" style={{ marginLeft: 8 }}>staff account</span>}
+                </div>
+                {canEdit ? (
+                  <div style={{ display: 'flex', gap: 6, alignItems: 'center' }}>
+                    <select className="form-control" style={{ width: 150 }} value={entry.role} onChange={e => handleRoleChange(entry, e.target.value)}>
+                      {ROLES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    {entry.user?.role === 'staff' && (
+                      <>
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleLink(entry, false)}>🔗 Link</button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => handleLink(entry, true)}>✉️ Email Link</button>
+                      </>
+                    )}
+                    <button className="btn btn-danger btn-sm" onClick={() => handleRemove(entry)}>✕</button>
+                  </div>
+                ) : (
+                  <span className="badge badge-primary">{entry.role}</span>
+                )}
+              </div>
+              {link?.userId === entry.user?._id && (
+                <div className="alert alert-info" style={{ marginTop: 8, fontSize: 12 }}>
+                  One-time sign-in link (expires {new Date(link.expiresAt).toLocaleString()}):
+                  <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+                    <input className="form-control" readOnly value={link.url} onFocus={e => e.target.select()} />
+                    <button className="btn btn-secondary btn-sm" onClick={() => navigator.clipboard.writeText(link.url).then(() => toast.success('Copied'))}>Copy</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canEdit && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr auto', gap: 8, alignItems: 'end' }}>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label style={{ fontSize: 12 }}>Email</label>
+              <input type="email" className="form-control" value={member.email} onChange={e => set('email', e.target.value)} placeholder="member@example.com" />
+            </div>
+            <div className="form-group" style={{ margin: 0 }}>
+              <label style={{ fontSize: 12 }}>Role</label>
+              <select className="form-control" value={member.role} onChange={e => set('role', e.target.value)}>
+                {ROLES.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <button className="btn btn-primary" onClick={handleAdd} disabled={saving}>{saving ? 'Adding...' : 'Add'}</button>
+          </div>
+          {needsAccount && (
+            <div style={{ marginTop: 12 }}>
+              <p className="text-muted" style={{ fontSize: 12, marginBottom: 8 }}>
+                No account uses this email. A limited staff account will be created: it can only work on the events it is added to.
+                Leave the password empty to sign in with one-time access links only.
+              </p>
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8 }}>
+                <input className="form-control" placeholder="First name" value={member.firstName} onChange={e => set('firstName', e.target.value)} />
+                <input className="form-control" placeholder="Last name" value={member.lastName} onChange={e => set('lastName', e.target.value)} />
+                <input type="password" className="form-control" placeholder="Password (optional)" value={member.password} onChange={e => set('password', e.target.value)} />
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default StaffManager;
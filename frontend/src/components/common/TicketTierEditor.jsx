@@ -0,0 +1,70 @@
+/**
+ * Ticket tier builder for normal events (Early Bird, Regular, Group, ...).
+ * Dates are kept as datetime-local strings; capacity 0 means unlimited.
+ */
+const TicketTierEditor = ({ tiers, onChange }) => {
+  const addTier = () => onChange([...tiers, {
+    name: '', description: '', price: 0, capacity: 0, salesStart: '', salesEnd: '', eligibility: 'all'
+  }]);
+  const updateTier = (idx, key, val) => onChange(tiers.map((t, i) => i === idx ? { ...t, [key]: val } : t));
+  const removeTier = (idx) => onChange(tiers.filter((_, i) => i !== idx));
+
+  return (
+    <div className="card" style={{ marginBottom: 20 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 }}>
+        <h3>Ticket Tiers</h3>
+        <button className="btn btn-secondary btn-sm" onClick={addTier}>+ Add Tier</button>
+      </div>
+      {tiers.length === 0 && (
+        <p className="text-muted" style={{ fontSize: 13 }}>No tiers — everyone pays the registration fee above.</p>
+      )}
+      {tiers.map((tier, idx) => (
+        <div key={idx} style={{ padding: 12, border: '1px solid var(--border-color)', borderRadius: 'var(--radius)', marginBottom: 8 }}>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 100px 100px auto', gap: 8, alignItems: 'end' }}>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Name</label>
+              <input className="form-control" placeholder="e.g. Early Bird" value={tier.name}
+                onChange={e => updateTier(idx, 'name', e.target.value)} />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Price ₹</label>
+              <input type="number" min={0} className="form-control" value={tier.price}
+                onChange={e => updateTier(idx, 'price', Number(e.target.value))} />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label title="0 = unlimited">Capacity</label>
+              <input type="number" min={0} className="form-control" value={tier.capacity}
+                onChange={e => updateTier(idx, 'capacity', Number(e.target.value))} />
+            </div>
+            <button className="btn btn-danger btn-sm" onClick={() => removeTier(idx)}>Remove</button>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8, marginTop: 8 }}>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Sales Start</label>
+              <input type="datetime-local" className="form-control" value={tier.salesStart || ''}
+                onChange={e => updateTier(idx, 'salesStart', e.target.value)} />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Sales End</label>
+              <input type="datetime-local" className="form-control" value={tier.salesEnd || ''}
+                onChange={e => updateTier(idx, 'salesEnd', e.target.value)} />
+            </div>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label>Eligibility</label>
+              <select className="form-control" value={tier.eligibility}
+                onChange={e => updateTier(idx, 'eligibility', e.target.value)}>
+                <option value="all">All</option>
+                <option value="iiit-only">IIIT Only</option>
+                <option value="non-iiit-only">Non-IIIT Only</option>
+              </select>
+            </div>
+          </div>
+          <input className="form-control" style={{ marginTop: 8 }} placeholder="Description (optional, e.g. 4 passes for a group)"
+            value={tier.description || ''} onChange={e => updateTier(idx, 'description', e.target.value)} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default TicketTierEditor;
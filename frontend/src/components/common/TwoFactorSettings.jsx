@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import authService from '../../services/authService';
+import toast from 'react-hot-toast';
+
+/**
+ * TOTP two-factor authentication for the signed-in organizer or admin:
+ * set up with an authenticator app, manage backup codes, turn off
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'disable' | 'regenerate' while one of those forms is open
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const load = () => authService.getTwoFactorStatus()
+    .then(setStatus)
+    .catch(err => toast.error(err.response?.data?.message || 'Failed to load two-factor status'));
+
+  useEffect(() => { load(); }, []);
+
+  const closeForms = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  const handleSetup = async () => {
+    setBusy(true);
+    try {
+      setEnrollment(await authService.setupTwoFactor());
+      setBackupCodes(null);
+      setCode('');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return toast.error('Enter the code from your authenticator app');
+    setBusy(true);
+    try {
+      const res = await authService.enableTwoFactor(code.trim());
+      toast.success(res.message);
+      setEnrollment(null);
+      setBackupCodes(res.backupCodes);
+      closeForms();
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to turn on two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    if (!password || !code.trim()) return toast.error('Enter your password and a code');
+    setBusy(true);
+    try {
+      // Backup codes have a dash; authenticator codes are 6 digits
+      const codes = code.includes('-') ? { backupCode: code.trim() } : { code: code.trim() };
+      const res = await authService.disableTwoFactor(password, codes);
+      toast.success(res.message);
+      setBackupCodes(null);
+      closeForms();
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to turn off two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return toast.error('Enter the code from your authenticator app');
+    setBusy(true);
+    try {
+      const res = await authService.regenerateBackupCodes(code.trim());
+      toast.success(res.message);
+      setBackupCodes(res.backupCodes);
+      closeForms();
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to create backup codes');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const copyBackupCodes = () => {
+    navigator.clipboard?.writeText(backupCodes.join('\n'))
+      .then(() => toast.success('Backup codes copied'))
+      .catch(() => toast.error('Copy failed - please write them down'));
+  };
+
+  if (!status) return null;
+
+  return (
+    <div style={{ marginTop: 16 }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8, marginBottom: 8 }}>
+        <h4 style={{ margin: 0 }}>
+          Two-Factor Authentication
+          <span className={`badge ${status.enabled ? 'badge-success' : 'badge-warning'}`} style={{ marginLeft: 8, fontSize: 10 }}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        </h4>
+        {status.enabled ? (
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-secondary btn-sm" onClick={() => { closeForms(); setAction('regenerate'); }}>
+              New backup codes
+            </button>
+            {!status.required && (
+              <button className="btn btn-danger btn-sm" onClick={() => { closeForms(); setAction('disable'); }}>Turn off</button>
+            )}
+          </div>
+        ) : !enrollment && (
+          <button className="btn btn-primary btn-sm" onClick={handleSetup} disabled={busy}>Set up</button>
+        )}
+      </div>
+
+      {!status.enabled && status.required && (
+        <div className="alert alert-warning" style={{ marginBottom: 8 }}>
+          Two-factor authentication is required for organizer accounts. Set it up to keep using your dashboard.
+        </div>
+      )}
+
+      {status.enabled ? (
+        <p className="text-muted" style={{ fontSize: 13 }}>
+          On since {new Date(status.enabledAt).toLocaleDateString()} · {status.backupCodesLeft} backup code{status.backupCodesLeft === 1 ? '' : 's'} left
+        </p>
+      ) : !enrollment && (
+        <p className="text-muted" style={{ fontSize: 13 }}>
+          Ask for a code from an authenticator app (Google Authenticator, Authy, 1Password...) each time you log in.
+        </p>
+      )}
+
+      {enrollment && (
+        <form onSubmit={handleEnable} style={{ padding: 12, border: '1px solid var(--border-color)', borderRadius: 'var(--radius)' }}>
+          <p style={{ fontSize: 13, marginTop: 0 }}>Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+          <div style={{ display: 'flex', gap: 16, alignItems: 'center', flexWrap: 'wrap' }}>
+            <img src={enrollment.qrCode} alt="Two-factor QR code" style={{ width: 160, height: 160, background: '#fff', borderRadius: 6 }} />
+            <div style={{ flex: 1, minWidth: 200 }}>
+              <div className="text-muted" style={{ fontSize: 12 }}>Can't scan? Enter this key instead:</div>
+              <code style={{ fontSize: 13, wordBreak: 'break-all' }}>{enrollment.secret}</code>
+              <div className="form-group" style={{ marginTop: 12 }}>
+                <label>Code</label>
+                <input type="text" className="form-control" value={code} onChange={e => setCode(e.target.value)}
+                  placeholder="123456" inputMode="numeric" maxLength={6} autoComplete="one-time-code" />
+              </div>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button type="submit" className="btn btn-primary btn-sm" disabled={busy}>Turn on</button>
+                <button type="button" className="btn btn-secondary btn-sm" onClick={() => { setEnrollment(null); closeForms(); }}>Cancel</button>
+              </div>
+            </div>
+          </div>
+        </form>
+      )}
+
+      {backupCodes && (
+        <div className="alert alert-info" style={{ marginTop: 8 }}>
+          <strong>Save your backup codes.</strong> Each one lets you log in once without your authenticator app.
+          They won't be shown again.
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: 6, margin: '10px 0', fontFamily: 'monospace' }}>
+            {backupCodes.map(c => <span key={c}>{c}</span>)}
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-secondary btn-sm" onClick={copyBackupCodes}>Copy</button>
+            <button className="btn btn-secondary btn-sm" onClick={() => setBackupCodes(null)}>I've saved them</button>
+          </div>
+        </div>
+      )}
+
+      {action === 'regenerate' && (
+        <form onSubmit={handleRegenerate} style={{ marginTop: 8 }}>
+          <p className="text-muted" style={{ fontSize: 13 }}>Your current backup codes will stop working.</p>
+          <div className="form-group">
+            <label>Authenticator code</label>
+            <input type="text" className="form-control" value={code} onChange={e => setCode(e.target.value)}
+              placeholder="123456" inputMode="numeric" maxLength={6} autoComplete="one-time-code" />
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="submit" className="btn btn-primary btn-sm" disabled={busy}>Create new codes</button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={closeForms}>Cancel</button>
+          </div>
+        </form>
+      )}
+
+      {action === 'disable' && (
+        <form onSubmit={handleDisable} style={{ marginTop: 8 }}>
+          <div className="form-group">
+            <label>Password</label>
+            <input type="password" className="form-control" value={password} onChange={e => setPassword(e.target.value)} />
+          </div>
+          <div className="form-group">
+            <label>Authenticator or backup code</label>
+            <input type="text" className="form-control" value={code} onChange={e => setCode(e.target.value)}
+              placeholder="123456 or xxxx-xxxx" maxLength={9} autoComplete="one-time-code" />
+          </div>
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button type="submit" className="btn btn-danger btn-sm" disabled={busy}>Turn off</button>
+            <button type="button" className="btn btn-secondary btn-sm" onClick={closeForms}>Cancel</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
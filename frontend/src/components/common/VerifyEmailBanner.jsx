@@ -0,0 +1,74 @@
+import { useState, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import authService from '../../services/authService';
+import toast from 'react-hot-toast';
+
+/**
+ * Reminds participants to verify their email address, with the emailed code
+ * entry and a resend button (with the server's cooldown)
+ */
+const VerifyEmailBanner = () => {
+  const { user, updateUser } = useAuth();
+  const [code, setCode] = useState('');
+  const [cooldown, setCooldown] = useState(0);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown(c => c - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  if (user?.role !== 'participant' || user.emailVerified) return null;
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setBusy(true);
+    try {
+      const res = await authService.verifyEmail({ code: code.trim() });
+      updateUser({ ...user, ...res.user });
+      toast.success('Email verified');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Verification failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleResend = async () => {
+    setBusy(true);
+    try {
+      const res = await authService.resendVerification();
+      toast.success(res.message);
+      setCooldown(res.cooldown || 60);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not send the email');
+      const retryAfter = Number(err.response?.headers?.['retry-after']);
+      if (retryAfter) setCooldown(retryAfter);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="container">
+      <div className="alert alert-warning" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 12, flexWrap: 'wrap' }}>
+        <span>
+          Please verify <strong>{user.email}</strong> - use the link or code we emailed you.
+          Events limited to IIIT or non-IIIT participants need a verified address.
+        </span>
+        <form onSubmit={handleVerify} style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <input className="form-control" style={{ width: 110 }} placeholder="6-digit code" inputMode="numeric"
+            maxLength={6} value={code} onChange={e => setCode(e.target.value.replace(/\D/g, ''))} />
+          <button type="submit" className="btn btn-primary btn-sm" disabled={busy || code.length !== 6}>Verify</button>
+          <button type="button" className="btn btn-secondary btn-sm" onClick={handleResend} disabled={busy || cooldown > 0}>
+            {cooldown > 0 ? `Resend (${cooldown}s)` : 'Resend email'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -49,6 +49,7 @@ export const AuthProvider = ({ children }) => {
         // Token invalid or expired
         console.error('Auth initialization error:', err);
         localStorage.removeItem('token');
+        localStorage.removeItem('refreshToken');
         localStorage.removeItem('user');
       } finally {
         setLoading(false);
@@ -65,7 +66,8 @@ export const AuthProvider = ({ children }) => {
     try {
       setError(null);
       const response = await authService.register(userData);
-      setUser(response.user);
+      // Imported accounts are claimed through an emailed link instead
+      if (!response.claimPending) setUser(response.user);
       return response;
     } catch (err) {
       setError(err.message);
@@ -80,6 +82,37 @@ export const AuthProvider = ({ children }) => {
     try {
       setError(null);
       const response = await authService.login(email, password, captchaId, captchaAnswer);
+      // With 2FA on, the user is only signed in after verifyTwoFactor
+      if (!response.twoFactorRequired) setUser(response.user);
+      return response;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  /**
+   * Finish a login with a two-factor code ({ code } or { backupCode })
+   */
+  const verifyTwoFactor = async (challengeToken, codes) => {
+    try {
+      setError(null);
+      const response = await authService.verifyTwoFactor(challengeToken, codes);
+      setUser(response.user);
+      return response;
+    } catch (err) {
+      setError(err.message);
+      throw err;
+    }
+  };
+
+  /**
+   * Sign in with a one-time staff access link
+   */
+  const staffAccess = async (token) => {
+    try {
+      setError(null);
+      const response = await authService.redeemStaffAccess(token);
       setUser(response.user);
       return response;
     } catch (err) {
@@ -126,6 +159,8 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated: !!user,
     register,
     login,
+    verifyTwoFactor,
+    staffAccess,
     logout,
     updateUser,
     completeOnboarding
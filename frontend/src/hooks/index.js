@@ -5,7 +5,8 @@
  * Hooks are reusable logic that can be shared across components.
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { getStreamUrl, refreshAccessToken } from '../services/api';
 
 /**
  * useLocalStorage Hook
@@ -135,3 +136,66 @@ export const useOnClickOutside = (ref, handler) => {
     };
   }, [ref, handler]);
 };
+
+const STREAM_RETRY_MS = 5000;
+
+/**
+ * useServerEvents Hook
+ * 
+ * Subscribes to a Server-Sent Events stream under /api/stream.
+ * EventSource reconnects on its own; callers can fall back to polling
+ * while `connected` is false. When the stream is refused outright (the
+ * access token in its URL expired) it reconnects with a refreshed token.
+ * 
+ * @param {string|null} path - Stream path (e.g. '/notifications'); null disables
+ * @param {Object<string, Function>} handlers - Map of event type -> handler(data)
+ * @returns {boolean} - Whether the stream is currently connected
+ * 
+ * Example:
+ * const live = useServerEvents('/notifications', { notification: n => ... });
+ */
+export const useServerEvents = (path, handlers) => {
+  const [connected, setConnected] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  }, [handlers]);
+
+  useEffect(() => {
+    if (!path || typeof EventSource === 'undefined') return;
+
+    const source = new EventSource(getStreamUrl(path));
+    const types = Object.keys(handlersRef.current || {});
+    const listeners = types.map(type => {
+      const listener = (e) => {
+        try {
+          handlersRef.current?.[type]?.(JSON.parse(e.data));
+        } catch { /* ignore malformed payloads */ }
+      };
+      source.addEventListener(type, listener);
+      return [type, listener];
+    });
+
+    let retry;
+    source.addEventListener('ready', () => setConnected(true));
+    source.onerror = () => {
+      setConnected(false);
+      if (source.readyState === EventSource.CLOSED) {
+        retry = setTimeout(() => {
+          refreshAccessToken().catch(() => {}).finally(() => setAttempt(a => a + 1));
+        }, STREAM_RETRY_MS);
+      }
+    };
+
+    return () => {
+      clearTimeout(retry);
+      listeners.forEach(([type, listener]) => source.removeEventListener(type, listener));
+      source.close();
+      setConnected(false);
+    };
+  }, [path, attempt]);
+
+  return connected;
+};
@@ -0,0 +1,17 @@
+import adminService from '../services/adminService';
+import AuditLogViewer from '../components/common/AuditLogViewer';
+
+/**
+ * Admin view of every privileged action across the platform
+ */
+const AuditLogPage = () => (
+  <div className="container" style={{ maxWidth: 1200 }}>
+    <h1 style={{ marginBottom: 4 }}>🧾 Audit Log</h1>
+    <p className="text-muted" style={{ marginBottom: 24 }}>
+      Payment decisions, attendance overrides, account and event changes, and moderation. Click an entry for the before/after values.
+    </p>
+    <AuditLogViewer load={adminService.getAuditLogs} showEvent />
+  </div>
+);
+
+export default AuditLogPage;
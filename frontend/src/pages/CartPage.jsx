@@ -0,0 +1,165 @@
+import { useState, useEffect } from 'react';
+import { useNavigate, Link } from 'react-router-dom';
+import cartService from '../services/cartService';
+import orderService from '../services/orderService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const CartPage = () => {
+  const navigate = useNavigate();
+  const [cart, setCart] = useState({ items: [], totalAmount: 0 });
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    Promise.all([cartService.getCart(), orderService.getMyOrders()])
+      .then(([cartRes, orderRes]) => {
+        setCart(cartRes.cart);
+        setOrders(orderRes.orders || []);
+      })
+      .catch(() => toast.error('Failed to load cart'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const run = async (fn, success) => {
+    setBusy(true);
+    try {
+      const res = await fn();
+      setCart(res.cart);
+      if (success) toast.success(success);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to update cart');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCheckout = async () => {
+    setBusy(true);
+    try {
+      const res = await cartService.checkout();
+      toast.success(res.message);
+      navigate(`/orders/${res.order._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Checkout failed');
+      setBusy(false);
+    }
+  };
+
+  const organizers = new Set(cart.items.filter(i => i.event).map(i => i.event.organizer?._id || i.event.organizer));
+  const hasProblems = cart.items.some(i => i.problem);
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="container">
+      <h2 style={{ marginBottom: 16 }}>My Cart</h2>
+
+      {cart.items.length === 0 ? (
+        <div className="empty-state">
+          <p>Your cart is empty.</p>
+          <Link to="/events" className="btn btn-primary btn-sm">Browse Merchandise</Link>
+        </div>
+      ) : (
+        <div className="card" style={{ marginBottom: 24 }}>
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr><th>Item</th><th>Variant</th><th>Price</th><th>Quantity</th><th>Total</th><th></th></tr>
+              </thead>
+              <tbody>
+                {cart.items.map(item => (
+                  <tr key={item._id}>
+                    <td>
+                      {item.event ? <Link to={`/events/${item.event._id}`}>{item.event.name}</Link> : 'Unavailable'}
+                      {item.event?.organizer?.organizerName && (
+                        <div style={{ fontSize: 12, color: 'var(--text-muted)' }}>{item.event.organizer.organizerName}</div>
+                      )}
+                      {item.problem && <div><span className="badge badge-danger">{item.problem}</span></div>}
+                    </td>
+                    <td>
+                      {item.variant ? (
+                        <>{item.variant.name} {item.variant.size && `(${item.variant.size})`} {item.variant.color && `• ${item.variant.color}`}</>
+                      ) : '—'}
+                    </td>
+                    <td>{item.variant ? `Rs.${item.variant.price}` : '—'}</td>
+                    <td>
+                      <input type="number" min={1} max={item.event?.purchaseLimit || undefined} value={item.quantity}
+                        className="form-control" style={{ width: 70 }} disabled={busy || !item.variant}
+                        onChange={e => {
+                          const qty = Number(e.target.value);
+                          if (qty >= 1) run(() => cartService.updateItem(item._id, qty));
+                        }} />
+                    </td>
+                    <td>Rs.{item.lineTotal}</td>
+                    <td>
+                      <button className="btn btn-danger btn-sm" disabled={busy}
+                        onClick={() => run(() => cartService.removeItem(item._id), 'Removed from cart')}>Remove</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 16, flexWrap: 'wrap', gap: 8 }}>
+            <div>
+              <p style={{ fontSize: 16, fontWeight: 600, margin: 0 }}>Total: Rs.{cart.totalAmount}</p>
+              <p style={{ fontSize: 12, color: 'var(--text-muted)', margin: 0 }}>
+                Stock is reserved when you check out, not while items sit in the cart.
+              </p>
+            </div>
+            <button className="btn btn-primary" onClick={handleCheckout}
+              disabled={busy || hasProblems || organizers.size > 1}>
+              {busy ? 'Processing...' : 'Checkout'}
+            </button>
+          </div>
+          {organizers.size > 1 && (
+            <div className="alert alert-warning" style={{ marginTop: 12 }}>
+              Your cart has items from more than one organizer. Each checkout pays a single organizer — remove items to check out the rest.
+            </div>
+          )}
+          {hasProblems && (
+            <div className="alert alert-warning" style={{ marginTop: 12 }}>
+              Some items are unavailable. Remove them or lower the quantity to check out.
+            </div>
+          )}
+        </div>
+      )}
+
+      {orders.length > 0 && (
+        <>
+          <h3 style={{ marginBottom: 12 }}>My Orders</h3>
+          <div className="card">
+            <div className="table-wrapper">
+              <table>
+                <thead>
+                  <tr><th>Order</th><th>Organizer</th><th>Items</th><th>Total</th><th>Status</th><th>Placed</th></tr>
+                </thead>
+                <tbody>
+                  {orders.map(order => (
+                    <tr key={order._id}>
+                      <td><Link to={`/orders/${order._id}`}>{order.orderNumber}</Link></td>
+                      <td>{order.organizer?.organizerName || '—'}</td>
+                      <td>{order.items.reduce((sum, i) => sum + i.quantity, 0)}</td>
+                      <td>Rs.{order.totalAmount}</td>
+                      <td>
+                        <span className={`badge ${order.status === 'confirmed' ? 'badge-success' : order.status === 'pending' ? 'badge-warning' : 'badge-danger'}`}>
+                          {order.status}
+                        </span>
+                      </td>
+                      <td>{new Date(order.createdAt).toLocaleDateString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CartPage;
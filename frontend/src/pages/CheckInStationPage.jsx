@@ -0,0 +1,311 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import registrationService from '../services/registrationService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+import jsQR from 'jsqr';
+import {
+  saveManifest, loadManifest, queueScan, getQueuedScans, removeQueuedScans,
+  getStationId, validateScanLocally
+} from '../utils/offlineCheckin';
+
+/* ── Helper: format date/time ── */
+const fmt = (d) => d ? new Date(d).toLocaleString() : '—';
+
+const SYNC_INTERVAL_MS = 15000;
+
+/**
+ * Check-in Station
+ *
+ * Gate-side scanner that keeps working without connectivity:
+ * validates tickets against a cached manifest, queues marks in IndexedDB,
+ * and bulk-syncs them whenever the connection is back.
+ */
+const CheckInStationPage = () => {
+  const { eventId } = useParams();
+  const stationId = getStationId();
+
+  const [manifest, setManifest] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [online, setOnline] = useState(navigator.onLine);
+  const [queue, setQueue] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [lastSync, setLastSync] = useState(null);
+  const [scanResult, setScanResult] = useState(null); // { ok, message }
+  const [scanInput, setScanInput] = useState('');
+  const [camActive, setCamActive] = useState(false);
+  const [recent, setRecent] = useState([]);
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const scanLoopRef = useRef(null);
+  const streamRef = useRef(null);
+  const syncingRef = useRef(false);
+  const handleScanRef = useRef(null); // camera loop reads the latest scan handler through this
+
+  const refreshQueue = useCallback(async () => {
+    setQueue(await getQueuedScans(eventId));
+  }, [eventId]);
+
+  /* ── Manifest: fetch when online, fall back to cached copy ── */
+  const loadStation = useCallback(async () => {
+    try {
+      const res = await registrationService.getCheckinManifest(eventId);
+      await saveManifest(eventId, res.manifest);
+      setManifest(res.manifest);
+    } catch {
+      const cached = await loadManifest(eventId);
+      if (cached) {
+        setManifest(cached);
+        toast('Offline — using cached attendee list', { icon: '📴' });
+      } else {
+        toast.error('No attendee list available offline. Connect once to download it.');
+      }
+    } finally {
+      await refreshQueue();
+      setLoading(false);
+    }
+  }, [eventId, refreshQueue]);
+
+  /* ── Sync queued scans ── */
+  const syncNow = useCallback(async () => {
+    if (syncingRef.current || !navigator.onLine) return;
+    const pending = await getQueuedScans(eventId);
+    if (pending.length === 0) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const scans = pending.map(({ clientScanId, ticketId, qrData, scannedAt }) => ({ clientScanId, ticketId, qrData, scannedAt }));
+      const res = await registrationService.syncCheckins(eventId, stationId, scans);
+      await removeQueuedScans(res.results.map(r => r.clientScanId));
+
+      const byId = Object.fromEntries(res.results.map(r => [r.clientScanId, r]));
+      setRecent(prev => prev.map(r => byId[r.clientScanId] ? { ...r, serverResult: byId[r.clientScanId].result, serverMessage: byId[r.clientScanId].message } : r));
+      setLastSync(new Date());
+
+      const { accepted, duplicate, rejected } = res.summary;
+      if (duplicate || rejected) {
+        toast(`Synced ${accepted} — ${duplicate} duplicate, ${rejected} rejected by server`, { icon: '⚠️' });
+      } else {
+        toast.success(`Synced ${accepted} check-in${accepted === 1 ? '' : 's'}`);
+      }
+
+      // Pick up check-ins from other stations
+      const fresh = await registrationService.getCheckinManifest(eventId);
+      await saveManifest(eventId, fresh.manifest);
+      setManifest(fresh.manifest);
+    } catch (err) {
+      console.error('Check-in sync failed', err);
+    } finally {
+      syncingRef.current = false;
+      setSyncing(false);
+      await refreshQueue();
+    }
+  }, [eventId, stationId, refreshQueue]);
+
+  useEffect(() => {
+    loadStation();
+    const goOnline = () => { setOnline(true); syncNow(); };
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    const timer = setInterval(syncNow, SYNC_INTERVAL_MS);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+      clearInterval(timer);
+      stopCamera();
+    };
+  }, [loadStation, syncNow]);
+
+  /* ── Handle one scan locally ── */
+  const handleScan = useCallback(async (raw) => {
+    if (!manifest || !raw) return;
+    const check = await validateScanLocally(raw, manifest);
+    if (!check.ok) {
+      setScanResult({ ok: false, message: `❌ ${check.message}` });
+      toast.error(check.message);
+      return;
+    }
+
+    const { attendee } = check;
+    if (attendee.attended) {
+      const when = fmt(attendee.attendedAt);
+      setScanResult({ ok: false, duplicate: true, message: `⚠️ ${attendee.name} already checked in (${when})` });
+      toast.error('Already checked in');
+      return;
+    }
+
+    const scan = {
+      clientScanId: crypto.randomUUID(),
+      eventId,
+      ticketId: attendee.ticketId,
+      qrData: raw,
+      scannedAt: new Date().toISOString(),
+      name: attendee.name
+    };
+    await queueScan(scan);
+    await refreshQueue();
+
+    // Reflect the mark in the cached manifest so a re-scan is caught even after the queue drains
+    const updated = {
+      ...manifest,
+      attendees: manifest.attendees.map(a => a.ticketId === attendee.ticketId ? { ...a, attended: true, attendedAt: scan.scannedAt } : a)
+    };
+    setManifest(updated);
+    await saveManifest(eventId, updated);
+    setRecent(prev => [scan, ...prev].slice(0, 20));
+    setScanResult({ ok: true, message: `✅ ${attendee.name} checked in${check.verified ? '' : ' (signature not verified on this device)'}` });
+    toast.success(`Checked in: ${attendee.name}`);
+
+    if (navigator.onLine) syncNow();
+  }, [manifest, eventId, refreshQueue, syncNow]);
+
+  useEffect(() => { handleScanRef.current = handleScan; }, [handleScan]);
+
+  /* ── Camera ── */
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      if (videoRef.current) { videoRef.current.srcObject = stream; videoRef.current.play(); }
+      setCamActive(true);
+      startScanLoop();
+    } catch (err) { toast.error('Camera access denied: ' + err.message); }
+  };
+
+  const stopCamera = () => {
+    if (scanLoopRef.current) { cancelAnimationFrame(scanLoopRef.current); scanLoopRef.current = null; }
+    if (streamRef.current) { streamRef.current.getTracks().forEach(t => t.stop()); streamRef.current = null; }
+    setCamActive(false);
+  };
+
+  const startScanLoop = () => {
+    let lastValue = null;
+    const loop = async () => {
+      const video = videoRef.current;
+      const canvas = canvasRef.current;
+      if (!video || !canvas || !streamRef.current) return;
+      if (video.readyState === video.HAVE_ENOUGH_DATA) {
+        canvas.width = video.videoWidth; canvas.height = video.videoHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(video, 0, 0);
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const code = jsQR(imageData.data, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+        // Keep the camera running between attendees; ignore the same code held in frame
+        if (code?.data && code.data !== lastValue) {
+          lastValue = code.data;
+          await handleScanRef.current(code.data);
+        }
+      }
+      scanLoopRef.current = requestAnimationFrame(loop);
+    };
+    scanLoopRef.current = requestAnimationFrame(loop);
+  };
+
+  if (loading) return <LoadingSpinner />;
+
+  const checkedIn = manifest ? manifest.attendees.filter(a => a.attended).length : 0;
+
+  return (
+    <div className="container" style={{ maxWidth: 800 }}>
+      <div className="page-header-row">
+        <div>
+          <h1>🚪 Check-in Station</h1>
+          <p className="text-muted" style={{ marginTop: 4 }}>
+            {manifest?.event?.name || 'Event'} · Station <code>{stationId}</code>
+          </p>
+        </div>
+        <Link to={`/event-registrations/${eventId}`} className="btn btn-secondary">← Registrations</Link>
+      </div>
+
+      <div className="grid grid-4" style={{ marginBottom: 24 }}>
+        {[
+          { icon: online ? '🟢' : '🔴', value: online ? 'Online' : 'Offline', label: 'Connection' },
+          { icon: '📋', value: manifest?.attendees.length || 0, label: 'Attendees' },
+          { icon: '✅', value: checkedIn, label: 'Checked In' },
+          { icon: '📤', value: queue.length, label: 'Waiting to Sync' },
+        ].map(s => (
+          <div key={s.label} className="stat-card-v2">
+            <div className="stat-card-icon">{s.icon}</div>
+            <div><div className="stat-value-v2">{s.value}</div><div className="stat-label-v2">{s.label}</div></div>
+          </div>
+        ))}
+      </div>
+
+      {!manifest ? (
+        <div className="alert alert-danger">No attendee list cached for this event. Connect to the internet and reload.</div>
+      ) : (
+        <div className="card" style={{ marginBottom: 24 }}>
+          {scanResult && (
+            <div className={`alert ${scanResult.ok ? 'alert-success' : scanResult.duplicate ? 'alert-warning' : 'alert-danger'}`} style={{ marginBottom: 16 }}>
+              {scanResult.message}
+            </div>
+          )}
+
+          <div style={{ marginBottom: 20 }}>
+            <div style={{ fontWeight: 600, marginBottom: 8 }}>📹 Camera Scan</div>
+            <video ref={videoRef} style={{ width: '100%', maxWidth: 480, borderRadius: 8, border: '2px solid var(--primary-color)', display: camActive ? 'block' : 'none' }} playsInline muted />
+            <canvas ref={canvasRef} style={{ display: 'none' }} />
+            <div style={{ marginTop: 8 }}>
+              {!camActive
+                ? <button className="btn btn-primary" onClick={startCamera}>Start Camera</button>
+                : <button className="btn btn-danger btn-sm" onClick={stopCamera}>Stop Camera</button>}
+            </div>
+          </div>
+
+          <div>
+            <div style={{ fontWeight: 600, marginBottom: 8 }}>⌨️ Paste / Type QR Data</div>
+            <div style={{ display: 'flex', gap: 8 }}>
+              <input className="form-control" placeholder="Paste QR data (FELQR2...)..."
+                value={scanInput} onChange={e => setScanInput(e.target.value)}
+                onKeyDown={e => { if (e.key === 'Enter') { handleScan(scanInput.trim()); setScanInput(''); } }} />
+              <button className="btn btn-primary" disabled={!scanInput.trim()}
+                onClick={() => { handleScan(scanInput.trim()); setScanInput(''); }}>Check In</button>
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 12, alignItems: 'center', marginTop: 20, flexWrap: 'wrap' }}>
+            <button className="btn btn-secondary btn-sm" onClick={syncNow} disabled={syncing || !online || queue.length === 0}>
+              {syncing ? 'Syncing...' : '🔄 Sync Now'}
+            </button>
+            <button className="btn btn-secondary btn-sm" onClick={loadStation} disabled={!online}>⬇️ Refresh Attendee List</button>
+            <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>
+              List downloaded {fmt(manifest.generatedAt)} · Last sync {fmt(lastSync)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div className="card">
+          <h3 style={{ marginBottom: 12 }}>Recent Scans</h3>
+          <div className="table-wrapper">
+            <table>
+              <thead><tr><th>Name</th><th>Ticket ID</th><th>Scanned At</th><th>Server</th></tr></thead>
+              <tbody>
+                {recent.map(r => (
+                  <tr key={r.clientScanId}>
+                    <td>{r.name}</td>
+                    <td style={{ fontSize: 12, fontFamily: 'monospace' }}>{r.ticketId}</td>
+                    <td style={{ fontSize: 12 }}>{fmt(r.scannedAt)}</td>
+                    <td style={{ fontSize: 12 }}>
+                      {!r.serverResult
+                        ? <span className="badge badge-warning">⏳ Queued</span>
+                        : <span className={`badge ${r.serverResult === 'accepted' ? 'badge-success' : r.serverResult === 'duplicate' ? 'badge-warning' : 'badge-danger'}`} title={r.serverMessage}>
+                            {r.serverResult}
+                          </span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckInStationPage;
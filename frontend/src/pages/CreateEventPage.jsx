@@ -1,6 +1,11 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import eventService from '../services/eventService';
+import TicketTierEditor from '../components/common/TicketTierEditor';
+import RefundPolicyEditor from '../components/common/RefundPolicyEditor';
+import ReminderScheduleEditor from '../components/common/ReminderScheduleEditor';
+import { DEFAULT_REMINDER_OFFSETS, toReminderRows, toReminderOffsets } from '../utils/reminders';
+import FieldRulesEditor from '../components/common/FieldRulesEditor';
 import toast from 'react-hot-toast';
 
 const CreateEventPage = () => {
@@ -11,9 +16,13 @@ const CreateEventPage = () => {
     registrationDeadline: '', eventStartDate: '', eventEndDate: '',
     eligibility: 'all', registrationLimit: '', registrationFee: 0,
     venue: '', tags: '', isTeamEvent: false, minTeamSize: 2, maxTeamSize: 4,
+    paymentHoldHours: 24, paymentMode: 'manual', waitlistEnabled: false,
   });
   const [customFields, setCustomFields] = useState([]);
   const [variants, setVariants] = useState([]);
+  const [ticketTiers, setTicketTiers] = useState([]);
+  const [refundPolicy, setRefundPolicy] = useState([]);
+  const [reminders, setReminders] = useState(() => toReminderRows(DEFAULT_REMINDER_OFFSETS));
 
   const handleChange = (e) => {
     const { name, value, type, checked } = e.target;
@@ -69,6 +78,12 @@ const CreateEventPage = () => {
       if (isNaN(reg.getTime()) || isNaN(start.getTime())) return toast.error('Please provide valid registration deadline and start date');
       if (reg >= start) return toast.error('Registration deadline must be before event start date');
     }
+    if (form.eventType === 'normal' && ticketTiers.some(t => !t.name.trim())) {
+      return toast.error('Every ticket tier needs a name');
+    }
+    if (refundPolicy.some(t => !t.before)) {
+      return toast.error('Every refund deadline needs a date');
+    }
 
     setLoading(true);
     try {
@@ -78,9 +93,14 @@ const CreateEventPage = () => {
         registrationLimit: form.registrationLimit ? Number(form.registrationLimit) : undefined,
         registrationFee: Number(form.registrationFee) || 0,
         customFields: customFields.length > 0 ? customFields : undefined,
+        refundPolicy,
       };
       if (form.eventType === 'merchandise') {
         data.variants = variants;
+        data.paymentHoldHours = Number(form.paymentHoldHours) || 0;
+      } else {
+        data.reminderOffsets = toReminderOffsets(reminders);
+        if (ticketTiers.length > 0) data.ticketTiers = ticketTiers;
       }
 
       const res = await eventService.createEvent(data);
@@ -170,6 +190,13 @@ const CreateEventPage = () => {
             <input name="registrationFee" type="number" className="form-control"
               value={form.registrationFee} onChange={handleChange} />
           </div>
+          <div className="form-group">
+            <label>Payment Mode</label>
+            <select name="paymentMode" className="form-control" value={form.paymentMode} onChange={handleChange}>
+              <option value="manual">Manual (upload proof, organizer approves)</option>
+              <option value="gateway">Online payment gateway</option>
+            </select>
+          </div>
         </div>
         <div className="form-group">
           <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
@@ -177,6 +204,14 @@ const CreateEventPage = () => {
             Team Event
           </label>
         </div>
+        {form.eventType === 'normal' && (
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <input type="checkbox" name="waitlistEnabled" checked={form.waitlistEnabled} onChange={handleChange} />
+              Waitlist when full (spots that free up go to the next person in line)
+            </label>
+          </div>
+        )}
         {form.isTeamEvent && (
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12 }}>
             <div className="form-group">
@@ -193,6 +228,16 @@ const CreateEventPage = () => {
         )}
       </div>
 
+      {form.eventType === 'normal' && (
+        <TicketTierEditor tiers={ticketTiers} onChange={setTicketTiers} />
+      )}
+
+      <RefundPolicyEditor tiers={refundPolicy} onChange={setRefundPolicy} />
+
+      {form.eventType === 'normal' && (
+        <ReminderScheduleEditor reminders={reminders} onChange={setReminders} />
+      )}
+
       {/* Custom Form Builder */}
       {form.eventType === 'normal' && (
         <div className="card" style={{ marginBottom: 20 }}>
@@ -217,7 +262,7 @@ const CreateEventPage = () => {
                     <option value="textarea">Textarea</option>
                     <option value="number">Number</option>
                     <option value="email">Email</option>
-                    <option value="select">Dropdown</option>
+                    <option value="dropdown">Dropdown</option>
                     <option value="checkbox">Checkbox</option>
                     <option value="radio">Radio</option>
                     <option value="file">File Upload</option>
@@ -235,13 +280,14 @@ const CreateEventPage = () => {
                     onChange={e => updateField(idx, 'required', e.target.checked)} /> Required
                 </label>
               </div>
-              {(field.type === 'select' || field.type === 'radio') && (
+              {(field.type === 'dropdown' || field.type === 'radio') && (
                 <div className="form-group" style={{ marginTop: 8, marginBottom: 0 }}>
                   <label>Options (comma-separated)</label>
                   <input className="form-control" value={field.options?.join(', ') || ''}
                     onChange={e => updateField(idx, 'options', e.target.value.split(',').map(o => o.trim()))} />
                 </div>
               )}
+              <FieldRulesEditor field={field} fields={customFields} onChange={(key, val) => updateField(idx, key, val)} />
             </div>
           ))}
         </div>
@@ -254,6 +300,11 @@ const CreateEventPage = () => {
             <h3>Variants</h3>
             <button className="btn btn-secondary btn-sm" onClick={addVariant}>+ Add Variant</button>
           </div>
+          <div className="form-group" style={{ maxWidth: 260 }}>
+            <label>Payment Hold (hours)</label>
+            <input name="paymentHoldHours" type="number" min="0" max="720" className="form-control" value={form.paymentHoldHours} onChange={handleChange} />
+            <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>Unpaid orders are cancelled and their stock released if no payment proof is uploaded in time. 0 = hold until reviewed.</p>
+          </div>
           {variants.map((v, idx) => (
             <div key={idx} style={{ padding: 12, border: '1px solid var(--border-color)', borderRadius: 'var(--radius)', marginBottom: 8 }}>
               <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8 }}>
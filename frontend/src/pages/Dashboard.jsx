@@ -7,6 +7,7 @@ import registrationService from '../services/registrationService';
 import adminService from '../services/adminService';
 import EventCard from '../components/common/EventCard';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import StaffEventsPage from './StaffEventsPage';
 import toast from 'react-hot-toast';
 
 /* ===================== PARTICIPANT DASHBOARD ===================== */
@@ -426,6 +427,65 @@ const OrganizerDashboard = () => {
               ))}
             </div>
 
+            {/* Revenue by ticket tier */}
+            {analytics.revenueByTier?.length > 0 && (
+              <div className="card" style={{ marginBottom: 24 }}>
+                <h4 style={{ marginBottom: 12 }}>🎟️ Revenue by Ticket Tier</h4>
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr><th>Tier</th><th>Price</th><th>Sold</th><th>Paid</th><th>Revenue</th></tr>
+                    </thead>
+                    <tbody>
+                      {analytics.revenueByTier.map(t => (
+                        <tr key={t.tierId}>
+                          <td>{t.name}</td>
+                          <td>₹{t.price}</td>
+                          <td>{t.sold}{t.capacity > 0 ? ` / ${t.capacity}` : ''}</td>
+                          <td>{t.paid}</td>
+                          <td>₹{t.revenue}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Promo code usage */}
+            {analytics.discounts?.byCode?.length > 0 && (
+              <div className="card" style={{ marginBottom: 24 }}>
+                <h4 style={{ marginBottom: 12 }}>🏷️ Promo Codes — ₹{analytics.discounts.total} discounted</h4>
+                <div className="table-wrapper">
+                  <table>
+                    <thead>
+                      <tr><th>Code</th><th>Uses</th><th>Discount Given</th></tr>
+                    </thead>
+                    <tbody>
+                      {analytics.discounts.byCode.map(p => (
+                        <tr key={p.code}>
+                          <td>{p.code}</td>
+                          <td>{p.uses}</td>
+                          <td>₹{p.discount}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
+            {/* Refunds (already taken off revenue once processed) */}
+            {(analytics.refunds?.processedCount > 0 || analytics.refunds?.outstandingCount > 0) && (
+              <div className="card" style={{ marginBottom: 24 }}>
+                <h4 style={{ marginBottom: 8 }}>💸 Refunds</h4>
+                <p style={{ fontSize: 14 }}>
+                  ₹{analytics.refunds.refunded} refunded ({analytics.refunds.processedCount})
+                  {analytics.refunds.outstandingCount > 0 && <> · ₹{analytics.refunds.outstanding} pending in <Link to="/refunds">{analytics.refunds.outstandingCount} request(s)</Link></>}
+                </p>
+              </div>
+            )}
+
             {/* Registration Trend Chart */}
             {analytics.registrationTrend && analytics.registrationTrend.length > 0 && (
               <div className="card" style={{ marginBottom: 24 }}>
@@ -681,6 +741,20 @@ const AdminDashboard = () => {
               <p className="text-muted">Review and approve organizer requests</p>
             </div>
           </Link>
+          <Link to="/audit-log" className="quick-action-card">
+            <div className="quick-action-icon">{'\u{1F9FE}'}</div>
+            <div>
+              <h3>Audit Log</h3>
+              <p className="text-muted">Who approved, overrode, edited or deleted what</p>
+            </div>
+          </Link>
+          <Link to="/login-lockouts" className="quick-action-card">
+            <div className="quick-action-icon">{'\u{1F512}'}</div>
+            <div>
+              <h3>Login Lockouts</h3>
+              <p className="text-muted">IPs and accounts blocked after failed logins</p>
+            </div>
+          </Link>
         </div>
       </main>
     </div>
@@ -694,6 +768,8 @@ const Dashboard = () => {
   if (user.role === 'participant') return <ParticipantDashboard />;
   if (user.role === 'organizer') return <OrganizerDashboard />;
   if (user.role === 'admin') return <AdminDashboard />;
+  // Limited staff accounts only work on the events they are assigned to
+  if (user.role === 'staff') return <StaffEventsPage />;
   return <div className="container"><p>Unknown role</p></div>;
 };
 
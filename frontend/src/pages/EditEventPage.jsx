@@ -1,6 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import eventService from '../services/eventService';
+import TicketTierEditor from '../components/common/TicketTierEditor';
+import RefundPolicyEditor from '../components/common/RefundPolicyEditor';
+import ReminderScheduleEditor from '../components/common/ReminderScheduleEditor';
+import { toReminderRows, toReminderOffsets } from '../utils/reminders';
+import FieldRulesEditor from '../components/common/FieldRulesEditor';
+import StaffManager from '../components/common/StaffManager';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
 
@@ -21,11 +27,23 @@ const EditEventPage = () => {
   const [event, setEvent] = useState(null);
   const [form, setForm] = useState({});
   const [customFields, setCustomFields] = useState([]);
+  const [formChanged, setFormChanged] = useState(false);
   const [variants, setVariants] = useState([]);
+  const [ticketTiers, setTicketTiers] = useState([]);
+  const [refundPolicy, setRefundPolicy] = useState([]);
+  const [reminders, setReminders] = useState([]);
+  const [permissions, setPermissions] = useState([]);
 
   useEffect(() => {
     eventService.getEvent(id).then(res => {
       const ev = res.event;
+      const allowed = res.access?.permissions || [];
+      // Volunteers and finance staff work from the registrations page
+      if (!allowed.includes('manage')) {
+        navigate(allowed.length ? `/event-registrations/${id}` : '/dashboard', { replace: true });
+        return;
+      }
+      setPermissions(allowed);
       setEvent(ev);
       setForm({
         name: ev.name || '',
@@ -41,9 +59,19 @@ const EditEventPage = () => {
         isTeamEvent: ev.isTeamEvent || false,
         minTeamSize: ev.minTeamSize || 2,
         maxTeamSize: ev.maxTeamSize || 4,
+        paymentHoldHours: ev.paymentHoldHours ?? 24,
+        paymentMode: ev.paymentMode || 'manual',
+        waitlistEnabled: !!ev.waitlistEnabled,
       });
       setCustomFields(ev.customFields || []);
         setVariants(ev.variants || []);
+      setTicketTiers((ev.ticketTiers || []).map(t => ({
+        ...t,
+        salesStart: toLocalDatetime(t.salesStart),
+        salesEnd: toLocalDatetime(t.salesEnd),
+      })));
+      setRefundPolicy((ev.refundPolicy || []).map(t => ({ ...t, before: toLocalDatetime(t.before) })));
+      setReminders(toReminderRows(ev.reminderOffsets || []));
     }).catch(() => {
       toast.error('Event not found');
       navigate('/dashboard');
@@ -55,14 +83,19 @@ const EditEventPage = () => {
     setForm(f => ({ ...f, [name]: type === 'checkbox' ? checked : value }));
   };
 
-  // Custom field builder
-  const addField = () => setCustomFields(f => [...f, {
+  // Custom field builder — the form is only sent when it was touched, since
+  // saving an answered form publishes a new version
+  const editFields = (updater) => {
+    setFormChanged(true);
+    setCustomFields(updater);
+  };
+  const addField = () => editFields(f => [...f, {
     fieldId: 'field_' + Date.now(),
     type: 'text', label: '', placeholder: '', required: false, options: [], order: f.length
   }]);
-  const updateField = (idx, key, val) => setCustomFields(f => f.map((fi, i) => i === idx ? { ...fi, [key]: val } : fi));
-  const removeField = (idx) => setCustomFields(f => f.filter((_, i) => i !== idx));
-  const moveField = (idx, dir) => setCustomFields(f => {
+  const updateField = (idx, key, val) => editFields(f => f.map((fi, i) => i === idx ? { ...fi, [key]: val } : fi));
+  const removeField = (idx) => editFields(f => f.filter((_, i) => i !== idx));
+  const moveField = (idx, dir) => editFields(f => {
     const arr = [...f]; const newIdx = idx + dir;
     if (newIdx < 0 || newIdx >= arr.length) return arr;
     [arr[idx], arr[newIdx]] = [arr[newIdx], arr[idx]];
@@ -87,6 +120,8 @@ const EditEventPage = () => {
       if (isNaN(reg.getTime()) || isNaN(start.getTime())) return toast.error('Please provide valid registration deadline and start date');
       if (reg >= start) return toast.error('Registration deadline must be before event start date');
     }
+    if (event?.waitlistEnabled && !form.waitlistEnabled &&
+        !window.confirm('Turn off the waitlist? Everyone still on it is taken off and notified.')) return;
 
     setSaving(true);
     try {
@@ -95,12 +130,20 @@ const EditEventPage = () => {
         tags: form.tags ? form.tags.split(',').map(t => t.trim()).filter(Boolean) : [],
         registrationLimit: form.registrationLimit ? Number(form.registrationLimit) : undefined,
         registrationFee: Number(form.registrationFee) || 0,
-        customFields: event?.eventType !== 'merchandise' ? customFields : undefined,
+        paymentHoldHours: event?.eventType === 'merchandise' ? Number(form.paymentHoldHours) || 0 : undefined,
+        waitlistEnabled: event?.eventType === 'normal' ? form.waitlistEnabled : undefined,
+        customFields: event?.eventType !== 'merchandise' && formChanged ? customFields : undefined,
         // Strip _id from variants — UUIDs break Mongoose ObjectId casting.
         // The server replaces the entire variants array so old _ids are irrelevant.
         variants: event?.eventType === 'merchandise'
           ? variants.map(({ _id, ...rest }) => rest)
           : undefined,
+        // Tiers are only editable while the event is a draft
+        ticketTiers: event?.eventType === 'normal' && event?.status === 'draft'
+          ? ticketTiers.map(t => ({ ...t, _id: undefined, sold: undefined }))
+          : undefined,
+        refundPolicy: event?.status === 'draft' ? refundPolicy : undefined,
+        reminderOffsets: event?.eventType === 'normal' ? toReminderOffsets(reminders) : undefined,
       };
       await eventService.updateEvent(id, data);
       toast.success('Event updated');
@@ -138,6 +181,12 @@ const EditEventPage = () => {
 
   const isDraft = event.status === 'draft';
   const formLocked = event.formLocked;
+  const formEditable = ['draft', 'published'].includes(event.status);
+  // Questions already answered (in this version, or the previous one while this
+  // version has no answers yet): only wording and new options can change
+  const answeredFields = formLocked ? event.customFields : event.formHistory?.at(-1)?.fields;
+  const versioned = !!answeredFields;
+  const answered = new Map((answeredFields || []).map(f => [f.fieldId, f]));
 
   return (
     <div className="container" style={{ maxWidth: 800 }}>
@@ -178,6 +227,13 @@ const EditEventPage = () => {
             <label>Registration Fee</label>
             <input name="registrationFee" type="number" className="form-control" value={form.registrationFee} onChange={handleChange} />
           </div>
+          <div className="form-group">
+            <label>Payment Mode</label>
+            <select name="paymentMode" className="form-control" value={form.paymentMode} onChange={handleChange}>
+              <option value="manual">Manual (upload proof, organizer approves)</option>
+              <option value="gateway">Online payment gateway</option>
+            </select>
+          </div>
           <div className="form-group">
             <label>Eligibility</label>
             <select name="eligibility" className="form-control" value={form.eligibility} onChange={handleChange}>
@@ -191,6 +247,14 @@ const EditEventPage = () => {
           <label>Venue</label>
           <input name="venue" className="form-control" value={form.venue} onChange={handleChange} />
         </div>
+        {event.eventType === 'normal' && (
+          <div className="form-group">
+            <label style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+              <input type="checkbox" name="waitlistEnabled" checked={form.waitlistEnabled} onChange={handleChange} />
+              Waitlist when full (spots that free up go to the next person in line)
+            </label>
+          </div>
+        )}
         <div className="form-group">
           <label>Tags (comma-separated)</label>
           <input name="tags" className="form-control" value={form.tags} onChange={handleChange} />
@@ -219,22 +283,33 @@ const EditEventPage = () => {
         )}
       </div>
 
-      {/* Custom Form Builder (normal events, draft only) */}
+      {/* Custom Form Builder (normal events; answered forms get a new version) */}
       {event.eventType !== 'merchandise' && (
         <div className="card" style={{ marginBottom: 20 }}>
           <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 }}>
             <h3 style={{ fontSize: 16 }}>Custom Registration Form</h3>
-            {formLocked && <span className="badge badge-warning" style={{ fontSize: 11 }}>🔒 Locked — registrations received</span>}
+            {(event.formVersion > 1 || formLocked) && (
+              <span className="badge badge-info" style={{ fontSize: 11 }}>Version {event.formVersion || 1}</span>
+            )}
           </div>
-          {formLocked ? (
-            <p className="text-muted" style={{ fontSize: 13 }}>Form fields cannot be edited after the first registration.</p>
+          {!formEditable ? (
+            <p className="text-muted" style={{ fontSize: 13 }}>The form cannot be edited after the event has started.</p>
           ) : (
             <>
+              {versioned && (
+                <div className="alert alert-info" style={{ fontSize: 13, marginBottom: 12 }}>
+                  {formLocked
+                    ? `Registrations have answered this form. Saving changes publishes version ${(event.formVersion || 1) + 1}:`
+                    : `Version ${event.formVersion} has no answers yet, so it is edited in place. Like every new version,`}
+                  existing questions can be reworded, reordered or given extra options, and new questions must be optional.
+                  Earlier answers stay with the version they were given for.
+                </div>
+              )}
               {customFields.map((field, idx) => (
                 <div key={field.fieldId} style={{ padding: 12, border: '1px solid var(--border-color)', borderRadius: 'var(--radius)', marginBottom: 8 }}>
                   <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 8 }}>
                     <span style={{ fontSize: 12, color: 'var(--text-muted)', width: 20 }}>#{idx + 1}</span>
-                    <select className="form-control" style={{ width: 130 }} value={field.type}
+                    <select className="form-control" style={{ width: 130 }} value={field.type} disabled={answered.has(field.fieldId)}
                       onChange={e => updateField(idx, 'type', e.target.value)}>
                       <option value="text">Text</option>
                       <option value="textarea">Textarea</option>
@@ -248,11 +323,15 @@ const EditEventPage = () => {
                     <input className="form-control" style={{ flex: 1 }} placeholder="Field label *"
                       value={field.label} onChange={e => updateField(idx, 'label', e.target.value)} />
                     <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12, cursor: 'pointer', whiteSpace: 'nowrap' }}>
-                      <input type="checkbox" checked={field.required} onChange={e => updateField(idx, 'required', e.target.checked)} /> Req
+                      <input type="checkbox" checked={field.required}
+                        disabled={versioned && !answered.get(field.fieldId)?.required}
+                        onChange={e => updateField(idx, 'required', e.target.checked)} /> Req
                     </label>
                     <button className="btn btn-secondary" style={{ padding: '2px 6px', fontSize: 12 }} onClick={() => moveField(idx, -1)}>↑</button>
                     <button className="btn btn-secondary" style={{ padding: '2px 6px', fontSize: 12 }} onClick={() => moveField(idx, 1)}>↓</button>
-                    <button className="btn btn-danger" style={{ padding: '2px 6px', fontSize: 12 }} onClick={() => removeField(idx)}>✕</button>
+                    {!answered.has(field.fieldId) && (
+                      <button className="btn btn-danger" style={{ padding: '2px 6px', fontSize: 12 }} onClick={() => removeField(idx)}>✕</button>
+                    )}
                   </div>
                   <input className="form-control" placeholder="Placeholder text" style={{ marginBottom: 4, fontSize: 13 }}
                     value={field.placeholder || ''} onChange={e => updateField(idx, 'placeholder', e.target.value)} />
@@ -261,6 +340,8 @@ const EditEventPage = () => {
                       value={Array.isArray(field.options) ? field.options.join(', ') : ''}
                       onChange={e => updateField(idx, 'options', e.target.value.split(',').map(o => o.trim()).filter(Boolean))} />
                   )}
+                  <FieldRulesEditor field={field} fields={customFields} allowRequiredIf={!versioned || !!answered.get(field.fieldId)?.requiredIf?.fieldId}
+                    onChange={(key, val) => updateField(idx, key, val)} />
                 </div>
               ))}
               <button className="btn btn-secondary btn-sm" onClick={addField}>+ Add Field</button>
@@ -269,10 +350,43 @@ const EditEventPage = () => {
         </div>
       )}
 
+      {/* Ticket Tiers (normal events, draft only) */}
+      {event.eventType === 'normal' && (isDraft ? (
+        <TicketTierEditor tiers={ticketTiers} onChange={setTicketTiers} />
+      ) : ticketTiers.length > 0 && (
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 12, fontSize: 16 }}>Ticket Tiers</h3>
+          <p className="text-muted" style={{ fontSize: 13 }}>Ticket tiers can only be edited in draft status.</p>
+        </div>
+      ))}
+
+      {/* Refund Policy (draft only — participants pay under the published policy) */}
+      {isDraft ? (
+        <RefundPolicyEditor tiers={refundPolicy} onChange={setRefundPolicy} />
+      ) : refundPolicy.length > 0 && (
+        <div className="card" style={{ marginBottom: 20 }}>
+          <h3 style={{ marginBottom: 12, fontSize: 16 }}>Refund Policy</h3>
+          {refundPolicy.map((t, i) => (
+            <p key={i} style={{ fontSize: 14 }}>{t.percent}% refund if cancelled before {new Date(t.before).toLocaleString()}</p>
+          ))}
+          <p className="text-muted" style={{ fontSize: 13 }}>The refund policy can only be edited in draft status.</p>
+        </div>
+      )}
+
+      {/* Reminders (normal events, until they start) */}
+      {event.eventType === 'normal' && ['draft', 'published'].includes(event.status) && (
+        <ReminderScheduleEditor reminders={reminders} onChange={setReminders} />
+      )}
+
       {/* Merchandise Variants (merchandise events, draft only) */}
       {event.eventType === 'merchandise' && (
         <div className="card" style={{ marginBottom: 20 }}>
           <h3 style={{ marginBottom: 12, fontSize: 16 }}>Merchandise Variants</h3>
+          <div className="form-group" style={{ maxWidth: 260 }}>
+            <label>Payment Hold (hours)</label>
+            <input name="paymentHoldHours" type="number" min="0" max="720" className="form-control" value={form.paymentHoldHours} onChange={handleChange} />
+            <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>Unpaid orders are cancelled and their stock released if no payment proof is uploaded in time. 0 = hold until reviewed.</p>
+          </div>
           {!isDraft ? (
             <p className="text-muted" style={{ fontSize: 13 }}>Variants can only be edited in draft status.</p>
           ) : (
@@ -310,6 +424,8 @@ const EditEventPage = () => {
         </div>
       )}
 
+      <StaffManager eventId={id} canEdit={permissions.includes('staff')} />
+
       <div style={{ display: 'flex', gap: 12 }}>
         <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
           {saving ? 'Saving...' : 'Save Changes'}
@@ -317,7 +433,9 @@ const EditEventPage = () => {
         {isDraft && (
           <button className="btn btn-success" onClick={handlePublish}>Publish</button>
         )}
-        <button className="btn btn-danger" onClick={handleDelete}>Delete</button>
+        {permissions.includes('delete') && (
+          <button className="btn btn-danger" onClick={handleDelete}>Delete</button>
+        )}
       </div>
     </div>
   );
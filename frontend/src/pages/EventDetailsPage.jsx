@@ -1,11 +1,15 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
-import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import eventService from '../services/eventService';
 import registrationService from '../services/registrationService';
+import promoService from '../services/promoService';
+import cartService from '../services/cartService';
 import teamService from '../services/teamService';
 import api from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { useServerEvents } from '../hooks';
+import { visibleFieldIds, isFieldRequired, validateForm } from '../utils/formRules';
 import toast from 'react-hot-toast';
 
 const formatDate = (d) => d ? new Date(d).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' }) : 'TBD';
@@ -16,10 +20,15 @@ const EventDetailsPage = () => {
   const [searchParams] = useSearchParams();
   const { user, isAuthenticated } = useAuth();
   const [event, setEvent] = useState(null);
+  const [access, setAccess] = useState({ role: null, permissions: [] });
   const [loading, setLoading] = useState(true);
   const [registering, setRegistering] = useState(false);
   const [formResponses, setFormResponses] = useState([]);
+  const [formFiles, setFormFiles] = useState({});
   const [selectedVariant, setSelectedVariant] = useState('');
+  const [selectedTier, setSelectedTier] = useState('');
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null); // { code, discount, finalAmount, key }
   const [quantity, setQuantity] = useState(1);
   const [tab, setTab] = useState(searchParams.get('tab') || 'details');
   // Discussion
@@ -61,19 +70,29 @@ const EventDetailsPage = () => {
     if (tab === 'analytics') loadAnalyticsData();
   }, [tab, filterRating]);
 
-  // Auto-poll discussion messages every 5 seconds for real-time feel
+  // Live discussion updates over SSE while the tab is open
+  const discussionLive = useServerEvents(tab === 'discussion' && isAuthenticated ? `/discussions/${id}` : null, {
+    'message:new': ({ message }) => setMessages(prev => prev.some(m => m._id === message._id) ? prev : [...prev, message]),
+    'message:deleted': ({ messageId }) => setMessages(prev => prev.filter(m => m._id !== messageId)),
+    'message:pinned': ({ messageId, isPinned }) => setMessages(prev => prev.map(m => m._id === messageId ? { ...m, isPinned } : m)),
+    'message:reaction': ({ messageId, reactions }) => setMessages(prev => prev.map(m => m._id === messageId ? { ...m, reactions } : m))
+  });
+
+  // Fall back to polling every 5 seconds only while the stream is down
   useEffect(() => {
     if (tab !== 'discussion') return;
+    if (discussionLive) { loadMessages(); return; }
     const interval = setInterval(() => {
       loadMessages();
     }, 5000);
     return () => clearInterval(interval);
-  }, [tab, id]);
+  }, [tab, id, discussionLive]);
 
   const loadEvent = async () => {
     try {
       const res = await eventService.getEvent(id);
       setEvent(res.event);
+      if (res.access) setAccess(res.access);
       if (res.event.customFields?.length) {
         setFormResponses(res.event.customFields.map(f => ({ fieldId: f.fieldId, value: '' })));
       }
@@ -161,13 +180,37 @@ const EventDetailsPage = () => {
       (r.ticketId || '').toLowerCase().includes(term);
   });
 
+  // A preview is only valid for the selection it was computed for
+  const selectionKey = `${selectedTier}|${selectedVariant}|${quantity}`;
+  const activePromo = appliedPromo?.key === selectionKey ? appliedPromo : null;
+
+  const applyPromo = async () => {
+    if (!promoInput.trim()) return;
+    try {
+      const res = await promoService.validatePromoCode({
+        code: promoInput.trim(), eventId: id,
+        variantId: selectedVariant || undefined, quantity, tierId: selectedTier || undefined,
+      });
+      setAppliedPromo({ code: res.promo.code, discount: res.discount, finalAmount: res.finalAmount, key: selectionKey });
+      toast.success(`Promo applied: -Rs.${res.discount}`);
+    } catch (err) {
+      setAppliedPromo(null);
+      toast.error(err.response?.data?.message || 'Invalid promo code');
+    }
+  };
+
+  // Custom form with its conditional rules applied to the current answers
+  const orderedFields = [...(event?.customFields || [])].sort((a, b) => a.order - b.order);
+  const formValues = Object.fromEntries(formResponses.map(r => [r.fieldId, r.value]));
+  const visibleFields = visibleFieldIds(orderedFields, formValues);
+
   const handleRegister = async () => {
     if (!isAuthenticated) return navigate('/login');
     setRegistering(true);
     try {
       if (event.eventType === 'merchandise') {
         if (!selectedVariant) return toast.error('Please select a variant');
-        const res = await registrationService.purchaseMerchandise(id, selectedVariant, quantity);
+        const res = await registrationService.purchaseMerchandise(id, selectedVariant, quantity, activePromo?.code);
         setMyRegistration(res.registration);
         toast.success('Purchase successful!');
         // If payment is pending, take user straight to the ticket page to upload proof
@@ -178,18 +221,17 @@ const EventDetailsPage = () => {
           navigate('/dashboard#merchandise');
         }
       } else {
-        // validate required custom fields
+        // validate custom fields (required, conditional and constraints)
         if (event.customFields?.length) {
-          for (const field of event.customFields) {
-            if (field.required) {
-              const resp = formResponses.find(r => r.fieldId === field.fieldId);
-              if (!resp?.value) return toast.error(`Please fill: ${field.label}`);
-            }
-          }
+          const formError = validateForm(orderedFields, formValues);
+          if (formError) return toast.error(formError);
         }
-        const res = await registrationService.registerForEvent(id, formResponses);
+        // Only upload files for fields still shown
+        const files = Object.fromEntries(Object.entries(formFiles).filter(([fieldId]) => visibleFields.has(fieldId)));
+        if (event.ticketTiers?.length && !selectedTier) return toast.error('Please select a ticket tier');
+        const res = await registrationService.registerForEvent(id, formResponses, selectedTier || undefined, activePromo?.code, files);
         setMyRegistration(res.registration);
-        toast.success('Registered successfully!');
+        toast.success(res.waitlisted ? res.message : 'Registered successfully!');
         // If registration is pending payment, navigate to ticket page so user can upload proof
         if (res.registration && res.registration.paymentStatus === 'pending') {
           navigate(`/ticket/${res.registration._id}`);
@@ -202,6 +244,20 @@ const EventDetailsPage = () => {
     }
   };
 
+  const handleAddToCart = async () => {
+    if (!isAuthenticated) return navigate('/login');
+    if (!selectedVariant) return toast.error('Please select a variant');
+    setRegistering(true);
+    try {
+      await cartService.addToCart(id, selectedVariant, quantity);
+      toast.success('Added to cart');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to add to cart');
+    } finally {
+      setRegistering(false);
+    }
+  };
+
   const sendMessage = async () => {
     if (!newMessage.trim()) return;
     try {
@@ -269,10 +325,31 @@ const EventDetailsPage = () => {
   if (loading) return <LoadingSpinner />;
   if (!event) return null;
 
-  const isOpen = event.status === 'published' && 
+  // Events stay open while running (merchandise is on sale from its start date)
+  const isOpen = ['published', 'ongoing'].includes(event.status) && 
     event.registrationDeadline && new Date() < new Date(event.registrationDeadline) && 
     (!event.registrationLimit || event.registrationCount < event.registrationLimit);
-  const isOrganizer = user?._id === event.organizer?._id;
+  // Full normal events still accept sign-ups onto the waitlist
+  const canJoinWaitlist = !isOpen && event.eventType === 'normal' && event.waitlistEnabled &&
+    ['published', 'ongoing'].includes(event.status) && event.registrationDeadline && new Date() < new Date(event.registrationDeadline);
+  // The owner and co-organizers run the event; volunteers and finance staff get their tools
+  const isOrganizer = access.role === 'owner' || access.role === 'co-organizer';
+  const isEventStaff = access.role === 'volunteer' || access.role === 'finance';
+  const hasTiers = event.eventType === 'normal' && event.ticketTiers?.length > 0;
+  const isPaid = hasTiers ? event.ticketTiers.some(t => t.price > 0) : event.registrationFee > 0;
+  // Why a tier can't be bought right now (null = available)
+  const tierUnavailableReason = (t) => {
+    const now = new Date();
+    if (t.salesStart && now < new Date(t.salesStart)) return `On sale ${formatDate(t.salesStart)}`;
+    if (t.salesEnd && now > new Date(t.salesEnd)) return 'Sales ended';
+    if (t.capacity > 0 && t.sold >= t.capacity) return 'Sold out';
+    if (t.eligibility === 'iiit-only' && user?.participantType && user.participantType !== 'iiit') return 'IIIT only';
+    if (t.eligibility === 'non-iiit-only' && user?.participantType === 'iiit') return 'Non-IIIT only';
+    return null;
+  };
+  // Participant-type limits only count once the participant's email is verified
+  const needsVerification = user?.role === 'participant' && !user.emailVerified
+    && (event.eligibility !== 'all' || (hasTiers && event.ticketTiers.some(t => t.eligibility && t.eligibility !== 'all')));
   // Show feedback tab when event has been marked completed/closed or when the event end time has passed
   const eventEnded = event.eventEndDate && new Date() > new Date(event.eventEndDate);
   const showFeedbackTab = ['completed', 'closed'].includes(event.status) || eventEnded;
@@ -290,7 +367,7 @@ const EventDetailsPage = () => {
           </div>
           {/* Compact callout for manual payment required with quick action.
               Show for any paid event so users can upload proof even if the event flag wasn't set. */}
-          {event.registrationFee > 0 && (
+          {isPaid && (
             <div style={{ marginBottom: 12, display: 'flex', gap: 12, alignItems: 'center', flexWrap: 'wrap' }}>
               <span style={{ display: 'inline-flex', alignItems: 'center', gap: 8 }}>
                 <strong style={{ color: 'var(--warning)', marginRight: 6 }}>Manual Payment Required</strong>
@@ -339,14 +416,14 @@ const EventDetailsPage = () => {
             )}
 
             {/* Custom Registration Form */}
-            {event.customFields?.length > 0 && !myRegistration && event.eventType !== 'merchandise' && isOpen && (
+            {event.customFields?.length > 0 && !myRegistration && event.eventType !== 'merchandise' && (isOpen || canJoinWaitlist) && (
               <div className="card" style={{ marginBottom: 20 }}>
                 <h3 style={{ marginBottom: 16 }}>Registration Form</h3>
-                {event.customFields.sort((a, b) => a.order - b.order).map(field => (
+                {orderedFields.filter(field => visibleFields.has(field.fieldId)).map(field => (
                   <div className="form-group" key={field.fieldId}>
-                    <label>{field.label} {field.required && '*'}</label>
+                    <label>{field.label} {isFieldRequired(field, orderedFields, formValues, visibleFields) && '*'}</label>
                     {field.type === 'textarea' ? (
-                      <textarea className="form-control" placeholder={field.placeholder || ''}
+                      <textarea className="form-control" placeholder={field.placeholder || ''} maxLength={field.validation?.maxLength || undefined}
                         value={formResponses.find(r => r.fieldId === field.fieldId)?.value || ''}
                         onChange={e => setFormResponses(prev => prev.map(r => r.fieldId === field.fieldId ? { ...r, value: e.target.value } : r))} />
                     ) : field.type === 'select' || field.type === 'dropdown' ? (
@@ -356,6 +433,37 @@ const EventDetailsPage = () => {
                         <option value="">Select...</option>
                         {field.options?.map(o => <option key={o} value={o}>{o}</option>)}
                       </select>
+                    ) : field.type === 'radio' && field.options?.length ? (
+                      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap' }}>
+                        {field.options.map(o => (
+                          <label key={o} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+                            <input type="radio" name={field.fieldId} checked={formValues[field.fieldId] === o}
+                              onChange={() => setFormResponses(prev => prev.map(r => r.fieldId === field.fieldId ? { ...r, value: o } : r))} /> {o}
+                          </label>
+                        ))}
+                      </div>
+                    ) : field.type === 'file' ? (
+                      <>
+                        <input type="file" className="form-control"
+                          accept={field.validation?.fileTypes?.length ? field.validation.fileTypes.map(t => `.${t}`).join(',') : undefined}
+                          onChange={e => {
+                            const file = e.target.files[0];
+                            const maxMB = field.validation?.maxSizeMB || 10;
+                            if (file && file.size > maxMB * 1024 * 1024) {
+                              e.target.value = '';
+                              return toast.error(`${field.label} must be at most ${maxMB} MB`);
+                            }
+                            setFormFiles(prev => {
+                              const next = { ...prev };
+                              if (file) next[field.fieldId] = file; else delete next[field.fieldId];
+                              return next;
+                            });
+                            setFormResponses(prev => prev.map(r => r.fieldId === field.fieldId ? { ...r, value: file?.name || '' } : r));
+                          }} />
+                        <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>
+                          {field.validation?.fileTypes?.length ? field.validation.fileTypes.join(', ').toUpperCase() : 'Images, PDF, Office documents, text or ZIP'} · up to {field.validation?.maxSizeMB || 10} MB
+                        </p>
+                      </>
                     ) : field.type === 'checkbox' ? (
                       <input type="checkbox"
                         checked={formResponses.find(r => r.fieldId === field.fieldId)?.value === 'true'}
@@ -363,6 +471,8 @@ const EventDetailsPage = () => {
                     ) : (
                       <input type={field.type === 'number' ? 'number' : field.type === 'email' ? 'email' : 'text'}
                         className="form-control" placeholder={field.placeholder || ''}
+                        min={field.validation?.min ?? undefined} max={field.validation?.max ?? undefined}
+                        maxLength={field.validation?.maxLength || undefined}
                         value={formResponses.find(r => r.fieldId === field.fieldId)?.value || ''}
                         onChange={e => setFormResponses(prev => prev.map(r => r.fieldId === field.fieldId ? { ...r, value: e.target.value } : r))} />
                     )}
@@ -381,11 +491,47 @@ const EventDetailsPage = () => {
                 <div><strong>Deadline:</strong> {formatDate(event.registrationDeadline)}</div>
                 {event.venue && <div><strong>Venue:</strong> {event.venue}</div>}
                 <div><strong>Registered:</strong> {event.registrationCount || 0}{event.registrationLimit ? ` / ${event.registrationLimit}` : ''}</div>
-                {event.registrationFee > 0 && <div><strong>Fee:</strong> Rs.{event.registrationFee}</div>}
+                {hasTiers ? (
+                  <div><strong>Fee:</strong> {isPaid ? `from Rs.${Math.min(...event.ticketTiers.map(t => t.price))}` : 'Free'}</div>
+                ) : event.registrationFee > 0 && <div><strong>Fee:</strong> Rs.{event.registrationFee}</div>}
                 {event.isTeamEvent && <div><strong>Team Size:</strong> {event.minTeamSize}-{event.maxTeamSize}</div>}
               </div>
             </div>
 
+            {/* Ticket Tiers */}
+            {hasTiers && (
+              <div className="card" style={{ marginBottom: 20 }}>
+                <h3 style={{ marginBottom: 12, fontSize: 15 }}>Tickets</h3>
+                {event.ticketTiers.map(t => {
+                  const reason = tierUnavailableReason(t);
+                  const selectable = !reason && !myRegistration && (isOpen || canJoinWaitlist);
+                  return (
+                    <label key={t._id} style={{
+                      display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 8,
+                      padding: '8px 0', borderBottom: '1px solid var(--border-color)', fontSize: 13,
+                      cursor: selectable ? 'pointer' : 'default', opacity: reason ? 0.6 : 1
+                    }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                        <input type="radio" name="tier" value={t._id} disabled={!selectable}
+                          checked={selectedTier === t._id} onChange={() => setSelectedTier(t._id)} />
+                        <div>
+                          <div>{t.name}</div>
+                          {t.description && <div className="text-muted" style={{ fontSize: 11 }}>{t.description}</div>}
+                          {t.salesEnd && !reason && <div className="text-muted" style={{ fontSize: 11 }}>Until {formatDate(t.salesEnd)}</div>}
+                        </div>
+                      </div>
+                      <div style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        <div>{t.price > 0 ? `Rs.${t.price}` : 'Free'}</div>
+                        <div className="text-muted" style={{ fontSize: 11 }}>
+                          {reason || (t.capacity > 0 ? `${t.capacity - t.sold} left` : '')}
+                        </div>
+                      </div>
+                    </label>
+                  );
+                })}
+              </div>
+            )}
+
             {/* Merchandise Variants */}
             {event.eventType === 'merchandise' && event.variants?.length > 0 && (
               <div className="card" style={{ marginBottom: 20 }}>
@@ -411,6 +557,26 @@ const EventDetailsPage = () => {
               </div>
             )}
 
+            {/* Promo Code */}
+            {user?.role === 'participant' && !myRegistration && isOpen && (event.eventType === 'merchandise' || isPaid) && (
+              <div className="card" style={{ marginBottom: 20 }}>
+                <h3 style={{ marginBottom: 12, fontSize: 15 }}>Promo Code</h3>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <input type="text" className="form-control" placeholder="Enter code"
+                    value={promoInput} onChange={e => setPromoInput(e.target.value.toUpperCase())}
+                    onKeyDown={e => e.key === 'Enter' && applyPromo()} style={{ textTransform: 'uppercase' }} />
+                  <button className="btn btn-secondary btn-sm" onClick={applyPromo}>Apply</button>
+                </div>
+                {activePromo && (
+                  <div style={{ fontSize: 13, marginTop: 8, display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <span className="badge badge-success">{activePromo.code}: -Rs.{activePromo.discount}</span>
+                    <span>Pay <strong>Rs.{activePromo.finalAmount}</strong></span>
+                    <button className="btn btn-secondary btn-sm" onClick={() => setAppliedPromo(null)}>✕</button>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Action Button */}
             {/* Team Event UI */}
             {event.isTeamEvent && isAuthenticated && user?.role === 'participant' && !myRegistration && (
@@ -490,6 +656,11 @@ const EventDetailsPage = () => {
                 )}
               </div>
             )}
+            {needsVerification && !myRegistration && (
+              <div className="alert alert-warning" style={{ marginBottom: 12 }}>
+                {event.eligibility !== 'all' ? 'This event is' : 'Some tickets are'} limited by participant type. Verify your email address (see the banner at the top of the page) before registering.
+              </div>
+            )}
             {myRegistration ? (
               <div>
                 {myRegistration.status === 'cancelled' ? (
@@ -497,6 +668,11 @@ const EventDetailsPage = () => {
                     <div className="alert alert-danger">Registration cancelled</div>
                     <button className="btn btn-primary" style={{ width: '100%' }} onClick={handleRegister}>Register again</button>
                   </>
+                ) : myRegistration.status === 'waitlisted' ? (
+                  <>
+                    <div className="alert alert-warning">You are #{myRegistration.waitlistPosition} on the waitlist</div>
+                    <button className="btn btn-primary" style={{ width: '100%' }} onClick={() => navigate(`/ticket/${myRegistration._id}`)}>View Details</button>
+                  </>
                 ) : myRegistration.status === 'pending' ? (
                   <>
                     <div className="alert alert-warning">Registration pending payment verification</div>
@@ -519,11 +695,32 @@ const EventDetailsPage = () => {
                 <button className="btn btn-primary" style={{ width: '100%' }}
                   onClick={() => navigate(`/event-registrations/${event._id}`)}>View Registrations</button>
               </div>
-            ) : isOpen ? (
-              <button className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
-                onClick={handleRegister} disabled={registering}>
-                {registering ? 'Processing...' : event.eventType === 'merchandise' ? 'Purchase' : 'Register'}
+            ) : isEventStaff ? (
+              <button className="btn btn-primary" style={{ width: '100%' }}
+                onClick={() => navigate(`/event-registrations/${event._id}`)}>
+                {access.role === 'volunteer' ? '📷 Open Check-in' : '💳 Review Payments'}
               </button>
+            ) : isOpen ? (
+              <>
+                <button className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
+                  onClick={handleRegister} disabled={registering}>
+                  {registering ? 'Processing...' : event.eventType === 'merchandise' ? 'Purchase' : 'Register'}
+                </button>
+                {event.eventType === 'merchandise' && user?.role === 'participant' && (
+                  <button className="btn btn-secondary" style={{ width: '100%', justifyContent: 'center', marginTop: 8 }}
+                    onClick={handleAddToCart} disabled={registering}>
+                    🛒 Add to Cart
+                  </button>
+                )}
+              </>
+            ) : canJoinWaitlist ? (
+              <>
+                <div className="alert alert-warning">This event is full</div>
+                <button className="btn btn-secondary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
+                  onClick={handleRegister} disabled={registering}>
+                  {registering ? 'Processing...' : 'Join Waitlist'}
+                </button>
+              </>
             ) : (
               <div className="alert alert-danger">Registration is closed</div>
             )}
@@ -1081,6 +1278,65 @@ const EventDetailsPage = () => {
                 </div>
               )}
 
+              {/* Revenue by ticket tier */}
+              {eventAnalytics.revenueByTier?.length > 0 && (
+                <div className="card" style={{ marginBottom: 24 }}>
+                  <h4 style={{ marginBottom: 12 }}>🎟️ Revenue by Ticket Tier</h4>
+                  <div className="table-wrapper">
+                    <table>
+                      <thead>
+                        <tr><th>Tier</th><th>Price</th><th>Sold</th><th>Paid</th><th>Revenue</th></tr>
+                      </thead>
+                      <tbody>
+                        {eventAnalytics.revenueByTier.map(t => (
+                          <tr key={t.tierId}>
+                            <td>{t.name}</td>
+                            <td>₹{t.price}</td>
+                            <td>{t.sold}{t.capacity > 0 ? ` / ${t.capacity}` : ''}</td>
+                            <td>{t.paid}</td>
+                            <td>₹{t.revenue}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Promo code usage */}
+              {eventAnalytics.discounts?.byCode?.length > 0 && (
+                <div className="card" style={{ marginBottom: 24 }}>
+                  <h4 style={{ marginBottom: 12 }}>🏷️ Promo Codes — ₹{eventAnalytics.discounts.total} discounted</h4>
+                  <div className="table-wrapper">
+                    <table>
+                      <thead>
+                        <tr><th>Code</th><th>Uses</th><th>Discount Given</th></tr>
+                      </thead>
+                      <tbody>
+                        {eventAnalytics.discounts.byCode.map(p => (
+                          <tr key={p.code}>
+                            <td>{p.code}</td>
+                            <td>{p.uses}</td>
+                            <td>₹{p.discount}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              {/* Refunds (already taken off revenue once processed) */}
+              {(eventAnalytics.refunds?.processedCount > 0 || eventAnalytics.refunds?.outstandingCount > 0) && (
+                <div className="card" style={{ marginBottom: 24 }}>
+                  <h4 style={{ marginBottom: 8 }}>💸 Refunds</h4>
+                  <p style={{ fontSize: 14 }}>
+                    ₹{eventAnalytics.refunds.refunded} refunded ({eventAnalytics.refunds.processedCount})
+                    {eventAnalytics.refunds.outstandingCount > 0 && <> · ₹{eventAnalytics.refunds.outstanding} pending in <Link to="/refunds">{eventAnalytics.refunds.outstandingCount} request(s)</Link></>}
+                  </p>
+                </div>
+              )}
+
               {/* Team Completion */}
               {event.isTeamEvent && eventAnalytics.teamCount > 0 && (
                 <div className="card" style={{ marginBottom: 24 }}>
@@ -1,10 +1,13 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import fuzzy from '../utils/fuzzy';
-import { useParams } from 'react-router-dom';
+import { useParams, Link } from 'react-router-dom';
 import registrationService from '../services/registrationService';
 import eventService from '../services/eventService';
 import api, { getUploadUrl } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import ImportRegistrationsModal from '../components/common/ImportRegistrationsModal';
+import ExportRegistrationsModal from '../components/common/ExportRegistrationsModal';
+import AuditLogViewer from '../components/common/AuditLogViewer';
 import toast from 'react-hot-toast';
 import jsQR from 'jsqr';
 
@@ -42,6 +45,9 @@ const detectQRFromCanvas = (canvas) => {
 const EventRegistrationsPage = () => {
   const { eventId } = useParams();
   const [event, setEvent] = useState(null);
+  // What the current user may do here (organizers and co-organizers: everything;
+  // volunteers: the scanner; finance: payments)
+  const [permissions, setPermissions] = useState([]);
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -62,10 +68,17 @@ const EventRegistrationsPage = () => {
   // Attendance dashboard
   const [attendanceDash, setAttendanceDash] = useState(null);
 
+  // Waitlist
+  const [waitlist, setWaitlist] = useState([]);
+
   // Manual override modal
   const [overrideModal, setOverrideModal] = useState(null); // { regId, name }
   const [overrideReason, setOverrideReason] = useState('');
 
+  // Bulk CSV import of offline registrations, and the export dialog
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+
   useEffect(() => {
     loadData();
     return () => stopCamera();
@@ -77,16 +90,24 @@ const EventRegistrationsPage = () => {
 
   const loadData = async () => {
     try {
-      const [evRes, regRes] = await Promise.all([
-        eventService.getEvent(eventId),
-        registrationService.getEventRegistrations(eventId, { search, status: statusFilter })
-      ]);
+      const evRes = await eventService.getEvent(eventId);
+      const allowed = evRes.access?.permissions || [];
       setEvent(evRes.event);
-      setRegistrations(regRes.registrations || []);
+      setPermissions(allowed);
+      if (allowed.includes('manage') || allowed.includes('payments')) {
+        const regRes = await registrationService.getEventRegistrations(eventId, { search, status: statusFilter });
+        setRegistrations(regRes.registrations || []);
+      }
+      // Staff without full access start on the only tab they can use
+      if (!allowed.includes('manage')) {
+        setTab(t => t !== 'registrations' ? t : allowed.includes('payments') ? 'payments' : 'attendance');
+      }
     } catch (_err) { console.error(_err); }
     finally { setLoading(false); }
   };
 
+  const loadAuditLog = useCallback((params) => eventService.getEventAuditLog(eventId, params), [eventId]);
+
   const loadAttendanceDashboard = async () => {
     try {
       const res = await api.get(`/registrations/event/${eventId}/attendance`);
@@ -94,6 +115,28 @@ const EventRegistrationsPage = () => {
     } catch (err) { console.error('Attendance dashboard error', err); }
   };
 
+  const loadWaitlist = async () => {
+    try {
+      const res = await registrationService.getWaitlist(eventId);
+      setWaitlist(res.waitlist || []);
+    } catch (err) { console.error('Waitlist error', err); }
+  };
+
+  const moveWaitlistEntry = async (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= waitlist.length) return;
+    const next = [...waitlist];
+    [next[index], next[target]] = [next[target], next[index]];
+    setWaitlist(next);
+    try {
+      const res = await registrationService.reorderWaitlist(eventId, next.map(r => r._id));
+      setWaitlist(res.waitlist || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reorder');
+      loadWaitlist();
+    }
+  };
+
   const handleSearch = () => {
     if (!search.trim()) {
       setLoading(true);
@@ -111,14 +154,37 @@ const EventRegistrationsPage = () => {
     ));
   };
 
-  const handleExport = async () => {
+  // Files participants uploaded to the event's 'file' form fields
+  const hasFileFields = event?.customFields?.some(f => f.type === 'file');
+
+  // Form answers line up by question across form versions; a question added in
+  // a later version shows as not asked for registrations on an earlier one
+  const formFields = [...(event?.customFields || [])].sort((a, b) => a.order - b.order);
+  const fieldsAsked = (version = 1) => {
+    const past = version !== (event?.formVersion || 1) && event?.formHistory?.find(h => h.version === version);
+    return new Set((past ? past.fields : event?.customFields || []).map(f => f.fieldId));
+  };
+
+  const saveBlob = (blob, name) => {
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url;
+    a.download = name; a.click();
+    window.URL.revokeObjectURL(url);
+  };
+
+  const handleDownloadFile = async (reg, response) => {
     try {
-      const blob = await registrationService.exportRegistrations(eventId);
-      const url = window.URL.createObjectURL(blob);
-      const a = document.createElement('a'); a.href = url;
-      a.download = `registrations_${eventId}.csv`; a.click();
-      toast.success('CSV exported');
-    } catch { toast.error('Export failed'); }
+      saveBlob(await registrationService.downloadFormFile(reg._id, response.fieldId), response.file.name);
+    } catch { toast.error('Download failed'); }
+  };
+
+  const handleDownloadAllFiles = async () => {
+    try {
+      saveBlob(await registrationService.downloadEventFiles(eventId), `files_${eventId}.zip`);
+      toast.success('Files downloaded');
+    } catch (err) {
+      toast.error(err.response?.status === 404 ? 'No files have been uploaded yet' : 'Download failed');
+    }
   };
 
   const handleExportAttendance = async () => {
@@ -141,10 +207,13 @@ const EventRegistrationsPage = () => {
   };
 
   const handlePaymentAction = async (regId, action) => {
+    const reg = registrations.find(r => r._id === regId);
+    if (reg?.order?.orderNumber && !window.confirm(`This ${action}s the whole order ${reg.order.orderNumber} (${reg.order.items?.length} items). Continue?`)) return;
     try {
-      await api.put(`/registrations/${regId}/payment-action`, { action });
-      toast.success(`Payment ${action}d`);
+      const res = await api.put(`/registrations/${regId}/payment-action`, { action });
+      toast.success(res.data.message || `Payment ${action}d`);
       loadData();
+      if (action === 'reject' && canManage) loadWaitlist();
     } catch (err) { toast.error(err.response?.data?.message || 'Failed'); }
   };
 
@@ -269,21 +338,32 @@ const EventRegistrationsPage = () => {
   const allPaymentRegs = registrations.filter(r => r.paymentStatus && r.paymentStatus !== 'not_required');
   const isMerchEvent = event?.eventType === 'merchandise';
   const hasPaymentRegs = allPaymentRegs.length > 0 || isMerchEvent || (event?.registrationFee > 0);
+  const canManage = permissions.includes('manage');
+  const canCheckIn = permissions.includes('checkin');
+  const canHandlePayments = permissions.includes('payments');
 
   return (
     <div className="container" style={{ maxWidth: 1100 }}>
       <div className="page-header-row">
         <div>
           <h1>{event?.name || 'Event'} - Registrations</h1>
-          <p className="text-muted" style={{ marginTop: 4 }}>
-            Total: {registrations.length} | Attended: {registrations.filter(r => r.attended).length}
-          </p>
+          {canManage && (
+            <p className="text-muted" style={{ marginTop: 4 }}>
+              Total: {registrations.length} | Attended: {registrations.filter(r => r.attended).length}
+            </p>
+          )}
         </div>
-        <button className="btn btn-secondary" onClick={handleExport}>📥 Export CSV</button>
+        {canManage && <div style={{ display: 'flex', gap: 8 }}>
+          {hasFileFields && <button className="btn btn-secondary" onClick={handleDownloadAllFiles}>📦 Download Files (ZIP)</button>}
+          {event?.eventType === 'normal' && ['published', 'ongoing'].includes(event?.status) && (
+            <button className="btn btn-secondary" onClick={() => setShowImport(true)}>📤 Import CSV</button>
+          )}
+          <button className="btn btn-secondary" onClick={() => setShowExport(true)}>📥 Export</button>
+        </div>}
       </div>
 
       {/* Stats */}
-      <div className="grid grid-4" style={{ marginBottom: 24 }}>
+      {canManage && <div className="grid grid-4" style={{ marginBottom: 24 }}>
         {[
           { icon: '📝', value: registrations.length, label: 'Total' },
           { icon: '✅', value: registrations.filter(r => r.status === 'confirmed').length, label: 'Confirmed' },
@@ -295,22 +375,44 @@ const EventRegistrationsPage = () => {
             <div><div className="stat-value-v2">{s.value}</div><div className="stat-label-v2">{s.label}</div></div>
           </div>
         ))}
-      </div>
+      </div>}
 
       {/* Tabs */}
       <div className="tabs">
-        <button className={`tab ${tab === 'registrations' ? 'active' : ''}`} onClick={() => setTab('registrations')}>
-          Registrations
-        </button>
-        <button className={`tab ${tab === 'attendance' ? 'active' : ''}`}
-          onClick={() => { setTab('attendance'); setScanResult(null); setScanInput(''); }}>
-          📷 QR Scanner
-        </button>
-        <button className={`tab ${tab === 'dashboard' ? 'active' : ''}`}
-          onClick={() => { setTab('dashboard'); loadAttendanceDashboard(); }}>
-          Attendance Dashboard
-        </button>
-        {hasPaymentRegs && (
+        {canManage && (
+          <button className={`tab ${tab === 'registrations' ? 'active' : ''}`} onClick={() => setTab('registrations')}>
+            Registrations
+          </button>
+        )}
+        {canCheckIn && (
+          <button className={`tab ${tab === 'attendance' ? 'active' : ''}`}
+            onClick={() => { setTab('attendance'); setScanResult(null); setScanInput(''); }}>
+            📷 QR Scanner
+          </button>
+        )}
+        {canManage && (
+          <button className={`tab ${tab === 'dashboard' ? 'active' : ''}`}
+            onClick={() => { setTab('dashboard'); loadAttendanceDashboard(); }}>
+            Attendance Dashboard
+          </button>
+        )}
+        {canManage && event?.eventType === 'normal' && (
+          <button className={`tab ${tab === 'waitlist' ? 'active' : ''}`}
+            onClick={() => { setTab('waitlist'); loadWaitlist(); }}>
+            Waitlist
+          </button>
+        )}
+        {canManage && formFields.length > 0 && (
+          <button className={`tab ${tab === 'responses' ? 'active' : ''}`} onClick={() => setTab('responses')}>
+            📝 Form Responses
+          </button>
+        )}
+        {canManage && (
+          <button className={`tab ${tab === 'audit' ? 'active' : ''}`} onClick={() => setTab('audit')}>
+            🧾 Audit Log
+          </button>
+        )}
+        {canHandlePayments && hasPaymentRegs && (
           <button className={`tab ${tab === 'payments' ? 'active' : ''}`} onClick={() => setTab('payments')}>
             💳 Payments {pendingPayments.length > 0 && `(${pendingPayments.length} pending)`}
           </button>
@@ -333,6 +435,7 @@ const EventRegistrationsPage = () => {
               <option value="pending">Pending</option>
               <option value="attended">Attended</option>
               <option value="cancelled">Cancelled</option>
+              <option value="waitlisted">Waitlisted</option>
             </select>
             <button className="btn btn-primary btn-sm" onClick={handleSearch}>Apply</button>
           </div>
@@ -341,6 +444,7 @@ const EventRegistrationsPage = () => {
               <thead>
                 <tr>
                   <th>Participant</th><th>Email</th><th>Ticket ID</th>
+                  {hasFileFields && <th>Files</th>}
                   <th>Status</th><th>Payment</th><th>Attendance</th><th>Actions</th>
                 </tr>
               </thead>
@@ -349,11 +453,26 @@ const EventRegistrationsPage = () => {
                   <tr key={reg._id}>
                     <td>{reg.participant?.firstName} {reg.participant?.lastName}</td>
                     <td>{reg.participant?.email}</td>
-                    <td style={{ fontSize: 12, fontFamily: 'monospace' }}>{reg.ticketId}</td>
+                    <td style={{ fontSize: 12, fontFamily: 'monospace' }}>
+                      {reg.ticketId}
+                      {reg.source === 'import' && <div className="text-muted" style={{ fontFamily: 'inherit', fontSize: 11 }}>imported</div>}
+                    </td>
+                    {hasFileFields && (
+                      <td style={{ fontSize: 12 }}>
+                        {reg.formResponses?.filter(r => r.file).map(r => (
+                          <div key={r.fieldId}>
+                            <button className="btn btn-secondary btn-sm" style={{ padding: '2px 8px', fontSize: 11, marginBottom: 2 }}
+                              title={`${r.label}: ${r.file.name}`} onClick={() => handleDownloadFile(reg, r)}>
+                              📎 {r.label}
+                            </button>
+                          </div>
+                        ))}
+                      </td>
+                    )}
                     <td>
                       <span className={`badge ${reg.status === 'confirmed' ? 'badge-success' : reg.status === 'attended' ? 'badge-info' : reg.status === 'cancelled' ? 'badge-danger' : 'badge-warning'}`}
                         style={{ padding: '4px 10px', borderRadius: 20, fontWeight: 600, fontSize: 11, letterSpacing: 0.3 }}>
-                        {reg.status === 'confirmed' ? '✓ Confirmed' : reg.status === 'attended' ? '🎯 Attended' : reg.status === 'cancelled' ? '✗ Cancelled' : '⏳ Pending'}
+                        {reg.status === 'confirmed' ? '✓ Confirmed' : reg.status === 'attended' ? '🎯 Attended' : reg.status === 'cancelled' ? '✗ Cancelled' : reg.status === 'waitlisted' ? `🕒 Waitlist #${reg.waitlistPosition}` : '⏳ Pending'}
                       </span>
                     </td>
                     <td>
@@ -408,6 +527,12 @@ const EventRegistrationsPage = () => {
           <p className="text-muted" style={{ marginBottom: 16, fontSize: 13 }}>
             Scan participant QR codes to mark attendance. Duplicate scans are rejected automatically.
           </p>
+          {canCheckIn && (
+            <div className="alert alert-info" style={{ marginBottom: 16, fontSize: 13, display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 12, flexWrap: 'wrap' }}>
+              <span>📴 Flaky Wi-Fi at the gate? The check-in station caches the attendee list and syncs scans when the connection is back.</span>
+              <Link to={`/checkin/${eventId}`} className="btn btn-primary btn-sm">Open Check-in Station</Link>
+            </div>
+          )}
 
           {scanResult && (
             <div className={`alert ${scanResult.ok === true ? 'alert-success' : scanResult.ok === false ? 'alert-danger' : 'alert-warning'}`}
@@ -452,14 +577,14 @@ const EventRegistrationsPage = () => {
           <div>
             <div style={{ fontWeight: 600, marginBottom: 8 }}>⌨️ Paste / Type QR Data</div>
             <div style={{ display: 'flex', gap: 8 }}>
-              <input className="form-control" placeholder="Paste QR data or ticket ID (e.g. FEL-XXXXXX)..."
+              <input className="form-control" placeholder="Paste QR data (FELQR2...) or legacy ticket ID..."
                 value={scanInput} onChange={e => setScanInput(e.target.value)}
                 onKeyDown={e => e.key === 'Enter' && handlePasteScan()} />
               <button className="btn btn-primary" onClick={handlePasteScan} disabled={scanning || !scanInput.trim()}>
                 {scanning ? '...' : 'Scan'}
               </button>
             </div>
-            <p style={{ fontSize: 11, color: 'var(--text-muted)', marginTop: 6 }}>Works in all browsers. Paste full QR JSON or just the ticket ID.</p>
+            <p style={{ fontSize: 11, color: 'var(--text-muted)', marginTop: 6 }}>Works in all browsers. Paste the full QR content (FELQR2...). Bare ticket IDs only work for tickets issued before signed QR codes — use manual override otherwise.</p>
           </div>
         </div>
       )}
@@ -472,11 +597,12 @@ const EventRegistrationsPage = () => {
           </div>
           {!attendanceDash ? <LoadingSpinner /> : (
             <>
-              <div className="grid grid-3" style={{ marginBottom: 24 }}>
+              <div className="grid grid-4" style={{ marginBottom: 24 }}>
                 {[
                   { icon: '📊', value: attendanceDash.stats?.total || 0, label: 'Total Registrations' },
                   { icon: '✅', value: attendanceDash.stats?.attended || 0, label: 'Scanned / Attended' },
                   { icon: '⏳', value: attendanceDash.stats?.pending || 0, label: 'Not Yet Scanned' },
+                  { icon: '🔀', value: attendanceDash.stats?.conflicts || 0, label: 'Station Conflicts' },
                 ].map(s => (
                   <div key={s.label} className="stat-card-v2">
                     <div className="stat-card-icon">{s.icon}</div>
@@ -542,7 +668,11 @@ const EventRegistrationsPage = () => {
                             <td style={{ fontSize: 12, fontFamily: 'monospace' }}>{r.ticketId}</td>
                             <td style={{ fontSize: 12 }}>{fmt(r.attendedAt)}</td>
                             <td style={{ fontSize: 12 }}>
-                              {r.attendanceOverride?.overridden
+                              {r.checkIn?.method === 'offline_sync'
+                                ? <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, background: 'rgba(59,130,246,0.12)', color: '#2563eb', padding: '3px 10px', borderRadius: 16, fontWeight: 600, fontSize: 11, cursor: 'help' }} title={`Synced ${fmt(r.checkIn.syncedAt)}`}>
+                                    <span style={{ width: 6, height: 6, borderRadius: '50%', background: '#2563eb' }}></span> Station {r.checkIn.stationId}
+                                  </span>
+                                : r.attendanceOverride?.overridden
                                 ? <span style={{ display: 'inline-flex', alignItems: 'center', gap: 4, background: 'rgba(234,179,8,0.12)', color: '#ca8a04', padding: '3px 10px', borderRadius: 16, fontWeight: 600, fontSize: 11, cursor: 'help' }} title={`Reason: ${r.attendanceOverride.reason}`}>
                                     <span style={{ width: 6, height: 6, borderRadius: '50%', background: '#ca8a04' }}></span> Manual Override
                                   </span>
@@ -557,11 +687,139 @@ const EventRegistrationsPage = () => {
                   </div>
                 ) : <p className="text-muted">No one has been marked as attended yet.</p>}
               </div>
+
+              {/* Check-in station conflicts (resolved server-side: earliest scan wins) */}
+              {attendanceDash.conflicts?.length > 0 && (
+                <div className="card" style={{ marginTop: 24 }}>
+                  <h3 style={{ marginBottom: 4 }}>🔀 Check-in Conflicts ({attendanceDash.stats?.conflicts || 0})</h3>
+                  <p className="text-muted" style={{ fontSize: 13, marginBottom: 12 }}>
+                    Competing scans from check-in stations. The earliest scan is kept; the rest are listed here.
+                  </p>
+                  <div className="table-wrapper">
+                    <table>
+                      <thead><tr><th>Name</th><th>Ticket ID</th><th>Kept Scan</th><th>Other Scan</th><th>Resolution</th></tr></thead>
+                      <tbody>
+                        {attendanceDash.conflicts.flatMap(r => r.checkInConflicts.map((c, i) => (
+                          <tr key={`${r._id}-${i}`}>
+                            <td>{r.participant?.firstName} {r.participant?.lastName}</td>
+                            <td style={{ fontSize: 12, fontFamily: 'monospace' }}>{r.ticketId}</td>
+                            <td style={{ fontSize: 12 }}>{r.attendedAt ? `${fmt(r.attendedAt)} · ${r.checkIn?.stationId || 'manual'}` : '—'}</td>
+                            <td style={{ fontSize: 12 }}>{fmt(c.scannedAt)} · {c.stationId}</td>
+                            <td>
+                              <span className={`badge ${c.resolution === 'rejected' ? 'badge-danger' : 'badge-warning'}`} title={c.reason}>
+                                {c.resolution}
+                              </span>
+                            </td>
+                          </tr>
+                        )))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
             </>
           )}
         </div>
       )}
 
+      {/* ── WAITLIST TAB ── */}
+      {tab === 'waitlist' && (
+        <div>
+          <h3 style={{ marginBottom: 8 }}>🕒 Waitlist</h3>
+          <p className="text-muted" style={{ fontSize: 13, marginBottom: 16 }}>
+            {!event?.waitlistEnabled
+              ? 'Waitlist is disabled for this event — new sign-ups are rejected once full.'
+              : 'Participants are promoted from the top of this list automatically when a spot frees up.'}
+          </p>
+          {waitlist.length === 0 ? <p className="text-muted">Nobody is on the waitlist.</p> : (
+            <div className="table-wrapper">
+              <table>
+                <thead>
+                  <tr><th>#</th><th>Participant</th><th>Email</th><th>Joined</th><th>Order</th></tr>
+                </thead>
+                <tbody>
+                  {waitlist.map((reg, idx) => (
+                    <tr key={reg._id}>
+                      <td style={{ fontWeight: 600 }}>{reg.waitlistPosition}</td>
+                      <td>{reg.participant?.firstName} {reg.participant?.lastName}</td>
+                      <td>{reg.participant?.email}</td>
+                      <td style={{ fontSize: 12 }}>{new Date(reg.registeredAt).toLocaleString()}</td>
+                      <td>
+                        <div style={{ display: 'flex', gap: 4 }}>
+                          <button className="btn btn-secondary btn-sm" disabled={idx === 0} onClick={() => moveWaitlistEntry(idx, -1)}>▲</button>
+                          <button className="btn btn-secondary btn-sm" disabled={idx === waitlist.length - 1} onClick={() => moveWaitlistEntry(idx, 1)}>▼</button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ── FORM RESPONSES TAB ── */}
+      {tab === 'responses' && (
+        <div>
+          <h3 style={{ marginBottom: 8 }}>📝 Form Responses</h3>
+          <p className="text-muted" style={{ fontSize: 13, marginBottom: 16 }}>
+            {event?.formVersion > 1
+              ? `The form is on version ${event.formVersion}. "Not asked" marks questions added after a registration answered its version.`
+              : 'Answers to the custom registration form.'}
+          </p>
+          {registrations.length === 0 ? <p className="text-muted">No registrations yet.</p> : (
+            <div className="table-wrapper">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Participant</th><th>Version</th>
+                    {formFields.map(f => <th key={f.fieldId}>{f.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {registrations.map(reg => {
+                    const asked = fieldsAsked(reg.formVersion || 1);
+                    return (
+                      <tr key={reg._id}>
+                        <td>
+                          {reg.participant?.firstName} {reg.participant?.lastName}
+                          <div className="text-muted" style={{ fontSize: 11 }}>{reg.ticketId}</div>
+                        </td>
+                        <td><span className="badge badge-info">v{reg.formVersion || 1}</span></td>
+                        {formFields.map(f => {
+                          const response = reg.formResponses?.find(r => r.fieldId === f.fieldId);
+                          return (
+                            <td key={f.fieldId} style={{ fontSize: 13, maxWidth: 220 }}>
+                              {!asked.has(f.fieldId) ? <span className="text-muted" style={{ fontSize: 11 }}>Not asked</span>
+                                : response?.file ? (
+                                  <button className="btn btn-secondary btn-sm" style={{ padding: '2px 8px', fontSize: 11 }}
+                                    onClick={() => handleDownloadFile(reg, response)}>📎 {response.file.name}</button>
+                                ) : response ? String(response.value) : <span className="text-muted">—</span>}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* ── AUDIT LOG TAB ── */}
+      {tab === 'audit' && (
+        <div className="card">
+          <h3 style={{ marginBottom: 4 }}>🧾 Audit Log</h3>
+          <p className="text-muted" style={{ marginBottom: 16, fontSize: 13 }}>
+            Every payment decision, attendance change, edit, staff change and deleted message on this event. Click an entry for details.
+          </p>
+          <AuditLogViewer load={loadAuditLog} />
+        </div>
+      )}
+
       {/* ── PAYMENTS TAB ── */}
       {tab === 'payments' && (
         <div>
@@ -596,12 +854,26 @@ const EventRegistrationsPage = () => {
                         {reg.participant?.firstName} {reg.participant?.lastName}
                         <br /><span style={{ fontSize: 11, color: 'var(--text-muted)' }}>{reg.participant?.email}</span>
                       </td>
-                      <td style={{ fontSize: 12, fontFamily: 'monospace' }}>{reg.ticketId}</td>
+                      <td style={{ fontSize: 12, fontFamily: 'monospace' }}>
+                        {reg.ticketId}
+                        {reg.order?.orderNumber && (
+                          <div style={{ marginTop: 4 }}>
+                            <Link to={`/orders/${reg.order._id}`} className="badge badge-info" title="Cart order — one payment covers every item">
+                              {reg.order.orderNumber} • {reg.order.items?.length} items • ₹{reg.order.totalAmount}
+                            </Link>
+                          </div>
+                        )}
+                      </td>
                       <td>{reg.registrationType}</td>
                       {isMerchEvent && <td>{reg.variantDetails?.name || '—'} {reg.variantDetails?.size ? `(${reg.variantDetails.size})` : ''}</td>}
                       {isMerchEvent && <td>{reg.quantity}</td>}
                       <td>₹{reg.totalAmount || (reg.variantDetails?.price ? reg.variantDetails.price * (reg.quantity || 1) : event?.registrationFee) || 0}</td>
                       <td>
+                        {reg.paymentGateway?.status === 'mismatch' && (
+                          <div className="badge badge-danger" style={{ fontSize: 11, marginBottom: 4 }}>
+                            ⚠️ Paid online: {reg.paymentGateway.capturedCurrency} {reg.paymentGateway.capturedAmount} (doesn't match)
+                          </div>
+                        )}
                         {reg.paymentProof ? (
                           <div>
                             <a href={getUploadUrl(reg.paymentProof)} target="_blank" rel="noreferrer" className="btn-link" style={{ fontSize: 12 }}>View Full</a>
@@ -616,7 +888,7 @@ const EventRegistrationsPage = () => {
                       <td>
                         <span className={`badge ${reg.paymentStatus === 'approved' ? 'badge-success' : reg.paymentStatus === 'rejected' ? 'badge-danger' : reg.paymentStatus === 'pending' ? 'badge-warning' : 'badge-primary'}`}
                           style={{ padding: '4px 10px', borderRadius: 20, fontWeight: 600, fontSize: 11 }}>
-                          {reg.paymentStatus === 'approved' ? '✓ Approved' : reg.paymentStatus === 'rejected' ? '✗ Rejected' : reg.paymentStatus === 'pending' ? '⏳ Pending' : '—'}
+                          {reg.paymentStatus === 'approved' ? '✓ Approved' : reg.paymentStatus === 'rejected' ? '✗ Rejected' : reg.paymentStatus === 'pending' ? '⏳ Pending' : reg.paymentStatus === 'expired' ? '⌛ Expired' : '—'}
                         </span>
                       </td>
                       <td>
@@ -653,6 +925,12 @@ const EventRegistrationsPage = () => {
       )}
 
       {/* ── MANUAL OVERRIDE MODAL ── */}
+      {showExport && <ExportRegistrationsModal eventId={eventId} onClose={() => setShowExport(false)} />}
+
+      {showImport && (
+        <ImportRegistrationsModal event={event} onClose={() => setShowImport(false)} onImported={loadData} />
+      )}
+
       {overrideModal && (
         <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.6)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1000 }}>
           <div className="card" style={{ maxWidth: 420, width: '90%', padding: 24 }}>
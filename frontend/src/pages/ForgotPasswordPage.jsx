@@ -0,0 +1,64 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../services/authService';
+import toast from 'react-hot-toast';
+
+/**
+ * Asks for an email and sends a password reset link to it
+ */
+const ForgotPasswordPage = () => {
+  const [email, setEmail] = useState('');
+  const [sent, setSent] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim()) return toast.error('Please enter your email');
+    setLoading(true);
+    try {
+      const res = await authService.forgotPassword(email.trim());
+      setSent(res.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <div style={{ textAlign: 'center', marginBottom: 20 }}>
+          <img src="/felicity-logo.png" alt="Felicity" className="felicity-logo--large" />
+          <h1>Forgot Password</h1>
+          <p className="subtitle">We'll email you a link to choose a new one</p>
+        </div>
+        {sent ? (
+          <div className="alert alert-success">
+            {sent} Check your inbox (and spam folder) - the link expires in 30 minutes.
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>Email</label>
+              <input type="email" className="form-control" value={email} onChange={e => setEmail(e.target.value)}
+                placeholder="you@example.com" />
+            </div>
+            <button type="submit" className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
+              disabled={loading}>
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+            <p className="text-muted" style={{ fontSize: 12, marginTop: 12 }}>
+              Organizers who haven't turned on email resets in their profile should ask an admin instead.
+            </p>
+          </form>
+        )}
+        <div style={{ textAlign: 'center', marginTop: 16, fontSize: 13 }}>
+          <Link to="/login">Back to login</Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPasswordPage;
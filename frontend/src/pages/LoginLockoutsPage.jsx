@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import adminService from '../services/adminService';
+import toast from 'react-hot-toast';
+
+/**
+ * Admin view of accounts locked out after failed logins
+ */
+const LoginLockoutsPage = () => {
+  const [lockouts, setLockouts] = useState([]);
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    adminService.getLoginLockouts({ page, ...(activeOnly && { active: 'true' }) })
+      .then(res => {
+        setLockouts(res.lockouts || []);
+        setPages(res.pages || 1);
+        setTotal(res.total || 0);
+      })
+      .catch(err => toast.error(err.response?.data?.message || 'Failed to load lockouts'))
+      .finally(() => setLoading(false));
+  }, [activeOnly, page, version]);
+
+  const goTo = (next) => { setLoading(true); setPage(next); };
+  const changeFilter = (apply) => { setLoading(true); setPage(1); apply(); };
+
+  const handleUnlock = async (entry) => {
+    if (!window.confirm(`Lift the lockout for ${entry.value}? Its failed-login history is cleared too.`)) return;
+    try {
+      const res = await adminService.unlockLogin(entry._id);
+      toast.success(res.message);
+      setVersion(v => v + 1);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to lift lockout');
+    }
+  };
+
+  return (
+    <div className="container" style={{ maxWidth: 1200 }}>
+      <h1 style={{ marginBottom: 4 }}>🔒 Login Lockouts</h1>
+      <p className="text-muted" style={{ marginBottom: 24 }}>
+        Accounts blocked after repeated failed logins. (Failures from one IP only bring up a CAPTCHA.) Each new lockout lasts twice as long as the last, up to a day.
+      </p>
+
+      <div className="filter-bar" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginBottom: 16 }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 14, cursor: 'pointer' }}>
+          <input type="checkbox" checked={activeOnly} onChange={e => changeFilter(() => setActiveOnly(e.target.checked))} />
+          Locked now only
+        </label>
+      </div>
+
+      {loading ? <p className="text-muted">Loading...</p> : lockouts.length === 0 ? (
+        <p className="text-muted">{activeOnly ? 'Nothing is locked out right now.' : 'No lockouts in the last day.'}</p>
+      ) : (
+        <div className="table-wrapper">
+          <table>
+            <thead>
+              <tr>
+                <th>Account</th><th>Status</th><th>Lockouts</th><th>Last locked</th><th>Last IP</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lockouts.map(entry => (
+                <tr key={entry._id}>
+                  <td style={{ fontWeight: 600 }}>{entry.value}</td>
+                  <td>
+                    {entry.locked ? (
+                      <span className="badge badge-danger">Locked until {new Date(entry.lockedUntil).toLocaleString()}</span>
+                    ) : (
+                      <span className="badge badge-warning">Expired</span>
+                    )}
+                  </td>
+                  <td>{entry.lockouts}</td>
+                  <td>{entry.lastLockedAt ? new Date(entry.lastLockedAt).toLocaleString() : '—'}</td>
+                  <td>{entry.lastIp || '—'}</td>
+                  <td>
+                    <button className="btn btn-secondary btn-sm" onClick={() => handleUnlock(entry)}>
+                      {entry.locked ? 'Unlock' : 'Clear'}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: 12 }}>
+        <span className="text-muted" style={{ fontSize: 13 }}>{total} entries</span>
+        <div style={{ display: 'flex', gap: 8, alignItems: 'center' }}>
+          <button className="btn btn-secondary btn-sm" disabled={page <= 1} onClick={() => goTo(page - 1)}>← Prev</button>
+          <span style={{ fontSize: 13 }}>Page {page} of {Math.max(pages, 1)}</span>
+          <button className="btn btn-secondary btn-sm" disabled={page >= pages} onClick={() => goTo(page + 1)}>Next →</button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LoginLockoutsPage;
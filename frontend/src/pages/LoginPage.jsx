@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useCallback } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
@@ -6,15 +6,20 @@ import authService from '../services/authService';
 import toast from 'react-hot-toast';
 
 const LoginPage = () => {
-  const [_step, _setStep] = useState('login');
+  const [step, setStep] = useState('login');
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [captchaId, setCaptchaId] = useState('');
   const [captchaSvg, setCaptchaSvg] = useState('');
   const [captchaImgUrl, setCaptchaImgUrl] = useState('');
   const [captchaAnswer, setCaptchaAnswer] = useState('');
+  // The server asks for a CAPTCHA only after failed attempts
+  const [captchaRequired, setCaptchaRequired] = useState(false);
+  const [challengeToken, setChallengeToken] = useState('');
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useBackupCode, setUseBackupCode] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const { theme: _theme, toggleTheme: _toggleTheme } = useTheme();
   const navigate = useNavigate();
 
@@ -39,30 +44,113 @@ const LoginPage = () => {
     }
   }, []);
 
-  useEffect(() => { loadCaptcha(); }, [loadCaptcha]);
-
   const handleLogin = async (e) => {
     e.preventDefault();
     if (!email || !password) return toast.error('Please fill all fields');
-    if (!captchaAnswer) return toast.error('Please enter the CAPTCHA');
+    if (captchaRequired && !captchaAnswer) return toast.error('Please enter the CAPTCHA');
 
     setLoading(true);
     try {
       const res = await login(email, password, captchaId, captchaAnswer);
-      toast.success('Welcome back!');
-      if (res.user.role === 'participant' && !res.user.onboardingCompleted) {
-        navigate('/onboarding');
-      } else {
-        navigate('/dashboard');
+      if (res.twoFactorRequired) {
+        setChallengeToken(res.challengeToken);
+        setTwoFactorCode('');
+        setStep('twoFactor');
+        return;
       }
+      finishLogin(res);
     } catch (err) {
       toast.error(err.response?.data?.message || 'Login failed');
-      loadCaptcha(); // Refresh captcha on failure
+      if (captchaRequired || err.response?.data?.captchaRequired) {
+        setCaptchaRequired(true);
+        loadCaptcha(); // Fresh captcha for the next attempt
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const finishLogin = (res) => {
+    toast.success('Welcome back!');
+    if (res.backupCodesLeft !== undefined) {
+      toast(`Backup code used - ${res.backupCodesLeft} left. Create new ones in your profile if you're running low.`, { duration: 6000 });
+    }
+    if (res.twoFactorSetupRequired) {
+      toast.error('Two-factor authentication is required - set it up to continue');
+      navigate('/profile');
+    } else if (res.user.role === 'participant' && !res.user.onboardingCompleted) {
+      navigate('/onboarding');
+    } else {
+      navigate('/dashboard');
+    }
+  };
+
+  const handleTwoFactor = async (e) => {
+    e.preventDefault();
+    if (!twoFactorCode.trim()) return toast.error('Please enter your code');
+
+    setLoading(true);
+    try {
+      const res = await verifyTwoFactor(challengeToken,
+        useBackupCode ? { backupCode: twoFactorCode.trim() } : { code: twoFactorCode.trim() });
+      finishLogin(res);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Verification failed');
+      if (err.response?.status === 401) {
+        // The challenge expired; start over from the password
+        handleBackToLogin();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBackToLogin = () => {
+    setStep('login');
+    setChallengeToken('');
+    setTwoFactorCode('');
+    setUseBackupCode(false);
+    if (captchaRequired) loadCaptcha();
+  };
+
+  if (step === 'twoFactor') {
+    return (
+      <div className="auth-page">
+        <div className="auth-card">
+          <div style={{ textAlign: 'center', marginBottom: 20 }}>
+            <img src="/felicity-logo.png" alt="Felicity" className="felicity-logo--large" />
+            <h1>Two-Factor Authentication</h1>
+            <p className="subtitle">
+              {useBackupCode ? 'Enter one of your backup codes' : 'Enter the 6-digit code from your authenticator app'}
+            </p>
+          </div>
+          <form onSubmit={handleTwoFactor}>
+            <div className="form-group">
+              <label>{useBackupCode ? 'Backup code' : 'Authentication code'}</label>
+              <input type="text" className="form-control" value={twoFactorCode} onChange={e => setTwoFactorCode(e.target.value)}
+                placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'} autoComplete="one-time-code" autoFocus
+                inputMode={useBackupCode ? 'text' : 'numeric'} maxLength={useBackupCode ? 9 : 6} />
+            </div>
+            <button type="submit" className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
+              disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          <div style={{ textAlign: 'center', marginTop: 16, fontSize: 13 }}>
+            <button type="button" className="btn btn-link" style={{ padding: 0, fontSize: 13 }}
+              onClick={() => { setUseBackupCode(!useBackupCode); setTwoFactorCode(''); }}>
+              {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+            </button>
+            <span style={{ margin: '0 8px', color: 'var(--text-muted)' }}>|</span>
+            <button type="button" className="btn btn-link" style={{ padding: 0, fontSize: 13 }} onClick={handleBackToLogin}>
+              Back to login
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-page">
       <div className="auth-card">
@@ -82,23 +170,25 @@ const LoginPage = () => {
             <input type="password" className="form-control" value={password} onChange={e => setPassword(e.target.value)}
               placeholder="Enter password" />
           </div>
-          <div className="form-group">
-            <label>CAPTCHA</label>
-            <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 8 }}>
-              {captchaImgUrl ? (
-                <img src={captchaImgUrl} alt="CAPTCHA" style={{ border: '1px solid var(--border-color)', borderRadius: 6, overflow: 'hidden', flexShrink: 0 }} />
-              ) : (
-                <div style={{ border: '1px solid var(--border-color)', borderRadius: 6, padding: 12, minWidth: 160, color: 'var(--text-muted)' }}>
-                  CAPTCHA unavailable
-                </div>
-              )}
-              <button type="button" onClick={loadCaptcha}
-                style={{ background: 'none', border: '1px solid var(--border-color)', borderRadius: 6, padding: '6px 10px', cursor: 'pointer', fontSize: 16 }}
-                title="Refresh CAPTCHA">&#x21bb;</button>
+          {captchaRequired && (
+            <div className="form-group">
+              <label>CAPTCHA</label>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 10, marginBottom: 8 }}>
+                {captchaImgUrl ? (
+                  <img src={captchaImgUrl} alt="CAPTCHA" style={{ border: '1px solid var(--border-color)', borderRadius: 6, overflow: 'hidden', flexShrink: 0 }} />
+                ) : (
+                  <div style={{ border: '1px solid var(--border-color)', borderRadius: 6, padding: 12, minWidth: 160, color: 'var(--text-muted)' }}>
+                    CAPTCHA unavailable
+                  </div>
+                )}
+                <button type="button" onClick={loadCaptcha}
+                  style={{ background: 'none', border: '1px solid var(--border-color)', borderRadius: 6, padding: '6px 10px', cursor: 'pointer', fontSize: 16 }}
+                  title="Refresh CAPTCHA">&#x21bb;</button>
+              </div>
+              <input type="text" className="form-control" value={captchaAnswer} onChange={e => setCaptchaAnswer(e.target.value)}
+                placeholder="Enter the text shown above" autoComplete="off" />
             </div>
-            <input type="text" className="form-control" value={captchaAnswer} onChange={e => setCaptchaAnswer(e.target.value)}
-              placeholder="Enter the text shown above" autoComplete="off" />
-          </div>
+          )}
           <button type="submit" className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
             disabled={loading}>
             {loading ? 'Logging in...' : 'Login'}
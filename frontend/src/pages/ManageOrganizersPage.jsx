@@ -21,9 +21,25 @@ const ManageOrganizersPage = () => {
   const [activeTab, setActiveTab] = useState('organizers');
   const [passwordRequests, setPasswordRequests] = useState([]);
   const [loadingRequests, setLoadingRequests] = useState(false);
+  const [enforceTwoFactor, setEnforceTwoFactor] = useState(false);
 
   useEffect(() => { loadOrganizers(); }, []);
 
+  useEffect(() => {
+    adminService.getSettings()
+      .then(res => setEnforceTwoFactor(!!res.settings?.['twoFactor.enforceForOrganizers']))
+      .catch(() => { /* ignore */ });
+  }, []);
+
+  const handleToggleEnforceTwoFactor = async (enabled) => {
+    if (enabled && !confirm('Require two-factor authentication for every organizer? Organizers without it will have to set it up before they can continue.')) return;
+    try {
+      const res = await adminService.updateSettings({ 'twoFactor.enforceForOrganizers': enabled });
+      setEnforceTwoFactor(!!res.settings?.['twoFactor.enforceForOrganizers']);
+      toast.success(enabled ? 'Two-factor authentication is now required for organizers' : 'Two-factor authentication is now optional');
+    } catch (err) { toast.error(err.response?.data?.message || 'Failed'); }
+  };
+
   const loadOrganizers = async () => {
     try {
       const res = await adminService.getOrganizers({ limit: 200 }); // Fetch all organizers
@@ -171,6 +187,12 @@ const ManageOrganizersPage = () => {
           </div>
         </div>
 
+        <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12, fontSize: 14, cursor: 'pointer' }}>
+          <input type="checkbox" checked={enforceTwoFactor}
+            onChange={e => handleToggleEnforceTwoFactor(e.target.checked)} />
+          Require two-factor authentication for all organizers
+        </label>
+
         {/* Search & Filter */}
         <div className="filter-bar">
           <div className="dashboard-search" style={{ flex: 1 }}>
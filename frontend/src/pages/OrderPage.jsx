@@ -0,0 +1,216 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
+import orderService from '../services/orderService';
+import paymentService from '../services/paymentService';
+import { getUploadUrl } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const OrderPage = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [order, setOrder] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [file, setFile] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const load = useCallback(() => orderService.getOrder(id).then(res => {
+    setOrder(res.order);
+    setRegistrations(res.registrations || []);
+  }), [id]);
+
+  useEffect(() => {
+    load()
+      .catch(() => { toast.error('Order not found'); navigate('/dashboard'); })
+      .finally(() => setLoading(false));
+  }, [load, navigate]);
+
+  // Back from the payment gateway
+  useEffect(() => {
+    const outcome = searchParams.get('payment');
+    if (!outcome) return;
+    if (outcome === 'success') toast.success('Payment received! Your order is confirmed.');
+    else toast.error('Payment failed or was cancelled. You can try again.');
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const handlePayOnline = async () => {
+    setUploading(true);
+    try {
+      const res = await paymentService.createCheckout({ orderId: order._id });
+      window.location.href = res.redirectUrl;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not start payment');
+      setUploading(false);
+    }
+  };
+
+  const handleUpload = async () => {
+    if (!file) return toast.error('Select a file');
+    setUploading(true);
+    try {
+      await orderService.uploadPaymentProof(id, file);
+      toast.success('Payment proof uploaded! Awaiting organizer approval.');
+      await load();
+      setFile(null);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Upload failed');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!confirm('Cancel this order? Reserved stock will be released.')) return;
+    try {
+      await orderService.cancelOrder(id);
+      toast.success('Order cancelled');
+      await load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed');
+    }
+  };
+
+  const handleAction = async (action) => {
+    try {
+      const res = await orderService.paymentAction(id, action);
+      toast.success(res.message);
+      await load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed');
+    }
+  };
+
+  if (loading) return <LoadingSpinner />;
+  if (!order) return null;
+
+  const isBuyer = user?._id === (order.participant?._id || order.participant);
+  const regFor = (item) => registrations.find(r => r._id === (item.registration?._id || item.registration));
+
+  return (
+    <div className="container">
+      <div className="card" style={{ maxWidth: 760, margin: '0 auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: 8 }}>
+          <div>
+            <h2 style={{ marginBottom: 4 }}>Order {order.orderNumber}</h2>
+            <p className="text-muted" style={{ margin: 0 }}>
+              {order.organizer?.organizerName} • Placed {new Date(order.createdAt).toLocaleString()}
+            </p>
+          </div>
+          <span className={`badge ${order.status === 'confirmed' ? 'badge-success' : order.status === 'pending' ? 'badge-warning' : 'badge-danger'}`}>
+            {order.status}
+          </span>
+        </div>
+
+        <div className="table-wrapper" style={{ marginTop: 16 }}>
+          <table>
+            <thead>
+              <tr><th>Item</th><th>Variant</th><th>Qty</th><th>Total</th><th>Ticket</th></tr>
+            </thead>
+            <tbody>
+              {order.items.map((item, idx) => {
+                const reg = regFor(item);
+                return (
+                  <tr key={idx}>
+                    <td><Link to={`/events/${item.event}`}>{item.eventName}</Link></td>
+                    <td>{item.variantDetails?.name} {item.variantDetails?.size && `(${item.variantDetails.size})`}</td>
+                    <td>{item.quantity}</td>
+                    <td>Rs.{item.lineTotal}</td>
+                    <td>
+                      {reg?.qrCodeData ? (
+                        <img src={reg.qrCodeData} alt="QR Code" style={{ width: 72, height: 72 }} />
+                      ) : reg ? (
+                        <span style={{ fontSize: 12, color: 'var(--text-muted)' }}>{reg.ticketId}</span>
+                      ) : '—'}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p style={{ fontSize: 16, fontWeight: 600, marginTop: 12 }}>Total: Rs.{order.totalAmount}</p>
+
+        {order.paymentStatus !== 'not_required' && (
+          <div style={{ marginTop: 12 }}>
+            <p style={{ fontSize: 13, marginBottom: 8 }}><strong>Payment:</strong> {order.paymentStatus}</p>
+            {order.reservationExpiresAt && order.status === 'pending' && (
+              <div className="alert alert-warning">
+                Items reserved until <strong>{new Date(order.reservationExpiresAt).toLocaleString()}</strong>. The order is cancelled automatically if payment isn't completed by then.
+              </div>
+            )}
+            {order.paymentStatus === 'expired' && (
+              <div className="alert alert-danger">⌛ No payment proof was uploaded in time, so this order was cancelled and the items released.</div>
+            )}
+
+            {order.paymentProof && (
+              <div style={{ marginBottom: 12 }}>
+                <p style={{ fontSize: 13, fontWeight: 600, marginBottom: 6 }}>📎 Uploaded Payment Proof:</p>
+                <img src={getUploadUrl(order.paymentProof)} alt="Payment proof" style={{ maxWidth: 200, maxHeight: 150, objectFit: 'cover', borderRadius: 6, border: '1px solid var(--border-color)', cursor: 'pointer' }}
+                  onClick={() => window.open(getUploadUrl(order.paymentProof), '_blank')} />
+              </div>
+            )}
+
+            {isBuyer && order.status === 'pending' && order.paymentMode === 'gateway' && (
+              <div style={{ padding: 16, background: 'var(--bg-secondary)', borderRadius: 8, border: '1px solid var(--border-color)' }}>
+                <p style={{ fontSize: 14, fontWeight: 600, marginBottom: 8 }}>💳 Pay Online</p>
+                <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 8 }}>
+                  {order.paymentGateway?.status === 'mismatch'
+                    ? 'The payment we received did not match the amount due. The organizers are reviewing it.'
+                    : order.paymentGateway?.status === 'failed'
+                      ? 'Your last payment attempt failed. You can try again.'
+                      : 'Your QR codes are issued as soon as the payment goes through.'}
+                </p>
+                {order.paymentGateway?.status !== 'mismatch' && (
+                  <button className="btn btn-primary btn-sm" disabled={uploading} onClick={handlePayOnline}>
+                    {uploading ? 'Redirecting...' : `💳 Pay Rs.${order.totalAmount}`}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {isBuyer && order.status === 'pending' && order.paymentMode !== 'gateway' && (
+              <div style={{ padding: 16, background: 'var(--bg-secondary)', borderRadius: 8, border: '1px solid var(--border-color)' }}>
+                <p style={{ fontSize: 14, fontWeight: 600, marginBottom: 8 }}>
+                  {order.paymentProof ? '📤 Re-upload Payment Proof' : '📤 Upload Payment Proof'}
+                </p>
+                <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 8 }}>
+                  One payment of Rs.{order.totalAmount} covers every item in this order (JPG, PNG, PDF — max 5MB)
+                </p>
+                <input type="file" accept="image/*,.pdf" onChange={e => setFile(e.target.files?.[0] || null)} />
+                <div style={{ marginTop: 8 }}>
+                  <button className="btn btn-primary btn-sm" disabled={!file || uploading} onClick={handleUpload}>
+                    {uploading ? 'Uploading...' : '📤 Upload Proof'}
+                  </button>
+                </div>
+              </div>
+            )}
+
+            {!isBuyer && order.status === 'pending' && order.paymentProof && (
+              <div style={{ display: 'flex', gap: 8 }}>
+                <button className="btn btn-primary btn-sm" onClick={() => handleAction('approve')}>Approve Order</button>
+                <button className="btn btn-danger btn-sm" onClick={() => handleAction('reject')}>Reject Order</button>
+              </div>
+            )}
+
+            {order.paymentStatus === 'approved' && (
+              <div style={{ padding: 12, background: 'rgba(16,185,129,0.1)', borderRadius: 8, border: '1px solid var(--success-color)' }}>
+                <p style={{ margin: 0, fontSize: 13, color: 'var(--success-color)' }}>✅ Payment approved! Your QR codes are ready.</p>
+              </div>
+            )}
+          </div>
+        )}
+
+        {isBuyer && order.status === 'pending' && (
+          <button className="btn btn-danger" style={{ marginTop: 12 }} onClick={handleCancel}>Cancel Order</button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OrderPage;
@@ -4,6 +4,17 @@ import adminService from '../services/adminService';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
 
+const accountName = (account) => account?.organizerName
+  || [account?.firstName, account?.lastName].filter(Boolean).join(' ') || 'Unknown';
+
+const STATUS_STYLE = {
+  Approved: { color: 'var(--success)', badge: 'badge-success', icon: '\u2705' },
+  Completed: { color: 'var(--success)', badge: 'badge-success', icon: '\u2705' },
+  Sent: { color: 'var(--accent-cyan)', badge: 'badge-info', icon: '\u{1F4E7}' },
+  Expired: { color: 'var(--warning)', badge: 'badge-warning', icon: '\u231B' },
+  Rejected: { color: 'var(--danger)', badge: 'badge-danger', icon: '\u274C' }
+};
+
 const PasswordRequestsPage = () => {
   const [requests, setRequests] = useState([]);
   const [resetDocs, setResetDocs] = useState([]);
@@ -25,7 +36,11 @@ const PasswordRequestsPage = () => {
       setRequests(reqRes.requests || []);
       const allHistory = histRes.history || [];
       setResetDocs(allHistory.filter(d => d.status === 'Pending'));
-      setHistory(allHistory.filter(d => d.status !== 'Pending'));
+      // Emailed links nobody used show as expired once their time is up
+      const now = Date.now();
+      setHistory(allHistory.filter(d => d.status !== 'Pending').map(d =>
+        d.status === 'Sent' && new Date(d.expiresAt).getTime() < now ? { ...d, status: 'Expired' } : d
+      ));
   } catch { /* ignore */ } finally { setLoading(false); }
   };
 
@@ -100,7 +115,7 @@ const PasswordRequestsPage = () => {
   const filteredHistory = useMemo(() => {
     if (!searchTerm.trim()) return history;
     return history.filter(r =>
-      fuzzy.matchesFuzzy(r.organizer?.organizerName || '', searchTerm) ||
+      fuzzy.matchesFuzzy(accountName(r.organizer), searchTerm) ||
       fuzzy.matchesFuzzy(r.organizer?.email || '', searchTerm)
     );
   }, [history, searchTerm]);
@@ -208,21 +223,22 @@ const PasswordRequestsPage = () => {
                 <div key={doc._id} className="org-manage-card">
                   <div className="org-manage-header">
                     <div className="org-manage-avatar" style={{
-                      background: doc.status === 'Approved' ? 'var(--success)' : 'var(--danger)',
+                      background: (STATUS_STYLE[doc.status] || STATUS_STYLE.Rejected).color,
                       color: '#fff'
                     }}>
-                      {doc.status === 'Approved' ? '\u2705' : '\u274C'}
+                      {(STATUS_STYLE[doc.status] || STATUS_STYLE.Rejected).icon}
                     </div>
                     <div className="org-manage-info">
-                      <h4>{doc.organizer?.organizerName || 'Unknown'}</h4>
+                      <h4>{accountName(doc.organizer)}</h4>
                       <p className="text-muted">{doc.organizer?.email || ''}</p>
                     </div>
-                    <span className={`badge ${doc.status === 'Approved' ? 'badge-success' : 'badge-danger'}`}>
+                    <span className={`badge ${(STATUS_STYLE[doc.status] || STATUS_STYLE.Rejected).badge}`}>
                       {doc.status}
                     </span>
                   </div>
                   <div className="org-manage-details" style={{ fontSize: 12, color: 'var(--text-muted)' }}>
-                    <div>Requested by: {doc.requestedBy || 'N/A'}</div>
+                    <div>Requested by: {doc.requestedBy === 'self' ? 'self (emailed link)' : doc.requestedBy || 'N/A'}</div>
+                    {doc.organizer?.role && doc.organizer.role !== 'organizer' && <div>Account: {doc.organizer.role}</div>}
                     {doc.reason && <div>Reason: {doc.reason}</div>}
                     {doc.adminComment && <div>Admin comment: {doc.adminComment}</div>}
                     <div>Date: {new Date(doc.createdAt).toLocaleString()}</div>
@@ -3,6 +3,9 @@ import { useAuth } from '../context/AuthContext';
 import userService from '../services/userService';
 import authService from '../services/authService';
 import toast from 'react-hot-toast';
+import ActiveSessions from '../components/common/ActiveSessions';
+import TwoFactorSettings from '../components/common/TwoFactorSettings';
+import NotificationPreferences from '../components/common/NotificationPreferences';
 
 const ProfilePage = () => {
   const { user, updateUser } = useAuth();
@@ -27,6 +30,8 @@ const ProfilePage = () => {
   const [editInterests, setEditInterests] = useState(false);
   const [interests, setInterests] = useState(user?.interests || []);
   const [followedOrgs, setFollowedOrgs] = useState([]);
+  // Bumped after a password change, which signs out every other session
+  const [sessionsVersion, setSessionsVersion] = useState(0);
 
   const allInterests = ['Technology', 'Music', 'Dance', 'Drama', 'Art', 'Sports', 'Literature', 'Photography', 'Gaming', 'Robotics', 'Coding', 'Debate', 'Quiz', 'Film', 'Design', 'Entrepreneurship'];
 
@@ -119,7 +124,8 @@ const ProfilePage = () => {
     if (passwords.newPassword.length < 6) return toast.error('Min 6 characters');
     try {
       await authService.updatePassword(passwords.currentPassword, passwords.newPassword);
-      toast.success('Password updated');
+      toast.success('Password updated - other devices have been signed out');
+      setSessionsVersion(v => v + 1);
       setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
       setShowPasswordForm(false);
     } catch {
@@ -127,6 +133,26 @@ const ProfilePage = () => {
     }
   };
 
+  const handleToggleEmailReset = async (enabled) => {
+    try {
+      const _res = await userService.updateOrganizerProfile({ emailPasswordReset: enabled });
+      updateUser({ ...user, ...(_res.user || {}), emailPasswordReset: enabled });
+      toast.success(enabled ? 'You can now reset your password by email' : 'Email password reset turned off');
+    } catch (_err) {
+      toast.error(_err.response?.data?.message || 'Failed');
+    }
+  };
+
+  const handleToggleReminders = async (enabled) => {
+    try {
+      const res = await userService.updateProfile({ eventReminders: enabled });
+      updateUser({ ...user, ...(res.user || {}), eventReminders: enabled });
+      toast.success(enabled ? 'Event reminders turned on' : 'Event reminders turned off');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed');
+    }
+  };
+
   const handleRequestReset = async () => {
     try {
       await userService.requestPasswordReset(resetReason);
@@ -305,6 +331,18 @@ const ProfilePage = () => {
         </div>
       )}
 
+      <div className="card" style={{ marginBottom: 20 }}>
+        <h3>Notifications</h3>
+        {user?.role === 'participant' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 12, fontSize: 14, cursor: 'pointer' }}>
+            <input type="checkbox" checked={user.eventReminders !== false}
+              onChange={e => handleToggleReminders(e.target.checked)} />
+            Remind me before events I've registered for (delivered as Event reminders below)
+          </label>
+        )}
+        <NotificationPreferences />
+      </div>
+
       {/* Password */}
       <div className="card" style={{ marginBottom: 20 }}>
         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -321,6 +359,14 @@ const ProfilePage = () => {
           )}
         </div>
 
+        {user?.role === 'organizer' && (
+          <label style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 12, fontSize: 14, cursor: 'pointer' }}>
+            <input type="checkbox" checked={!!user.emailPasswordReset}
+              onChange={e => handleToggleEmailReset(e.target.checked)} />
+            Let me reset my password myself with an emailed link (from "Forgot password?" on the login page)
+          </label>
+        )}
+
         {showResetRequestForm && user?.role === 'organizer' && (
           <div style={{ marginTop: 16 }}>
             <p className="text-muted" style={{ fontSize: 13, marginBottom: 8 }}>
@@ -359,6 +405,10 @@ const ProfilePage = () => {
             <button type="submit" className="btn btn-primary">Update Password</button>
           </form>
         )}
+
+        {['organizer', 'admin'].includes(user?.role) && <TwoFactorSettings />}
+
+        <ActiveSessions key={sessionsVersion} />
       </div>
     </div>
   );
@@ -0,0 +1,278 @@
+import { useState, useEffect } from 'react';
+import promoService from '../services/promoService';
+import eventService from '../services/eventService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  code: '', description: '', discountType: 'percentage', discountValue: 10, maxDiscount: 0,
+  maxUses: 0, perUserLimit: 1, validFrom: '', expiresAt: '',
+  events: [], variants: [], participantTypes: [], isActive: true,
+};
+
+// datetime-local needs "YYYY-MM-DDTHH:mm" in local time
+const toLocalDatetime = (d) => {
+  if (!d) return '';
+  const dt = new Date(d);
+  return new Date(dt.getTime() - dt.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const PromoCodesPage = () => {
+  const [promos, setPromos] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    Promise.all([promoService.getMyPromoCodes(), eventService.getMyEvents({ limit: 100 })])
+      .then(([promoRes, eventRes]) => {
+        setPromos(promoRes.promos || []);
+        setEvents(eventRes.events || []);
+      })
+      .catch(() => toast.error('Failed to load promo codes'))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setForm(f => ({ ...f, [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value }));
+  };
+
+  const toggleList = (key, val) => {
+    setForm(f => ({
+      ...f,
+      [key]: f[key].includes(val) ? f[key].filter(v => v !== val) : [...f[key], val],
+    }));
+  };
+
+  // Variants of the merchandise events currently selected
+  const selectableVariants = events
+    .filter(ev => form.events.includes(ev._id) && ev.eventType === 'merchandise')
+    .flatMap(ev => (ev.variants || []).map(v => ({ ...v, eventName: ev.name })));
+
+  const startEdit = (promo) => {
+    setEditingId(promo._id);
+    setForm({
+      ...emptyForm,
+      ...promo,
+      validFrom: toLocalDatetime(promo.validFrom),
+      expiresAt: toLocalDatetime(promo.expiresAt),
+      events: (promo.events || []).map(e => e._id || e),
+      variants: (promo.variants || []).map(String),
+    });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const resetForm = () => { setEditingId(null); setForm(emptyForm); };
+
+  const handleSave = async () => {
+    if (!form.code.trim()) return toast.error('Code is required');
+    if (form.discountType === 'percentage' && form.discountValue > 100) return toast.error('Percentage cannot exceed 100');
+
+    const data = {
+      code: form.code, description: form.description,
+      discountType: form.discountType, discountValue: form.discountValue, maxDiscount: form.maxDiscount,
+      maxUses: form.maxUses, perUserLimit: form.perUserLimit,
+      validFrom: form.validFrom || null, expiresAt: form.expiresAt || null,
+      // Drop variants that no longer belong to a selected event
+      events: form.events, variants: form.variants.filter(id => selectableVariants.some(v => v._id === id)),
+      participantTypes: form.participantTypes, isActive: form.isActive,
+    };
+
+    setSaving(true);
+    try {
+      if (editingId) {
+        const res = await promoService.updatePromoCode(editingId, data);
+        setPromos(prev => prev.map(p => p._id === editingId ? { ...res.promo, events: p.events } : p));
+        toast.success('Promo code updated');
+      } else {
+        const res = await promoService.createPromoCode(data);
+        setPromos(prev => [res.promo, ...prev]);
+        toast.success('Promo code created');
+      }
+      resetForm();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to save promo code');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (promo) => {
+    if (!window.confirm(`Delete promo code ${promo.code}?`)) return;
+    try {
+      const res = await promoService.deletePromoCode(promo._id);
+      if (res.promo) {
+        setPromos(prev => prev.map(p => p._id === promo._id ? { ...p, isActive: false } : p));
+      } else {
+        setPromos(prev => prev.filter(p => p._id !== promo._id));
+      }
+      toast.success(res.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to delete');
+    }
+  };
+
+  const eventName = (id) => events.find(e => e._id === (id._id || id))?.name || id.name || 'Event';
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="container" style={{ maxWidth: 1000 }}>
+      <h1 style={{ marginBottom: 24 }}>Promo Codes</h1>
+
+      <div className="card" style={{ marginBottom: 24 }}>
+        <h3 style={{ marginBottom: 16 }}>{editingId ? `Edit ${form.code}` : 'New Promo Code'}</h3>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 12 }}>
+          <div className="form-group">
+            <label>Code *</label>
+            <input name="code" className="form-control" style={{ textTransform: 'uppercase' }}
+              value={form.code} onChange={handleChange} placeholder="EARLY10" />
+          </div>
+          <div className="form-group">
+            <label>Discount Type</label>
+            <select name="discountType" className="form-control" value={form.discountType} onChange={handleChange}>
+              <option value="percentage">Percentage (%)</option>
+              <option value="flat">Flat (₹)</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>{form.discountType === 'percentage' ? 'Discount %' : 'Discount ₹'}</label>
+            <input name="discountValue" type="number" min={0} className="form-control"
+              value={form.discountValue} onChange={handleChange} />
+          </div>
+          {form.discountType === 'percentage' && (
+            <div className="form-group">
+              <label title="0 = no cap">Max Discount ₹</label>
+              <input name="maxDiscount" type="number" min={0} className="form-control"
+                value={form.maxDiscount} onChange={handleChange} />
+            </div>
+          )}
+          <div className="form-group">
+            <label title="0 = unlimited">Total Uses</label>
+            <input name="maxUses" type="number" min={0} className="form-control"
+              value={form.maxUses} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label title="0 = unlimited">Uses per Participant</label>
+            <input name="perUserLimit" type="number" min={0} className="form-control"
+              value={form.perUserLimit} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Valid From</label>
+            <input name="validFrom" type="datetime-local" className="form-control"
+              value={form.validFrom} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Expires At</label>
+            <input name="expiresAt" type="datetime-local" className="form-control"
+              value={form.expiresAt} onChange={handleChange} />
+          </div>
+        </div>
+        <div className="form-group">
+          <label>Description</label>
+          <input name="description" className="form-control" value={form.description || ''} onChange={handleChange} />
+        </div>
+
+        <div className="form-group">
+          <label>Restrict to Events <span className="text-muted" style={{ fontSize: 12 }}>(none selected = all your events)</span></label>
+          <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+            {events.map(ev => (
+              <button key={ev._id} type="button"
+                className={`btn btn-sm ${form.events.includes(ev._id) ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => toggleList('events', ev._id)}>
+                {ev.name}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {selectableVariants.length > 0 && (
+          <div className="form-group">
+            <label>Restrict to Variants <span className="text-muted" style={{ fontSize: 12 }}>(none selected = all items)</span></label>
+            <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap' }}>
+              {selectableVariants.map(v => (
+                <button key={v._id} type="button"
+                  className={`btn btn-sm ${form.variants.includes(v._id) ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => toggleList('variants', v._id)}>
+                  {v.eventName}: {v.name} {v.size && `(${v.size})`}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="form-group" style={{ display: 'flex', gap: 16, alignItems: 'center', flexWrap: 'wrap' }}>
+          <span style={{ fontSize: 13 }}>Participant types:</span>
+          {[['iiit', 'IIIT'], ['non-iiit', 'Non-IIIT']].map(([val, label]) => (
+            <label key={val} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13 }}>
+              <input type="checkbox" checked={form.participantTypes.includes(val)}
+                onChange={() => toggleList('participantTypes', val)} /> {label}
+            </label>
+          ))}
+          <label style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 13, marginLeft: 'auto' }}>
+            <input type="checkbox" name="isActive" checked={form.isActive} onChange={handleChange} /> Active
+          </label>
+        </div>
+
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+            {saving ? 'Saving...' : editingId ? 'Save Changes' : 'Create Code'}
+          </button>
+          {editingId && <button className="btn btn-secondary" onClick={resetForm}>Cancel</button>}
+        </div>
+      </div>
+
+      {promos.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">🏷️</div>
+          <h3>No promo codes yet</h3>
+          <p className="text-muted">Create one above to offer discounts on your events.</p>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Code</th><th>Discount</th><th>Used</th><th>Valid</th><th>Applies To</th><th>Status</th><th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {promos.map(p => (
+                  <tr key={p._id}>
+                    <td><strong>{p.code}</strong>{p.description && <div className="text-muted" style={{ fontSize: 11 }}>{p.description}</div>}</td>
+                    <td>
+                      {p.discountType === 'percentage' ? `${p.discountValue}%` : `₹${p.discountValue}`}
+                      {p.discountType === 'percentage' && p.maxDiscount > 0 && <div className="text-muted" style={{ fontSize: 11 }}>max ₹{p.maxDiscount}</div>}
+                    </td>
+                    <td>{p.usedCount}{p.maxUses > 0 ? ` / ${p.maxUses}` : ''}</td>
+                    <td style={{ fontSize: 12 }}>
+                      {p.validFrom ? new Date(p.validFrom).toLocaleDateString() : 'Now'} – {p.expiresAt ? new Date(p.expiresAt).toLocaleDateString() : 'No expiry'}
+                    </td>
+                    <td style={{ fontSize: 12 }}>
+                      {p.events?.length ? p.events.map(eventName).join(', ') : 'All events'}
+                      {p.variants?.length > 0 && <div className="text-muted">{p.variants.length} variant(s)</div>}
+                      {p.participantTypes?.length > 0 && <div className="text-muted">{p.participantTypes.join(', ')} only</div>}
+                    </td>
+                    <td>
+                      <span className={`badge ${p.isActive ? 'badge-success' : 'badge-danger'}`}>{p.isActive ? 'Active' : 'Inactive'}</span>
+                    </td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      <button className="btn btn-secondary btn-sm" onClick={() => startEdit(p)}>Edit</button>{' '}
+                      <button className="btn btn-danger btn-sm" onClick={() => handleDelete(p)}>Delete</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromoCodesPage;
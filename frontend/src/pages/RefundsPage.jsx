@@ -0,0 +1,135 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import refundService from '../services/refundService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const STATUS_BADGE = {
+  requested: 'badge-warning',
+  approved: 'badge-info',
+  processed: 'badge-success',
+  denied: 'badge-danger',
+};
+
+const RefundsPage = () => {
+  const [refunds, setRefunds] = useState([]);
+  const [status, setStatus] = useState('requested');
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    refundService.getRefundQueue(status ? { status } : {})
+      .then(res => setRefunds(res.refunds || []))
+      .catch(() => toast.error('Failed to load refunds'))
+      .finally(() => setLoading(false));
+  }, [status]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const act = async (refund, action) => {
+    let data;
+    if (action === 'approve') {
+      const amount = window.prompt(`Refund amount (paid ₹${refund.amountPaid}):`, refund.amount);
+      if (amount === null) return;
+      data = { amount: Number(amount), note: window.prompt('Note to participant (optional):') || undefined };
+    } else if (action === 'deny') {
+      const note = window.prompt('Reason for denying (sent to the participant):');
+      if (note === null) return;
+      data = { note };
+    } else {
+      const reference = window.prompt('Payout reference (UPI/bank transaction ID). Online payments are refunded through the gateway automatically:');
+      if (reference === null) return;
+      data = { reference: reference || undefined };
+    }
+
+    setBusyId(refund._id);
+    try {
+      const call = { approve: refundService.approveRefund, deny: refundService.denyRefund, process: refundService.processRefund }[action];
+      const res = await call(refund._id, data);
+      toast.success(res.message);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Action failed');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="container">
+      <h1 style={{ marginBottom: 8 }}>Refunds</h1>
+      <p className="text-muted" style={{ marginBottom: 24 }}>Refund requests from paid registrations that were cancelled.</p>
+
+      <div style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+        {[['requested', 'Requested'], ['approved', 'Approved'], ['processed', 'Processed'], ['denied', 'Denied'], ['', 'All']].map(([val, label]) => (
+          <button key={val} className={`btn btn-sm ${status === val ? 'btn-primary' : 'btn-secondary'}`} onClick={() => setStatus(val)}>
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading ? <LoadingSpinner /> : refunds.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">💸</div>
+          <h3>No refunds here</h3>
+          <p className="text-muted">Refund requests appear when a paid registration is cancelled.</p>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="table-wrapper">
+            <table>
+              <thead>
+                <tr>
+                  <th>Participant</th><th>Event</th><th>Ticket</th><th>Paid</th><th>Refund</th><th>Reason</th><th>Status</th><th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {refunds.map(r => (
+                  <tr key={r._id}>
+                    <td>
+                      {r.participant?.firstName} {r.participant?.lastName}
+                      <div className="text-muted" style={{ fontSize: 11 }}>{r.participant?.email}</div>
+                    </td>
+                    <td><Link to={`/event-registrations/${r.event?._id}`}>{r.event?.name}</Link></td>
+                    <td style={{ fontSize: 12 }}>
+                      {r.registration?.ticketId}
+                      {r.registration?.order && <div className="text-muted">cart order</div>}
+                    </td>
+                    <td>₹{r.amountPaid}</td>
+                    <td>
+                      ₹{r.amount}
+                      {r.policyPercent > 0 && <div className="text-muted" style={{ fontSize: 11 }}>{r.policyPercent}% by policy</div>}
+                    </td>
+                    <td style={{ fontSize: 12, maxWidth: 200 }}>
+                      {r.reason || <span className="text-muted">—</span>}
+                      {r.decisionNote && <div className="text-muted">Note: {r.decisionNote}</div>}
+                      {r.reference && <div className="text-muted">Ref: {r.reference}</div>}
+                    </td>
+                    <td>
+                      <span className={`badge ${STATUS_BADGE[r.status]}`}>{r.status}</span>
+                      <div className="text-muted" style={{ fontSize: 11 }}>{new Date(r.createdAt).toLocaleDateString()}</div>
+                    </td>
+                    <td style={{ whiteSpace: 'nowrap' }}>
+                      {r.status === 'requested' && (
+                        <button className="btn btn-success btn-sm" disabled={busyId === r._id} onClick={() => act(r, 'approve')}>Approve</button>
+                      )}{' '}
+                      {r.status === 'approved' && (
+                        <button className="btn btn-primary btn-sm" disabled={busyId === r._id} onClick={() => act(r, 'process')}>Mark Paid</button>
+                      )}{' '}
+                      {['requested', 'approved'].includes(r.status) && (
+                        <button className="btn btn-danger btn-sm" disabled={busyId === r._id} onClick={() => act(r, 'deny')}>Deny</button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefundsPage;
@@ -61,7 +61,12 @@ const RegisterPage = () => {
     setLoading(true);
     try {
       // Send selected participantType to backend
-      await register({ ...form, participantType, captchaId, captchaAnswer });
+      const res = await register({ ...form, participantType, captchaId, captchaAnswer });
+      if (res.claimPending) {
+        toast.success(res.message, { duration: 8000 });
+        navigate('/login');
+        return;
+      }
       toast.success('Registration successful!');
       navigate('/onboarding');
     } catch (err) {
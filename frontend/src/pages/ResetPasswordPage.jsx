@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import authService from '../services/authService';
+import toast from 'react-hot-toast';
+
+/**
+ * Sets a new password with an emailed reset link
+ */
+const ResetPasswordPage = () => {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [account, setAccount] = useState(null);
+  const [error, setError] = useState('');
+  const [passwords, setPasswords] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    authService.checkResetToken(token)
+      .then(res => setAccount(res))
+      .catch(err => setError(err.response?.data?.message || 'This reset link could not be used'));
+  }, [token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (passwords.password.length < 6) return toast.error('Min 6 characters');
+    if (passwords.password !== passwords.confirmPassword) return toast.error('Passwords do not match');
+    setLoading(true);
+    try {
+      const res = await authService.resetPassword(token, passwords.password);
+      toast.success(res.message || 'Password reset');
+      navigate('/login', { replace: true });
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card">
+        <div style={{ textAlign: 'center', marginBottom: 20 }}>
+          <img src="/felicity-logo.png" alt="Felicity" className="felicity-logo--large" />
+          <h1>Reset Password</h1>
+          {account?.email && <p className="subtitle">for {account.email}</p>}
+        </div>
+        {error ? (
+          <>
+            <div className="alert alert-danger">{error}</div>
+            <div style={{ textAlign: 'center', marginTop: 12 }}>
+              <Link to="/forgot-password" className="btn btn-secondary">Request a new link</Link>
+            </div>
+          </>
+        ) : !account ? (
+          <p className="subtitle" style={{ textAlign: 'center' }}>Checking your link...</p>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label>New Password</label>
+              <input type="password" className="form-control" value={passwords.password}
+                onChange={e => setPasswords(p => ({ ...p, password: e.target.value }))} autoComplete="new-password" />
+            </div>
+            <div className="form-group">
+              <label>Confirm New Password</label>
+              <input type="password" className="form-control" value={passwords.confirmPassword}
+                onChange={e => setPasswords(p => ({ ...p, confirmPassword: e.target.value }))} autoComplete="new-password" />
+            </div>
+            <button type="submit" className="btn btn-primary btn-lg" style={{ width: '100%', justifyContent: 'center' }}
+              disabled={loading}>
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+            <p className="text-muted" style={{ fontSize: 12, marginTop: 12 }}>
+              Every device signed in to this account will be signed out.
+            </p>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPasswordPage;
@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+
+/**
+ * Signs a limited staff account in with a one-time access link
+ */
+const StaffAccessPage = () => {
+  const { token } = useParams();
+  const { staffAccess } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+  // The link only works once, so never redeem it twice (StrictMode runs effects twice)
+  const redeemed = useRef(false);
+
+  useEffect(() => {
+    if (redeemed.current) return;
+    redeemed.current = true;
+    staffAccess(token)
+      .then(() => {
+        toast.success('Signed in');
+        navigate('/dashboard', { replace: true });
+      })
+      .catch(err => setError(err.response?.data?.message || 'This access link could not be used'));
+  }, [token, staffAccess, navigate]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card" style={{ textAlign: 'center' }}>
+        <img src="/felicity-logo.png" alt="Felicity" className="felicity-logo--large" />
+        <h1>Staff Access</h1>
+        {error ? (
+          <>
+            <div className="alert alert-danger" style={{ marginTop: 16 }}>{error}</div>
+            <Link to="/login" className="btn btn-secondary" style={{ marginTop: 12 }}>Go to Login</Link>
+          </>
+        ) : (
+          <p className="subtitle">Signing you in...</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StaffAccessPage;
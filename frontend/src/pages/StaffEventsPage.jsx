@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import staffService from '../services/staffService';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const ROLE_BADGES = {
+  'co-organizer': 'badge-primary',
+  volunteer: 'badge-success',
+  finance: 'badge-warning',
+};
+
+const ROLE_HINTS = {
+  'co-organizer': 'Full access to manage the event',
+  volunteer: 'Scan tickets and mark attendance',
+  finance: 'Review and approve payments',
+};
+
+/**
+ * Events the current user works on as a co-organizer, volunteer or finance member
+ */
+const StaffEventsPage = () => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    staffService.getMyStaffEvents()
+      .then(res => setEvents(res.events || []))
+      .catch(err => console.error('Staff events error', err))
+      .finally(() => setLoading(false));
+  }, []);
+
+  if (loading) return <LoadingSpinner />;
+
+  return (
+    <div className="container" style={{ maxWidth: 900 }}>
+      <h1 style={{ marginBottom: 4 }}>🧑‍🤝‍🧑 Staffing</h1>
+      <p className="text-muted" style={{ marginBottom: 24 }}>Events you help run</p>
+
+      {events.length === 0 ? (
+        <div className="empty-state">
+          <div className="empty-icon">📭</div>
+          <h3>No staff roles yet</h3>
+          <p className="text-muted">Organizers can add you to an event as a co-organizer, volunteer or finance member.</p>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 12 }}>
+          {events.map(ev => (
+            <div key={ev._id} className="card" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 16, flexWrap: 'wrap' }}>
+              <div>
+                <div style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 4 }}>
+                  <h3 style={{ fontSize: 17 }}>{ev.name}</h3>
+                  <span className={`badge ${ROLE_BADGES[ev.staffRole] || 'badge-info'}`}>{ev.staffRole}</span>
+                  <span className="badge badge-info">{ev.status}</span>
+                </div>
+                <p className="text-muted" style={{ fontSize: 13 }}>
+                  by {ev.organizer?.organizerName || 'Organizer'}
+                  {ev.eventStartDate && ` · ${new Date(ev.eventStartDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })}`}
+                  {ev.venue && ` · ${ev.venue}`}
+                </p>
+                <p className="text-muted" style={{ fontSize: 12, marginTop: 4 }}>{ROLE_HINTS[ev.staffRole]}</p>
+              </div>
+              <div style={{ display: 'flex', gap: 8 }}>
+                {ev.staffRole === 'co-organizer' && (
+                  <Link to={`/edit-event/${ev._id}`} className="btn btn-secondary btn-sm">Edit Event</Link>
+                )}
+                {(ev.staffRole === 'co-organizer' || ev.staffRole === 'finance') && (
+                  <Link to="/refunds" className="btn btn-secondary btn-sm">Refunds</Link>
+                )}
+                <Link to={`/event-registrations/${ev._id}`} className="btn btn-primary btn-sm">
+                  {ev.staffRole === 'volunteer' ? '📷 Check-in' : ev.staffRole === 'finance' ? '💳 Payments' : 'Registrations'}
+                </Link>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StaffEventsPage;
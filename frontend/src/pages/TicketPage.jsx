@@ -1,6 +1,8 @@
 import { useState, useEffect } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams, Link } from 'react-router-dom';
 import registrationService from '../services/registrationService';
+import paymentService from '../services/paymentService';
+import refundService from '../services/refundService';
 import api, { getUploadUrl } from '../services/api';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
@@ -9,15 +11,38 @@ const TicketPage = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [reg, setReg] = useState(null);
+  const [refund, setRefund] = useState(null);
   const [loading, setLoading] = useState(true);
   const [calendarLinks, setCalendarLinks] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [file, setFile] = useState(null);
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Back from the payment gateway
+  useEffect(() => {
+    const outcome = searchParams.get('payment');
+    if (!outcome) return;
+    if (outcome === 'success') toast.success('Payment received! Your ticket is confirmed.');
+    else toast.error('Payment failed or was cancelled. You can try again.');
+    setSearchParams({}, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const handlePayOnline = async () => {
+    setUploading(true);
+    try {
+      const res = await paymentService.createCheckout({ registrationId: reg._id });
+      window.location.href = res.redirectUrl;
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not start payment');
+      setUploading(false);
+    }
+  };
 
   useEffect(() => {
     registrationService.getRegistration(id)
       .then(res => {
         setReg(res.registration);
+        setRefund(res.refund);
         // Fetch calendar links for confirmed/attended registrations
         if (res.registration && ['confirmed', 'attended'].includes(res.registration.status)) {
           api.get(`/registrations/${id}/calendar-links`)
@@ -47,10 +72,24 @@ const TicketPage = () => {
   };
 
   const handleCancel = async () => {
-    if (!confirm('Are you sure you want to cancel?')) return;
+    // Tell paying participants what they will get back before they confirm
+    let quote = null;
+    if (reg.status !== 'waitlisted') {
+      quote = await refundService.getQuote(id).catch(() => null);
+    }
+    let message = 'Are you sure you want to cancel?';
+    if (quote?.paid) {
+      message += quote.hasPolicy
+        ? `\n\nUnder this event's refund policy you will get back ₹${quote.amount} of ₹${quote.amountPaid} (${quote.percent}%).`
+        : `\n\nA refund request for your ₹${quote.amountPaid} payment will be sent to the organizer.`;
+    }
+    if (!confirm(message)) return;
+    const reason = quote?.paid && (quote.amount > 0 || !quote.hasPolicy)
+      ? window.prompt('Reason for cancelling (optional):') || undefined
+      : undefined;
     try {
-      await registrationService.cancelRegistration(id);
-      toast.success('Registration cancelled');
+      const res = await registrationService.cancelRegistration(id, reason);
+      toast.success(res.refund?.status === 'requested' ? 'Registration cancelled. Refund requested.' : 'Registration cancelled');
       // Go back to the event so the EventDetails page can refresh and show cancelled state
       if (reg && reg.event && (reg.event._id || reg.event)) {
         const evId = reg.event._id || reg.event;
@@ -85,6 +124,14 @@ const TicketPage = () => {
           </div>
         )}
 
+        {reg.status === 'waitlisted' && (
+          <div style={{ margin: '20px 0', padding: 16, background: 'rgba(255,243,205,0.6)', borderRadius: 8, border: '1px solid #ffc107' }}>
+            <p style={{ margin: 0, fontSize: 13 }}>
+              ⏳ You are <strong>#{reg.waitlistPosition}</strong> on the waitlist. You will be notified and emailed as soon as a spot opens up.
+            </p>
+          </div>
+        )}
+
         {/* No QR message for pending/rejected payments (merchandise or normal events requiring manual payment).
             Also show when registration has a fee but paymentStatus may be unset (fallback). */}
         {!reg.qrCodeData && ((reg.paymentStatus && reg.paymentStatus !== 'not_required') || (reg.totalAmount && reg.totalAmount > 0)) && (
@@ -92,10 +139,19 @@ const TicketPage = () => {
             <p style={{ margin: 0, fontSize: 13 }}>
               {reg.paymentStatus === 'rejected'
                 ? '❌ Your payment was rejected. Please re-attempt payment or contact the organizer.'
+                : reg.paymentStatus === 'expired'
+                  ? '⌛ No payment proof was uploaded in time, so this order was cancelled and the items released.'
                 : reg.paymentProof
                   ? '⏳ Payment proof uploaded. Waiting for organizer approval. QR code will be generated after approval.'
-                  : '⚠️ Please upload your payment proof below to complete your registration. QR code will be generated after approval.'}
+                  : reg.event?.paymentMode === 'gateway' && !reg.order
+                    ? '⚠️ Please complete the online payment below. QR code will be generated once the payment goes through.'
+                    : '⚠️ Please upload your payment proof below to complete your registration. QR code will be generated after approval.'}
             </p>
+            {reg.reservationExpiresAt && reg.status === 'pending' && (
+              <p style={{ margin: '8px 0 0', fontSize: 13 }}>
+                Items reserved until <strong>{new Date(reg.reservationExpiresAt).toLocaleString()}</strong>.
+              </p>
+            )}
           </div>
         )}
 
@@ -111,6 +167,11 @@ const TicketPage = () => {
               </p>
             </div>
           )}
+          {reg.ticketTier?.name && (
+            <p style={{ fontSize: 13, marginBottom: 6 }}>
+              <strong>Ticket Tier:</strong> {reg.ticketTier.name} ({reg.ticketTier.price > 0 ? `Rs.${reg.ticketTier.price}` : 'Free'})
+            </p>
+          )}
           {reg.registrationType === 'merchandise' && reg.variantDetails && (
             <>
               <p style={{ fontSize: 13, marginBottom: 6 }}><strong>Variant:</strong> {reg.variantDetails.name} {reg.variantDetails.size && `(${reg.variantDetails.size})`}</p>
@@ -118,9 +179,19 @@ const TicketPage = () => {
               <p style={{ fontSize: 13, marginBottom: 6 }}><strong>Total:</strong> Rs.{reg.totalAmount}</p>
             </>
           )}
+          {reg.promo?.code && (
+            <p style={{ fontSize: 13, marginBottom: 6 }}>
+              <strong>Promo:</strong> {reg.promo.code} (-Rs.{reg.promo.discountAmount}) • <strong>Amount Due:</strong> Rs.{reg.totalAmount}
+            </p>
+          )}
           {reg.paymentStatus && reg.paymentStatus !== 'not_required' && (
             <p style={{ fontSize: 13, marginBottom: 6 }}><strong>Payment:</strong> {reg.paymentStatus}</p>
           )}
+          {reg.order && (
+            <p style={{ fontSize: 13, marginBottom: 6 }}>
+              <strong>Order:</strong> part of a cart order — <Link to={`/orders/${reg.order._id || reg.order}`}>view order</Link>
+            </p>
+          )}
           {/* Upload payment proof for merchandise orders */}
           {((reg.paymentStatus && reg.paymentStatus !== 'not_required') || (reg.totalAmount && reg.totalAmount > 0)) && (
             <div style={{ marginTop: 12 }}>
@@ -133,8 +204,27 @@ const TicketPage = () => {
                 </div>
               )}
 
+              {/* Online payment for gateway events */}
+              {reg.event?.paymentMode === 'gateway' && !reg.order && reg.paymentStatus === 'pending' && reg.status === 'pending' && (
+                <div style={{ padding: 16, background: 'var(--bg-secondary)', borderRadius: 8, border: '1px solid var(--border-color)' }}>
+                  <p style={{ fontSize: 14, fontWeight: 600, marginBottom: 8 }}>💳 Pay Online</p>
+                  <p style={{ fontSize: 12, color: 'var(--text-muted)', marginBottom: 8 }}>
+                    {reg.paymentGateway?.status === 'mismatch'
+                      ? 'The payment we received did not match the amount due. The organizers are reviewing it.'
+                      : reg.paymentGateway?.status === 'failed'
+                        ? 'Your last payment attempt failed. You can try again.'
+                        : `Pay Rs.${reg.totalAmount} securely to confirm — your QR code is issued as soon as the payment goes through.`}
+                  </p>
+                  {reg.paymentGateway?.status !== 'mismatch' && (
+                    <button className="btn btn-primary btn-sm" disabled={uploading} onClick={handlePayOnline}>
+                      {uploading ? 'Redirecting...' : `💳 Pay Rs.${reg.totalAmount}`}
+                    </button>
+                  )}
+                </div>
+              )}
+
               {/* Show upload control when payment is not yet approved */}
-              {reg.paymentStatus !== 'approved' && reg.status !== 'cancelled' && (
+              {(reg.event?.paymentMode !== 'gateway' || reg.order) && !['approved', 'expired'].includes(reg.paymentStatus) && reg.status !== 'cancelled' && (
                 <div style={{ padding: 16, background: 'var(--bg-secondary)', borderRadius: 8, border: '1px solid var(--border-color)' }}>
                   <p style={{ fontSize: 14, fontWeight: 600, marginBottom: 8 }}>
                     {reg.paymentProof ? '📤 Re-upload Payment Proof' : '📤 Upload Payment Proof'}
@@ -192,9 +282,20 @@ const TicketPage = () => {
           </div>
         )}
 
-        {(reg.status === 'confirmed' || reg.status === 'pending') && (
+        {refund && (
+          <div className={`alert ${refund.status === 'denied' ? 'alert-danger' : refund.status === 'processed' ? 'alert-success' : 'alert-info'}`} style={{ marginTop: 12, textAlign: 'left' }}>
+            <strong>Refund {refund.status}</strong>
+            <div style={{ fontSize: 13, marginTop: 4 }}>
+              {refund.status === 'denied' ? `No refund on your ₹${refund.amountPaid} payment.` : `₹${refund.amount} of ₹${refund.amountPaid}`}
+              {refund.decisionNote && <div>Note: {refund.decisionNote}</div>}
+              {refund.status === 'processed' && refund.reference && <div>Reference: {refund.reference}</div>}
+            </div>
+          </div>
+        )}
+
+        {['confirmed', 'pending', 'waitlisted'].includes(reg.status) && (
           <button className="btn btn-danger" style={{ marginTop: 12 }} onClick={handleCancel}>
-            Cancel Registration
+            {reg.status === 'waitlisted' ? 'Leave Waitlist' : 'Cancel Registration'}
           </button>
         )}
       </div>
@@ -0,0 +1,66 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
+
+/**
+ * Verifies an email address with the emailed link (which may also claim an
+ * account an organizer created by importing registrations)
+ */
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const [claimed, setClaimed] = useState(false);
+  // The link only works once, so never send it twice (StrictMode runs effects twice)
+  const sent = useRef(false);
+
+  useEffect(() => {
+    if (sent.current) return;
+    sent.current = true;
+    authService.verifyEmail({ token })
+      .then(res => {
+        setClaimed(!!res.claimed);
+        setStatus('verified');
+        // Refresh the signed-in user (the link may have been for this account)
+        if (authService.isAuthenticated()) {
+          authService.getMe().then(res => updateUser(res.user)).catch(() => {});
+        }
+      })
+      .catch(err => {
+        setStatus('failed');
+        setError(err.response?.data?.message || 'This verification link could not be used');
+      });
+  }, [token, updateUser]);
+
+  return (
+    <div className="auth-page">
+      <div className="auth-card" style={{ textAlign: 'center' }}>
+        <img src="/felicity-logo.png" alt="Felicity" className="felicity-logo--large" />
+        <h1>Email Verification</h1>
+        {status === 'verifying' && <p className="subtitle">Verifying your email...</p>}
+        {status === 'verified' && (
+          <>
+            <div className="alert alert-success" style={{ marginTop: 16 }}>
+              {claimed ? 'Your account is ready, with your event registrations. Log in with the password you chose.' : 'Your email address is verified.'}
+            </div>
+            <Link to={user ? '/dashboard' : '/login'} className="btn btn-primary" style={{ marginTop: 12 }}>
+              {user ? 'Go to Dashboard' : 'Go to Login'}
+            </Link>
+          </>
+        )}
+        {status === 'failed' && (
+          <>
+            <div className="alert alert-danger" style={{ marginTop: 16 }}>{error}</div>
+            <Link to={user ? '/dashboard' : '/login'} className="btn btn-secondary" style={{ marginTop: 12 }}>
+              {user ? 'Go to Dashboard' : 'Go to Login'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
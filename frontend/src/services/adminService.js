@@ -15,6 +15,14 @@ const adminService = {
     return response.data;
   },
 
+  /**
+   * Audit log of privileged actions (filters: action, actor, targetType, event, from, to, page)
+   */
+  getAuditLogs: async (params = {}) => {
+    const response = await api.get('/admin/audit-logs', { params });
+    return response.data;
+  },
+
   /**
    * Get all organizers
    */
@@ -90,6 +98,32 @@ const adminService = {
   getPasswordResetHistory: async () => {
     const response = await api.get('/admin/password-reset-history');
     return response.data;
+  },
+
+  /**
+   * Site settings (e.g. mandatory organizer 2FA)
+   */
+  getSettings: async () => {
+    const response = await api.get('/admin/settings');
+    return response.data;
+  },
+
+  updateSettings: async (settings) => {
+    const response = await api.put('/admin/settings', settings);
+    return response.data;
+  },
+
+  /**
+   * IPs and accounts locked out after failed logins
+   */
+  getLoginLockouts: async (params = {}) => {
+    const response = await api.get('/admin/login-lockouts', { params });
+    return response.data;
+  },
+
+  unlockLogin: async (id) => {
+    const response = await api.delete(`/admin/login-lockouts/${id}`);
+    return response.data;
   }
 };
 
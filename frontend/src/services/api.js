@@ -7,7 +7,7 @@
  * - Base URL configuration
  * - Automatic token attachment
  * - Response/error interceptors
- * - Token refresh handling
+ * - Token refresh handling (short-lived access tokens, rotating refresh tokens)
  */
 
 import axios from 'axios';
@@ -43,44 +43,101 @@ api.interceptors.request.use(
   }
 );
 
+/**
+ * Refresh the access token
+ * 
+ * Access tokens are short-lived; the refresh token (rotated on every use)
+ * gets a new pair. Concurrent 401s share one refresh. Another tab may have
+ * rotated the stored token already, in which case its new pair is used.
+ */
+let refreshing = null;
+
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = (refreshToken
+      ? axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+        .then(({ data }) => {
+          localStorage.setItem('token', data.token);
+          localStorage.setItem('refreshToken', data.refreshToken);
+          return data.token;
+        })
+        .catch((error) => {
+          const stored = localStorage.getItem('refreshToken');
+          if (stored && stored !== refreshToken) return localStorage.getItem('token');
+          throw error;
+        })
+      : Promise.reject(new Error('No refresh token'))
+    ).finally(() => { refreshing = null; });
+  }
+  return refreshing;
+};
+
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  
+  // Redirect to login (only if not already on login page)
+  if (!window.location.pathname.includes('/login')) {
+    window.location.href = '/login';
+  }
+};
+
 /**
  * Response Interceptor
  * 
  * PURPOSE:
  * - Handle common error responses
- * - Auto-logout on 401 (token expired)
+ * - Refresh an expired access token and retry once
+ * - Auto-logout on 401 when the session is gone
  * - Standardize error format
  */
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
+  async (error) => {
+    const { config, response } = error;
+    
+    // Expired access token: refresh and retry (not for the login itself)
+    if (response?.status === 401 && config && !config._retried && localStorage.getItem('refreshToken')
+        && !config.url?.startsWith('/auth/login')) {
+      config._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // fall through: the session is gone
+      }
+    }
+    
     // Additional debug logging for client-side errors
     try {
       console.error('API error intercepted:', {
         message: error.message,
-        url: error.config?.url,
-        method: error.config?.method,
-        status: error.response?.status,
-        responseData: error.response?.data
+        url: config?.url,
+        method: config?.method,
+        status: response?.status,
+        responseData: response?.data
       });
     } catch (e) {
       console.error('Failed to log API error', e);
     }
-    if (error.response) {
+    if (response) {
       // Handle 401 Unauthorized
-      if (error.response.status === 401) {
-        // Token expired or invalid
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        
-        // Redirect to login (only if not already on login page)
-        if (!window.location.pathname.includes('/login')) {
-          window.location.href = '/login';
-        }
+      if (response.status === 401 && localStorage.getItem('token')) {
+        // Session expired or revoked
+        clearSession();
       }
-      
+
+      // Organizer 2FA became mandatory: the profile page is where it's set up
+      if (response.status === 403 && response.data?.code === 'TWO_FACTOR_SETUP_REQUIRED'
+          && !window.location.pathname.startsWith('/profile')) {
+        window.location.href = '/profile';
+      }
+
       // Extract error message
-      const message = error.response.data?.message || 'An error occurred';
+      const message = response.data?.message || 'An error occurred';
       error.message = message;
     } else if (error.request) {
       // Request made but no response
@@ -110,4 +167,14 @@ export const getUploadUrl = (path) => {
   return path;
 };
 
+/**
+ * Build a Server-Sent Events URL for /api/stream/*.
+ * EventSource cannot send an Authorization header, so the JWT goes in ?token=.
+ */
+export const getStreamUrl = (path) => {
+  const apiUrl = import.meta.env.VITE_API_URL || '/api';
+  const token = localStorage.getItem('token');
+  return `${apiUrl.replace(/\/$/, '')}/stream${path}${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+};
+
 export default api;
@@ -6,6 +6,15 @@
 
 import api from './api';
 
+// Keep the tokens and user from a sign-in response
+const storeSession = (data) => {
+  if (data.token) {
+    localStorage.setItem('token', data.token);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('user', JSON.stringify(data.user));
+  }
+};
+
 const authService = {
   /**
    * Get a new CAPTCHA image
@@ -20,10 +29,7 @@ const authService = {
    */
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
-    if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
-    }
+    storeSession(response.data);
     return response.data;
   },
 
@@ -32,10 +38,25 @@ const authService = {
    */
   login: async (email, password, captchaId, captchaAnswer) => {
     const response = await api.post('/auth/login', { email, password, captchaId, captchaAnswer });
-    if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
-    }
+    storeSession(response.data);
+    return response.data;
+  },
+
+  /**
+   * Second login step: authenticator code or backup code
+   */
+  verifyTwoFactor: async (challengeToken, { code, backupCode }) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code, backupCode });
+    storeSession(response.data);
+    return response.data;
+  },
+
+  /**
+   * Sign in with a one-time staff access link
+   */
+  redeemStaffAccess: async (token) => {
+    const response = await api.post(`/staff/access/${token}`);
+    storeSession(response.data);
     return response.data;
   },
 
@@ -52,9 +73,15 @@ const authService = {
 
   /**
    * Logout user
+   * Ends the session on the server too; local state is cleared right away
    */
   logout: () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      api.post('/auth/logout', { refreshToken }, { _retried: true }).catch(() => {});
+    }
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   },
 
@@ -63,9 +90,111 @@ const authService = {
    */
   updatePassword: async (currentPassword, newPassword) => {
     const response = await api.put('/auth/password', { currentPassword, newPassword });
-    if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-    }
+    storeSession(response.data);
+    return response.data;
+  },
+
+  /**
+   * Email a password reset link
+   */
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  /**
+   * Check a password reset link
+   */
+  checkResetToken: async (token) => {
+    const response = await api.get(`/auth/reset-password/${token}`);
+    return response.data;
+  },
+
+  /**
+   * Set a new password with a reset link
+   */
+  resetPassword: async (token, password) => {
+    const response = await api.post(`/auth/reset-password/${token}`, { password });
+    return response.data;
+  },
+
+  /**
+   * Verify the email address with the emailed link's token or code
+   */
+  verifyEmail: async ({ token, code }) => {
+    const response = await api.post('/auth/verify-email', token ? { token } : { code });
+    return response.data;
+  },
+
+  /**
+   * Send a new verification email
+   */
+  resendVerification: async () => {
+    const response = await api.post('/auth/verify-email/resend');
+    return response.data;
+  },
+
+  /**
+   * Active sessions (devices signed in to this account)
+   */
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return response.data;
+  },
+
+  /**
+   * Sign out one session
+   */
+  revokeSession: async (id) => {
+    const response = await api.delete(`/auth/sessions/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Sign out every session, or every other session
+   */
+  revokeAllSessions: async (exceptCurrent = false) => {
+    const response = await api.delete('/auth/sessions', { params: exceptCurrent ? { exceptCurrent: true } : {} });
+    return response.data;
+  },
+
+  /**
+   * Two-factor authentication status (organizers and admins)
+   */
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  /**
+   * Start two-factor setup: returns the secret and a QR code
+   */
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  /**
+   * Confirm setup with a first code: returns backup codes
+   */
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  /**
+   * Turn two-factor authentication off
+   */
+  disableTwoFactor: async (password, { code, backupCode }) => {
+    const response = await api.post('/auth/2fa/disable', { password, code, backupCode });
+    return response.data;
+  },
+
+  /**
+   * Replace the backup codes
+   */
+  regenerateBackupCodes: async (code) => {
+    const response = await api.post('/auth/2fa/backup-codes', { code });
     return response.data;
   },
 
@@ -0,0 +1,51 @@
+/**
+ * Cart Service
+ *
+ * Participant merchandise cart and checkout
+ */
+
+import api from './api';
+
+const cartService = {
+  /**
+   * Get my cart (priced, with availability problems per line)
+   */
+  getCart: async () => {
+    const response = await api.get('/cart');
+    return response.data;
+  },
+
+  /**
+   * Add a variant to the cart
+   */
+  addToCart: async (eventId, variantId, quantity = 1) => {
+    const response = await api.post('/cart/items', { eventId, variantId, quantity });
+    return response.data;
+  },
+
+  /**
+   * Change a line's quantity
+   */
+  updateItem: async (itemId, quantity) => {
+    const response = await api.put(`/cart/items/${itemId}`, { quantity });
+    return response.data;
+  },
+
+  /**
+   * Remove a line
+   */
+  removeItem: async (itemId) => {
+    const response = await api.delete(`/cart/items/${itemId}`);
+    return response.data;
+  },
+
+  /**
+   * Check out the whole cart as one order
+   */
+  checkout: async () => {
+    const response = await api.post('/cart/checkout');
+    return response.data;
+  },
+};
+
+export default cartService;
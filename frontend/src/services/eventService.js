@@ -87,6 +87,14 @@ const eventService = {
     return response.data;
   },
 
+  /**
+   * Audit log for one event (filters: action, actor, from, to, page)
+   */
+  getEventAuditLog: async (id, params = {}) => {
+    const response = await api.get(`/events/${id}/audit-log`, { params });
+    return response.data;
+  },
+
   /**
    * Get organizer-wide analytics (all events)
    */
@@ -1,6 +1,6 @@
 /**
  * Notification Service
- * Frontend API calls for in-app notifications
+ * Frontend API calls for in-app notifications and notification preferences
  */
 import api from './api';
 
@@ -28,6 +28,17 @@ const notificationService = {
   deleteNotification: async (id) => {
     const response = await api.delete(`/notifications/${id}`);
     return response.data;
+  },
+
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  // preferences: { [type]: { inApp?, email?, digest? } } — only what changed
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', { preferences });
+    return response.data;
   }
 };
 
@@ -0,0 +1,55 @@
+/**
+ * Order Service
+ *
+ * Multi-item merchandise orders created from the cart
+ */
+
+import api from './api';
+
+const orderService = {
+  /**
+   * Get my orders
+   */
+  getMyOrders: async () => {
+    const response = await api.get('/orders/my-orders');
+    return response.data;
+  },
+
+  /**
+   * Get single order with its line tickets
+   */
+  getOrder: async (id) => {
+    const response = await api.get(`/orders/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Upload one payment proof for the whole order
+   */
+  uploadPaymentProof: async (id, file) => {
+    const form = new FormData();
+    form.append('paymentProof', file);
+    const response = await api.put(`/orders/${id}/payment-proof`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+    return response.data;
+  },
+
+  /**
+   * Approve or reject an order's payment (organizers)
+   */
+  paymentAction: async (id, action) => {
+    const response = await api.put(`/orders/${id}/payment-action`, { action });
+    return response.data;
+  },
+
+  /**
+   * Cancel a pending order
+   */
+  cancelOrder: async (id) => {
+    const response = await api.put(`/orders/${id}/cancel`);
+    return response.data;
+  },
+};
+
+export default orderService;
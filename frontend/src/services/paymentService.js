@@ -0,0 +1,20 @@
+/**
+ * Payment Service
+ *
+ * Online checkout through the payment gateway
+ */
+
+import api from './api';
+
+const paymentService = {
+  /**
+   * Start a checkout — pass { registrationId } or { orderId }.
+   * Returns { redirectUrl } for the provider's hosted payment page.
+   */
+  createCheckout: async (target) => {
+    const response = await api.post('/payments/checkout', target);
+    return response.data;
+  },
+};
+
+export default paymentService;
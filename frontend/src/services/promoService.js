@@ -0,0 +1,52 @@
+/**
+ * Promo Code Service
+ *
+ * Organizer promo code management and participant code preview
+ */
+
+import api from './api';
+
+const promoService = {
+  /**
+   * Get the organizer's promo codes
+   */
+  getMyPromoCodes: async () => {
+    const response = await api.get('/promos');
+    return response.data;
+  },
+
+  /**
+   * Create promo code
+   */
+  createPromoCode: async (data) => {
+    const response = await api.post('/promos', data);
+    return response.data;
+  },
+
+  /**
+   * Update promo code
+   */
+  updatePromoCode: async (id, data) => {
+    const response = await api.put(`/promos/${id}`, data);
+    return response.data;
+  },
+
+  /**
+   * Delete promo code (deactivated instead if already used)
+   */
+  deletePromoCode: async (id) => {
+    const response = await api.delete(`/promos/${id}`);
+    return response.data;
+  },
+
+  /**
+   * Preview the discount a code gives for an event
+   * @param {object} params - { code, eventId, variantId?, quantity?, tierId? }
+   */
+  validatePromoCode: async (params) => {
+    const response = await api.post('/promos/validate', params);
+    return response.data;
+  },
+};
+
+export default promoService;
@@ -0,0 +1,59 @@
+/**
+ * Refund Service
+ *
+ * Refund quotes and history for participants, refund queue for organizers
+ */
+
+import api from './api';
+
+const refundService = {
+  /**
+   * Get my refunds
+   */
+  getMyRefunds: async () => {
+    const response = await api.get('/refunds/my');
+    return response.data;
+  },
+
+  /**
+   * What cancelling a registration now would refund
+   */
+  getQuote: async (registrationId) => {
+    const response = await api.get(`/refunds/quote/${registrationId}`);
+    return response.data;
+  },
+
+  /**
+   * Refund queue for the organizer's events
+   */
+  getRefundQueue: async (params = {}) => {
+    const response = await api.get('/refunds', { params });
+    return response.data;
+  },
+
+  /**
+   * Approve a refund, optionally with a different amount
+   */
+  approveRefund: async (id, data) => {
+    const response = await api.put(`/refunds/${id}/approve`, data);
+    return response.data;
+  },
+
+  /**
+   * Deny a refund
+   */
+  denyRefund: async (id, data) => {
+    const response = await api.put(`/refunds/${id}/deny`, data);
+    return response.data;
+  },
+
+  /**
+   * Mark a refund as paid out
+   */
+  processRefund: async (id, data) => {
+    const response = await api.put(`/refunds/${id}/process`, data);
+    return response.data;
+  },
+};
+
+export default refundService;
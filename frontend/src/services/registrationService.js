@@ -8,20 +8,33 @@ import api from './api';
 
 const registrationService = {
   /**
-   * Register for a normal event
+   * Register for a normal event. `files` maps fieldId → File for file fields;
+   * when there are any the form goes as multipart.
    */
-  registerForEvent: async (eventId, formResponses = []) => {
-    const response = await api.post(`/registrations/event/${eventId}`, { formResponses });
+  registerForEvent: async (eventId, formResponses = [], tierId, promoCode, files = {}) => {
+    if (Object.keys(files).length === 0) {
+      const response = await api.post(`/registrations/event/${eventId}`, { formResponses, tierId, promoCode });
+      return response.data;
+    }
+    const form = new FormData();
+    form.append('formResponses', JSON.stringify(formResponses));
+    if (tierId) form.append('tierId', tierId);
+    if (promoCode) form.append('promoCode', promoCode);
+    Object.entries(files).forEach(([fieldId, file]) => form.append(fieldId, file));
+    const response = await api.post(`/registrations/event/${eventId}`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
     return response.data;
   },
 
   /**
    * Purchase merchandise
    */
-  purchaseMerchandise: async (eventId, variantId, quantity = 1) => {
+  purchaseMerchandise: async (eventId, variantId, quantity = 1, promoCode) => {
     const response = await api.post(`/registrations/merchandise/${eventId}`, {
       variantId,
-      quantity
+      quantity,
+      promoCode
     });
     return response.data;
   },
@@ -45,8 +58,8 @@ const registrationService = {
   /**
    * Cancel registration
    */
-  cancelRegistration: async (id) => {
-    const response = await api.put(`/registrations/${id}/cancel`);
+  cancelRegistration: async (id, reason) => {
+    const response = await api.put(`/registrations/${id}/cancel`, { reason });
     return response.data;
   },
 
@@ -59,10 +72,48 @@ const registrationService = {
   },
 
   /**
-   * Export registrations to CSV
+   * Download a file uploaded with a registration form
+   */
+  downloadFormFile: async (registrationId, fieldId) => {
+    const response = await api.get(`/registrations/${registrationId}/files/${fieldId}`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  /**
+   * Download every uploaded form file of an event as a zip (organizers)
+   */
+  downloadEventFiles: async (eventId) => {
+    const response = await api.get(`/registrations/event/${eventId}/files`, {
+      responseType: 'blob'
+    });
+    return response.data;
+  },
+
+  /**
+   * Import offline registrations from CSV text (organizers).
+   * With dryRun the server only checks the rows and suggests a column mapping.
+   */
+  importRegistrations: async (eventId, { csv, mapping, dryRun = true, sendEmails = true }) => {
+    const response = await api.post(`/registrations/event/${eventId}/import`, { csv, mapping, dryRun, sendEmails });
+    return response.data;
+  },
+
+  /**
+   * Columns and formats available for an event's export
    */
-  exportRegistrations: async (eventId) => {
+  getExportColumns: async (eventId) => {
+    const response = await api.get(`/registrations/event/${eventId}/export/columns`);
+    return response.data;
+  },
+
+  /**
+   * Export registrations. params: { format, columns, status, attended, paymentStatus }
+   */
+  exportRegistrations: async (eventId, params = {}) => {
     const response = await api.get(`/registrations/event/${eventId}/export`, {
+      params,
       responseType: 'blob'
     });
     return response.data;
@@ -102,9 +153,42 @@ const registrationService = {
    */
   exportAttendance: async (eventId) => {
     const response = await api.get(`/registrations/event/${eventId}/export`, {
+      params: { columns: 'ticketId,firstName,lastName,email,status,attended,attendedAt,overrideReason' },
       responseType: 'blob'
     });
     return response.data;
+  },
+
+  /**
+   * Get ordered waitlist for an event (organizers)
+   */
+  getWaitlist: async (eventId) => {
+    const response = await api.get(`/registrations/event/${eventId}/waitlist`);
+    return response.data;
+  },
+
+  /**
+   * Reorder waitlist — order is the full list of registration IDs, head first
+   */
+  reorderWaitlist: async (eventId, order) => {
+    const response = await api.put(`/registrations/event/${eventId}/waitlist`, { order });
+    return response.data;
+  },
+
+  /**
+   * Download attendee manifest for offline check-in
+   */
+  getCheckinManifest: async (eventId) => {
+    const response = await api.get(`/registrations/event/${eventId}/checkin-manifest`);
+    return response.data;
+  },
+
+  /**
+   * Push queued offline scans — scans: [{ clientScanId, ticketId, qrData, scannedAt }]
+   */
+  syncCheckins: async (eventId, stationId, scans) => {
+    const response = await api.post(`/registrations/event/${eventId}/checkin-sync`, { stationId, scans });
+    return response.data;
   }
 };
 
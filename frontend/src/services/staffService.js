@@ -0,0 +1,53 @@
+/**
+ * Staff Service
+ *
+ * Per-event staff (co-organizers, volunteers, finance) and the events the
+ * current user is staff on
+ */
+
+import api from './api';
+
+const staffService = {
+  /**
+   * Events the current user is staff on
+   */
+  getMyStaffEvents: async () => {
+    const response = await api.get('/staff/events');
+    return response.data;
+  },
+
+  /**
+   * The event's owner and staff
+   */
+  getEventStaff: async (eventId) => {
+    const response = await api.get(`/events/${eventId}/staff`);
+    return response.data;
+  },
+
+  /**
+   * Add a staff member by email (or change their role); names create a
+   * limited staff account when the email has none
+   */
+  addStaff: async (eventId, data) => {
+    const response = await api.post(`/events/${eventId}/staff`, data);
+    return response.data;
+  },
+
+  /**
+   * Remove a staff member
+   */
+  removeStaff: async (eventId, userId) => {
+    const response = await api.delete(`/events/${eventId}/staff/${userId}`);
+    return response.data;
+  },
+
+  /**
+   * One-time sign-in link for a limited staff account
+   */
+  createAccessLink: async (eventId, userId, data = {}) => {
+    const response = await api.post(`/events/${eventId}/staff/${userId}/link`, data);
+    return response.data;
+  },
+};
+
+export default staffService;
@@ -0,0 +1,120 @@
+/**
+ * Custom Form Rules
+ *
+ * Client side of the registration form's conditional logic and constraints
+ * (mirrors backend/utils/formRules.js, which enforces them on submit).
+ * Used to hide fields, mark conditional ones required and catch mistakes early.
+ */
+
+export const CONDITION_OPERATORS = [
+  { value: 'equals', label: 'equals' },
+  { value: 'not_equals', label: 'does not equal' },
+  { value: 'contains', label: 'contains' },
+  { value: 'filled', label: 'is filled' },
+  { value: 'empty', label: 'is empty' },
+];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// An unchecked checkbox is stored as 'false'
+export const isBlank = (field, value) =>
+  value === undefined || value === null || String(value).trim() === '' ||
+  (field?.type === 'checkbox' && String(value) !== 'true');
+
+const hasCondition = (condition) => !!condition?.fieldId;
+
+const evaluateCondition = (condition, sourceField, value) => {
+  const blank = isBlank(sourceField, value);
+  const actual = blank ? '' : String(value).trim().toLowerCase();
+  const expected = String(condition.value ?? '').trim().toLowerCase();
+
+  switch (condition.operator) {
+    case 'filled': return !blank;
+    case 'empty': return blank;
+    case 'not_equals': return actual !== expected;
+    case 'contains': return !blank && actual.includes(expected);
+    default: return actual === expected;
+  }
+};
+
+/**
+ * fieldIds shown for the current values (hidden source → hidden dependant)
+ */
+export const visibleFieldIds = (fields, values) => {
+  const byId = new Map(fields.map(f => [f.fieldId, f]));
+  const memo = new Map();
+
+  const isVisible = (field, seen) => {
+    if (memo.has(field.fieldId)) return memo.get(field.fieldId);
+    if (seen.has(field.fieldId)) return false;
+    seen.add(field.fieldId);
+
+    let visible = true;
+    if (hasCondition(field.showIf)) {
+      const source = byId.get(field.showIf.fieldId);
+      visible = !!source && isVisible(source, seen) &&
+        evaluateCondition(field.showIf, source, values[source.fieldId]);
+    }
+    memo.set(field.fieldId, visible);
+    return visible;
+  };
+
+  return new Set(fields.filter(f => isVisible(f, new Set())).map(f => f.fieldId));
+};
+
+export const isFieldRequired = (field, fields, values, visible) => {
+  if (field.required) return true;
+  if (!hasCondition(field.requiredIf)) return false;
+  const source = fields.find(f => f.fieldId === field.requiredIf.fieldId);
+  if (!source) return false;
+  return evaluateCondition(field.requiredIf, source, visible.has(source.fieldId) ? values[source.fieldId] : undefined);
+};
+
+/**
+ * Constraint violation for a filled field, or null
+ */
+export const fieldError = (field, value) => {
+  const v = field.validation || {};
+  const text = String(value);
+
+  if (field.type === 'number') {
+    const num = Number(value);
+    if (text.trim() === '' || isNaN(num)) return `${field.label} must be a number`;
+    if (v.min != null && num < v.min) return `${field.label} must be at least ${v.min}`;
+    if (v.max != null && num > v.max) return `${field.label} must be at most ${v.max}`;
+  }
+  if (field.type === 'email' && !EMAIL_REGEX.test(text.trim())) {
+    return `${field.label} must be a valid email address`;
+  }
+  if (['text', 'textarea'].includes(field.type)) {
+    if (v.maxLength && text.length > v.maxLength) return `${field.label} must be at most ${v.maxLength} characters`;
+    try {
+      if (v.pattern && !new RegExp(v.pattern).test(text)) return v.patternMessage || `${field.label} is not in the expected format`;
+    } catch {
+      // The server rejects invalid patterns when the form is saved
+    }
+  }
+  if (field.type === 'file' && v.fileTypes?.length) {
+    const ext = text.split(/[?#]/)[0].split('.').pop().toLowerCase();
+    if (!v.fileTypes.includes(ext)) return `${field.label} must be a ${v.fileTypes.join(', ')} file`;
+  }
+  return null;
+};
+
+/**
+ * First problem with the form as filled in, or null
+ */
+export const validateForm = (fields, values) => {
+  const visible = visibleFieldIds(fields, values);
+  for (const field of fields) {
+    if (!visible.has(field.fieldId)) continue;
+    const value = values[field.fieldId];
+    if (isBlank(field, value)) {
+      if (isFieldRequired(field, fields, values, visible)) return `Please fill: ${field.label}`;
+      continue;
+    }
+    const error = fieldError(field, value);
+    if (error) return error;
+  }
+  return null;
+};
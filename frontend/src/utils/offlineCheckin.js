@@ -0,0 +1,136 @@
+/**
+ * Offline Check-in Helpers
+ *
+ * IndexedDB storage for check-in stations:
+ * - manifests: attendee list + QR public key per event (for local validation)
+ * - queue: scans waiting to be synced to the server
+ *
+ * Also verifies signed FELQR2 ticket payloads locally with WebCrypto (Ed25519),
+ * so a station keeps working while the venue has no connectivity.
+ */
+
+const DB_NAME = 'felicity-checkin';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDB = () => {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('manifests')) db.createObjectStore('manifests', { keyPath: 'eventId' });
+      if (!db.objectStoreNames.contains('queue')) {
+        const store = db.createObjectStore('queue', { keyPath: 'clientScanId' });
+        store.createIndex('eventId', 'eventId');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+};
+
+/* ── Helper: run a request inside a transaction and resolve with its result ── */
+const withStore = async (storeName, mode, fn) => {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const result = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(result?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+export const saveManifest = (eventId, manifest) =>
+  withStore('manifests', 'readwrite', store => store.put({ eventId, manifest, savedAt: Date.now() }));
+
+export const loadManifest = async (eventId) => {
+  const row = await withStore('manifests', 'readonly', store => store.get(eventId));
+  return row?.manifest || null;
+};
+
+export const queueScan = (scan) => withStore('queue', 'readwrite', store => store.put(scan));
+
+export const getQueuedScans = (eventId) =>
+  withStore('queue', 'readonly', store => store.index('eventId').getAll(eventId));
+
+export const removeQueuedScans = (ids) =>
+  withStore('queue', 'readwrite', store => { ids.forEach(id => store.delete(id)); });
+
+/**
+ * Stable per-device station ID (kept in localStorage)
+ */
+export const getStationId = () => {
+  let id = localStorage.getItem('checkinStationId');
+  if (!id) {
+    id = `station-${crypto.randomUUID().slice(0, 8)}`;
+    localStorage.setItem('checkinStationId', id);
+  }
+  return id;
+};
+
+/* ── base64url → Uint8Array ── */
+const b64urlToBytes = (s) => {
+  const b64 = s.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(s.length / 4) * 4, '=');
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+};
+
+let keyCache = { kid: null, key: null };
+
+const importKey = async (jwk) => {
+  if (keyCache.kid === jwk.kid && keyCache.key) return keyCache.key;
+  const { kty, crv, x } = jwk;
+  const key = await crypto.subtle.importKey('jwk', { kty, crv, x }, { name: 'Ed25519' }, false, ['verify']);
+  keyCache = { kid: jwk.kid, key };
+  return key;
+};
+
+/**
+ * Validate scanned QR content against a cached manifest.
+ *
+ * @returns {Promise<{ ok: boolean, attendee?: object, ticketId?: string, verified?: boolean, message: string }>}
+ * verified=false means the browser lacks Ed25519 support — the server re-checks on sync.
+ */
+export const validateScanLocally = async (raw, manifest) => {
+  const text = (raw || '').trim();
+  if (!text) return { ok: false, message: 'Empty scan' };
+
+  let payload;
+  let verified = false;
+  let legacy = false;
+
+  if (text.startsWith(`${manifest.key.prefix}.`)) {
+    const [, body, sig] = text.split('.');
+    if (!body || !sig) return { ok: false, message: 'Malformed QR code' };
+    try {
+      payload = JSON.parse(new TextDecoder().decode(b64urlToBytes(body)));
+    } catch {
+      return { ok: false, message: 'Malformed QR code' };
+    }
+    try {
+      const key = await importKey(manifest.key.jwk);
+      verified = await crypto.subtle.verify({ name: 'Ed25519' }, key, b64urlToBytes(sig), new TextEncoder().encode(body));
+      if (!verified) return { ok: false, message: 'Invalid signature — ticket may be forged' };
+    } catch {
+      // Ed25519 not supported in this browser — fall back to manifest match only
+      verified = false;
+    }
+  } else {
+    legacy = true;
+    try { payload = JSON.parse(text); } catch { payload = { ticketId: text }; }
+  }
+
+  const attendee = manifest.attendees.find(a => a.ticketId === payload?.ticketId);
+  if (!attendee) return { ok: false, ticketId: payload?.ticketId, message: 'Ticket not on this event\'s attendee list' };
+
+  if (legacy && attendee.signed) {
+    return { ok: false, ticketId: attendee.ticketId, message: 'Unsigned QR not accepted for this ticket' };
+  }
+  if (payload.participantId && String(payload.participantId) !== String(attendee.participantId)) {
+    return { ok: false, ticketId: attendee.ticketId, message: 'QR data does not match ticket records' };
+  }
+
+  return { ok: true, attendee, ticketId: attendee.ticketId, verified, message: 'Valid ticket' };
+};
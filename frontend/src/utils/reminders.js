@@ -0,0 +1,31 @@
+/**
+ * Event Reminder Schedules
+ *
+ * The backend stores reminders as minutes before the event starts
+ * (Event.reminderOffsets); the editor shows them as an amount and a unit.
+ */
+
+export const REMINDER_UNITS = [
+  { value: 'minutes', label: 'minutes', minutes: 1 },
+  { value: 'hours', label: 'hours', minutes: 60 },
+  { value: 'days', label: 'days', minutes: 24 * 60 },
+];
+
+export const DEFAULT_REMINDER_OFFSETS = [24 * 60, 60];
+
+const unitMinutes = (unit) => REMINDER_UNITS.find(u => u.value === unit)?.minutes || 1;
+
+/**
+ * [1440, 90] => [{ amount: 1, unit: 'days' }, { amount: 90, unit: 'minutes' }]
+ */
+export const toReminderRows = (offsets = []) => offsets.map(minutes => {
+  const unit = [...REMINDER_UNITS].reverse().find(u => minutes % u.minutes === 0) || REMINDER_UNITS[0];
+  return { amount: minutes / unit.minutes, unit: unit.value };
+});
+
+/**
+ * Rows back to minutes; rows without an amount are dropped
+ */
+export const toReminderOffsets = (rows = []) => rows
+  .filter(row => Number(row.amount) > 0)
+  .map(row => Math.round(Number(row.amount) * unitMinutes(row.unit)));